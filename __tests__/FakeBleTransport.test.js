@@ -0,0 +1,225 @@
+/**
+ * BLE device flow tests
+ *
+ * Runs scanning, connecting, reading and notifications against the in-memory
+ * FakeBleTransport, together with the headset helpers and the reconnect
+ * manager that use the transport in the app.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { FakeBleTransport } from '../src/services/transports/FakeBleTransport';
+import { TRANSPORT_EVENTS, ADAPTER_STATES } from '../src/services/transports/BleTransport';
+import { BluetoothReconnectManager } from '../src/services/BluetoothReconnectManager';
+import { readHeadsetInfo, subscribeBatteryLevel } from '../src/utils/headsetInfo';
+import { subscribeHeadsetButtons } from '../src/utils/headsetButtons';
+import { HEADSET_ACTIONS, BUTTON_PRESSES } from '../src/config/headsetProfiles';
+import { stringToBytes } from '../src/utils/base64';
+import {
+  BLUETOOTH_SERVICES,
+  BLUETOOTH_CHARACTERISTICS,
+  RECONNECT_STATES,
+} from '../src/utils/constants';
+
+const HEADSET = {
+  id: 'AA:BB:CC:DD:EE:01',
+  name: 'AIR-Headset',
+  serviceUUIDs: [BLUETOOTH_SERVICES.AUDIO_SERVICE],
+  characteristics: {
+    [`${BLUETOOTH_SERVICES.BATTERY_SERVICE}/${BLUETOOTH_CHARACTERISTICS.BATTERY_LEVEL}`]: [80],
+    [`${BLUETOOTH_SERVICES.DEVICE_INFORMATION}/${BLUETOOTH_CHARACTERISTICS.MANUFACTURER_NAME}`]: stringToBytes('AIR\0\0'),
+    [`${BLUETOOTH_SERVICES.DEVICE_INFORMATION}/${BLUETOOTH_CHARACTERISTICS.MODEL_NUMBER}`]: stringToBytes('AIR-Headset'),
+  },
+};
+
+const SPEAKER = {
+  id: 'AA:BB:CC:DD:EE:02',
+  name: 'Kitchen speaker',
+  serviceUUIDs: ['1812'],
+};
+
+// Button characteristic of the AIR-Headset profile
+const BUTTON_CHARACTERISTIC = '2B10';
+
+/**
+ * Record the payloads of a transport event
+ *
+ * @param {FakeBleTransport} transport - Transport
+ * @param {string} event - One of TRANSPORT_EVENTS
+ * @returns {Array<Object>} Payloads, filled as events arrive
+ */
+const collect = (transport, event) => {
+  const payloads = [];
+  transport.on(event, payload => payloads.push(payload));
+  return payloads;
+};
+
+describe('FakeBleTransport', () => {
+  let transport;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    transport = new FakeBleTransport({ devices: [HEADSET, SPEAKER], scanDelay: 100 });
+  });
+
+  afterEach(() => {
+    transport.destroy();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('scanning', () => {
+    it('reports the devices advertising the wanted services, then stops', async () => {
+      const discovered = collect(transport, TRANSPORT_EVENTS.DEVICE_DISCOVERED);
+      const stopped = collect(transport, TRANSPORT_EVENTS.SCAN_STOPPED);
+
+      await transport.startScan({ serviceUUIDs: [BLUETOOTH_SERVICES.AUDIO_SERVICE], timeout: 1000 });
+      jest.advanceTimersByTime(100);
+
+      expect(discovered.map(device => device.id)).toEqual([HEADSET.id]);
+      expect(stopped).toHaveLength(0);
+
+      jest.advanceTimersByTime(900);
+      expect(stopped).toHaveLength(1);
+    });
+
+    it('refuses to scan while Bluetooth is off', async () => {
+      transport.setState(ADAPTER_STATES.OFF);
+
+      await expect(transport.startScan()).rejects.toThrow('not powered on');
+    });
+  });
+
+  describe('connecting', () => {
+    it('connects to a known device and reads its information', async () => {
+      const connected = collect(transport, TRANSPORT_EVENTS.DEVICE_CONNECTED);
+
+      await transport.connect(HEADSET.id);
+
+      expect(connected).toEqual([{ deviceId: HEADSET.id }]);
+      await expect(readHeadsetInfo(transport, HEADSET.id)).resolves.toEqual({
+        batteryLevel: 80,
+        manufacturer: 'AIR',
+        model: 'AIR-Headset',
+        firmware: null,
+        serialNumber: null,
+      });
+    });
+
+    it('rejects unknown devices and reads from devices that are not connected', async () => {
+      await expect(transport.connect('00:00:00:00:00:00')).rejects.toThrow('not found');
+      await expect(transport.read(HEADSET.id, BLUETOOTH_SERVICES.BATTERY_SERVICE, BLUETOOTH_CHARACTERISTICS.BATTERY_LEVEL))
+        .rejects.toThrow('not connected');
+    });
+
+    it('records writes with their values', async () => {
+      await transport.connect(HEADSET.id);
+      await transport.write(HEADSET.id, BLUETOOTH_SERVICES.IMMEDIATE_ALERT, '2A06', [2], { withResponse: true });
+
+      expect(transport.writes).toEqual([expect.objectContaining({
+        deviceId: HEADSET.id,
+        value: Uint8Array.from([2]),
+        withResponse: true,
+      })]);
+    });
+  });
+
+  describe('notifications', () => {
+    beforeEach(async () => {
+      await transport.connect(HEADSET.id);
+    });
+
+    it('delivers battery level changes, skipping invalid values', async () => {
+      const onLevel = jest.fn();
+      const unsubscribe = await subscribeBatteryLevel(transport, HEADSET.id, onLevel);
+
+      transport.setValue(HEADSET.id, BLUETOOTH_SERVICES.BATTERY_SERVICE, BLUETOOTH_CHARACTERISTICS.BATTERY_LEVEL, [42]);
+      transport.setValue(HEADSET.id, BLUETOOTH_SERVICES.BATTERY_SERVICE, BLUETOOTH_CHARACTERISTICS.BATTERY_LEVEL, [255]);
+      await unsubscribe();
+      transport.setValue(HEADSET.id, BLUETOOTH_SERVICES.BATTERY_SERVICE, BLUETOOTH_CHARACTERISTICS.BATTERY_LEVEL, [41]);
+
+      expect(onLevel.mock.calls).toEqual([[42]]);
+    });
+
+    it('turns button notifications into headset actions', async () => {
+      const onAction = jest.fn();
+      await subscribeHeadsetButtons(transport, HEADSET, onAction);
+
+      transport.setValue(HEADSET.id, BLUETOOTH_SERVICES.AUDIO_SERVICE, BUTTON_CHARACTERISTIC, [0x01]);
+      // A release isn't a press
+      transport.setValue(HEADSET.id, BLUETOOTH_SERVICES.AUDIO_SERVICE, BUTTON_CHARACTERISTIC, [0x00]);
+      transport.setValue(HEADSET.id, BLUETOOTH_SERVICES.AUDIO_SERVICE, BUTTON_CHARACTERISTIC, [0x03]);
+
+      expect(onAction.mock.calls.map(([press]) => press)).toEqual([
+        { action: HEADSET_ACTIONS.TOGGLE_RECORDING, press: BUTTON_PRESSES.SINGLE, model: 'AIR-Headset', deviceId: HEADSET.id },
+        { action: HEADSET_ACTIONS.TOGGLE_AUTO_LISTEN, press: BUTTON_PRESSES.LONG, model: 'AIR-Headset', deviceId: HEADSET.id },
+      ]);
+    });
+
+    it('stops notifying once the link drops', async () => {
+      const onLevel = jest.fn();
+      const disconnected = collect(transport, TRANSPORT_EVENTS.DEVICE_DISCONNECTED);
+      await subscribeBatteryLevel(transport, HEADSET.id, onLevel);
+
+      transport.simulateDisconnect(HEADSET.id);
+      transport.setValue(HEADSET.id, BLUETOOTH_SERVICES.BATTERY_SERVICE, BLUETOOTH_CHARACTERISTICS.BATTERY_LEVEL, [42]);
+
+      expect(onLevel).not.toHaveBeenCalled();
+      expect(disconnected).toEqual([{ deviceId: HEADSET.id, error: expect.any(Error) }]);
+    });
+
+    it('drops every connection when Bluetooth is switched off', () => {
+      const disconnected = collect(transport, TRANSPORT_EVENTS.DEVICE_DISCONNECTED);
+      const states = collect(transport, TRANSPORT_EVENTS.STATE_CHANGED);
+
+      transport.setState(ADAPTER_STATES.OFF);
+
+      expect(states).toEqual([{ state: ADAPTER_STATES.OFF }]);
+      expect(disconnected.map(event => event.deviceId)).toEqual([HEADSET.id]);
+    });
+  });
+
+  describe('reconnecting', () => {
+    /**
+     * Create a reconnect manager that connects through the transport
+     *
+     * @param {Array<Object>} devices - Previously connected devices, most recent first
+     * @returns {BluetoothReconnectManager} Manager
+     */
+    const createManager = (devices) => new BluetoothReconnectManager({
+      connect: deviceId => transport.connect(deviceId),
+      getDevices: () => devices,
+      maxAttempts: 2,
+      initialDelay: 1000,
+      maxDelay: 1000,
+    });
+
+    it('reconnects to the headset after the link drops', async () => {
+      const manager = createManager([HEADSET]);
+      await transport.connect(HEADSET.id);
+      transport.simulateDisconnect(HEADSET.id);
+
+      expect(manager.start('link lost')).toBe(true);
+      expect(manager.getStatus().state).toBe(RECONNECT_STATES.WAITING);
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(manager.getStatus().state).toBe(RECONNECT_STATES.IDLE);
+      expect(transport.connectedIds.has(HEADSET.id)).toBe(true);
+    });
+
+    it('gives up while Bluetooth stays off', async () => {
+      const manager = createManager([HEADSET]);
+      transport.setState(ADAPTER_STATES.OFF);
+
+      manager.start('link lost');
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(manager.getStatus()).toMatchObject({ state: RECONNECT_STATES.GAVE_UP, attempt: 2 });
+      expect(transport.connectedIds.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Voice activity detection tests
+ *
+ * Feeds synthetic 16-bit PCM chunks to the detector and checks when it
+ * reports speech, silence, or no speech at all.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import {
+  VAD_STATES,
+  decodePcm16,
+  computeRms,
+  rmsToDb,
+  thresholdToDb,
+  sensitivityToGainDb,
+  createVoiceActivityDetector,
+} from '../src/utils/voiceActivity';
+import { encodeBase64 } from '../src/utils/base64';
+
+const SAMPLE_RATE = 16000;
+const CHUNK_MS = 100;
+const CHUNK_SAMPLES = (SAMPLE_RATE * CHUNK_MS) / 1000;
+
+/**
+ * Build a chunk of a 440 Hz tone
+ *
+ * @param {number} amplitude - Peak amplitude (0.0-1.0)
+ * @returns {Int16Array} Samples
+ */
+const tone = (amplitude) => {
+  const samples = new Int16Array(CHUNK_SAMPLES);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE) * amplitude * 32767);
+  }
+  return samples;
+};
+
+const silence = () => new Int16Array(CHUNK_SAMPLES);
+
+/**
+ * Create a detector for 100 ms chunks at 16 kHz with neutral gain
+ *
+ * @param {Object} [options={}] - Detector options to override
+ * @returns {Object} Detector
+ */
+const createDetector = (options = {}) => createVoiceActivityDetector({
+  silenceThreshold: 0.2, // -55 dBFS
+  micSensitivity: 50, // No gain
+  sampleRate: SAMPLE_RATE,
+  silenceDuration: 500,
+  noSpeechTimeout: 1000,
+  minSpeechDuration: 200,
+  ...options,
+});
+
+/**
+ * Feed the same kind of chunk to a detector several times
+ *
+ * @param {Object} detector - Detector
+ * @param {Function} makeChunk - Builds a chunk
+ * @param {number} count - Number of chunks
+ * @returns {Object} Result of the last chunk
+ */
+const feed = (detector, makeChunk, count) => {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = detector.process(makeChunk());
+  }
+  return result;
+};
+
+describe('PCM decoding and levels', () => {
+  it('decodes little-endian samples from base64 and raw bytes', () => {
+    const bytes = new Uint8Array([0x01, 0x00, 0xff, 0x7f, 0x00, 0x80]);
+
+    expect(Array.from(decodePcm16(bytes))).toEqual([1, 32767, -32768]);
+    expect(Array.from(decodePcm16(encodeBase64(bytes)))).toEqual([1, 32767, -32768]);
+    expect(Array.from(decodePcm16(bytes.buffer))).toEqual([1, 32767, -32768]);
+  });
+
+  it('measures the RMS level of a tone in dBFS', () => {
+    // A sine wave's RMS is its peak divided by the square root of two
+    expect(computeRms(tone(0.5))).toBeCloseTo(0.5 / Math.SQRT2, 2);
+    expect(rmsToDb(computeRms(tone(0.5)))).toBeCloseTo(-9, 0);
+  });
+
+  it('reports digital silence at the floor level', () => {
+    expect(computeRms(silence())).toBe(0);
+    expect(rmsToDb(0)).toBe(-100);
+  });
+
+  it('maps the settings to a threshold and a gain', () => {
+    expect(thresholdToDb(0)).toBe(-65);
+    expect(thresholdToDb(0.2)).toBe(-55);
+    expect(thresholdToDb(1)).toBe(-15);
+    expect(thresholdToDb(2)).toBe(-15);
+    expect(sensitivityToGainDb(50)).toBe(0);
+    expect(sensitivityToGainDb(100)).toBe(12);
+    expect(sensitivityToGainDb(0)).toBe(-12);
+  });
+});
+
+describe('createVoiceActivityDetector', () => {
+  it('treats audio above the threshold as speech once it lasts long enough', () => {
+    const onSpeechStart = jest.fn();
+    const detector = createDetector({ onSpeechStart });
+
+    expect(detector.process(tone(0.5))).toMatchObject({ isSpeech: true, state: VAD_STATES.WAITING });
+    expect(onSpeechStart).not.toHaveBeenCalled();
+
+    expect(detector.process(tone(0.5)).state).toBe(VAD_STATES.SPEECH);
+    expect(onSpeechStart).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores audio below the threshold', () => {
+    // 0.001 peak is about -63 dBFS, under the -55 dBFS threshold
+    const detector = createDetector();
+
+    expect(feed(detector, () => tone(0.001), 5)).toMatchObject({ isSpeech: false, state: VAD_STATES.WAITING });
+  });
+
+  it('does not count short bursts of noise as speech', () => {
+    const onSpeechStart = jest.fn();
+    const detector = createDetector({ onSpeechStart, noSpeechTimeout: 10000 });
+
+    for (let i = 0; i < 5; i++) {
+      detector.process(tone(0.5));
+      detector.process(silence());
+    }
+
+    expect(onSpeechStart).not.toHaveBeenCalled();
+    expect(detector.getState().state).toBe(VAD_STATES.WAITING);
+  });
+
+  it('reports silence only after it has lasted silenceDuration following speech', () => {
+    const onSilenceDetected = jest.fn();
+    const detector = createDetector({ onSilenceDetected });
+
+    feed(detector, () => tone(0.5), 3);
+    expect(feed(detector, silence, 4).state).toBe(VAD_STATES.SILENCE);
+    expect(onSilenceDetected).not.toHaveBeenCalled();
+
+    expect(detector.process(silence()).state).toBe(VAD_STATES.DONE);
+    expect(onSilenceDetected).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts the silence over when the user speaks again', () => {
+    const onSilenceDetected = jest.fn();
+    const detector = createDetector({ onSilenceDetected });
+
+    feed(detector, () => tone(0.5), 3);
+    feed(detector, silence, 4);
+    expect(detector.process(tone(0.5)).state).toBe(VAD_STATES.SPEECH);
+    feed(detector, silence, 4);
+
+    expect(onSilenceDetected).not.toHaveBeenCalled();
+  });
+
+  it('keeps treating audio just under the threshold as speech (hysteresis)', () => {
+    // About -58 dBFS: under the -55 dBFS threshold, but not by the 4 dB needed for silence
+    const detector = createDetector();
+
+    feed(detector, () => tone(0.5), 3);
+
+    expect(feed(detector, () => tone(0.0018), 10).state).toBe(VAD_STATES.SPEECH);
+  });
+
+  it('reports no speech when the user never speaks', () => {
+    const onNoSpeech = jest.fn();
+    const onSilenceDetected = jest.fn();
+    const detector = createDetector({ onNoSpeech, onSilenceDetected });
+
+    expect(feed(detector, silence, 9).state).toBe(VAD_STATES.WAITING);
+    expect(detector.process(silence()).state).toBe(VAD_STATES.DONE);
+
+    expect(onNoSpeech).toHaveBeenCalledTimes(1);
+    expect(onSilenceDetected).not.toHaveBeenCalled();
+  });
+
+  it('ignores audio once a callback has fired, until reset', () => {
+    const onSpeechStart = jest.fn();
+    const onNoSpeech = jest.fn();
+    const detector = createDetector({ onSpeechStart, onNoSpeech });
+
+    feed(detector, silence, 10);
+    feed(detector, () => tone(0.5), 5);
+    expect(onSpeechStart).not.toHaveBeenCalled();
+
+    detector.reset();
+    feed(detector, () => tone(0.5), 2);
+    expect(onSpeechStart).toHaveBeenCalledTimes(1);
+    expect(onNoSpeech).toHaveBeenCalledTimes(1);
+  });
+
+  it('applies the microphone sensitivity to the measured level', () => {
+    // About -63 dBFS is silence at neutral gain but speech with 12 dB of boost
+    const quiet = createDetector({ micSensitivity: 50 });
+    const boosted = createDetector({ micSensitivity: 100 });
+
+    expect(quiet.process(tone(0.001)).isSpeech).toBe(false);
+    expect(boosted.process(tone(0.001)).isSpeech).toBe(true);
+  });
+
+  it('counts the duration of interleaved stereo chunks per frame', () => {
+    const onNoSpeech = jest.fn();
+    const detector = createDetector({ channels: 2, onNoSpeech });
+
+    // Each chunk holds 50 ms of stereo audio
+    feed(detector, silence, 19);
+    expect(onNoSpeech).not.toHaveBeenCalled();
+
+    detector.process(silence());
+    expect(onNoSpeech).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Voice session tests
+ *
+ * Walks the voice loop state machine through its transitions, checks that
+ * events the current state doesn't allow are ignored, and that the machine
+ * times out each timed state.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import {
+  VOICE_STATES,
+  VOICE_EVENTS,
+  createVoiceSession,
+  transition,
+  isIdle,
+} from '../src/utils/voiceSession';
+import { VoiceSessionMachine } from '../src/services/VoiceSessionMachine';
+
+/**
+ * Apply events in turn, failing on any that is ignored
+ *
+ * @param {Object} session - Starting session
+ * @param {Array<string|Object>} events - Event types or events
+ * @returns {Object} Final session
+ */
+const run = (session, events) => events.reduce((current, event) => {
+  const next = transition(current, typeof event === 'string' ? { type: event } : event);
+  expect(next).not.toBeNull();
+  return next;
+}, session);
+
+/**
+ * Build a session in a state
+ *
+ * @param {string} state - One of VOICE_STATES
+ * @param {boolean} [listening=false] - Whether auto-listen is on
+ * @returns {Object} Session
+ */
+const sessionIn = (state, listening = false) => ({ ...createVoiceSession(listening), state });
+
+describe('voice session transitions', () => {
+  it('starts idle, or waiting to listen when auto-listen is on', () => {
+    expect(createVoiceSession()).toEqual({ state: VOICE_STATES.IDLE, listening: false, error: null });
+    expect(createVoiceSession(true).state).toBe(VOICE_STATES.AUTO_LISTEN);
+  });
+
+  it('runs a full turn: recording, processing, speaking, idle', () => {
+    let session = createVoiceSession();
+
+    session = run(session, [VOICE_EVENTS.START_RECORDING]);
+    expect(session.state).toBe(VOICE_STATES.RECORDING);
+
+    session = run(session, [VOICE_EVENTS.STOP_RECORDING]);
+    expect(session.state).toBe(VOICE_STATES.PROCESSING);
+
+    session = run(session, [VOICE_EVENTS.RESPONSE_PROGRESS, VOICE_EVENTS.START_SPEAKING]);
+    expect(session.state).toBe(VOICE_STATES.SPEAKING);
+
+    session = run(session, [VOICE_EVENTS.STOP_SPEAKING]);
+    expect(session.state).toBe(VOICE_STATES.IDLE);
+  });
+
+  it('ends a turn waiting for the next recording while auto-listen is on', () => {
+    const session = run(sessionIn(VOICE_STATES.RECORDING, true), [
+      VOICE_EVENTS.STOP_RECORDING,
+      VOICE_EVENTS.RESPONSE_DONE,
+    ]);
+
+    expect(session.state).toBe(VOICE_STATES.AUTO_LISTEN);
+    expect(run(session, [VOICE_EVENTS.TIMEOUT]).state).toBe(VOICE_STATES.RECORDING);
+  });
+
+  it('drops a cancelled recording without processing it', () => {
+    expect(run(sessionIn(VOICE_STATES.RECORDING), [VOICE_EVENTS.CANCEL_RECORDING]).state).toBe(VOICE_STATES.IDLE);
+  });
+
+  it('sends a recording that reaches its time limit', () => {
+    expect(run(sessionIn(VOICE_STATES.RECORDING), [VOICE_EVENTS.TIMEOUT]).state).toBe(VOICE_STATES.PROCESSING);
+  });
+
+  it('lets the user interrupt an answer while it is processed or spoken', () => {
+    expect(run(sessionIn(VOICE_STATES.PROCESSING), [VOICE_EVENTS.INTERRUPT]).state).toBe(VOICE_STATES.IDLE);
+    expect(run(sessionIn(VOICE_STATES.SPEAKING), [VOICE_EVENTS.INTERRUPT]).state).toBe(VOICE_STATES.IDLE);
+  });
+
+  it('keeps the error of a failed answer until the next turn', () => {
+    const failed = transition(sessionIn(VOICE_STATES.PROCESSING), {
+      type: VOICE_EVENTS.RESPONSE_ERROR,
+      error: 'Server error',
+    });
+
+    expect(failed).toMatchObject({ state: VOICE_STATES.ERROR, error: 'Server error' });
+    expect(run(failed, [VOICE_EVENTS.START_RECORDING])).toMatchObject({
+      state: VOICE_STATES.RECORDING,
+      error: null,
+    });
+  });
+
+  it('fails an answer that takes too long, then settles after a while', () => {
+    const failed = run(sessionIn(VOICE_STATES.PROCESSING), [VOICE_EVENTS.TIMEOUT]);
+
+    expect(failed.state).toBe(VOICE_STATES.ERROR);
+    expect(failed.error).toBeTruthy();
+    expect(run(failed, [VOICE_EVENTS.TIMEOUT])).toMatchObject({ state: VOICE_STATES.IDLE, error: null });
+  });
+
+  it('fails or resets from any state', () => {
+    Object.values(VOICE_STATES).forEach(state => {
+      expect(transition(sessionIn(state), { type: VOICE_EVENTS.FAIL }).state).toBe(VOICE_STATES.ERROR);
+      expect(transition(sessionIn(state), { type: VOICE_EVENTS.RESET }).state).toBe(VOICE_STATES.IDLE);
+    });
+  });
+
+  describe('ignored events', () => {
+    it.each([
+      [VOICE_STATES.RECORDING, VOICE_EVENTS.START_RECORDING],
+      [VOICE_STATES.PROCESSING, VOICE_EVENTS.START_RECORDING],
+      [VOICE_STATES.SPEAKING, VOICE_EVENTS.START_RECORDING],
+      [VOICE_STATES.IDLE, VOICE_EVENTS.STOP_RECORDING],
+      [VOICE_STATES.IDLE, VOICE_EVENTS.TIMEOUT],
+      [VOICE_STATES.IDLE, VOICE_EVENTS.INTERRUPT],
+      [VOICE_STATES.IDLE, VOICE_EVENTS.STOP_SPEAKING],
+      [VOICE_STATES.RECORDING, VOICE_EVENTS.START_SPEAKING],
+      [VOICE_STATES.RECORDING, VOICE_EVENTS.RESPONSE_DONE],
+      [VOICE_STATES.SPEAKING, VOICE_EVENTS.RESPONSE_ERROR],
+      [VOICE_STATES.ERROR, VOICE_EVENTS.STOP_SPEAKING],
+    ])('ignores %s → %s', (state, type) => {
+      expect(transition(sessionIn(state), { type })).toBeNull();
+    });
+  });
+
+  describe('auto-listen', () => {
+    it('starts and stops waiting at once between turns', () => {
+      const listening = transition(createVoiceSession(), { type: VOICE_EVENTS.SET_LISTENING, listening: true });
+
+      expect(listening).toMatchObject({ state: VOICE_STATES.AUTO_LISTEN, listening: true });
+      expect(transition(listening, { type: VOICE_EVENTS.SET_LISTENING, listening: false }))
+        .toMatchObject({ state: VOICE_STATES.IDLE, listening: false });
+    });
+
+    it('applies the change when the current turn ends', () => {
+      const session = transition(sessionIn(VOICE_STATES.SPEAKING), { type: VOICE_EVENTS.SET_LISTENING, listening: true });
+
+      expect(session).toMatchObject({ state: VOICE_STATES.SPEAKING, listening: true });
+      expect(run(session, [VOICE_EVENTS.STOP_SPEAKING]).state).toBe(VOICE_STATES.AUTO_LISTEN);
+    });
+
+    it('ignores setting it to what it already is', () => {
+      expect(transition(createVoiceSession(true), { type: VOICE_EVENTS.SET_LISTENING, listening: true })).toBeNull();
+    });
+  });
+
+  it('counts idle and waiting to listen as between turns', () => {
+    expect(isIdle(sessionIn(VOICE_STATES.IDLE))).toBe(true);
+    expect(isIdle(sessionIn(VOICE_STATES.AUTO_LISTEN))).toBe(true);
+    expect(isIdle(sessionIn(VOICE_STATES.SPEAKING))).toBe(false);
+  });
+});
+
+describe('VoiceSessionMachine', () => {
+  const TIMEOUTS = {
+    [VOICE_STATES.RECORDING]: 1000,
+    [VOICE_STATES.PROCESSING]: 5000,
+  };
+
+  let machine;
+  let onChange;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    onChange = jest.fn();
+    machine = new VoiceSessionMachine({ onChange, timeouts: TIMEOUTS });
+  });
+
+  afterEach(() => {
+    machine.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('tells listeners about each change with the previous session and the event', () => {
+    expect(machine.send({ type: VOICE_EVENTS.START_RECORDING })).toBe(true);
+
+    expect(onChange).toHaveBeenCalledWith(
+      expect.objectContaining({ state: VOICE_STATES.RECORDING }),
+      expect.objectContaining({ state: VOICE_STATES.IDLE }),
+      { type: VOICE_EVENTS.START_RECORDING }
+    );
+  });
+
+  it('refuses ignored events without telling listeners', () => {
+    machine.send({ type: VOICE_EVENTS.START_RECORDING });
+    onChange.mockClear();
+
+    expect(machine.send({ type: VOICE_EVENTS.START_RECORDING })).toBe(false);
+    expect(onChange).not.toHaveBeenCalled();
+    expect(machine.getState()).toBe(VOICE_STATES.RECORDING);
+  });
+
+  it('times out each timed state', () => {
+    machine.send({ type: VOICE_EVENTS.START_RECORDING });
+
+    jest.advanceTimersByTime(999);
+    expect(machine.getState()).toBe(VOICE_STATES.RECORDING);
+
+    jest.advanceTimersByTime(1);
+    expect(machine.getState()).toBe(VOICE_STATES.PROCESSING);
+
+    jest.advanceTimersByTime(5000);
+    expect(machine.getSession()).toMatchObject({ state: VOICE_STATES.ERROR, error: expect.any(String) });
+  });
+
+  it('restarts the timeout when an answer makes progress', () => {
+    machine.send({ type: VOICE_EVENTS.START_RECORDING });
+    machine.send({ type: VOICE_EVENTS.STOP_RECORDING });
+
+    jest.advanceTimersByTime(4000);
+    machine.send({ type: VOICE_EVENTS.RESPONSE_PROGRESS });
+    jest.advanceTimersByTime(4000);
+
+    expect(machine.getState()).toBe(VOICE_STATES.PROCESSING);
+  });
+
+  it('keeps the clock of a turn when auto-listen changes mid-turn', () => {
+    machine.send({ type: VOICE_EVENTS.START_RECORDING });
+
+    jest.advanceTimersByTime(600);
+    machine.send({ type: VOICE_EVENTS.SET_LISTENING, listening: true });
+    jest.advanceTimersByTime(400);
+
+    expect(machine.getState()).toBe(VOICE_STATES.PROCESSING);
+  });
+
+  it('cancels the timeout on leaving a timed state and when stopped', () => {
+    machine.send({ type: VOICE_EVENTS.START_RECORDING });
+    machine.send({ type: VOICE_EVENTS.CANCEL_RECORDING });
+    jest.advanceTimersByTime(1000);
+    expect(machine.getState()).toBe(VOICE_STATES.IDLE);
+
+    machine.send({ type: VOICE_EVENTS.START_RECORDING });
+    machine.stop();
+    jest.advanceTimersByTime(1000);
+    expect(machine.getState()).toBe(VOICE_STATES.RECORDING);
+  });
+
+  it('stops telling a listener about changes once it unsubscribes', () => {
+    const listener = jest.fn();
+    const unsubscribe = machine.subscribe(listener);
+
+    machine.send({ type: VOICE_EVENTS.START_RECORDING });
+    unsubscribe();
+    machine.send({ type: VOICE_EVENTS.STOP_RECORDING });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+});
@@ -2,33 +2,48 @@
  * Conversation Component
  * 
  * Displays the conversation history between the user and the AI assistant.
- * Includes message bubbles for both user and AI messages.
+ * Includes message bubbles for both user and AI messages. Earlier messages
+ * are loaded when the user scrolls to the top, and a highlighted message,
+ * such as one picked in search, is scrolled into view.
  * 
  * @author AIR-assist Development Team
  * @version 1.0.0
  */
 
-import React, { forwardRef } from 'react';
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useRef, useState } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   ScrollView,
   TouchableOpacity,
+  ActivityIndicator,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
-import { layout } from '../styles/layout';
+import layout from '../styles/layout';
+import { MESSAGE_STATUS } from '../utils/constants';
+import MessageStatus from './MessageStatus';
+
+// Distance from the top, in pixels, at which earlier messages are loaded
+const LOAD_OLDER_THRESHOLD = 80;
+
+// Space left above a highlighted message scrolled into view, in pixels
+const HIGHLIGHT_OFFSET = 40;
 
 /**
  * Message Bubble Component
  * 
  * @param {Object} props - Component properties
- * @param {Object} props.message - Message object containing text, isUser, and type
+ * @param {Object} props.message - Message object containing text, isUser, type, isStreaming and status
+ * @param {Function} [props.onRetry] - Function called with the message ID when a failed message is tapped
+ * @param {boolean} [props.isHighlighted=false] - Whether to highlight the message
  * @returns {React.ReactElement} Rendered component
  */
-const MessageBubble = ({ message }) => {
+const MessageBubble = ({ message, onRetry, isHighlighted = false }) => {
+  const canRetry = message.status === MESSAGE_STATUS.FAILED && !!onRetry;
+  
   /**
    * Get container styles based on message type and sender
    * 
@@ -39,6 +54,10 @@ const MessageBubble = ({ message }) => {
     
     if (message.isUser) {
       containerStyles.push(styles.userMessage);
+      
+      if (message.status === MESSAGE_STATUS.FAILED) {
+        containerStyles.push(styles.failedMessage);
+      }
     } else {
       containerStyles.push(styles.aiMessage);
       
@@ -47,6 +66,10 @@ const MessageBubble = ({ message }) => {
       }
     }
     
+    if (isHighlighted) {
+      containerStyles.push(styles.highlightedMessage);
+    }
+    
     return containerStyles;
   };
   
@@ -93,10 +116,30 @@ const MessageBubble = ({ message }) => {
   
   return (
     <View style={[styles.messageContainer, message.isUser ? styles.userMessageContainer : styles.aiMessageContainer]}>
-      <View style={getContainerStyles()}>
+      <TouchableOpacity
+        style={getContainerStyles()}
+        onPress={() => onRetry(message.id)}
+        disabled={!canRetry}
+        activeOpacity={0.7}
+      >
         {getMessageIcon()}
-        <Text style={getTextStyles()}>{message.text}</Text>
-      </View>
+        <Text style={getTextStyles()}>
+          {message.isStreaming && !message.text ? '...' : message.text}
+        </Text>
+        {message.isStreaming && (
+          <ActivityIndicator
+            size="small"
+            color={colors.textSecondary}
+            style={styles.streamingIndicator}
+          />
+        )}
+        {message.isUser && (
+          <MessageStatus
+            status={message.status}
+            style={styles.statusIndicator}
+          />
+        )}
+      </TouchableOpacity>
     </View>
   );
 };
@@ -136,10 +179,128 @@ const Timestamp = ({ timestamp }) => {
  * 
  * @param {Object} props - Component properties
  * @param {Array} props.messages - List of message objects
+ * @param {string} [props.title='Conversation'] - Title of the conversation
  * @param {Function} props.onClearConversation - Function to call when clearing conversation
+ * @param {Function} [props.onExportConversation] - Function to call when exporting the conversation; the button is hidden without it
+ * @param {Function} [props.onRetryMessage] - Function called with the ID of a failed message to send it again
+ * @param {boolean} [props.hasOlderMessages=false] - Whether earlier messages can be loaded
+ * @param {Function} [props.onLoadOlder] - Function that loads earlier messages; resolves to whether any were loaded
+ * @param {string} [props.highlightedMessageId] - ID of a message to scroll to and highlight
  * @returns {React.ReactElement} Rendered component
  */
-const Conversation = forwardRef(({ messages, onClearConversation }, ref) => {
+const Conversation = forwardRef(({
+  messages,
+  title = 'Conversation',
+  onClearConversation,
+  onExportConversation,
+  onRetryMessage,
+  hasOlderMessages = false,
+  onLoadOlder,
+  highlightedMessageId,
+}, ref) => {
+  const scrollViewRef = useRef(null);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  
+  // Content height and scroll offset before earlier messages were added above
+  const prependRef = useRef(null);
+  const contentHeightRef = useRef(0);
+  
+  // Position of each message in the content, and the highlighted message last scrolled to
+  const positionsRef = useRef(new Map());
+  const scrolledToRef = useRef(null);
+  
+  // Expose the scroll view to the parent
+  useImperativeHandle(ref, () => scrollViewRef.current);
+  
+  /**
+   * Load earlier messages when scrolled near the top
+   * 
+   * @param {Object} event - Scroll event
+   */
+  const handleScroll = async (event) => {
+    const offsetY = event.nativeEvent.contentOffset.y;
+    
+    if (offsetY > LOAD_OLDER_THRESHOLD || !hasOlderMessages || !onLoadOlder || isLoadingOlder) {
+      return;
+    }
+    
+    setIsLoadingOlder(true);
+    prependRef.current = { height: contentHeightRef.current, offsetY };
+    
+    try {
+      const loaded = await onLoadOlder();
+      
+      if (!loaded) {
+        prependRef.current = null;
+      }
+    } catch (error) {
+      console.error('Error loading earlier messages:', error);
+      prependRef.current = null;
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  };
+  
+  /**
+   * Scroll a highlighted message into view once its position is known
+   * 
+   * @param {string} messageId - Message ID
+   */
+  const scrollToMessage = useCallback((messageId) => {
+    const y = positionsRef.current.get(messageId);
+    
+    if (y === undefined || scrolledToRef.current === messageId || !scrollViewRef.current) {
+      return;
+    }
+    
+    scrolledToRef.current = messageId;
+    scrollViewRef.current.scrollTo({ y: Math.max(0, y - HIGHLIGHT_OFFSET), animated: true });
+  }, []);
+  
+  /**
+   * Effect to scroll to the highlighted message
+   */
+  useEffect(() => {
+    if (highlightedMessageId) {
+      scrollToMessage(highlightedMessageId);
+    } else {
+      scrolledToRef.current = null;
+    }
+  }, [highlightedMessageId, scrollToMessage]);
+  
+  /**
+   * Record where a message is, to scroll to it when it is highlighted
+   * 
+   * @param {string} messageId - Message ID
+   * @param {Object} event - Layout event
+   */
+  const handleMessageLayout = (messageId, event) => {
+    positionsRef.current.set(messageId, event.nativeEvent.layout.y);
+    
+    if (messageId === highlightedMessageId) {
+      scrollToMessage(messageId);
+    }
+  };
+  
+  /**
+   * Keep the same messages in view when earlier ones are added above them
+   * 
+   * @param {number} width - Content width
+   * @param {number} height - Content height
+   */
+  const handleContentSizeChange = (width, height) => {
+    const prepend = prependRef.current;
+    contentHeightRef.current = height;
+    
+    if (prepend && height > prepend.height && scrollViewRef.current) {
+      prependRef.current = null;
+      scrollViewRef.current.scrollTo({
+        y: prepend.offsetY + height - prepend.height,
+        animated: false,
+      });
+    }
+  };
+  
   /**
    * Check if we should show timestamp for a message
    * 
@@ -161,11 +322,21 @@ const Conversation = forwardRef(({ messages, onClearConversation }, ref) => {
   return (
     <View style={styles.container}>
       <View style={styles.headerContainer}>
-        <Text style={styles.headerText}>Conversation</Text>
+        <Text style={styles.headerText} numberOfLines={1}>{title}</Text>
+        
+        {messages.length > 0 && onExportConversation && (
+          <TouchableOpacity
+            style={styles.headerButton}
+            onPress={onExportConversation}
+          >
+            <Icon name="share" size={20} color={colors.primary} />
+            <Text style={styles.exportButtonText}>Export</Text>
+          </TouchableOpacity>
+        )}
         
         {messages.length > 0 && (
           <TouchableOpacity
-            style={styles.clearButton}
+            style={styles.headerButton}
             onPress={onClearConversation}
           >
             <Icon name="delete" size={20} color={colors.error} />
@@ -175,10 +346,23 @@ const Conversation = forwardRef(({ messages, onClearConversation }, ref) => {
       </View>
       
       <ScrollView
-        ref={ref}
+        ref={scrollViewRef}
         style={styles.scrollView}
         contentContainerStyle={styles.scrollViewContent}
+        onScroll={handleScroll}
+        scrollEventThrottle={100}
+        onContentSizeChange={handleContentSizeChange}
       >
+        {hasOlderMessages && (
+          <View style={styles.olderContainer}>
+            {isLoadingOlder ? (
+              <ActivityIndicator size="small" color={colors.textSecondary} />
+            ) : (
+              <Text style={styles.olderText}>Scroll up for earlier messages</Text>
+            )}
+          </View>
+        )}
+        
         {messages.length === 0 ? (
           <View style={styles.emptyContainer}>
             <Icon name="chat" size={48} color={colors.border} />
@@ -188,11 +372,18 @@ const Conversation = forwardRef(({ messages, onClearConversation }, ref) => {
           </View>
         ) : (
           messages.map((message, index) => (
-            <View key={message.id || index}>
+            <View
+              key={message.id || index}
+              onLayout={(event) => handleMessageLayout(message.id, event)}
+            >
               {shouldShowTimestamp(index) && (
                 <Timestamp timestamp={message.timestamp} />
               )}
-              <MessageBubble message={message} />
+              <MessageBubble
+                message={message}
+                onRetry={onRetryMessage}
+                isHighlighted={message.id === highlightedMessageId}
+              />
             </View>
           ))
         )}
@@ -220,14 +411,21 @@ const styles = StyleSheet.create({
   headerText: {
     ...typography.h5,
     color: colors.textPrimary,
+    flex: 1,
   },
   
-  clearButton: {
+  headerButton: {
     flexDirection: 'row',
     alignItems: 'center',
     padding: layout.spacing.xs,
   },
   
+  exportButtonText: {
+    ...typography.body,
+    color: colors.primary,
+    marginLeft: layout.spacing.xxs,
+  },
+  
   clearButtonText: {
     ...typography.body,
     color: colors.error,
@@ -242,6 +440,16 @@ const styles = StyleSheet.create({
     paddingVertical: layout.spacing.medium,
   },
   
+  olderContainer: {
+    alignItems: 'center',
+    paddingBottom: layout.spacing.small,
+  },
+  
+  olderText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -317,6 +525,26 @@ const styles = StyleSheet.create({
     marginTop: 2,
   },
   
+  streamingIndicator: {
+    marginLeft: layout.spacing.xs,
+    alignSelf: 'flex-end',
+  },
+  
+  highlightedMessage: {
+    borderWidth: 2,
+    borderColor: colors.warning,
+  },
+  
+  failedMessage: {
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+  
+  statusIndicator: {
+    marginLeft: layout.spacing.xs,
+    alignSelf: 'flex-end',
+  },
+  
   timestamp: {
     ...typography.caption,
     color: colors.textSecondary,
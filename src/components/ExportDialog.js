@@ -0,0 +1,170 @@
+/**
+ * Export Dialog Component
+ * 
+ * Asks which format to export a conversation in.
+ * 
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+import layout from '../styles/layout';
+import { EXPORT_FORMATS } from '../utils/constants';
+
+// Formats offered, in order
+const FORMAT_OPTIONS = [
+  {
+    format: EXPORT_FORMATS.MARKDOWN,
+    icon: 'description',
+    label: 'Markdown',
+    description: 'Formatted transcript for reading and documents',
+  },
+  {
+    format: EXPORT_FORMATS.JSON,
+    icon: 'code',
+    label: 'JSON',
+    description: 'Structured data with message ids, times and types',
+  },
+  {
+    format: EXPORT_FORMATS.TEXT,
+    icon: 'notes',
+    label: 'Plain Text',
+    description: 'Simple transcript to paste anywhere',
+  },
+];
+
+/**
+ * Export Dialog Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {boolean} props.visible - Whether the dialog is shown
+ * @param {string} [props.title] - Title of the conversation being exported
+ * @param {Function} props.onSelect - Function called with the chosen format, one of EXPORT_FORMATS
+ * @param {Function} props.onClose - Function to call when closing the dialog
+ * @returns {React.ReactElement} Rendered component
+ */
+const ExportDialog = ({
+  visible,
+  title,
+  onSelect,
+  onClose,
+}) => {
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalContainer}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Export Conversation</Text>
+          {!!title && (
+            <Text style={styles.conversationTitle} numberOfLines={1}>{title}</Text>
+          )}
+          
+          {FORMAT_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.format}
+              style={styles.option}
+              onPress={() => onSelect(option.format)}
+              activeOpacity={0.7}
+            >
+              <Icon name={option.icon} size={24} color={colors.primary} />
+              <View style={styles.optionInfo}>
+                <Text style={styles.optionLabel}>{option.label}</Text>
+                <Text style={styles.optionDescription}>{option.description}</Text>
+              </View>
+            </TouchableOpacity>
+          ))}
+          
+          <View style={styles.modalActions}>
+            <TouchableOpacity style={styles.modalButton} onPress={onClose}>
+              <Text style={styles.modalButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Component styles
+ */
+const styles = StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    backgroundColor: colors.semiTransparent,
+    justifyContent: 'center',
+    padding: layout.spacing.large,
+  },
+  
+  modalContent: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: layout.spacing.medium,
+  },
+  
+  modalTitle: {
+    ...typography.h5,
+    color: colors.textPrimary,
+  },
+  
+  conversationTitle: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.tiny,
+  },
+  
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.small,
+    marginTop: layout.spacing.xs,
+  },
+  
+  optionInfo: {
+    flex: 1,
+    marginLeft: layout.spacing.small,
+  },
+  
+  optionLabel: {
+    ...typography.bodyMedium,
+    color: colors.textPrimary,
+  },
+  
+  optionDescription: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: layout.spacing.small,
+  },
+  
+  modalButton: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.small,
+    marginLeft: layout.spacing.xs,
+  },
+  
+  modalButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+});
+
+export default ExportDialog;
@@ -2,7 +2,7 @@
  * Header Component
  * 
  * Application header that includes the title, Bluetooth connection indicator,
- * and navigation to settings.
+ * and navigation to message search, the conversation history, and settings.
  * 
  * @author AIR-assist Development Team
  * @version 1.0.0
@@ -13,7 +13,7 @@ import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
-import { layout } from '../styles/layout';
+import layout from '../styles/layout';
 
 /**
  * Header Component
@@ -21,16 +21,26 @@ import { layout } from '../styles/layout';
  * @param {Object} props - Component properties
  * @param {string} props.title - Header title
  * @param {Function} props.onSettingsPress - Function to call when settings icon is pressed
+ * @param {Function} [props.onHistoryPress] - Function to call when history icon is pressed; the icon is hidden without it
+ * @param {Function} [props.onSearchPress] - Function to call when search icon is pressed; the icon is hidden without it
  * @param {Object} [props.connectedDevice] - Connected Bluetooth device, if any
  * @param {Function} props.onBluetoothPress - Function to call when Bluetooth icon is pressed
+ * @param {number} [props.lowBatteryThreshold=0] - Battery level below which the level is shown as low
  * @returns {React.ReactElement} Rendered component
  */
 const Header = ({
   title,
   onSettingsPress,
+  onHistoryPress,
+  onSearchPress,
   connectedDevice,
   onBluetoothPress,
+  lowBatteryThreshold = 0,
 }) => {
+  const batteryLevel = connectedDevice?.batteryLevel;
+  const hasBatteryLevel = typeof batteryLevel === 'number';
+  const isBatteryLow = hasBatteryLevel && batteryLevel < lowBatteryThreshold;
+  
   /**
    * Get Bluetooth icon based on connection state
    * 
@@ -57,6 +67,19 @@ const Header = ({
     return colors.success;
   };
   
+  /**
+   * Get battery icon for the connected device's battery level
+   * 
+   * @returns {string} Material icon name
+   */
+  const getBatteryIcon = () => {
+    if (isBatteryLow) {
+      return 'battery-alert';
+    }
+    
+    return batteryLevel >= 90 ? 'battery-full' : 'battery-std';
+  };
+  
   return (
     <View style={styles.container}>
       <View style={styles.titleContainer}>
@@ -82,6 +105,47 @@ const Header = ({
           )}
         </TouchableOpacity>
         
+        {hasBatteryLevel && (
+          <View style={styles.battery}>
+            <Icon
+              name={getBatteryIcon()}
+              size={16}
+              color={isBatteryLow ? colors.warning : colors.textLight}
+            />
+            <Text style={[styles.batteryText, isBatteryLow && styles.batteryTextLow]}>
+              {batteryLevel}%
+            </Text>
+          </View>
+        )}
+        
+        {onSearchPress && (
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={onSearchPress}
+            activeOpacity={0.7}
+          >
+            <Icon
+              name="search"
+              size={24}
+              color={colors.textLight}
+            />
+          </TouchableOpacity>
+        )}
+        
+        {onHistoryPress && (
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={onHistoryPress}
+            activeOpacity={0.7}
+          >
+            <Icon
+              name="history"
+              size={24}
+              color={colors.textLight}
+            />
+          </TouchableOpacity>
+        )}
+        
         <TouchableOpacity
           style={styles.iconButton}
           onPress={onSettingsPress}
@@ -154,6 +218,21 @@ const styles = StyleSheet.create({
     borderRadius: 5,
     backgroundColor: colors.success,
   },
+  
+  battery: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: layout.spacing.xs,
+  },
+  
+  batteryText: {
+    ...typography.caption,
+    color: colors.textLight,
+  },
+  
+  batteryTextLow: {
+    color: colors.warning,
+  },
 });
 
 export default Header;
@@ -0,0 +1,147 @@
+/**
+ * Message Composer Component
+ * 
+ * Text input bar for typing messages to the assistant, for when speaking
+ * isn't an option. The unsent draft is kept in storage so it survives
+ * app restarts.
+ * 
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { TextInput, IconButton } from './common';
+import { StorageService } from '../services/StorageService';
+import { debounce } from '../utils/helpers';
+import { STORAGE_KEYS, TIME } from '../utils/constants';
+import layout from '../styles/layout';
+
+/**
+ * Persist a draft, removing it once empty
+ * 
+ * @param {string} text - Draft text
+ */
+const saveDraft = (text) => {
+  if (text) {
+    StorageService.saveData(STORAGE_KEYS.COMPOSER_DRAFT, text);
+  } else {
+    StorageService.removeData(STORAGE_KEYS.COMPOSER_DRAFT);
+  }
+};
+
+/**
+ * Message Composer Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {Function} props.onSend - Function called with the trimmed text when send is pressed
+ * @param {Function} props.onVoiceModePress - Function to call when the mic icon is pressed
+ * @param {boolean} [props.disabled=false] - Whether sending is disabled
+ * @returns {React.ReactElement} Rendered component
+ */
+const MessageComposer = ({
+  onSend,
+  onVoiceModePress,
+  disabled = false,
+}) => {
+  const [text, setText] = useState('');
+  
+  // Drafts are written once typing pauses rather than on every keystroke
+  const saveDraftRef = useRef(debounce(saveDraft, TIME.DEBOUNCE_DELAY));
+  
+  /**
+   * Effect to restore the draft left from a previous session
+   */
+  useEffect(() => {
+    let isMounted = true;
+    
+    StorageService.loadData(STORAGE_KEYS.COMPOSER_DRAFT, '').then((draft) => {
+      // Don't overwrite anything typed while the draft was loading
+      if (isMounted && typeof draft === 'string' && draft) {
+        setText(current => current || draft);
+      }
+    });
+    
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+  
+  /**
+   * Handle text changes
+   * 
+   * @param {string} value - New text
+   */
+  const handleChangeText = (value) => {
+    setText(value);
+    saveDraftRef.current(value);
+  };
+  
+  /**
+   * Send the message and clear the draft
+   */
+  const handleSend = () => {
+    const message = text.trim();
+    
+    if (!message || disabled) {
+      return;
+    }
+    
+    onSend(message);
+    setText('');
+    saveDraftRef.current('');
+  };
+  
+  const canSend = !disabled && text.trim().length > 0;
+  
+  return (
+    <View style={styles.container}>
+      <IconButton
+        name="mic"
+        onPress={onVoiceModePress}
+        accessibilityLabel="Switch to voice input"
+      />
+      
+      <TextInput
+        placeholder="Type a message..."
+        value={text}
+        onChangeText={handleChangeText}
+        multiline
+        wrapperStyle={styles.inputWrapper}
+        inputStyle={styles.input}
+        accessibilityLabel="Message"
+      />
+      
+      <IconButton
+        name="send"
+        variant="primary"
+        onPress={handleSend}
+        disabled={!canSend}
+        accessibilityLabel="Send message"
+      />
+    </View>
+  );
+};
+
+/**
+ * Component styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  
+  inputWrapper: {
+    flex: 1,
+    marginBottom: 0,
+    marginHorizontal: layout.spacing.small,
+  },
+  
+  input: {
+    maxHeight: 120,
+    textAlignVertical: 'top',
+  },
+});
+
+export default MessageComposer;
@@ -1,10 +1,15 @@
 import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { colors } from '../styles/colors';
+import { MESSAGE_STATUS } from '../utils/constants';
+import MessageStatus from './MessageStatus';
 
-const MessageItem = ({ message }) => {
-  const { text, isUser, type, timestamp } = message;
+const MessageItem = ({ message, onRetry }) => {
+  const { id, text, isUser, type, timestamp, status } = message;
+  
+  // Failed messages are sent again when tapped
+  const canRetry = status === MESSAGE_STATUS.FAILED && !!onRetry;
   
   // Format timestamp
   const formatTime = (timestamp) => {
@@ -37,15 +42,23 @@ const MessageItem = ({ message }) => {
   };
   
   return (
-    <View style={[styles.container, getMessageStyle()]}>
+    <TouchableOpacity
+      style={[styles.container, getMessageStyle()]}
+      onPress={() => onRetry(id)}
+      disabled={!canRetry}
+      activeOpacity={0.7}
+    >
       <View style={styles.iconContainer}>
         <Icon name={getIcon()} size={24} color={colors.white} />
       </View>
       <View style={styles.content}>
         <Text style={getTextStyle()}>{text}</Text>
-        <Text style={styles.timestamp}>{formatTime(timestamp)}</Text>
+        <View style={styles.footer}>
+          {isUser && <MessageStatus status={status} color={colors.white} style={styles.status} />}
+          <Text style={styles.timestamp}>{formatTime(timestamp)}</Text>
+        </View>
       </View>
-    </View>
+    </TouchableOpacity>
   );
 };
 
@@ -95,11 +108,19 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontStyle: 'italic',
   },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  status: {
+    marginRight: 4,
+  },
   timestamp: {
     fontSize: 10,
     color: 'rgba(255, 255, 255, 0.7)',
     textAlign: 'right',
-    marginTop: 4,
   },
 });
 
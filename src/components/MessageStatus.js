@@ -0,0 +1,83 @@
+/**
+ * Message Status Component
+ * 
+ * Small delivery indicator shown on user messages: queued, sending, sent,
+ * answered or failed.
+ * 
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+import layout from '../styles/layout';
+import { MESSAGE_STATUS } from '../utils/constants';
+
+/**
+ * Icon and description of each status
+ */
+const STATUS_INDICATORS = {
+  [MESSAGE_STATUS.QUEUED]: { icon: 'schedule', label: 'Waiting to send' },
+  [MESSAGE_STATUS.SENDING]: { icon: 'arrow-upward', label: 'Sending' },
+  [MESSAGE_STATUS.SENT]: { icon: 'done', label: 'Sent' },
+  [MESSAGE_STATUS.ANSWERED]: { icon: 'done-all', label: 'Answered' },
+  [MESSAGE_STATUS.FAILED]: { icon: 'error-outline', label: 'Not delivered. Tap to retry' },
+};
+
+/**
+ * Message Status Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {string} [props.status] - One of MESSAGE_STATUS
+ * @param {string} [props.color=colors.textLight] - Indicator color
+ * @param {Object} [props.style] - Additional container style
+ * @returns {React.ReactElement|null} Rendered component, or null without a known status
+ */
+const MessageStatus = ({
+  status,
+  color = colors.textLight,
+  style,
+}) => {
+  const indicator = STATUS_INDICATORS[status];
+  
+  if (!indicator) {
+    return null;
+  }
+  
+  return (
+    <View
+      style={[styles.container, style]}
+      accessible
+      accessibilityLabel={indicator.label}
+    >
+      <Icon name={indicator.icon} size={14} color={color} />
+      
+      {/* Failed is the one status the user needs to act on */}
+      {status === MESSAGE_STATUS.FAILED && (
+        <Text style={[styles.label, { color }]}>
+          {indicator.label}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+/**
+ * Component styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  
+  label: {
+    ...typography.caption,
+    marginLeft: layout.spacing.xxs,
+  },
+});
+
+export default MessageStatus;
@@ -0,0 +1,155 @@
+/**
+ * Protocol Debug Panel Component
+ * 
+ * Shows the negotiated WebSocket protocol version and the most recent
+ * protocol errors: frames the app rejected and frames the server rejected.
+ * Only rendered in debug builds.
+ * 
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+import layout from '../styles/layout';
+
+/**
+ * Format the time an error was reported
+ * 
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Formatted time
+ */
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+};
+
+/**
+ * Protocol Debug Panel Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {number|null} props.protocolVersion - Negotiated version, or null while not connected
+ * @param {Array} props.errors - Protocol errors, newest first
+ * @param {Function} props.onClear - Function to call to clear the errors
+ * @returns {React.ReactElement} Rendered component
+ */
+const ProtocolDebugPanel = ({
+  protocolVersion,
+  errors,
+  onClear,
+}) => {
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.version}>
+          {protocolVersion ? `Protocol version ${protocolVersion}` : 'Protocol version not negotiated'}
+        </Text>
+        
+        {errors.length > 0 && (
+          <TouchableOpacity style={styles.clearButton} onPress={onClear}>
+            <Icon name="delete-sweep" size={18} color={colors.primary} />
+            <Text style={styles.clearButtonText}>Clear</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      
+      {errors.length === 0 ? (
+        <Text style={styles.emptyText}>No protocol errors</Text>
+      ) : (
+        errors.map(error => (
+          <View key={error.id} style={styles.errorRow}>
+            <View style={styles.errorHeader}>
+              <Text style={styles.errorCode}>{error.code}</Text>
+              <Text style={styles.errorTime}>{formatTime(error.timestamp)}</Text>
+            </View>
+            
+            <Text style={styles.errorContext}>
+              {[
+                error.source === 'server' ? 'Reported by server' : 'Detected by app',
+                error.direction,
+                error.frameType,
+              ].filter(Boolean).join(' · ')}
+            </Text>
+            
+            <Text style={styles.errorMessage}>{error.message}</Text>
+          </View>
+        ))
+      )}
+    </View>
+  );
+};
+
+/**
+ * Component styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: layout.spacing.xxs,
+  },
+  
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: layout.spacing.small,
+  },
+  
+  version: {
+    ...typography.bodyMedium,
+    ...typography.medium,
+    color: colors.textPrimary,
+  },
+  
+  clearButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  
+  clearButtonText: {
+    ...typography.caption,
+    color: colors.primary,
+    marginLeft: layout.spacing.xxs,
+  },
+  
+  emptyText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  
+  errorRow: {
+    paddingVertical: layout.spacing.small,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  
+  errorHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  
+  errorCode: {
+    ...typography.caption,
+    ...typography.medium,
+    color: colors.error,
+  },
+  
+  errorTime: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  
+  errorContext: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  
+  errorMessage: {
+    ...typography.caption,
+    color: colors.textPrimary,
+  },
+});
+
+export default ProtocolDebugPanel;
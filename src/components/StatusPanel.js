@@ -8,7 +8,7 @@
  * @version 1.0.0
  */
 
-import React, { useContext } from 'react';
+import React, { useContext, useEffect, useState } from 'react';
 import {
   View,
   Text,
@@ -18,17 +18,20 @@ import {
   Modal,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
-import { BluetoothContext } from '../context/BluetoothContext';
+import { BluetoothContext } from '../store/BluetoothContext';
 import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
-import { layout } from '../styles/layout';
-import { BT_CONNECTION_STATES } from '../utils/constants';
+import layout from '../styles/layout';
+import { BT_CONNECTION_STATES, RECONNECT_STATES, RECONNECT_PAUSE_REASONS } from '../utils/constants';
 
 /**
  * Status Panel Component
  * 
  * @param {Object} props - Component properties
  * @param {boolean} props.wsConnected - Whether WebSocket is connected
+ * @param {boolean} [props.isOnline=true] - Whether the device has a network connection
+ * @param {Object} [props.serverReconnectStatus] - Server reconnection status (state, attempt, maxAttempts, nextAttemptAt)
+ * @param {Function} [props.onRetryServer] - Function to call to reconnect to the server immediately
  * @param {boolean} props.bluetoothConnected - Whether Bluetooth is connected
  * @param {boolean} props.isListening - Whether app is in listening mode
  * @param {string} props.bluetoothStatus - Current Bluetooth connection state
@@ -38,6 +41,9 @@ import { BT_CONNECTION_STATES } from '../utils/constants';
  */
 const StatusPanel = ({
   wsConnected,
+  isOnline = true,
+  serverReconnectStatus,
+  onRetryServer,
   bluetoothConnected,
   isListening,
   bluetoothStatus,
@@ -52,8 +58,36 @@ const StatusPanel = ({
     connectedDevice,
     isScanning,
     startScan,
+    stopScan,
+    reconnectStatus,
+    stopReconnecting,
   } = useContext(BluetoothContext);
   
+  const reconnectState = reconnectStatus ? reconnectStatus.state : RECONNECT_STATES.IDLE;
+  const serverReconnectState = !wsConnected && serverReconnectStatus
+    ? serverReconnectStatus.state
+    : RECONNECT_STATES.IDLE;
+  const serverPauseReasons = serverReconnectStatus ? serverReconnectStatus.pauseReasons || [] : [];
+  
+  // Retrying is pointless while an attempt is running or the session needs a sign-in
+  const canRetryServer = !!onRetryServer && (
+    serverReconnectState === RECONNECT_STATES.WAITING || serverReconnectState === RECONNECT_STATES.GAVE_UP
+  );
+  
+  // Current time, ticking while a reconnection attempt is pending so the countdowns update
+  const [now, setNow] = useState(Date.now());
+  
+  useEffect(() => {
+    if (reconnectState !== RECONNECT_STATES.WAITING && serverReconnectState !== RECONNECT_STATES.WAITING) {
+      return;
+    }
+    
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    
+    return () => clearInterval(interval);
+  }, [reconnectState, reconnectStatus, serverReconnectState, serverReconnectStatus]);
+  
   /**
    * Get icon name based on connection status
    * 
@@ -101,8 +135,25 @@ const StatusPanel = ({
   const getStatusText = (type) => {
     switch (type) {
       case 'server':
+        if (!wsConnected && !isOnline) {
+          return 'Offline';
+        }
+        if (serverReconnectState === RECONNECT_STATES.PAUSED) {
+          if (serverPauseReasons.includes(RECONNECT_PAUSE_REASONS.AUTH_FAILED)) {
+            return 'Sign-in required';
+          }
+          return serverPauseReasons.includes(RECONNECT_PAUSE_REASONS.UNSUPPORTED_PROTOCOL)
+            ? 'Update required'
+            : 'Paused';
+        }
+        if (serverReconnectState !== RECONNECT_STATES.IDLE) {
+          return serverReconnectState === RECONNECT_STATES.GAVE_UP ? 'Unreachable' : 'Reconnecting';
+        }
         return wsConnected ? 'Connected' : 'Disconnected';
       case 'bluetooth':
+        if (!bluetoothConnected && reconnectState !== RECONNECT_STATES.IDLE) {
+          return reconnectState === RECONNECT_STATES.GAVE_UP ? 'Reconnect failed' : 'Reconnecting';
+        }
         return bluetoothConnected 
           ? `${connectedDevice ? connectedDevice.name || 'Device' : 'Connected'}` 
           : 'Disconnected';
@@ -113,6 +164,84 @@ const StatusPanel = ({
     }
   };
   
+  /**
+   * Get the description of the reconnection in progress
+   * 
+   * @returns {string} Reconnection text
+   */
+  const getReconnectText = () => {
+    const { attempt, maxAttempts, nextAttemptAt, deviceId } = reconnectStatus;
+    const progress = `attempt ${attempt} of ${maxAttempts}`;
+    
+    switch (reconnectState) {
+      case RECONNECT_STATES.WAITING: {
+        const seconds = Math.max(0, Math.ceil((nextAttemptAt - now) / 1000));
+        return `Reconnecting to headset, ${progress} in ${seconds}s`;
+      }
+      case RECONNECT_STATES.CONNECTING: {
+        const device = previousDevices.find(d => d.id === deviceId);
+        return `Reconnecting to ${device?.name || deviceId}, ${progress}`;
+      }
+      case RECONNECT_STATES.GAVE_UP:
+        return `Could not reconnect to headset after ${attempt} attempts`;
+      default:
+        return '';
+    }
+  };
+  
+  /**
+   * Get the description of the server reconnection in progress
+   * 
+   * @returns {string} Reconnection text
+   */
+  const getServerReconnectText = () => {
+    const { attempt, maxAttempts, nextAttemptAt } = serverReconnectStatus;
+    const progress = `attempt ${attempt} of ${maxAttempts}`;
+    
+    switch (serverReconnectState) {
+      case RECONNECT_STATES.WAITING: {
+        const seconds = Math.max(0, Math.ceil((nextAttemptAt - now) / 1000));
+        return `Reconnecting to server, ${progress} in ${seconds}s`;
+      }
+      case RECONNECT_STATES.CONNECTING:
+        return `Reconnecting to server, ${progress}`;
+      case RECONNECT_STATES.GAVE_UP:
+        return `Could not reach the server after ${attempt} attempts`;
+      case RECONNECT_STATES.PAUSED:
+        if (serverPauseReasons.includes(RECONNECT_PAUSE_REASONS.AUTH_FAILED)) {
+          return 'Sign in from Settings to reconnect to the server';
+        }
+        if (serverPauseReasons.includes(RECONNECT_PAUSE_REASONS.UNSUPPORTED_PROTOCOL)) {
+          return 'The server needs a newer version of the app';
+        }
+        return 'Waiting for the network to reconnect to the server';
+      default:
+        return '';
+    }
+  };
+  
+  /**
+   * Get a signal strength icon for a device's RSSI
+   * 
+   * @param {number} [rssi] - Received signal strength in dBm
+   * @returns {string} Material icon name
+   */
+  const getSignalIcon = (rssi) => {
+    if (typeof rssi !== 'number') {
+      return 'bluetooth';
+    }
+    if (rssi >= -60) {
+      return 'signal-cellular-4-bar';
+    }
+    if (rssi >= -75) {
+      return 'signal-cellular-3-bar';
+    }
+    if (rssi >= -90) {
+      return 'signal-cellular-2-bar';
+    }
+    return 'signal-cellular-1-bar';
+  };
+  
   /**
    * Handle connecting to a Bluetooth device
    * 
@@ -144,7 +273,10 @@ const StatusPanel = ({
       >
         <View style={styles.deviceInfo}>
           <Text style={styles.deviceName}>{item.name || 'Unknown Device'}</Text>
-          <Text style={styles.deviceId}>{item.id}</Text>
+          <Text style={styles.deviceId}>
+            {item.id}
+            {typeof item.rssi === 'number' ? `  ·  ${item.rssi} dBm` : ''}
+          </Text>
         </View>
         
         <View style={styles.deviceStatus}>
@@ -154,7 +286,7 @@ const StatusPanel = ({
               <Text style={styles.connectedText}>Connected</Text>
             </View>
           ) : (
-            <Icon name="bluetooth" size={20} color={colors.primary} />
+            <Icon name={getSignalIcon(item.rssi)} size={20} color={colors.primary} />
           )}
         </View>
       </TouchableOpacity>
@@ -192,11 +324,10 @@ const StatusPanel = ({
                 <Text style={styles.sectionTitle}>Available Devices</Text>
                 <TouchableOpacity
                   style={styles.refreshButton}
-                  onPress={startScan}
-                  disabled={isScanning}
+                  onPress={isScanning ? stopScan : startScan}
                 >
                   {isScanning ? (
-                    <Text style={styles.scanningText}>Scanning...</Text>
+                    <Text style={styles.scanningText}>Scanning... Tap to stop</Text>
                   ) : (
                     <Icon name="refresh" size={20} color={colors.primary} />
                   )}
@@ -278,6 +409,30 @@ const StatusPanel = ({
         </View>
       </View>
       
+      {/* Server reconnection progress */}
+      {serverReconnectState !== RECONNECT_STATES.IDLE && (
+        <View style={styles.reconnectRow}>
+          <Text style={styles.reconnectText}>{getServerReconnectText()}</Text>
+          {canRetryServer && (
+            <TouchableOpacity onPress={onRetryServer}>
+              <Text style={styles.reconnectAction}>Retry now</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+      
+      {/* Headset reconnection progress */}
+      {!bluetoothConnected && reconnectState !== RECONNECT_STATES.IDLE && (
+        <View style={styles.reconnectRow}>
+          <Text style={styles.reconnectText}>{getReconnectText()}</Text>
+          {reconnectState !== RECONNECT_STATES.GAVE_UP && (
+            <TouchableOpacity onPress={stopReconnecting}>
+              <Text style={styles.reconnectAction}>Stop</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+      
       {/* Bluetooth devices modal */}
       {renderDevicesModal()}
     </View>
@@ -313,6 +468,25 @@ const styles = StyleSheet.create({
     marginLeft: layout.spacing.xxs,
   },
   
+  reconnectRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: layout.spacing.xxs,
+  },
+  
+  reconnectText: {
+    ...typography.caption,
+    color: colors.warning,
+    flex: 1,
+  },
+  
+  reconnectAction: {
+    ...typography.caption,
+    color: colors.primary,
+    marginLeft: layout.spacing.small,
+  },
+  
   // Modal styles
   modalContainer: {
     flex: 1,
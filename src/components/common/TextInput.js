@@ -38,6 +38,7 @@ const { colors, typography, spacing } = theme;
  * @param {boolean} [props.secureTextEntry=false] - Whether to hide the text being entered
  * @param {string} [props.variant='outlined'] - Input style variant (outlined, filled)
  * @param {Object} [props.style] - Additional style for the input container
+ * @param {Object} [props.wrapperStyle] - Additional style for the outer wrapper (label, input and helper text)
  * @param {Object} [props.inputStyle] - Additional style for the input element
  * @returns {React.ReactElement} Rendered component
  */
@@ -56,6 +57,7 @@ const TextInput = ({
   secureTextEntry = false,
   variant = 'outlined',
   style,
+  wrapperStyle,
   inputStyle,
   ...rest
 }) => {
@@ -202,7 +204,7 @@ const TextInput = ({
   };
   
   return (
-    <View style={styles.wrapper}>
+    <View style={[styles.wrapper, wrapperStyle]}>
       {/* Label */}
       {label && (
         <Text style={[
@@ -0,0 +1,98 @@
+/**
+ * Headset Profiles
+ *
+ * Declarative description of the hardware buttons exposed by supported
+ * headset models: which characteristics to subscribe to, how notified values
+ * map to button presses, and which app action each press triggers.
+ *
+ * Add a model by appending a profile; no code changes are needed as long as
+ * the headset reports presses as a characteristic value.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { BLUETOOTH_SERVICES } from './constants';
+
+/**
+ * Actions a headset button can trigger
+ */
+export const HEADSET_ACTIONS = {
+  TOGGLE_RECORDING: 'toggleRecording',
+  TOGGLE_AUTO_LISTEN: 'toggleAutoListen',
+  CANCEL_PLAYBACK: 'cancelPlayback',
+};
+
+/**
+ * Kinds of button press
+ */
+export const BUTTON_PRESSES = {
+  SINGLE: 'single',
+  DOUBLE: 'double',
+  LONG: 'long',
+};
+
+/**
+ * Action for each kind of press, unless a profile overrides it
+ */
+export const DEFAULT_PRESS_ACTIONS = {
+  [BUTTON_PRESSES.SINGLE]: HEADSET_ACTIONS.TOGGLE_RECORDING,
+  [BUTTON_PRESSES.LONG]: HEADSET_ACTIONS.TOGGLE_AUTO_LISTEN,
+  [BUTTON_PRESSES.DOUBLE]: HEADSET_ACTIONS.CANCEL_PLAYBACK,
+};
+
+/**
+ * Supported headset models
+ *
+ * Each profile has:
+ * - `model`: display name of the model
+ * - `namePatterns`: case-insensitive fragments of the advertised name
+ * - `buttons`: characteristics to subscribe to, each with
+ *   - `serviceUUID` / `characteristicUUID`
+ *   - `byteIndex`: byte of the notified value holding the press code (default 0)
+ *   - `values`: press code -> BUTTON_PRESSES
+ * - `actions`: optional BUTTON_PRESSES -> HEADSET_ACTIONS overrides
+ *
+ * Profiles are matched in order, so list specific models first.
+ */
+export const HEADSET_PROFILES = [
+  {
+    model: 'AIR-Headset',
+    namePatterns: ['AIR-Headset'],
+    buttons: [
+      {
+        // Multi-function button on the right earpiece
+        serviceUUID: BLUETOOTH_SERVICES.AUDIO_SERVICE,
+        characteristicUUID: '2B10',
+        values: {
+          0x01: BUTTON_PRESSES.SINGLE,
+          0x02: BUTTON_PRESSES.DOUBLE,
+          0x03: BUTTON_PRESSES.LONG,
+        },
+      },
+    ],
+  },
+  {
+    model: 'AIR-Buds',
+    namePatterns: ['AIR-Buds'],
+    buttons: [
+      {
+        // Touch surface on either bud
+        serviceUUID: BLUETOOTH_SERVICES.AUDIO_SERVICE,
+        characteristicUUID: '2B11',
+        values: {
+          0x10: BUTTON_PRESSES.SINGLE,
+          0x20: BUTTON_PRESSES.DOUBLE,
+          0x30: BUTTON_PRESSES.LONG,
+        },
+      },
+    ],
+    actions: {
+      // A long touch is easy to trigger by accident, so it only cancels playback
+      [BUTTON_PRESSES.LONG]: HEADSET_ACTIONS.CANCEL_PLAYBACK,
+      [BUTTON_PRESSES.DOUBLE]: HEADSET_ACTIONS.TOGGLE_AUTO_LISTEN,
+    },
+  },
+];
+
+export default HEADSET_PROFILES;
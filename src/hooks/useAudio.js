@@ -8,15 +8,21 @@
  * @version 1.0.0
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import AudioRecord from 'react-native-audio-record';
 import Sound from 'react-native-sound';
+import RNFS from 'react-native-fs';
 import Voice from '@react-native-community/voice';
 import { PermissionsService } from '../services/PermissionsService';
+import { createVoiceActivityDetector } from '../utils/voiceActivity';
+import { TIME } from '../config/constants';
 
 // Enable Sound playback in silent mode (iOS)
 Sound.setCategory('Playback', true);
 
+// How much stricter the barge-in detector is than normal silence detection
+const BARGE_IN_THRESHOLD_BOOST = 0.2;
+
 /**
  * Audio recording and playback hook
  * 
@@ -53,6 +59,10 @@ const useAudio = ({
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentSound, setCurrentSound] = useState(null);
   
+  // Barge-in monitor; a ref so starting a recording can always see it
+  const [isMonitoring, setIsMonitoring] = useState(false);
+  const bargeInDetectorRef = useRef(null);
+  
   /**
    * Initialize audio functionality
    * 
@@ -102,17 +112,107 @@ const useAudio = ({
     }
   }, [enableVoiceRecognition, recordingConfig]);
   
+  /**
+   * Stop listening for the user barging in
+   * 
+   * @returns {Promise<void>} Promise that resolves when the microphone is released
+   */
+  const stopBargeInMonitor = useCallback(async () => {
+    if (!bargeInDetectorRef.current) {
+      return;
+    }
+    
+    bargeInDetectorRef.current = null;
+    setIsMonitoring(false);
+    
+    try {
+      await AudioRecord.stop();
+    } catch (err) {
+      console.warn('Barge-in monitor stop error:', err);
+    }
+  }, []);
+  
+  /**
+   * Listen to the microphone during playback for the user barging in
+   * 
+   * Runs a voice activity detector over the microphone without recording
+   * an utterance. The detector is stricter than normal silence detection so
+   * that AI speech leaking from the speaker is less likely to trigger it.
+   * 
+   * @param {Object} options - Monitor options
+   * @param {number} [options.silenceThreshold=0.2] - Threshold for silence detection (0.0-1.0)
+   * @param {number} [options.micSensitivity=75] - Microphone sensitivity (0-100)
+   * @param {Function} options.onSpeechDetected - Callback when the user starts talking
+   * @returns {Promise<boolean>} Whether monitoring started
+   */
+  const startBargeInMonitor = useCallback(async ({
+    silenceThreshold = 0.2,
+    micSensitivity = 75,
+    onSpeechDetected,
+  } = {}) => {
+    if (isRecording || bargeInDetectorRef.current) {
+      return false;
+    }
+    
+    try {
+      if (!isInitialized) {
+        const initialized = await initialize();
+        if (!initialized) {
+          return false;
+        }
+      }
+      
+      const detector = createVoiceActivityDetector({
+        silenceThreshold: Math.min(1, silenceThreshold + BARGE_IN_THRESHOLD_BOOST),
+        micSensitivity,
+        sampleRate: recordingConfig.sampleRate,
+        channels: recordingConfig.channels,
+        minSpeechDuration: TIME.BARGE_IN_MIN_SPEECH,
+        noSpeechTimeout: Infinity,
+        onSpeechStart: () => {
+          stopBargeInMonitor()
+            .then(() => onSpeechDetected && onSpeechDetected())
+            .catch(console.error);
+        },
+      });
+      bargeInDetectorRef.current = detector;
+      
+      AudioRecord.on('data', (data) => {
+        // Chunks still arriving after the monitor stopped are dropped
+        if (bargeInDetectorRef.current === detector) {
+          detector.process(data);
+        }
+      });
+      
+      AudioRecord.start();
+      setIsMonitoring(true);
+      return true;
+    } catch (err) {
+      bargeInDetectorRef.current = null;
+      setError(`Barge-in monitor error: ${err.message}`);
+      return false;
+    }
+  }, [isRecording, isInitialized, initialize, stopBargeInMonitor, recordingConfig]);
+  
   /**
    * Start recording audio
    * 
    * @param {Object} options - Recording options
    * @param {boolean} [options.useVoiceRecognition=true] - Whether to use voice recognition
    * @param {Function} [options.onSilenceDetected] - Callback for silence detection
+   * @param {Function} [options.onNoSpeechDetected] - Callback when the user never starts speaking
+   * @param {number} [options.silenceThreshold=0.2] - Threshold for silence detection (0.0-1.0)
+   * @param {number} [options.micSensitivity=75] - Microphone sensitivity (0-100)
+   * @param {Function} [options.onAudioChunk] - Callback for each base64-encoded PCM chunk
    * @returns {Promise<boolean>} Whether recording started successfully
    */
   const startRecording = useCallback(async ({
     useVoiceRecognition = true,
     onSilenceDetected,
+    onNoSpeechDetected,
+    silenceThreshold = 0.2,
+    micSensitivity = 75,
+    onAudioChunk,
   } = {}) => {
     try {
       // Initialize if needed
@@ -128,6 +228,9 @@ const useAudio = ({
         return true;
       }
       
+      // The microphone can only serve one session at a time
+      await stopBargeInMonitor();
+      
       // Reset transcription
       setTranscription('');
       
@@ -141,24 +244,44 @@ const useAudio = ({
         }
       }
       
+      // Set up silence detection if callback provided
+      const voiceDetector = (onSilenceDetected || onNoSpeechDetected)
+        ? createVoiceActivityDetector({
+          silenceThreshold,
+          micSensitivity,
+          sampleRate: recordingConfig.sampleRate,
+          channels: recordingConfig.channels,
+          silenceDuration: TIME.SILENCE_DETECTION_TIMEOUT,
+          noSpeechTimeout: TIME.NO_SPEECH_TIMEOUT,
+          onSilenceDetected,
+          onNoSpeech: onNoSpeechDetected,
+        })
+        : null;
+      
+      // AudioRecord only keeps a single data listener, so it must be
+      // registered before recording starts and serve every consumer
+      AudioRecord.on('data', (data) => {
+        // Forward the chunk for real-time upload
+        if (onAudioChunk) {
+          onAudioChunk(data);
+        }
+        
+        // Measure the chunk's energy for silence detection
+        if (voiceDetector) {
+          voiceDetector.process(data);
+        }
+      });
+      
       // Start audio recording
       AudioRecord.start();
       
-      // Set up silence detection if callback provided
-      if (onSilenceDetected) {
-        AudioRecord.on('data', () => {
-          // This is a simplified implementation
-          // In a real app, we would analyze audio levels to detect silence
-        });
-      }
-      
       setIsRecording(true);
       return true;
     } catch (err) {
       setError(`Start recording error: ${err.message}`);
       return false;
     }
-  }, [isInitialized, isRecording, initialize, enableVoiceRecognition, language]);
+  }, [isInitialized, isRecording, initialize, stopBargeInMonitor, enableVoiceRecognition, language, recordingConfig]);
   
   /**
    * Stop recording audio
@@ -201,9 +324,10 @@ const useAudio = ({
    * Play audio from base64 data
    * 
    * @param {string} base64Audio - Base64-encoded audio data
+   * @param {string} [extension='wav'] - File extension matching the audio codec
    * @returns {Promise<boolean>} Whether playback started successfully
    */
-  const playAudio = useCallback(async (base64Audio) => {
+  const playAudio = useCallback(async (base64Audio, extension = 'wav') => {
     if (!base64Audio) {
       setError('No audio data provided');
       return false;
@@ -217,10 +341,10 @@ const useAudio = ({
       }
       
       // Create a temporary file path
-      const filePath = `${Sound.DOCUMENT_PATH}/playback.wav`;
+      const filePath = `${Sound.DOCUMENT_PATH}/playback.${extension}`;
       
       // Write base64 audio to file
-      // In a real implementation, we would use RNFS to write the file
+      await RNFS.writeFile(filePath, base64Audio, 'base64');
       
       // Create and play sound
       return new Promise((resolve) => {
@@ -296,26 +420,41 @@ const useAudio = ({
     }
   }, [isInitialized, recordingConfig]);
   
+  /**
+   * Release the microphone, playback and voice recognition
+   * 
+   * Kept in a ref so unmounting releases what is in use at that moment.
+   */
+  const releaseRef = useRef(null);
+  releaseRef.current = () => {
+    if (isRecording || bargeInDetectorRef.current) {
+      bargeInDetectorRef.current = null;
+      AudioRecord.stop().catch(console.error);
+    }
+    
+    if (currentSound) {
+      currentSound.stop();
+      currentSound.release();
+    }
+    
+    if (enableVoiceRecognition) {
+      Voice.destroy().catch(console.error);
+    }
+  };
+  
   // Initialize audio when component mounts if autoInitialize is true
+  const initializeRef = useRef(initialize);
+  initializeRef.current = initialize;
   useEffect(() => {
     if (autoInitialize) {
-      initialize();
+      initializeRef.current();
     }
-    
-    // Clean up when component unmounts
+  }, [autoInitialize]);
+  
+  // Clean up when component unmounts
+  useEffect(() => {
     return () => {
-      if (isRecording) {
-        AudioRecord.stop().catch(console.error);
-      }
-      
-      if (currentSound) {
-        currentSound.stop();
-        currentSound.release();
-      }
-      
-      if (enableVoiceRecognition) {
-        Voice.destroy().catch(console.error);
-      }
+      releaseRef.current();
     };
   }, []);
   
@@ -325,6 +464,7 @@ const useAudio = ({
     isRecording,
     isRecognizing,
     isPlaying,
+    isMonitoring,
     transcription,
     error,
     recordingConfig,
@@ -333,6 +473,8 @@ const useAudio = ({
     initialize,
     startRecording,
     stopRecording,
+    startBargeInMonitor,
+    stopBargeInMonitor,
     playAudio,
     stopPlayback,
     updateRecordingConfig,
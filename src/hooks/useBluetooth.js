@@ -1,28 +1,33 @@
 /**
  * useBluetooth Hook
- * 
+ *
  * A custom hook for managing Bluetooth functionality.
  * Provides a simplified interface for scanning, connecting, and communicating with Bluetooth devices.
- * 
+ * All device I/O goes through the shared BLE transport.
+ *
  * @author AIR-assist Development Team
  * @version 1.0.0
  */
 
-import { useState, useEffect, useCallback } from 'react';
-import { Platform } from 'react-native';
-import { BleManager } from 'react-native-ble-plx';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { PermissionsService } from '../services/PermissionsService';
-import { BT_CONNECTION_STATES } from '../config/constants';
-
-// Create a single instance of BleManager
-const bleManager = new BleManager();
+import {
+  bleTransport as defaultTransport,
+  TRANSPORT_EVENTS,
+  ADAPTER_STATES,
+} from '../services/transports';
+import { isSupportedDevice, mergeDiscoveredDevice } from '../utils/bluetoothDevices';
+import { stringToBytes } from '../utils/base64';
+import { BT_CONNECTION_STATES, TIME } from '../config/constants';
 
 /**
  * Bluetooth hook
- * 
+ *
+ * @param {Object} [options] - Hook options
+ * @param {BleTransport} [options.transport] - Transport to use instead of the shared one
  * @returns {Object} Bluetooth state and functions
  */
-const useBluetooth = () => {
+const useBluetooth = ({ transport = defaultTransport } = {}) => {
   // State for Bluetooth availability
   const [isBluetoothEnabled, setIsBluetoothEnabled] = useState(false);
   const [isInitialized, setIsInitialized] = useState(false);
@@ -39,6 +44,11 @@ const useBluetooth = () => {
   // State for errors
   const [error, setError] = useState(null);
   
+  // Refs read by transport event listeners
+  const isScanningRef = useRef(false);
+  const connectedDeviceRef = useRef(null);
+  connectedDeviceRef.current = connectedDevice;
+  
   /**
    * Initialize Bluetooth functionality
    */
@@ -54,8 +64,8 @@ const useBluetooth = () => {
       }
       
       // Check if Bluetooth is enabled
-      const state = await bleManager.state();
-      const enabled = state === 'PoweredOn';
+      const state = await transport.initialize();
+      const enabled = state === ADAPTER_STATES.ON;
       setIsBluetoothEnabled(enabled);
       
       if (!enabled) {
@@ -63,9 +73,6 @@ const useBluetooth = () => {
         return false;
       }
       
-      // Set up event listeners
-      // In a real implementation, we would set up more event listeners here
-      
       setIsInitialized(true);
       setError(null);
       return true;
@@ -74,6 +81,17 @@ const useBluetooth = () => {
       setConnectionState(BT_CONNECTION_STATES.ERROR);
       return false;
     }
+  }, [transport]);
+  
+  /**
+   * Mark scanning as finished
+   */
+  const handleScanStopped = useCallback(() => {
+    isScanningRef.current = false;
+    setIsScanning(false);
+    setConnectionState(connectedDeviceRef.current
+      ? BT_CONNECTION_STATES.CONNECTED
+      : BT_CONNECTION_STATES.DISCONNECTED);
   }, []);
   
   /**
@@ -85,7 +103,7 @@ const useBluetooth = () => {
       return false;
     }
     
-    if (isScanning) {
+    if (isScanningRef.current) {
       return true; // Already scanning
     }
     
@@ -95,83 +113,51 @@ const useBluetooth = () => {
       setError(null);
       
       // Start scanning
+      isScanningRef.current = true;
       setIsScanning(true);
       setConnectionState(BT_CONNECTION_STATES.SCANNING);
       
-      // Start scanning with BleManager
-      bleManager.startDeviceScan(null, null, (error, device) => {
-        if (error) {
-          setError(`Scan error: ${error.message}`);
-          stopScan();
-          return;
-        }
-        
-        // Only add devices with a name
-        if (device && device.name) {
-          setDiscoveredDevices(prevDevices => {
-            // Check if device already exists in the list
-            const exists = prevDevices.some(d => d.id === device.id);
-            if (exists) {
-              return prevDevices;
-            }
-            
-            // Add new device to the list
-            const newDevice = {
-              id: device.id,
-              name: device.name,
-              rssi: device.rssi,
-            };
-            
-            return [...prevDevices, newDevice];
-          });
-        }
+      // Results arrive as DEVICE_DISCOVERED events; the transport stops
+      // the scan after the timeout
+      await transport.startScan({
+        serviceUUIDs: [],
+        timeout: TIME.BLE_SCAN_TIMEOUT,
+        allowDuplicates: true,
       });
       
-      // Set timeout to stop scanning after 10 seconds
-      setTimeout(() => {
-        if (isScanning) {
-          stopScan();
-        }
-      }, 10000);
-      
       return true;
     } catch (err) {
       setError(`Start scan error: ${err.message}`);
+      isScanningRef.current = false;
       setIsScanning(false);
       setConnectionState(BT_CONNECTION_STATES.ERROR);
       return false;
     }
-  }, [isBluetoothEnabled, isInitialized, isScanning]);
+  }, [transport, isBluetoothEnabled, isInitialized]);
   
   /**
    * Stop scanning for Bluetooth devices
    */
-  const stopScan = useCallback(() => {
-    if (!isScanning) {
+  const stopScan = useCallback(async () => {
+    if (!isScanningRef.current) {
       return true;
     }
     
     try {
-      bleManager.stopDeviceScan();
-      setIsScanning(false);
-      
-      if (connectedDevice) {
-        setConnectionState(BT_CONNECTION_STATES.CONNECTED);
-      } else {
-        setConnectionState(BT_CONNECTION_STATES.DISCONNECTED);
-      }
-      
+      await transport.stopScan();
+      handleScanStopped();
       return true;
     } catch (err) {
       setError(`Stop scan error: ${err.message}`);
+      isScanningRef.current = false;
       setIsScanning(false);
       return false;
     }
-  }, [isScanning, connectedDevice]);
+  }, [transport, handleScanStopped]);
   
   /**
    * Connect to a Bluetooth device
-   * 
+   *
    * @param {string} deviceId - Device ID to connect to
    * @returns {Promise<boolean>} Whether connection was successful
    */
@@ -186,23 +172,18 @@ const useBluetooth = () => {
       setError(null);
       
       // Stop scanning if currently scanning
-      if (isScanning) {
-        stopScan();
-      }
+      await stopScan();
       
       // Find the device in our lists
-      const device = 
+      const device =
         [...discoveredDevices, ...previousDevices].find(d => d.id === deviceId);
       
       if (!device) {
         throw new Error('Device not found');
       }
       
-      // Connect to the device
-      const connectedDeviceObj = await bleManager.connectToDevice(deviceId);
-      
-      // Discover services and characteristics
-      await connectedDeviceObj.discoverAllServicesAndCharacteristics();
+      // Connect to the device and discover its services and characteristics
+      await transport.connect(deviceId);
       
       // Update state
       setConnectedDevice(device);
@@ -223,11 +204,11 @@ const useBluetooth = () => {
       setConnectionState(BT_CONNECTION_STATES.ERROR);
       return false;
     }
-  }, [isBluetoothEnabled, isInitialized, isScanning, discoveredDevices, previousDevices, stopScan]);
+  }, [transport, isBluetoothEnabled, isInitialized, discoveredDevices, previousDevices, stopScan]);
   
   /**
    * Disconnect from a Bluetooth device
-   * 
+   *
    * @param {string} deviceId - Device ID to disconnect from
    * @returns {Promise<boolean>} Whether disconnection was successful
    */
@@ -237,10 +218,7 @@ const useBluetooth = () => {
     }
     
     try {
-      const device = await bleManager.devices([deviceId]);
-      if (device && device.length > 0) {
-        await device[0].cancelConnection();
-      }
+      await transport.disconnect(deviceId);
       
       setConnectedDevice(null);
       setConnectionState(BT_CONNECTION_STATES.DISCONNECTED);
@@ -255,14 +233,14 @@ const useBluetooth = () => {
       
       return false;
     }
-  }, [connectedDevice]);
+  }, [transport, connectedDevice]);
   
   /**
    * Send data to a connected Bluetooth device
-   * 
+   *
    * @param {string} serviceUUID - Service UUID
    * @param {string} characteristicUUID - Characteristic UUID
-   * @param {string|Uint8Array} data - Data to send (string or byte array)
+   * @param {string|Uint8Array} data - Data to send (UTF-8 string or byte array)
    * @returns {Promise<boolean>} Whether data was sent successfully
    */
   const sendData = useCallback(async (serviceUUID, characteristicUUID, data) => {
@@ -272,22 +250,15 @@ const useBluetooth = () => {
     }
     
     try {
-      // Convert data to base64 if it's not already
-      let base64Data;
-      if (typeof data === 'string') {
-        base64Data = Buffer.from(data).toString('base64');
-      } else if (data instanceof Uint8Array) {
-        base64Data = Buffer.from(data).toString('base64');
-      } else {
-        base64Data = data;
-      }
+      const bytes = typeof data === 'string' ? stringToBytes(data) : data;
       
       // Write data to characteristic
-      await bleManager.writeCharacteristicWithResponseForDevice(
+      await transport.write(
         connectedDevice.id,
         serviceUUID,
         characteristicUUID,
-        base64Data
+        bytes,
+        { withResponse: true }
       );
       
       return true;
@@ -295,14 +266,14 @@ const useBluetooth = () => {
       setError(`Send data error: ${err.message}`);
       return false;
     }
-  }, [connectedDevice]);
+  }, [transport, connectedDevice]);
   
   /**
    * Read data from a connected Bluetooth device
-   * 
+   *
    * @param {string} serviceUUID - Service UUID
    * @param {string} characteristicUUID - Characteristic UUID
-   * @returns {Promise<string|null>} Data read from device or null if error
+   * @returns {Promise<Uint8Array|null>} Data read from device or null if error
    */
   const readData = useCallback(async (serviceUUID, characteristicUUID) => {
     if (!connectedDevice) {
@@ -311,36 +282,87 @@ const useBluetooth = () => {
     }
     
     try {
-      // Read data from characteristic
-      const characteristic = await bleManager.readCharacteristicForDevice(
+      return await transport.read(
         connectedDevice.id,
         serviceUUID,
         characteristicUUID
       );
-      
-      return characteristic.value; // Base64 encoded data
     } catch (err) {
       setError(`Read data error: ${err.message}`);
       return null;
     }
-  }, [connectedDevice]);
+  }, [transport, connectedDevice]);
+  
+  /**
+   * Subscribe to notifications from a characteristic of the connected device
+   *
+   * @param {string} serviceUUID - Service UUID
+   * @param {string} characteristicUUID - Characteristic UUID
+   * @param {Function} onValue - Called with each notified value as a Uint8Array
+   * @returns {Promise<Function|null>} Function ending the subscription, or null if error
+   */
+  const subscribe = useCallback(async (serviceUUID, characteristicUUID, onValue) => {
+    if (!connectedDevice) {
+      setError('No device connected');
+      return null;
+    }
+    
+    try {
+      return await transport.subscribe(
+        connectedDevice.id,
+        serviceUUID,
+        characteristicUUID,
+        onValue
+      );
+    } catch (err) {
+      setError(`Subscribe error: ${err.message}`);
+      return null;
+    }
+  }, [transport, connectedDevice]);
+  
+  /**
+   * Listen to transport events
+   */
+  useEffect(() => {
+    const removeListeners = [
+      transport.on(TRANSPORT_EVENTS.DEVICE_DISCOVERED, (device) => {
+        if (isSupportedDevice(device)) {
+          setDiscoveredDevices(prevDevices => mergeDiscoveredDevice(prevDevices, device));
+        }
+      }),
+      transport.on(TRANSPORT_EVENTS.SCAN_STOPPED, handleScanStopped),
+      transport.on(TRANSPORT_EVENTS.STATE_CHANGED, ({ state }) => {
+        setIsBluetoothEnabled(state === ADAPTER_STATES.ON);
+      }),
+      transport.on(TRANSPORT_EVENTS.DEVICE_DISCONNECTED, ({ deviceId }) => {
+        if (connectedDeviceRef.current && connectedDeviceRef.current.id === deviceId) {
+          setConnectedDevice(null);
+          setConnectionState(BT_CONNECTION_STATES.DISCONNECTED);
+        }
+      }),
+    ];
+    
+    return () => {
+      removeListeners.forEach(removeListener => removeListener());
+    };
+  }, [transport, handleScanStopped]);
   
-  // Initialize Bluetooth when component mounts
+  // Initialize Bluetooth when component mounts, or the transport changes
   useEffect(() => {
     initialize();
     
     // Clean up when component unmounts
     return () => {
-      if (isScanning) {
-        bleManager.stopDeviceScan();
+      if (isScanningRef.current) {
+        transport.stopScan().catch(console.error);
       }
       
-      if (connectedDevice) {
-        disconnectFromDevice(connectedDevice.id)
+      if (connectedDeviceRef.current) {
+        transport.disconnect(connectedDeviceRef.current.id)
           .catch(err => console.error('Error disconnecting on unmount:', err));
       }
     };
-  }, []);
+  }, [transport, initialize]);
   
   return {
     // State
@@ -361,6 +383,7 @@ const useBluetooth = () => {
     disconnectFromDevice,
     sendData,
     readData,
+    subscribe,
   };
 };
 
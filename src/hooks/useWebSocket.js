@@ -10,7 +10,11 @@
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { AppState } from 'react-native';
-import { TIME } from '../config/constants';
+import { TIME, WS_RECONNECT, RECONNECT_STATES, RECONNECT_PAUSE_REASONS } from '../config/constants';
+import { WebSocketReconnectManager } from '../services/WebSocketReconnectManager';
+import { ProtocolValidator } from '../services/ProtocolValidator';
+import { appendProtocolError } from '../utils/protocol';
+import { isBinaryFrame } from '../utils/binaryFrame';
 
 /**
  * WebSocket connection hook
@@ -19,7 +23,10 @@ import { TIME } from '../config/constants';
  * @param {string} options.url - WebSocket server URL
  * @param {boolean} [options.autoConnect=true] - Whether to connect automatically
  * @param {boolean} [options.reconnect=true] - Whether to reconnect automatically
- * @param {number} [options.reconnectInterval=5000] - Reconnection interval in milliseconds
+ * @param {number} [options.maxReconnectAttempts=10] - Reconnection attempts before giving up
+ * @param {number} [options.reconnectInitialDelay=1000] - Delay before the first reconnection attempt, in milliseconds
+ * @param {number} [options.reconnectMaxDelay=60000] - Upper bound for the reconnection delay, in milliseconds
+ * @param {number} [options.reconnectJitter=0.5] - Fraction of each reconnection delay that may be randomly removed
  * @param {boolean} [options.keepAlive=true] - Whether to send ping messages to keep the connection alive
  * @param {number} [options.pingInterval=30000] - Ping interval in milliseconds
  * @returns {Object} WebSocket state and functions
@@ -28,7 +35,10 @@ const useWebSocket = ({
   url,
   autoConnect = true,
   reconnect = true,
-  reconnectInterval = TIME.WEBSOCKET_RECONNECT_INTERVAL,
+  maxReconnectAttempts = WS_RECONNECT.MAX_ATTEMPTS,
+  reconnectInitialDelay = TIME.WEBSOCKET_RECONNECT_INITIAL_DELAY,
+  reconnectMaxDelay = TIME.WEBSOCKET_RECONNECT_MAX_DELAY,
+  reconnectJitter = WS_RECONNECT.JITTER,
   keepAlive = true,
   pingInterval = 30000,
 } = {}) => {
@@ -37,15 +47,85 @@ const useWebSocket = ({
   const [isConnected, setIsConnected] = useState(false);
   const [isConnecting, setIsConnecting] = useState(false);
   const [error, setError] = useState(null);
+  const [reconnectStatus, setReconnectStatus] = useState(null);
+  const [protocolVersion, setProtocolVersion] = useState(null);
+  const [protocolErrors, setProtocolErrors] = useState([]);
   
   // State for messages
   const [lastMessage, setLastMessage] = useState(null);
-  const [lastPingTime, setLastPingTime] = useState(null);
   
-  // Refs for timers and callbacks
-  const reconnectTimeoutRef = useRef(null);
+  // Refs for timers and callbacks; the latest connect, disconnect and
+  // checkConnection are kept in refs for timers and listeners set up earlier
   const pingIntervalRef = useRef(null);
+  const lastPingTimeRef = useRef(null);
   const messageCallbacksRef = useRef([]);
+  const binaryCallbacksRef = useRef([]);
+  const connectRef = useRef(null);
+  const disconnectRef = useRef(null);
+  const checkConnectionRef = useRef(null);
+  const socketRef = useRef(null);
+  
+  // Backs off between reconnection attempts; always calls the latest connect
+  const reconnectManagerRef = useRef(null);
+  if (!reconnectManagerRef.current) {
+    reconnectManagerRef.current = new WebSocketReconnectManager({
+      connect: () => connectRef.current(),
+      onStatusChange: setReconnectStatus,
+      maxAttempts: maxReconnectAttempts,
+      initialDelay: reconnectInitialDelay,
+      maxDelay: reconnectMaxDelay,
+      jitter: reconnectJitter,
+    });
+  }
+  
+  // Checks frames in both directions and settles the protocol version
+  const protocolValidatorRef = useRef(null);
+  if (!protocolValidatorRef.current) {
+    protocolValidatorRef.current = new ProtocolValidator({
+      send: (message) => {
+        if (socketRef.current && socketRef.current.readyState === WebSocket.OPEN) {
+          socketRef.current.send(message);
+        }
+      },
+      onError: (protocolError) => setProtocolErrors(prev => appendProtocolError(prev, protocolError)),
+      onVersionChange: setProtocolVersion,
+      onVersionRejected: () => {
+        // Reconnecting can't help until the app or the server is updated
+        reconnectManagerRef.current.pause(RECONNECT_PAUSE_REASONS.UNSUPPORTED_PROTOCOL);
+        if (socketRef.current) {
+          socketRef.current.close();
+        }
+      },
+    });
+  }
+  
+  /**
+   * Start the ping interval to keep the connection alive
+   * 
+   * @param {WebSocket} ws - WebSocket instance
+   */
+  const startPingInterval = useCallback((ws) => {
+    if (pingIntervalRef.current) {
+      clearInterval(pingIntervalRef.current);
+    }
+    
+    lastPingTimeRef.current = Date.now();
+    
+    pingIntervalRef.current = setInterval(() => {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        // Send ping message
+        ws.send(JSON.stringify({ type: 'ping' }));
+        
+        // Check if we've received a pong recently
+        const now = Date.now();
+        if (lastPingTimeRef.current && now - lastPingTimeRef.current > 60000) {
+          console.warn('WebSocket connection seems unresponsive. Reconnecting...');
+          disconnectRef.current();
+          connectRef.current();
+        }
+      }
+    }, pingInterval);
+  }, [pingInterval]);
   
   /**
    * Connect to WebSocket server
@@ -58,18 +138,14 @@ const useWebSocket = ({
       return false;
     }
     
-    // Clear any existing reconnect timeout
-    if (reconnectTimeoutRef.current) {
-      clearTimeout(reconnectTimeoutRef.current);
-      reconnectTimeoutRef.current = null;
-    }
-    
     try {
       setIsConnecting(true);
       setError(null);
       
       // Create new WebSocket connection
       const newSocket = new WebSocket(url);
+      socketRef.current = newSocket;
+      newSocket.binaryType = 'arraybuffer';
       
       // Set up event handlers
       newSocket.onopen = () => {
@@ -85,12 +161,31 @@ const useWebSocket = ({
       
       newSocket.onmessage = (event) => {
         try {
-          const data = JSON.parse(event.data);
+          if (isBinaryFrame(event.data)) {
+            const frame = protocolValidatorRef.current.parseBinaryInbound(event.data);
+            if (frame) {
+              binaryCallbacksRef.current.forEach(callback => {
+                try {
+                  callback(frame);
+                } catch (callbackError) {
+                  console.error('Error in binary message callback:', callbackError);
+                }
+              });
+            }
+            return;
+          }
+          
+          // Drop frames that don't follow the protocol
+          const data = protocolValidatorRef.current.parseInbound(event.data);
+          if (!data) {
+            return;
+          }
+          
           setLastMessage(data);
           
           // Check for pong messages
-          if (data && data.type === 'pong') {
-            setLastPingTime(Date.now());
+          if (data.type === 'pong') {
+            lastPingTimeRef.current = Date.now();
           }
           
           // Call message callbacks
@@ -113,6 +208,7 @@ const useWebSocket = ({
       newSocket.onclose = () => {
         setIsConnected(false);
         setIsConnecting(false);
+        protocolValidatorRef.current.reset();
         
         // Clear ping interval
         if (pingIntervalRef.current) {
@@ -122,7 +218,7 @@ const useWebSocket = ({
         
         // Reconnect if enabled
         if (reconnect) {
-          scheduleReconnect();
+          reconnectManagerRef.current.schedule();
         }
       };
       
@@ -135,6 +231,9 @@ const useWebSocket = ({
           setIsConnecting(false);
           setError(null);
           
+          // Start the backoff over for the next outage, keeping any pause
+          reconnectManagerRef.current.reset();
+          
           // Start ping interval if keepAlive is true
           if (keepAlive) {
             startPingInterval(newSocket);
@@ -154,12 +253,14 @@ const useWebSocket = ({
       
       // Reconnect if enabled
       if (reconnect) {
-        scheduleReconnect();
+        reconnectManagerRef.current.schedule();
       }
       
       return false;
     }
-  }, [url, isConnected, isConnecting, reconnect, keepAlive]);
+  }, [url, isConnected, isConnecting, reconnect, keepAlive, startPingInterval]);
+  
+  connectRef.current = connect;
   
   /**
    * Disconnect from WebSocket server
@@ -167,11 +268,8 @@ const useWebSocket = ({
    * @returns {boolean} Whether disconnection was successful
    */
   const disconnect = useCallback(() => {
-    // Clear timers
-    if (reconnectTimeoutRef.current) {
-      clearTimeout(reconnectTimeoutRef.current);
-      reconnectTimeoutRef.current = null;
-    }
+    // Stop reconnecting and clear timers
+    reconnectManagerRef.current.stop();
     
     if (pingIntervalRef.current) {
       clearInterval(pingIntervalRef.current);
@@ -193,8 +291,10 @@ const useWebSocket = ({
         }
         
         setSocket(null);
+        socketRef.current = null;
         setIsConnected(false);
         setIsConnecting(false);
+        protocolValidatorRef.current.reset();
         
         return true;
       } catch (err) {
@@ -206,51 +306,49 @@ const useWebSocket = ({
     return true;
   }, [socket]);
   
+  disconnectRef.current = disconnect;
+  
   /**
-   * Schedule a reconnection attempt
+   * Reconnect immediately, skipping any backoff delay
+   * 
+   * Used when the network comes back, the app returns to the foreground or
+   * the user asks to retry, including after giving up. Does nothing while
+   * reconnection is paused.
+   * 
+   * @param {string} [reason='manual'] - Why the retry was triggered (for logging)
+   * @returns {boolean} Whether a reconnection was started
    */
-  const scheduleReconnect = useCallback(() => {
-    if (reconnectTimeoutRef.current) {
-      clearTimeout(reconnectTimeoutRef.current);
+  const reconnectNow = useCallback((reason = 'manual') => {
+    if (!url || isConnected) {
+      return false;
     }
     
-    reconnectTimeoutRef.current = setTimeout(() => {
-      connect();
-    }, reconnectInterval);
-  }, [connect, reconnectInterval]);
+    return reconnectManagerRef.current.retryNow(reason);
+  }, [url, isConnected]);
   
   /**
-   * Start the ping interval to keep the connection alive
+   * Close the socket and let the reconnection backoff open a new one
    * 
-   * @param {WebSocket} ws - WebSocket instance
+   * Used when the connection is open but unusable, e.g. the server never
+   * answered the handshake.
+   * 
+   * @param {string} reason - Why the connection is dropped (for logging)
+   * @returns {boolean} Whether a socket was closed
    */
-  const startPingInterval = useCallback((ws) => {
-    if (pingIntervalRef.current) {
-      clearInterval(pingIntervalRef.current);
+  const dropConnection = useCallback((reason) => {
+    if (!socketRef.current) {
+      return false;
     }
     
-    setLastPingTime(Date.now());
-    
-    pingIntervalRef.current = setInterval(() => {
-      if (ws && ws.readyState === WebSocket.OPEN) {
-        // Send ping message
-        ws.send(JSON.stringify({ type: 'ping' }));
-        
-        // Check if we've received a pong recently
-        const now = Date.now();
-        if (lastPingTime && now - lastPingTime > 60000) {
-          console.warn('WebSocket connection seems unresponsive. Reconnecting...');
-          disconnect();
-          connect();
-        }
-      }
-    }, pingInterval);
-  }, [disconnect, connect, pingInterval, lastPingTime]);
+    console.warn(`WebSocket: Dropping the connection (${reason})`);
+    socketRef.current.close();
+    return true;
+  }, []);
   
   /**
    * Send a message through the WebSocket
    * 
-   * @param {Object|string} data - Data to send
+   * @param {Object|string|ArrayBuffer} data - Data to send; binary frames are sent as is
    * @returns {boolean} Whether message was sent successfully
    */
   const sendMessage = useCallback((data) => {
@@ -260,8 +358,14 @@ const useWebSocket = ({
     }
     
     try {
+      // Don't send frames the server would reject
+      if (!protocolValidatorRef.current.checkOutbound(data)) {
+        setError('Cannot send message, frame does not follow the protocol');
+        return false;
+      }
+      
       // Convert data to string if it's an object
-      const message = typeof data === 'object' ? JSON.stringify(data) : data;
+      const message = typeof data === 'object' && !isBinaryFrame(data) ? JSON.stringify(data) : data;
       
       socket.send(message);
       return true;
@@ -271,6 +375,44 @@ const useWebSocket = ({
     }
   }, [socket]);
   
+  /**
+   * Stop reconnecting until resumeReconnect() is called with the same reason
+   * 
+   * @param {string} reason - Why reconnection is paused, one of RECONNECT_PAUSE_REASONS
+   */
+  const pauseReconnect = useCallback((reason) => {
+    reconnectManagerRef.current.pause(reason);
+  }, []);
+  
+  /**
+   * Lift a pause; reconnection stays paused while any other reason holds
+   * 
+   * Once nothing holds it, reconnects at once if the socket is down;
+   * otherwise just clears the pause.
+   * 
+   * @param {string} reason - Reason given to pauseReconnect(), one of RECONNECT_PAUSE_REASONS
+   * @returns {boolean} Whether a reconnection was started
+   */
+  const resumeReconnect = useCallback((reason) => {
+    if (!reconnectManagerRef.current.resume(reason)) {
+      return false;
+    }
+    
+    if (isConnected) {
+      reconnectManagerRef.current.stop();
+      return false;
+    }
+    
+    return reconnectNow(reason);
+  }, [isConnected, reconnectNow]);
+  
+  /**
+   * Clear the protocol errors shown in the debug view
+   */
+  const clearProtocolErrors = useCallback(() => {
+    setProtocolErrors([]);
+  }, []);
+  
   /**
    * Add a message callback
    * 
@@ -286,6 +428,20 @@ const useWebSocket = ({
     };
   }, []);
   
+  /**
+   * Add a callback for binary frames
+   * 
+   * @param {Function} callback - Function called with each decoded binary frame
+   * @returns {Function} Function to remove the callback
+   */
+  const addBinaryCallback = useCallback((callback) => {
+    binaryCallbacksRef.current.push(callback);
+    
+    return () => {
+      binaryCallbacksRef.current = binaryCallbacksRef.current.filter(cb => cb !== callback);
+    };
+  }, []);
+  
   /**
    * Check if WebSocket connection is active
    * 
@@ -299,28 +455,37 @@ const useWebSocket = ({
       return false;
     }
     
+    // Don't sit out the backoff delay, or stay given up, while reconnecting
+    const { state } = reconnectManagerRef.current.getStatus();
+    if (state !== RECONNECT_STATES.IDLE && state !== RECONNECT_STATES.PAUSED) {
+      reconnectManagerRef.current.retryNow('connection check');
+      return false;
+    }
+    
     return isConnected;
   }, [isConnected, socket, connect]);
   
-  // Connect when component mounts if autoConnect is true
+  checkConnectionRef.current = checkConnection;
+  
+  // Connect when component mounts, or the URL changes, if autoConnect is true
   useEffect(() => {
     if (autoConnect && url) {
-      connect();
+      connectRef.current();
     }
     
     // Set up app state change listener for reconnection
     const subscription = AppState.addEventListener('change', nextAppState => {
       if (nextAppState === 'active') {
-        checkConnection();
+        checkConnectionRef.current();
       }
     });
     
     // Clean up when component unmounts
     return () => {
-      disconnect();
+      disconnectRef.current();
       subscription.remove();
     };
-  }, [url]);
+  }, [url, autoConnect]);
   
   return {
     // State
@@ -328,13 +493,22 @@ const useWebSocket = ({
     isConnecting,
     error,
     lastMessage,
+    reconnectStatus,
+    protocolVersion,
+    protocolErrors,
     
     // Functions
     connect,
     disconnect,
     sendMessage,
     addMessageCallback,
+    addBinaryCallback,
     checkConnection,
+    reconnectNow,
+    dropConnection,
+    pauseReconnect,
+    resumeReconnect,
+    clearProtocolErrors,
   };
 };
 
@@ -15,6 +15,9 @@ import { createStackNavigator } from '@react-navigation/stack';
 // Screens
 import HomeScreen from '../screens/HomeScreen';
 import SettingsScreen from '../screens/SettingsScreen';
+import HistoryScreen from '../screens/HistoryScreen';
+import SearchScreen from '../screens/SearchScreen';
+import RestoreScreen from '../screens/RestoreScreen';
 
 // Styles
 import theme from '../styles/theme';
@@ -51,6 +54,21 @@ const MainStack = () => {
         component={SettingsScreen}
         options={{ title: 'Settings' }}
       />
+      <Stack.Screen
+        name="History"
+        component={HistoryScreen}
+        options={{ title: 'Conversations' }}
+      />
+      <Stack.Screen
+        name="Search"
+        component={SearchScreen}
+        options={{ title: 'Search' }}
+      />
+      <Stack.Screen
+        name="Restore"
+        component={RestoreScreen}
+        options={{ title: 'Restore Backup' }}
+      />
     </Stack.Navigator>
   );
 };
@@ -0,0 +1,385 @@
+/**
+ * History Screen
+ * 
+ * Lists the conversation threads, most recent first, and lets users resume,
+ * rename, export, or delete them, or start a new conversation.
+ * 
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import React, { useContext, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  Alert,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+
+// Contexts
+import { AppContext } from '../store/AppContext';
+
+// Components
+import ExportDialog from '../components/ExportDialog';
+
+// Styles and utilities
+import { colors } from '../styles/colors';
+import layout from '../styles/layout';
+import { typography } from '../styles/typography';
+import { formatRelativeTime } from '../utils/helpers';
+import { getThreadTitle, sortThreads } from '../utils/threads';
+import { THREADS } from '../utils/constants';
+
+/**
+ * History Screen Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.navigation - Navigation object
+ * @returns {React.ReactElement} Rendered component
+ */
+const HistoryScreen = ({ navigation }) => {
+  // App context
+  const {
+    threads,
+    activeThreadId,
+    openThread,
+    startThread,
+    renameThread,
+    deleteThread,
+    exportThread,
+  } = useContext(AppContext);
+  
+  // Thread being renamed, and the title being entered
+  const [renamingThread, setRenamingThread] = useState(null);
+  const [title, setTitle] = useState('');
+  
+  // Thread being exported
+  const [exportingThread, setExportingThread] = useState(null);
+  
+  const sortedThreads = useMemo(() => sortThreads(threads), [threads]);
+  
+  /**
+   * Resume a thread on the home screen
+   * 
+   * @param {string} threadId - Thread ID
+   */
+  const handleOpenThread = async (threadId) => {
+    await openThread(threadId);
+    navigation.goBack();
+  };
+  
+  /**
+   * Start a new conversation on the home screen
+   */
+  const handleNewThread = async () => {
+    await startThread();
+    navigation.goBack();
+  };
+  
+  /**
+   * Show the rename dialog for a thread
+   * 
+   * @param {Object} thread - Thread summary
+   */
+  const showRename = (thread) => {
+    setRenamingThread(thread);
+    setTitle(thread.title);
+  };
+  
+  /**
+   * Close the rename dialog
+   */
+  const hideRename = () => {
+    setRenamingThread(null);
+    setTitle('');
+  };
+  
+  /**
+   * Save the title entered in the rename dialog
+   */
+  const saveRename = () => {
+    renameThread(renamingThread.id, title);
+    hideRename();
+  };
+  
+  /**
+   * Export the chosen thread in the chosen format
+   * 
+   * @param {string} format - One of EXPORT_FORMATS
+   */
+  const handleExport = async (format) => {
+    const threadId = exportingThread.id;
+    setExportingThread(null);
+    
+    try {
+      await exportThread(threadId, format);
+    } catch (error) {
+      console.error('Error exporting conversation:', error);
+      Alert.alert('Export Failed', 'The conversation could not be exported. Please try again.');
+    }
+  };
+  
+  /**
+   * Prompt user to confirm deleting a thread
+   * 
+   * @param {Object} thread - Thread summary
+   */
+  const confirmDeleteThread = (thread) => {
+    Alert.alert(
+      'Delete Conversation',
+      `Are you sure you want to delete "${getThreadTitle(thread)}"? Its messages can't be recovered.`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Delete',
+          onPress: () => deleteThread(thread.id),
+          style: 'destructive',
+        },
+      ]
+    );
+  };
+  
+  /**
+   * Render a thread item
+   * 
+   * @param {Object} params - Render parameters
+   * @param {Object} params.item - Thread summary
+   * @returns {React.ReactElement} Rendered component
+   */
+  const renderThread = ({ item }) => {
+    const isActive = item.id === activeThreadId;
+    
+    return (
+      <TouchableOpacity
+        style={[styles.threadItem, isActive && styles.threadItemActive]}
+        onPress={() => handleOpenThread(item.id)}
+        activeOpacity={0.7}
+      >
+        <View style={styles.threadInfo}>
+          <Text style={styles.threadTitle} numberOfLines={1}>
+            {getThreadTitle(item)}
+          </Text>
+          <Text style={styles.threadDetails}>
+            {`${item.messageCount} ${item.messageCount === 1 ? 'message' : 'messages'} · ${formatRelativeTime(item.updatedAt)}`}
+          </Text>
+        </View>
+        
+        {item.messageCount > 0 && (
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => setExportingThread(item)}
+          >
+            <Icon name="share" size={20} color={colors.textSecondary} />
+          </TouchableOpacity>
+        )}
+        
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => showRename(item)}
+        >
+          <Icon name="edit" size={20} color={colors.textSecondary} />
+        </TouchableOpacity>
+        
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => confirmDeleteThread(item)}
+        >
+          <Icon name="delete" size={20} color={colors.error} />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+  
+  /**
+   * Render the rename dialog
+   * 
+   * @returns {React.ReactElement} Rendered component
+   */
+  const renderRenameModal = () => {
+    return (
+      <Modal
+        visible={!!renamingThread}
+        transparent
+        animationType="fade"
+        onRequestClose={hideRename}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Rename Conversation</Text>
+            
+            <TextInput
+              style={styles.input}
+              value={title}
+              onChangeText={setTitle}
+              placeholder={renamingThread ? renamingThread.subject || THREADS.DEFAULT_TITLE : ''}
+              placeholderTextColor={colors.textSecondary}
+              autoFocus
+              returnKeyType="done"
+              onSubmitEditing={saveRename}
+            />
+            
+            <View style={styles.modalActions}>
+              <TouchableOpacity style={styles.modalButton} onPress={hideRename}>
+                <Text style={styles.modalButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.modalButton} onPress={saveRename}>
+                <Text style={[styles.modalButtonText, styles.modalButtonTextPrimary]}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+  
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.newThreadButton}
+        onPress={handleNewThread}
+        activeOpacity={0.7}
+      >
+        <Icon name="add-comment" size={20} color={colors.textLight} />
+        <Text style={styles.newThreadText}>New Conversation</Text>
+      </TouchableOpacity>
+      
+      <FlatList
+        data={sortedThreads}
+        renderItem={renderThread}
+        keyExtractor={(item) => item.id}
+        ItemSeparatorComponent={() => <View style={styles.separator} />}
+      />
+      
+      {renderRenameModal()}
+      
+      <ExportDialog
+        visible={!!exportingThread}
+        title={exportingThread ? getThreadTitle(exportingThread) : undefined}
+        onSelect={handleExport}
+        onClose={() => setExportingThread(null)}
+      />
+    </View>
+  );
+};
+
+/**
+ * Component styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  
+  newThreadButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    margin: layout.spacing.medium,
+    padding: layout.spacing.small,
+    borderRadius: 8,
+    backgroundColor: colors.primary,
+  },
+  
+  newThreadText: {
+    ...typography.body,
+    color: colors.textLight,
+    marginLeft: layout.spacing.xs,
+  },
+  
+  threadItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.small,
+    paddingHorizontal: layout.spacing.medium,
+  },
+  
+  threadItemActive: {
+    backgroundColor: colors.backgroundDark,
+  },
+  
+  threadInfo: {
+    flex: 1,
+  },
+  
+  threadTitle: {
+    ...typography.bodyMedium,
+    color: colors.textPrimary,
+  },
+  
+  threadDetails: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.tiny,
+  },
+  
+  iconButton: {
+    padding: layout.spacing.xs,
+    marginLeft: layout.spacing.xs,
+  },
+  
+  separator: {
+    height: 1,
+    backgroundColor: colors.divider,
+  },
+  
+  modalContainer: {
+    flex: 1,
+    backgroundColor: colors.semiTransparent,
+    justifyContent: 'center',
+    padding: layout.spacing.large,
+  },
+  
+  modalContent: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: layout.spacing.medium,
+  },
+  
+  modalTitle: {
+    ...typography.h5,
+    color: colors.textPrimary,
+    marginBottom: layout.spacing.small,
+  },
+  
+  input: {
+    ...typography.body,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 4,
+    paddingHorizontal: layout.spacing.small,
+    paddingVertical: layout.spacing.xs,
+    color: colors.textPrimary,
+  },
+  
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: layout.spacing.medium,
+  },
+  
+  modalButton: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.small,
+    marginLeft: layout.spacing.xs,
+  },
+  
+  modalButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  
+  modalButtonTextPrimary: {
+    color: colors.primary,
+  },
+});
+
+export default HistoryScreen;
@@ -18,160 +18,316 @@ import {
   SafeAreaView,
   ActivityIndicator,
   Alert,
+  KeyboardAvoidingView,
+  Platform,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 
 // Contexts
-import { AppContext } from '../context/AppContext';
-import { BluetoothContext } from '../context/BluetoothContext';
+import { AppContext } from '../store/AppContext';
+import { BluetoothContext } from '../store/BluetoothContext';
 
-// Services
-import { AudioService } from '../services/AudioService';
+// Config
+import { HEADSET_ACTIONS } from '../config/headsetProfiles';
+import { INPUT_MODES } from '../utils/constants';
+import { VOICE_STATES, VOICE_EVENTS } from '../utils/voiceSession';
+import { getThreadTitle } from '../utils/threads';
 
 // Components
 import Conversation from '../components/Conversation';
 import StatusPanel from '../components/StatusPanel';
 import Header from '../components/Header';
+import MessageComposer from '../components/MessageComposer';
+import ExportDialog from '../components/ExportDialog';
 
 // Styles and utilities
 import { colors } from '../styles/colors';
-import { layout } from '../styles/layout';
+import layout from '../styles/layout';
 import { typography } from '../styles/typography';
 
+// Time a message picked in search stays highlighted, in ms
+const HIGHLIGHT_DURATION = 3000;
+
 /**
  * Home Screen Component
  * 
  * @param {Object} props - Component properties
  * @param {Object} props.navigation - Navigation object
+ * @param {Object} props.route - Route; `threadId` and `messageId` params show a message picked in search
  * @returns {React.ReactElement} Rendered component
  */
-const HomeScreen = ({ navigation }) => {
+const HomeScreen = ({ navigation, route }) => {
   // App context
   const {
+    isOnline,
     wsConnected,
+    wsReconnectStatus,
+    authError,
     settings,
     messages,
+    hasOlderMessages,
+    loadOlderMessages,
+    showMessage,
+    exportThread,
+    threads,
+    activeThreadId,
+    voiceSession,
+    voiceMachine,
     isProcessingAudio,
     isSpeaking,
-    sendAudioToServer,
+    transcription,
     clearConversation,
-    setIsProcessingAudio,
+    retryMessage,
+    reconnectServer,
+    interruptResponse,
+    addMessage,
+    sendTextToServer,
+    updateSettings,
   } = useContext(AppContext);
   
+  const isRecording = voiceSession.state === VOICE_STATES.RECORDING;
+  const isKeyboardMode = settings.inputMode === INPUT_MODES.KEYBOARD;
+  const activeThread = threads.find(thread => thread.id === activeThreadId);
+  
+  // The record button stays live during playback when barge-in is enabled
+  const isRecordDisabled = isProcessingAudio || (isSpeaking && !settings.bargeIn);
+  
   // Bluetooth context
   const {
     isBluetoothEnabled,
     connectedDevice,
     connectionState,
     startScan,
+    stopScan,
+    addHeadsetButtonListener,
     error: bluetoothError,
   } = useContext(BluetoothContext);
   
   // Local state
-  const [isRecording, setIsRecording] = useState(false);
-  const [transcription, setTranscription] = useState('');
   const [showBluetoothDevices, setShowBluetoothDevices] = useState(false);
   const [isListening, setIsListening] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [showExport, setShowExport] = useState(false);
   
   // Refs
   const conversationRef = useRef(null);
+  const highlightedMessageIdRef = useRef(null);
+  highlightedMessageIdRef.current = highlightedMessageId;
+  const headsetActionRef = useRef(null);
+  const batteryWarnedRef = useRef(false);
   
   /**
    * Effect to scroll to bottom when new messages arrive
+   * 
+   * Only the last message counts, so loading earlier messages above doesn't
+   * scroll away from them. A highlighted message stays in view instead.
    */
+  const lastMessage = messages[messages.length - 1];
   useEffect(() => {
-    if (conversationRef.current && messages.length > 0) {
+    if (conversationRef.current && lastMessage) {
       // Use small timeout to ensure layout is complete
       setTimeout(() => {
-        conversationRef.current.scrollToEnd({ animated: true });
+        if (!highlightedMessageIdRef.current) {
+          conversationRef.current.scrollToEnd({ animated: true });
+        }
       }, 100);
     }
-  }, [messages]);
+  }, [lastMessage]);
   
   /**
-   * Effect to handle auto-listening after AI response
+   * Effect to show a message picked in search
    */
+  const searchThreadId = route.params?.threadId;
+  const searchMessageId = route.params?.messageId;
   useEffect(() => {
-    if (settings.autoListen && !isProcessingAudio && !isSpeaking && !isRecording && isListening) {
-      // Start listening again after a short delay
-      const timer = setTimeout(() => {
-        handleStartRecording();
-      }, 1000);
-      
-      return () => clearTimeout(timer);
+    if (!searchMessageId) {
+      return;
+    }
+    
+    navigation.setParams({ threadId: undefined, messageId: undefined });
+    setHighlightedMessageId(searchMessageId);
+    
+    showMessage(searchThreadId, searchMessageId).then(isShown => {
+      if (!isShown) {
+        setHighlightedMessageId(null);
+        Alert.alert('Message Not Found', 'This message is no longer stored.');
+      }
+    });
+  }, [searchThreadId, searchMessageId, navigation, showMessage]);
+  
+  /**
+   * Effect to stop highlighting a message after a moment
+   */
+  useEffect(() => {
+    if (!highlightedMessageId) {
+      return;
     }
-  }, [isProcessingAudio, isSpeaking, isListening]);
+    
+    const timer = setTimeout(() => setHighlightedMessageId(null), HIGHLIGHT_DURATION);
+    
+    return () => {
+      clearTimeout(timer);
+    };
+  }, [highlightedMessageId]);
+  
+  /**
+   * Effect to let the voice loop start the next recording by itself while auto-listening
+   */
+  useEffect(() => {
+    voiceMachine.send({
+      type: VOICE_EVENTS.SET_LISTENING,
+      listening: settings.autoListen && isListening,
+    });
+  }, [voiceMachine, settings.autoListen, isListening]);
+  
+  /**
+   * Effect to react to headset button presses
+   * 
+   * The listener goes through a ref so it always sees the latest state.
+   */
+  useEffect(() => {
+    return addHeadsetButtonListener(({ action }) => {
+      if (headsetActionRef.current) {
+        headsetActionRef.current(action);
+      }
+    });
+  }, [addHeadsetButtonListener]);
+  
+  /**
+   * Effect to warn once each time the headset battery drops below the threshold
+   */
+  useEffect(() => {
+    const batteryLevel = connectedDevice?.batteryLevel;
+    
+    if (typeof batteryLevel !== 'number') {
+      return;
+    }
+    
+    if (batteryLevel >= settings.lowBatteryThreshold) {
+      // Charged back up, so warn again on the next drop
+      batteryWarnedRef.current = false;
+    } else if (!batteryWarnedRef.current) {
+      batteryWarnedRef.current = true;
+      addMessage(`Headset battery low (${batteryLevel}%)`, false, 'system');
+    }
+  }, [connectedDevice?.batteryLevel, settings.lowBatteryThreshold, addMessage]);
+  
+  /**
+   * Effect to ask the user to sign in when the server rejects the session
+   */
+  useEffect(() => {
+    if (!authError) {
+      return;
+    }
+    
+    Alert.alert(
+      'Sign In Required',
+      `${authError.message} Enter a new access token in Settings to reconnect.`,
+      [
+        {
+          text: 'Later',
+          style: 'cancel',
+        },
+        {
+          text: 'Open Settings',
+          onPress: () => navigation.navigate('Settings'),
+        },
+      ]
+    );
+  }, [authError, navigation]);
   
   /**
    * Effect to start listening when auto-listen is enabled
+   * 
+   * Only runs when a condition changes, so turning listening off by hand sticks.
    */
   useEffect(() => {
-    if (settings.autoListen && !isListening && wsConnected && isBluetoothEnabled && connectedDevice) {
+    if (settings.autoListen && !isKeyboardMode && wsConnected && isBluetoothEnabled && connectedDevice) {
       setIsListening(true);
     }
-  }, [wsConnected, isBluetoothEnabled, connectedDevice, settings.autoListen]);
+  }, [wsConnected, isBluetoothEnabled, connectedDevice, settings.autoListen, isKeyboardMode]);
   
   /**
    * Start recording audio
+   * 
+   * The app store runs the microphone once the voice loop enters recording.
    */
-  const handleStartRecording = async () => {
-    try {
-      // Don't start if already recording or processing
-      if (isRecording || isProcessingAudio || isSpeaking) return;
-      
-      setIsRecording(true);
-      setTranscription('');
-      
-      // Configure recording options
-      const options = {
-        detectSilence: true,
-        silenceThreshold: settings.silenceThreshold,
-        useVoiceRecognition: true,
-        onSilenceDetected: handleStopRecording,
-        speechResultsCallback: (text) => {
-          setTranscription(text);
-        },
-      };
-      
-      // Start recording
-      await AudioService.startRecording(options);
-    } catch (error) {
-      console.error('Error starting recording:', error);
-      setIsRecording(false);
-      Alert.alert('Error', 'Failed to start recording. Please check your permissions.');
-    }
+  const handleStartRecording = () => {
+    voiceMachine.send({ type: VOICE_EVENTS.START_RECORDING });
   };
   
   /**
    * Stop recording and process audio
    */
-  const handleStopRecording = async () => {
-    try {
-      if (!isRecording) return;
-      
-      setIsRecording(false);
-      
-      // Stop recording and get audio data
-      const result = await AudioService.stopRecording();
-      
-      if (result && result.audioBase64) {
-        // Process audio
-        await sendAudioToServer(result.audioBase64, result.transcription || transcription);
-      }
-    } catch (error) {
-      console.error('Error stopping recording:', error);
-      setIsProcessingAudio(false);
+  const handleStopRecording = () => {
+    voiceMachine.send({ type: VOICE_EVENTS.STOP_RECORDING });
+  };
+  
+  /**
+   * Interrupt the AI answer and start a new recording straight away
+   */
+  const handleBargeIn = () => {
+    interruptResponse();
+    handleStartRecording();
+  };
+  
+  /**
+   * Handle a press on the main record button
+   */
+  const handleRecordPress = () => {
+    if (isRecording) {
+      handleStopRecording();
+    } else if (isSpeaking && settings.bargeIn) {
+      handleBargeIn();
+    } else {
+      handleStartRecording();
     }
   };
   
+  /**
+   * Perform the action mapped to a headset button press
+   * 
+   * @param {string} action - One of HEADSET_ACTIONS
+   */
+  const handleHeadsetAction = (action) => {
+    switch (action) {
+      case HEADSET_ACTIONS.TOGGLE_RECORDING:
+        if (!isRecordDisabled || isRecording) {
+          handleRecordPress();
+        }
+        break;
+      case HEADSET_ACTIONS.TOGGLE_AUTO_LISTEN:
+        toggleListening();
+        break;
+      case HEADSET_ACTIONS.CANCEL_PLAYBACK:
+        if (isSpeaking || isProcessingAudio) {
+          interruptResponse();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+  headsetActionRef.current = handleHeadsetAction;
+  
   /**
    * Toggle showing Bluetooth devices list
    */
   const toggleBluetoothDevices = () => {
-    if (!showBluetoothDevices) {
-      startScan().catch(console.error);
+    if (showBluetoothDevices) {
+      closeBluetoothDevices();
+      return;
     }
-    setShowBluetoothDevices(!showBluetoothDevices);
+    startScan().catch(console.error);
+    setShowBluetoothDevices(true);
+  };
+  
+  /**
+   * Close the Bluetooth devices list, ending any scan it started
+   */
+  const closeBluetoothDevices = () => {
+    stopScan().catch(console.error);
+    setShowBluetoothDevices(false);
   };
   
   /**
@@ -182,10 +338,35 @@ const HomeScreen = ({ navigation }) => {
       setIsListening(false);
     } else {
       setIsListening(true);
-      if (!isRecording && !isProcessingAudio && !isSpeaking) {
-        handleStartRecording();
-      }
+      handleStartRecording();
+    }
+  };
+  
+  /**
+   * Switch between speaking and typing messages
+   */
+  const toggleInputMode = () => {
+    if (isKeyboardMode) {
+      updateSettings({ inputMode: INPUT_MODES.VOICE });
+    } else {
+      // Typing is for when listening isn't wanted
+      setIsListening(false);
+      updateSettings({ inputMode: INPUT_MODES.KEYBOARD });
+    }
+  };
+  
+  /**
+   * Send a typed message
+   * 
+   * @param {string} text - Message text
+   */
+  const handleSendText = (text) => {
+    // A new question replaces the answer being spoken
+    if (isSpeaking) {
+      interruptResponse();
     }
+    
+    sendTextToServer(text);
   };
   
   /**
@@ -209,93 +390,174 @@ const HomeScreen = ({ navigation }) => {
     );
   };
   
+  /**
+   * Export the open conversation in the chosen format
+   * 
+   * @param {string} format - One of EXPORT_FORMATS
+   */
+  const handleExport = async (format) => {
+    setShowExport(false);
+    
+    try {
+      await exportThread(activeThreadId, format);
+    } catch (error) {
+      console.error('Error exporting conversation:', error);
+      Alert.alert('Export Failed', 'The conversation could not be exported. Please try again.');
+    }
+  };
+  
   return (
     <SafeAreaView style={styles.container}>
       {/* Header with title and action buttons */}
       <Header 
         title="AIRAssist"
         onSettingsPress={() => navigation.navigate('Settings')}
+        onHistoryPress={() => navigation.navigate('History')}
+        onSearchPress={() => navigation.navigate('Search')}
         connectedDevice={connectedDevice}
         onBluetoothPress={toggleBluetoothDevices}
+        lowBatteryThreshold={settings.lowBatteryThreshold}
       />
       
       {/* Status panel showing connection states */}
       <StatusPanel 
         wsConnected={wsConnected}
+        isOnline={isOnline}
+        serverReconnectStatus={wsReconnectStatus}
+        onRetryServer={reconnectServer}
         bluetoothConnected={!!connectedDevice}
         isListening={isListening}
         bluetoothStatus={connectionState}
         showDevices={showBluetoothDevices}
-        onClose={() => setShowBluetoothDevices(false)}
+        onClose={closeBluetoothDevices}
+      />
+      
+      <ExportDialog
+        visible={showExport}
+        title={activeThread ? getThreadTitle(activeThread) : undefined}
+        onSelect={handleExport}
+        onClose={() => setShowExport(false)}
       />
       
-      {/* Main conversation area */}
-      <View style={styles.content}>
-        <Conversation 
-          messages={messages}
-          onClearConversation={confirmClearConversation}
-          ref={conversationRef}
-        />
-      </View>
+      {/* Offline notice */}
+      {!isOnline && (
+        <View style={styles.offlineBanner}>
+          <Icon name="cloud-off" size={18} color={colors.textPrimary} />
+          <Text style={styles.offlineBannerText}>
+            You're offline. Messages will be sent when the connection returns.
+          </Text>
+        </View>
+      )}
       
-      {/* Footer with controls */}
-      <View style={styles.footer}>
-        {/* Transcription display when recording */}
-        {isRecording && (
-          <View style={styles.transcriptionContainer}>
-            <Text style={styles.transcriptionText}>
-              {transcription || 'Listening...'}
-            </Text>
-          </View>
-        )}
+      {/* Keep the composer above the on-screen keyboard */}
+      <KeyboardAvoidingView
+        style={styles.keyboardAvoiding}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        {/* Main conversation area */}
+        <View style={styles.content}>
+          <Conversation 
+            messages={messages}
+            title={activeThread ? getThreadTitle(activeThread) : undefined}
+            onClearConversation={confirmClearConversation}
+            onExportConversation={() => setShowExport(true)}
+            onRetryMessage={retryMessage}
+            hasOlderMessages={hasOlderMessages}
+            onLoadOlder={loadOlderMessages}
+            highlightedMessageId={highlightedMessageId}
+            ref={conversationRef}
+          />
+        </View>
         
-        {/* Control buttons */}
-        <View style={styles.controls}>
-          {/* Auto-listen toggle */}
-          <TouchableOpacity
-            style={[
-              styles.listenButton,
-              isListening ? styles.listenButtonActive : null,
-            ]}
-            onPress={toggleListening}
-          >
-            <Icon 
-              name={isListening ? 'hearing' : 'hearing-disabled'} 
-              size={24} 
-              color={isListening ? colors.white : colors.textPrimary} 
-            />
-          </TouchableOpacity>
+        {/* Footer with controls */}
+        <View style={styles.footer}>
+          {/* Transcription display when recording */}
+          {isRecording && (
+            <View style={styles.transcriptionContainer}>
+              <Text style={styles.transcriptionText}>
+                {transcription || 'Listening...'}
+              </Text>
+            </View>
+          )}
           
-          {/* Main record button */}
-          <TouchableOpacity
-            style={[
-              styles.recordButton,
-              isRecording ? styles.recordButtonActive : null,
-              (isProcessingAudio || isSpeaking) ? styles.recordButtonDisabled : null,
-            ]}
-            onPress={isRecording ? handleStopRecording : handleStartRecording}
-            disabled={isProcessingAudio || isSpeaking}
-          >
-            {isProcessingAudio ? (
-              <ActivityIndicator color={colors.white} size="large" />
-            ) : (
-              <Icon 
-                name={isRecording ? 'stop' : 'mic'} 
-                size={32} 
-                color={colors.white} 
-              />
-            )}
-          </TouchableOpacity>
+          {/* What went wrong in the last turn */}
+          {voiceSession.state === VOICE_STATES.ERROR && (
+            <View style={styles.transcriptionContainer}>
+              <Text style={styles.voiceErrorText}>{voiceSession.error}</Text>
+            </View>
+          )}
           
-          {/* Clear conversation button */}
-          <TouchableOpacity
-            style={styles.clearButton}
-            onPress={confirmClearConversation}
-          >
-            <Icon name="clear-all" size={24} color={colors.textPrimary} />
-          </TouchableOpacity>
+          {/* Typed messages */}
+          {isKeyboardMode && (
+            <MessageComposer
+              onSend={handleSendText}
+              onVoiceModePress={toggleInputMode}
+            />
+          )}
+          
+          {/* Control buttons */}
+          {!isKeyboardMode && (
+            <View style={styles.controls}>
+              {/* Auto-listen toggle */}
+              <View style={styles.sideControls}>
+                <TouchableOpacity
+                  style={[
+                    styles.listenButton,
+                    isListening ? styles.listenButtonActive : null,
+                  ]}
+                  onPress={toggleListening}
+                >
+                  <Icon 
+                    name={isListening ? 'hearing' : 'hearing-disabled'} 
+                    size={24} 
+                    color={isListening ? colors.white : colors.textPrimary} 
+                  />
+                </TouchableOpacity>
+              </View>
+              
+              {/* Main record button */}
+              <TouchableOpacity
+                style={[
+                  styles.recordButton,
+                  isRecording ? styles.recordButtonActive : null,
+                  isRecordDisabled ? styles.recordButtonDisabled : null,
+                ]}
+                onPress={handleRecordPress}
+                disabled={isRecordDisabled}
+              >
+                {isProcessingAudio ? (
+                  <ActivityIndicator color={colors.white} size="large" />
+                ) : (
+                  <Icon 
+                    name={isRecording ? 'stop' : 'mic'} 
+                    size={32} 
+                    color={colors.white} 
+                  />
+                )}
+              </TouchableOpacity>
+              
+              <View style={[styles.sideControls, styles.sideControlsEnd]}>
+                {/* Switch to typing */}
+                <TouchableOpacity
+                  style={styles.secondaryButton}
+                  onPress={toggleInputMode}
+                  disabled={isRecording}
+                >
+                  <Icon name="keyboard" size={24} color={colors.textPrimary} />
+                </TouchableOpacity>
+                
+                {/* Clear conversation button */}
+                <TouchableOpacity
+                  style={[styles.secondaryButton, styles.controlSpacing]}
+                  onPress={confirmClearConversation}
+                >
+                  <Icon name="clear-all" size={24} color={colors.textPrimary} />
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
         </View>
-      </View>
+      </KeyboardAvoidingView>
     </SafeAreaView>
   );
 };
@@ -309,6 +571,25 @@ const styles = StyleSheet.create({
     backgroundColor: colors.background,
   },
   
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.warning,
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.medium,
+  },
+  
+  offlineBannerText: {
+    ...typography.caption,
+    color: colors.textPrimary,
+    marginLeft: layout.spacing.small,
+    flex: 1,
+  },
+  
+  keyboardAvoiding: {
+    flex: 1,
+  },
+  
   content: {
     flex: 1,
     paddingHorizontal: layout.spacing.medium,
@@ -334,12 +615,31 @@ const styles = StyleSheet.create({
     color: colors.textPrimary,
   },
   
+  voiceErrorText: {
+    ...typography.bodyMedium,
+    color: colors.error,
+  },
+  
   controls: {
     flexDirection: 'row',
     justifyContent: 'space-between',
     alignItems: 'center',
   },
   
+  sideControls: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  
+  sideControlsEnd: {
+    justifyContent: 'flex-end',
+  },
+  
+  controlSpacing: {
+    marginLeft: layout.spacing.small,
+  },
+  
   recordButton: {
     width: 64,
     height: 64,
@@ -373,7 +673,7 @@ const styles = StyleSheet.create({
     backgroundColor: colors.success,
   },
   
-  clearButton: {
+  secondaryButton: {
     width: 48,
     height: 48,
     borderRadius: 24,
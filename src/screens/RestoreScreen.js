@@ -0,0 +1,574 @@
+/**
+ * Restore Screen
+ * 
+ * Restores settings, conversations, Bluetooth devices and unsent messages
+ * from a backup file, listed or picked with the OS file picker, or from a
+ * backup pasted as text. Before anything is
+ * written, the screen shows what the backup holds and what restoring it
+ * would change, whether it is merged with the data on the device or
+ * replaces it.
+ * 
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+
+// Contexts
+import { AppContext } from '../store/AppContext';
+import { BluetoothContext } from '../store/BluetoothContext';
+
+// Styles and utilities
+import { colors } from '../styles/colors';
+import layout from '../styles/layout';
+import { typography } from '../styles/typography';
+import { formatDate, formatFileSize } from '../utils/helpers';
+import { parseBackup } from '../utils/backup';
+import { RESTORE_MODES } from '../utils/constants';
+
+// Restore modes offered, in order
+const MODE_OPTIONS = [
+  {
+    mode: RESTORE_MODES.MERGE,
+    label: 'Merge',
+    description: 'Add the backup to what is on this phone. Nothing is deleted.',
+  },
+  {
+    mode: RESTORE_MODES.REPLACE,
+    label: 'Replace',
+    description: 'Replace what is on this phone with the backup. Conversations not in the backup are deleted.',
+  },
+];
+
+/**
+ * Format a count with the singular or plural noun
+ * 
+ * @param {number} count - Count
+ * @param {string} singular - Noun for one
+ * @param {string} plural - Noun for more or none
+ * @returns {string} e.g. "3 conversations"
+ */
+const formatCount = (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`;
+
+/**
+ * Describe what a backup holds
+ * 
+ * @param {Object} backup - Valid backup
+ * @returns {Array<string>} Lines describing its contents
+ */
+const describeBackup = (backup) => {
+  const lines = [];
+  
+  if (backup.createdAt) {
+    lines.push(`Made ${formatDate(backup.createdAt)}`);
+  }
+  if (backup.settings) {
+    lines.push('Settings');
+  }
+  if (backup.threads) {
+    const messageCount = backup.threads.reduce((total, thread) => total + thread.messages.length, 0);
+    lines.push(`${formatCount(backup.threads.length, 'conversation', 'conversations')} with ${formatCount(messageCount, 'message', 'messages')}`);
+  }
+  if (backup.devices) {
+    lines.push(formatCount(backup.devices.length, 'Bluetooth device', 'Bluetooth devices'));
+  }
+  if (backup.pendingMessages) {
+    lines.push(formatCount(backup.pendingMessages.length, 'unsent message', 'unsent messages'));
+  }
+  
+  return lines;
+};
+
+/**
+ * Describe what restoring a backup would change
+ * 
+ * @param {Object} changes - Changes, see describeChanges
+ * @returns {Array<string>} Lines describing the changes
+ */
+const describeRestore = (changes) => {
+  const lines = [];
+  const add = (count, text) => {
+    if (count > 0) {
+      lines.push(text);
+    }
+  };
+  
+  add(changes.threadsAdded, `${formatCount(changes.threadsAdded, 'conversation', 'conversations')} added`);
+  add(changes.threadsUpdated, `${formatCount(changes.threadsUpdated, 'conversation', 'conversations')} updated`);
+  add(changes.threadsRemoved, `${formatCount(changes.threadsRemoved, 'conversation', 'conversations')} deleted`);
+  add(changes.messagesAdded, `${formatCount(changes.messagesAdded, 'message', 'messages')} added`);
+  add(changes.messagesRemoved, `${formatCount(changes.messagesRemoved, 'message', 'messages')} deleted`);
+  add(changes.settings.length, `${formatCount(changes.settings.length, 'setting', 'settings')} changed`);
+  add(changes.devicesAdded, `${formatCount(changes.devicesAdded, 'Bluetooth device', 'Bluetooth devices')} added`);
+  add(changes.devicesRemoved, `${formatCount(changes.devicesRemoved, 'Bluetooth device', 'Bluetooth devices')} removed`);
+  add(changes.pendingAdded, `${formatCount(changes.pendingAdded, 'unsent message', 'unsent messages')} added`);
+  add(changes.pendingRemoved, `${formatCount(changes.pendingRemoved, 'unsent message', 'unsent messages')} dropped`);
+  
+  return lines;
+};
+
+/**
+ * Restore Screen Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.navigation - Navigation object
+ * @returns {React.ReactElement} Rendered component
+ */
+const RestoreScreen = ({ navigation }) => {
+  // App context
+  const {
+    listBackupFiles,
+    pickBackupFile,
+    readBackupFile,
+    previewRestore,
+    restoreBackup,
+  } = useContext(AppContext);
+  
+  // Bluetooth context
+  const { loadPreviousDevices } = useContext(BluetoothContext);
+  
+  // Files to restore from, and backup text pasted instead
+  const [files, setFiles] = useState(null);
+  const [pastedText, setPastedText] = useState('');
+  
+  // Chosen backup, where it came from, and how to restore it
+  const [backup, setBackup] = useState(null);
+  const [source, setSource] = useState('');
+  const [mode, setMode] = useState(RESTORE_MODES.MERGE);
+  const [changes, setChanges] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+  
+  /**
+   * List the backup files
+   */
+  useEffect(() => {
+    listBackupFiles()
+      .then(setFiles)
+      .catch(error => {
+        console.error('Error listing backup files:', error);
+        setFiles([]);
+      });
+  }, [listBackupFiles]);
+  
+  /**
+   * Work out what restoring the chosen backup would change
+   */
+  useEffect(() => {
+    if (!backup) {
+      return undefined;
+    }
+    
+    let isCurrent = true;
+    setChanges(null);
+    
+    previewRestore(backup, mode)
+      .then(nextChanges => {
+        if (isCurrent) {
+          setChanges(nextChanges);
+        }
+      })
+      .catch(error => {
+        console.error('Error previewing restore:', error);
+        Alert.alert('Restore Failed', 'The data on this phone could not be read.');
+      });
+    
+    return () => {
+      isCurrent = false;
+    };
+  }, [backup, mode, previewRestore]);
+  
+  /**
+   * Read a backup file
+   * 
+   * @param {Object} file - Backup file, as listed
+   */
+  const chooseFile = async (file) => {
+    try {
+      setBackup(await readBackupFile(file.path));
+      setSource(file.name);
+    } catch (error) {
+      console.error('Error reading backup file:', error);
+      Alert.alert('Invalid Backup', error.message);
+    }
+  };
+  
+  /**
+   * Pick a backup file with the OS file picker and read it
+   */
+  const choosePickedFile = async () => {
+    try {
+      const file = await pickBackupFile();
+      
+      if (file) {
+        await chooseFile(file);
+      }
+    } catch (error) {
+      console.error('Error picking backup file:', error);
+      Alert.alert('Invalid Backup', 'The file could not be opened.');
+    }
+  };
+  
+  /**
+   * Read the pasted backup
+   */
+  const choosePastedText = () => {
+    try {
+      setBackup(parseBackup(pastedText.trim()));
+      setSource('Pasted backup');
+    } catch (error) {
+      Alert.alert('Invalid Backup', error.message);
+    }
+  };
+  
+  /**
+   * Restore the chosen backup, once confirmed
+   */
+  const handleRestore = () => {
+    const isReplace = mode === RESTORE_MODES.REPLACE;
+    
+    Alert.alert(
+      isReplace ? 'Replace Data' : 'Merge Backup',
+      isReplace
+        ? 'The data on this phone will be replaced with the backup. This cannot be undone.'
+        : 'The backup will be added to the data on this phone.',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Restore',
+          style: isReplace ? 'destructive' : 'default',
+          onPress: async () => {
+            setIsRestoring(true);
+            
+            try {
+              await restoreBackup(backup, mode);
+              await loadPreviousDevices();
+              
+              Alert.alert('Restore Complete', 'The backup has been restored.');
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error restoring backup:', error);
+              Alert.alert('Restore Failed', 'The backup could not be restored.');
+              setIsRestoring(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+  
+  /**
+   * Render the list of backup files and the field to paste a backup into
+   * 
+   * @returns {React.ReactElement} Rendered component
+   */
+  const renderSources = () => {
+    return (
+      <>
+        <Text style={styles.sectionTitle}>Backup Files</Text>
+        {files === null && (
+          <ActivityIndicator style={styles.loading} color={colors.primary} />
+        )}
+        {files !== null && files.length === 0 && (
+          <Text style={styles.hint}>
+            No backup files found. Choose a backup file saved elsewhere,
+            or paste it below.
+          </Text>
+        )}
+        {files !== null && files.map(file => (
+          <TouchableOpacity
+            key={file.path}
+            style={styles.fileItem}
+            onPress={() => chooseFile(file)}
+            activeOpacity={0.7}
+          >
+            <Icon name="description" size={24} color={colors.primary} />
+            <View style={styles.fileInfo}>
+              <Text style={styles.fileName} numberOfLines={1}>{file.name}</Text>
+              <Text style={styles.fileDetails}>
+                {`${formatDate(file.modifiedAt)} · ${formatFileSize(file.size, 1)}`}
+              </Text>
+            </View>
+            <Icon name="chevron-right" size={24} color={colors.textSecondary} />
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity
+          style={[styles.button, styles.pickButton]}
+          onPress={choosePickedFile}
+        >
+          <Icon name="folder-open" size={20} color={colors.primary} />
+          <Text style={[styles.buttonText, styles.secondaryButtonText, styles.pickButtonText]}>
+            Choose a File...
+          </Text>
+        </TouchableOpacity>
+        
+        <Text style={styles.sectionTitle}>Paste a Backup</Text>
+        <TextInput
+          style={styles.pasteInput}
+          value={pastedText}
+          onChangeText={setPastedText}
+          placeholder="Paste the text of a backup here"
+          placeholderTextColor={colors.textSecondary}
+          multiline
+          autoCorrect={false}
+          autoCapitalize="none"
+        />
+        <TouchableOpacity
+          style={[styles.button, !pastedText.trim() && styles.buttonDisabled]}
+          onPress={choosePastedText}
+          disabled={!pastedText.trim()}
+        >
+          <Text style={styles.buttonText}>Read Backup</Text>
+        </TouchableOpacity>
+      </>
+    );
+  };
+  
+  /**
+   * Render the chosen backup, the restore modes and the changes
+   * 
+   * @returns {React.ReactElement} Rendered component
+   */
+  const renderPreview = () => {
+    const changeLines = changes ? describeRestore(changes) : [];
+    
+    return (
+      <>
+        <Text style={styles.sectionTitle}>Backup</Text>
+        <Text style={styles.fileName}>{source}</Text>
+        {describeBackup(backup).map(line => (
+          <Text key={line} style={styles.detail}>{line}</Text>
+        ))}
+        
+        <Text style={styles.sectionTitle}>Restore</Text>
+        {MODE_OPTIONS.map(option => {
+          const isSelected = option.mode === mode;
+          
+          return (
+            <TouchableOpacity
+              key={option.mode}
+              style={[styles.modeOption, isSelected && styles.modeOptionSelected]}
+              onPress={() => setMode(option.mode)}
+              disabled={isRestoring}
+              activeOpacity={0.7}
+            >
+              <Icon
+                name={isSelected ? 'radio-button-checked' : 'radio-button-unchecked'}
+                size={20}
+                color={colors.primary}
+              />
+              <View style={styles.fileInfo}>
+                <Text style={styles.modeLabel}>{option.label}</Text>
+                <Text style={styles.fileDetails}>{option.description}</Text>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+        
+        <Text style={styles.sectionTitle}>Changes</Text>
+        {!changes && (
+          <ActivityIndicator style={styles.loading} color={colors.primary} />
+        )}
+        {changes && !changes.hasChanges && (
+          <Text style={styles.detail}>Nothing on this phone would change.</Text>
+        )}
+        {changeLines.map(line => (
+          <Text key={line} style={styles.detail}>{line}</Text>
+        ))}
+        
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={[styles.button, styles.secondaryButton]}
+            onPress={() => setBackup(null)}
+            disabled={isRestoring}
+          >
+            <Text style={[styles.buttonText, styles.secondaryButtonText]}>Choose Another</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={[
+              styles.button,
+              styles.restoreButton,
+              (!changes || !changes.hasChanges || isRestoring) && styles.buttonDisabled,
+            ]}
+            onPress={handleRestore}
+            disabled={!changes || !changes.hasChanges || isRestoring}
+          >
+            {isRestoring ? (
+              <ActivityIndicator color={colors.white} />
+            ) : (
+              <Text style={styles.buttonText}>Restore</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </>
+    );
+  };
+  
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      {backup ? renderPreview() : renderSources()}
+    </ScrollView>
+  );
+};
+
+/**
+ * Component styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  
+  content: {
+    padding: layout.spacing.medium,
+  },
+  
+  sectionTitle: {
+    ...typography.h5,
+    color: colors.textPrimary,
+    marginTop: layout.spacing.medium,
+    marginBottom: layout.spacing.xs,
+  },
+  
+  loading: {
+    marginVertical: layout.spacing.medium,
+  },
+  
+  hint: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  
+  fileItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  
+  fileInfo: {
+    flex: 1,
+    marginHorizontal: layout.spacing.small,
+  },
+  
+  fileName: {
+    ...typography.bodyMedium,
+    color: colors.textPrimary,
+  },
+  
+  fileDetails: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  
+  detail: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.tiny,
+  },
+  
+  pasteInput: {
+    ...typography.bodySmall,
+    minHeight: 100,
+    maxHeight: 200,
+    padding: layout.spacing.small,
+    marginBottom: layout.spacing.small,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    color: colors.textPrimary,
+    textAlignVertical: 'top',
+  },
+  
+  modeOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: layout.spacing.small,
+    marginBottom: layout.spacing.xs,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+  },
+  
+  modeOptionSelected: {
+    borderColor: colors.primary,
+  },
+  
+  modeLabel: {
+    ...typography.bodyMedium,
+    color: colors.textPrimary,
+  },
+  
+  actions: {
+    flexDirection: 'row',
+    marginTop: layout.spacing.large,
+  },
+  
+  button: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: layout.spacing.small,
+    paddingHorizontal: layout.spacing.medium,
+    borderRadius: 8,
+    backgroundColor: colors.primary,
+  },
+  
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  
+  buttonText: {
+    ...typography.button,
+    color: colors.white,
+  },
+  
+  secondaryButton: {
+    marginRight: layout.spacing.small,
+    backgroundColor: colors.backgroundLight,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  
+  secondaryButtonText: {
+    color: colors.primary,
+  },
+  
+  restoreButton: {
+    marginLeft: layout.spacing.small,
+  },
+  
+  pickButton: {
+    flexDirection: 'row',
+    marginTop: layout.spacing.small,
+    backgroundColor: colors.backgroundLight,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  
+  pickButtonText: {
+    marginLeft: layout.spacing.xxs,
+  },
+});
+
+export default RestoreScreen;
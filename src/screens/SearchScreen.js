@@ -0,0 +1,342 @@
+/**
+ * Search Screen
+ * 
+ * Finds messages across every conversation, with the matching words
+ * highlighted in each result. Results can be narrowed by date and sender,
+ * and tapping one shows the message in its conversation.
+ * 
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import React, { useContext, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Switch,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+
+// Contexts
+import { AppContext } from '../store/AppContext';
+
+// Styles and utilities
+import { colors } from '../styles/colors';
+import layout from '../styles/layout';
+import { typography } from '../styles/typography';
+import { formatRelativeTime } from '../utils/helpers';
+import { getThreadTitle } from '../utils/threads';
+import { tokenize, getSnippet } from '../utils/search';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date filters, by the number of days searched back (0 searches everything)
+const DATE_FILTERS = [
+  { label: 'Any time', value: 0 },
+  { label: 'Today', value: 1 },
+  { label: 'Past week', value: 7 },
+  { label: 'Past month', value: 30 },
+];
+
+// Sender filters, as taken by SearchIndex.search
+const SENDER_FILTERS = [
+  { label: 'Everyone', value: 'all' },
+  { label: 'You', value: 'user' },
+  { label: 'Assistant', value: 'assistant' },
+];
+
+/**
+ * Search Screen Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.navigation - Navigation object
+ * @returns {React.ReactElement} Rendered component
+ */
+const SearchScreen = ({ navigation }) => {
+  // App context
+  const { searchMessages } = useContext(AppContext);
+  
+  // Search text and filters
+  const [query, setQuery] = useState('');
+  const [days, setDays] = useState(0);
+  const [sender, setSender] = useState('all');
+  const [includeSystem, setIncludeSystem] = useState(false);
+  
+  const terms = useMemo(() => tokenize(query), [query]);
+  const results = useMemo(() => searchMessages(query, {
+    sender,
+    since: days > 0 ? Date.now() - days * DAY_MS : 0,
+    includeSystem,
+  }), [searchMessages, query, sender, days, includeSystem]);
+  
+  /**
+   * Show a result in its conversation on the home screen
+   * 
+   * @param {Object} result - Search result
+   */
+  const openResult = (result) => {
+    navigation.navigate('Home', {
+      threadId: result.threadId,
+      messageId: result.messageId,
+    });
+  };
+  
+  /**
+   * Render a row of filter options
+   * 
+   * @param {Array} options - Options, each with a label and a value
+   * @param {*} selected - Selected value
+   * @param {Function} onSelect - Function called with the value of the tapped option
+   * @returns {React.ReactElement} Rendered filter row
+   */
+  const renderFilter = (options, selected, onSelect) => {
+    return (
+      <View style={styles.filterRow}>
+        {options.map((option) => {
+          const isSelected = option.value === selected;
+          
+          return (
+            <TouchableOpacity
+              key={option.label}
+              style={[styles.filterOption, isSelected && styles.filterOptionSelected]}
+              onPress={() => onSelect(option.value)}
+              activeOpacity={0.7}
+            >
+              <Text style={[styles.filterText, isSelected && styles.filterTextSelected]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    );
+  };
+  
+  /**
+   * Render a search result
+   * 
+   * @param {Object} params - Render parameters
+   * @param {Object} params.item - Search result
+   * @returns {React.ReactElement} Rendered component
+   */
+  const renderResult = ({ item }) => {
+    let sentBy = item.isUser ? 'You' : 'Assistant';
+    if (item.type === 'system') {
+      sentBy = 'System';
+    }
+    
+    return (
+      <TouchableOpacity
+        style={styles.resultItem}
+        onPress={() => openResult(item)}
+        activeOpacity={0.7}
+      >
+        <View style={styles.resultHeader}>
+          <Text style={styles.resultThread} numberOfLines={1}>
+            {getThreadTitle(item.thread)}
+          </Text>
+          <Text style={styles.resultDetails}>
+            {`${sentBy} · ${formatRelativeTime(item.timestamp)}`}
+          </Text>
+        </View>
+        
+        <Text style={styles.snippet} numberOfLines={3}>
+          {getSnippet(item.text, terms).map((segment, index) => (
+            <Text key={index} style={segment.isMatch ? styles.snippetMatch : undefined}>
+              {segment.text}
+            </Text>
+          ))}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+  
+  /**
+   * Render the text shown when there are no results
+   * 
+   * @returns {React.ReactElement} Rendered component
+   */
+  const renderEmpty = () => {
+    return (
+      <View style={styles.emptyContainer}>
+        <Icon name="search" size={48} color={colors.border} />
+        <Text style={styles.emptyText}>
+          {terms.length === 0 ? 'Search your conversations.' : 'No messages match your search.'}
+        </Text>
+      </View>
+    );
+  };
+  
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchBar}>
+        <Icon name="search" size={20} color={colors.textSecondary} />
+        <TextInput
+          style={styles.input}
+          value={query}
+          onChangeText={setQuery}
+          placeholder="Search messages"
+          placeholderTextColor={colors.textSecondary}
+          autoFocus
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {query.length > 0 && (
+          <TouchableOpacity onPress={() => setQuery('')}>
+            <Icon name="close" size={20} color={colors.textSecondary} />
+          </TouchableOpacity>
+        )}
+      </View>
+      
+      {renderFilter(DATE_FILTERS, days, setDays)}
+      {renderFilter(SENDER_FILTERS, sender, setSender)}
+      
+      <View style={styles.switchRow}>
+        <Text style={styles.filterText}>Include system messages</Text>
+        <Switch
+          value={includeSystem}
+          onValueChange={setIncludeSystem}
+          trackColor={{ false: colors.border, true: colors.primary }}
+          thumbColor={includeSystem ? colors.primaryLight : colors.veryLightGray}
+        />
+      </View>
+      
+      <FlatList
+        data={results}
+        renderItem={renderResult}
+        keyExtractor={(item) => `${item.threadId}:${item.messageId}`}
+        ItemSeparatorComponent={() => <View style={styles.separator} />}
+        ListEmptyComponent={renderEmpty}
+        keyboardShouldPersistTaps="handled"
+      />
+    </View>
+  );
+};
+
+/**
+ * Component styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    margin: layout.spacing.medium,
+    marginBottom: layout.spacing.small,
+    paddingHorizontal: layout.spacing.small,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+  },
+  
+  input: {
+    ...typography.body,
+    flex: 1,
+    paddingVertical: layout.spacing.xs,
+    marginHorizontal: layout.spacing.xs,
+    color: colors.textPrimary,
+  },
+  
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: layout.spacing.medium,
+    marginBottom: layout.spacing.xs,
+  },
+  
+  filterOption: {
+    paddingVertical: layout.spacing.xxs,
+    paddingHorizontal: layout.spacing.small,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xxs,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 16,
+  },
+  
+  filterOptionSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  
+  filterText: {
+    ...typography.bodySmall,
+    color: colors.textPrimary,
+  },
+  
+  filterTextSelected: {
+    color: colors.textLight,
+  },
+  
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: layout.spacing.medium,
+    paddingBottom: layout.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  
+  resultItem: {
+    paddingVertical: layout.spacing.small,
+    paddingHorizontal: layout.spacing.medium,
+  },
+  
+  resultHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: layout.spacing.tiny,
+  },
+  
+  resultThread: {
+    ...typography.bodyMedium,
+    color: colors.textPrimary,
+    flex: 1,
+    marginRight: layout.spacing.xs,
+  },
+  
+  resultDetails: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  
+  snippet: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  
+  snippetMatch: {
+    color: colors.textPrimary,
+    fontWeight: 'bold',
+    backgroundColor: colors.backgroundDark,
+  },
+  
+  separator: {
+    height: 1,
+    backgroundColor: colors.divider,
+  },
+  
+  emptyContainer: {
+    alignItems: 'center',
+    marginTop: 100,
+    paddingHorizontal: layout.spacing.large,
+  },
+  
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.medium,
+    textAlign: 'center',
+  },
+});
+
+export default SearchScreen;
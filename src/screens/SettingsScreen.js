@@ -8,7 +8,7 @@
  * @version 1.0.0
  */
 
-import React, { useContext, useState } from 'react';
+import React, { useContext, useEffect, useState } from 'react';
 import {
   View,
   Text,
@@ -24,15 +24,18 @@ import Slider from '@react-native-community/slider';
 import { Picker } from '@react-native-picker/picker';
 import DeviceInfo from 'react-native-device-info';
 
+// Components
+import ProtocolDebugPanel from '../components/ProtocolDebugPanel';
+
 // Contexts
-import { AppContext } from '../context/AppContext';
-import { BluetoothContext } from '../context/BluetoothContext';
+import { AppContext } from '../store/AppContext';
+import { BluetoothContext } from '../store/BluetoothContext';
 
 // Styles and utilities
 import { colors } from '../styles/colors';
-import { layout } from '../styles/layout';
+import layout from '../styles/layout';
 import { typography } from '../styles/typography';
-import { DEFAULT_SETTINGS } from '../utils/constants';
+import { DEFAULT_SETTINGS, FEATURES, AUTH_STATES } from '../utils/constants';
 
 /**
  * Settings Screen Component
@@ -43,7 +46,17 @@ import { DEFAULT_SETTINGS } from '../utils/constants';
  */
 const SettingsScreen = ({ navigation }) => {
   // App context
-  const { settings, updateSettings } = useContext(AppContext);
+  const {
+    settings,
+    updateSettings,
+    authState,
+    authError,
+    updateAuthToken,
+    protocolVersion,
+    protocolErrors,
+    clearProtocolErrors,
+    createBackup,
+  } = useContext(AppContext);
   
   // Bluetooth context
   const { connectedDevice, disconnectFromDevice } = useContext(BluetoothContext);
@@ -51,12 +64,25 @@ const SettingsScreen = ({ navigation }) => {
   // Local state for settings before saving
   const [localSettings, setLocalSettings] = useState({ ...settings });
   
+  // Settings can also change elsewhere, e.g. when a backup is restored
+  useEffect(() => {
+    setLocalSettings({ ...settings });
+  }, [settings]);
+  
+  // Whether a backup is being written
+  const [isBackingUp, setIsBackingUp] = useState(false);
+  
+  // New access token being entered; the stored token is never shown
+  const [accessToken, setAccessToken] = useState('');
+  
   // State for expanded sections
   const [expandedSections, setExpandedSections] = useState({
     connection: true,
     audio: false,
     behavior: false,
+    backup: false,
     about: false,
+    debug: false,
   });
   
   /**
@@ -117,6 +143,82 @@ const SettingsScreen = ({ navigation }) => {
     );
   };
   
+  /**
+   * Store the entered access token and reconnect with it
+   */
+  const handleSaveAccessToken = async () => {
+    const token = accessToken.trim();
+    
+    if (!token) {
+      return;
+    }
+    
+    if (await updateAuthToken(token)) {
+      setAccessToken('');
+      Alert.alert('Success', 'Access token saved. Reconnecting to the server.');
+    } else {
+      Alert.alert('Error', 'Failed to save the access token.');
+    }
+  };
+  
+  /**
+   * Remove the stored access token
+   */
+  const handleSignOut = () => {
+    Alert.alert(
+      'Sign Out',
+      'Remove the access token from this device?',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Sign Out',
+          onPress: () => updateAuthToken(null),
+          style: 'destructive',
+        },
+      ]
+    );
+  };
+  
+  /**
+   * Write a backup and open the share sheet
+   */
+  const handleBackup = async () => {
+    setIsBackingUp(true);
+    
+    try {
+      await createBackup();
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      Alert.alert('Backup Failed', 'The backup could not be created.');
+    } finally {
+      setIsBackingUp(false);
+    }
+  };
+  
+  /**
+   * Get a description of the session's authentication state
+   * 
+   * @returns {string} Description
+   */
+  const getAuthDescription = () => {
+    if (authState === AUTH_STATES.FAILED && authError) {
+      return authError.message;
+    }
+    
+    switch (authState) {
+      case AUTH_STATES.AUTHENTICATED:
+        return 'Signed in. The token is kept in the device keychain.';
+      case AUTH_STATES.AUTHENTICATING:
+      case AUTH_STATES.REFRESHING:
+        return 'Signing in...';
+      default:
+        return 'Token issued for your account, kept in the device keychain';
+    }
+  };
+  
   /**
    * Disconnect from Bluetooth device
    */
@@ -286,6 +388,57 @@ const SettingsScreen = ({ navigation }) => {
     );
   };
   
+  /**
+   * Render the access token row
+   * 
+   * @returns {React.ReactElement} Rendered setting row
+   */
+  const renderAuthSetting = () => {
+    return (
+      <View style={styles.settingRow}>
+        <View style={styles.settingInfo}>
+          <Text style={styles.settingTitle}>Access Token</Text>
+          <Text
+            style={[
+              styles.settingDescription,
+              authState === AUTH_STATES.FAILED && styles.authErrorText,
+            ]}
+          >
+            {getAuthDescription()}
+          </Text>
+        </View>
+        
+        <TextInput
+          style={styles.textInput}
+          value={accessToken}
+          onChangeText={setAccessToken}
+          placeholder="Paste a new access token"
+          placeholderTextColor={colors.textSecondary}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        
+        <View style={styles.authButtons}>
+          <TouchableOpacity
+            style={[styles.authButton, styles.signOutButton]}
+            onPress={handleSignOut}
+          >
+            <Text style={styles.signOutText}>Sign Out</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={[styles.authButton, !accessToken.trim() && styles.authButtonDisabled]}
+            onPress={handleSaveAccessToken}
+            disabled={!accessToken.trim()}
+          >
+            <Text style={styles.authButtonText}>Save Token</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+  
   /**
    * Render a setting row with a picker
    * 
@@ -322,6 +475,26 @@ const SettingsScreen = ({ navigation }) => {
     );
   };
   
+  /**
+   * Render a detail row of the connected device
+   *
+   * @param {string} label - Detail label
+   * @param {string|null} value - Detail value; the row is omitted when missing
+   * @returns {React.ReactElement|null} Rendered detail row
+   */
+  const renderDeviceDetail = (label, value) => {
+    if (!value) {
+      return null;
+    }
+    
+    return (
+      <View style={styles.deviceDetail}>
+        <Text style={styles.deviceDetailLabel}>{label}</Text>
+        <Text style={styles.deviceDetailValue}>{value}</Text>
+      </View>
+    );
+  };
+  
   return (
     <View style={styles.container}>
       <ScrollView contentContainerStyle={styles.scrollContent}>
@@ -342,6 +515,8 @@ const SettingsScreen = ({ navigation }) => {
               'Your Name'
             )}
             
+            {renderAuthSetting()}
+            
             {connectedDevice && (
               <View style={styles.deviceInfo}>
                 <View style={styles.deviceHeader}>
@@ -356,6 +531,14 @@ const SettingsScreen = ({ navigation }) => {
                 
                 <Text style={styles.deviceName}>{connectedDevice.name || 'Unknown Device'}</Text>
                 <Text style={styles.deviceId}>{connectedDevice.id}</Text>
+                
+                {renderDeviceDetail('Battery', typeof connectedDevice.batteryLevel === 'number'
+                  ? `${connectedDevice.batteryLevel}%`
+                  : null)}
+                {renderDeviceDetail('Manufacturer', connectedDevice.manufacturer)}
+                {renderDeviceDetail('Model', connectedDevice.model)}
+                {renderDeviceDetail('Firmware', connectedDevice.firmware)}
+                {renderDeviceDetail('Serial Number', connectedDevice.serialNumber)}
               </View>
             )}
           </>
@@ -414,18 +597,69 @@ const SettingsScreen = ({ navigation }) => {
               'autoListen'
             )}
             
+            {renderSwitchSetting(
+              'Barge-In',
+              'Interrupt AI speech by talking or tapping the mic',
+              'bargeIn'
+            )}
+            
             {renderSwitchSetting(
               'Auto-Connect',
               'Automatically connect to last Bluetooth device',
               'autoConnect'
             )}
             
+            {renderSliderSetting(
+              'Low Battery Warning',
+              'Headset battery % that triggers a warning (0 disables)',
+              'lowBatteryThreshold',
+              0,
+              50,
+              5
+            )}
+            
             {renderSwitchSetting(
               'Save History',
               'Save conversation history',
               'saveHistory'
             )}
             
+            {renderPickerSetting(
+              'Keep Messages',
+              'Messages kept per conversation; older ones are deleted when it is opened',
+              'historyMaxMessages',
+              [
+                { label: '500', value: 500 },
+                { label: '1,000', value: 1000 },
+                { label: '5,000', value: 5000 },
+                { label: 'Unlimited', value: 0 },
+              ]
+            )}
+            
+            {renderPickerSetting(
+              'Keep For',
+              'How long messages are kept',
+              'historyMaxAgeDays',
+              [
+                { label: '1 week', value: 7 },
+                { label: '1 month', value: 30 },
+                { label: '1 year', value: 365 },
+                { label: 'Forever', value: 0 },
+              ]
+            )}
+            
+            {renderPickerSetting(
+              'Storage Limit',
+              'Storage used per conversation',
+              'historyMaxSizeKb',
+              [
+                { label: '256 KB', value: 256 },
+                { label: '1 MB', value: 1024 },
+                { label: '5 MB', value: 5120 },
+                { label: 'Unlimited', value: 0 },
+              ]
+            )}
+            
             {renderSwitchSetting(
               'Read Responses',
               'Read AI responses aloud',
@@ -445,6 +679,49 @@ const SettingsScreen = ({ navigation }) => {
           </>
         ))}
         
+        {/* Backup Section */}
+        {renderSection('Backup', 'backup', (
+          <>
+            <Text style={styles.settingDescription}>
+              Back up your settings, conversations, Bluetooth devices and
+              unsent messages to a file, or restore them from one, e.g. on a
+              new phone. The access token is not included.
+            </Text>
+            
+            <View style={styles.buttonsContainer}>
+              <TouchableOpacity
+                style={styles.button}
+                onPress={handleBackup}
+                disabled={isBackingUp}
+              >
+                <Icon name="backup" size={20} color={colors.white} />
+                <Text style={styles.buttonText}>
+                  {isBackingUp ? 'Backing Up...' : 'Back Up Now'}
+                </Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.button, styles.secondaryButton]}
+                onPress={() => navigation.navigate('Restore')}
+              >
+                <Icon name="restore" size={20} color={colors.primary} />
+                <Text style={[styles.buttonText, styles.secondaryButtonText]}>
+                  Restore from Backup
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        ))}
+        
+        {/* Debug Section */}
+        {FEATURES.ENABLE_DEBUGGING && renderSection('Debug', 'debug', (
+          <ProtocolDebugPanel
+            protocolVersion={protocolVersion}
+            errors={protocolErrors}
+            onClear={clearProtocolErrors}
+          />
+        ))}
+        
         {/* About Section */}
         {renderSection('About', 'about', (
           <View style={styles.aboutSection}>
@@ -561,6 +838,44 @@ const styles = StyleSheet.create({
     textAlign: 'center',
   },
   
+  authErrorText: {
+    color: colors.error,
+  },
+  
+  authButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: layout.spacing.small,
+  },
+  
+  authButton: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.medium,
+    marginLeft: layout.spacing.small,
+    borderRadius: 4,
+    backgroundColor: colors.primary,
+  },
+  
+  authButtonDisabled: {
+    opacity: 0.5,
+  },
+  
+  authButtonText: {
+    ...typography.caption,
+    color: colors.white,
+  },
+  
+  signOutButton: {
+    backgroundColor: colors.transparent,
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+  
+  signOutText: {
+    ...typography.caption,
+    color: colors.error,
+  },
+  
   pickerContainer: {
     borderWidth: 1,
     borderColor: colors.border,
@@ -617,6 +932,22 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
   },
   
+  deviceDetail: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: layout.spacing.xs,
+  },
+  
+  deviceDetailLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  
+  deviceDetailValue: {
+    ...typography.caption,
+    color: colors.textPrimary,
+  },
+  
   aboutSection: {
     alignItems: 'center',
   },
@@ -660,6 +991,17 @@ const styles = StyleSheet.create({
     marginLeft: layout.spacing.xxs,
   },
   
+  secondaryButton: {
+    marginTop: layout.spacing.xs,
+    backgroundColor: colors.backgroundLight,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  
+  secondaryButtonText: {
+    color: colors.primary,
+  },
+  
   resetButton: {
     backgroundColor: colors.backgroundLight,
     borderWidth: 1,
@@ -0,0 +1,315 @@
+/**
+ * Audio Chunk Stream
+ *
+ * Streams a recording to the server as a sequence of `audioChunk` frames
+ * (start, sequence-numbered data chunks, end) while the user is still speaking.
+ * Every chunk is also appended to a buffer file on disk so the utterance can be
+ * queued and replayed later if the socket is unavailable at any point.
+ *
+ * A replay from the buffer reuses the message ID, so it opens with a reset
+ * frame telling the server to drop any part of an earlier upload of the
+ * same recording (e.g. one cut short when the socket went away) before the
+ * new start frame.
+ *
+ * When the server speaks a protocol version with binary audio, data chunks
+ * are sent as binary frames rather than base64 in JSON; the start and end
+ * frames stay JSON.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import RNFS from 'react-native-fs';
+import { WS_MESSAGE_TYPES, AUDIO_CHUNK_PHASES, BINARY_FRAME_TYPES, AUDIO_CODECS } from '../utils/constants';
+import { encodeBinaryFrame } from '../utils/binaryFrame';
+import { decodeBase64 } from '../utils/base64';
+
+// Directory holding buffered recordings awaiting upload
+const BUFFER_DIR = `${RNFS.DocumentDirectoryPath}/audio-queue`;
+
+// Size in bytes of the chunks sent when replaying a buffered recording
+const REPLAY_CHUNK_SIZE = 16384;
+
+/**
+ * A single chunked audio upload
+ */
+export class AudioChunkStream {
+  /**
+   * Create a new audio stream
+   *
+   * @param {Object} options - Stream options
+   * @param {string} options.messageId - ID of the user message this recording belongs to
+   * @param {Function} options.send - Function that sends a frame object or binary frame and returns whether it was sent
+   * @param {Object} [options.metadata={}] - Extra fields for the start frame (userId, voice, ...)
+   * @param {Object} [options.format={}] - PCM format (sampleRate, channels, bitsPerSample)
+   * @param {boolean} [options.binary=false] - Send data chunks as binary frames
+   */
+  constructor({ messageId, send, metadata = {}, format = {}, binary = false }) {
+    this.messageId = messageId;
+    this.send = send;
+    this.metadata = metadata;
+    this.format = format;
+    this.binary = binary;
+    this.sequence = 0;
+    this.isLive = true;
+    this.isFinished = false;
+    this.audioPath = `${BUFFER_DIR}/${messageId}.pcm`;
+    this.writeQueue = RNFS.mkdir(BUFFER_DIR).catch(error => {
+      console.error('AudioChunkStream: Error creating buffer directory', error);
+    });
+  }
+
+  /**
+   * Send a frame while the stream is still live
+   *
+   * Once a frame fails to send, the rest of the upload is left to the replay.
+   *
+   * @param {Object|ArrayBuffer} frame - Frame to send
+   */
+  sendFrame(frame) {
+    if (!this.isLive) {
+      return;
+    }
+
+    try {
+      this.isLive = this.send(frame) === true;
+    } catch (error) {
+      console.warn('AudioChunkStream: Error sending frame', error);
+      this.isLive = false;
+    }
+  }
+
+  /**
+   * Send the start frame
+   */
+  start() {
+    this.sendFrame(buildStartFrame(this.messageId, this.metadata, this.format, this.binary));
+  }
+
+  /**
+   * Push a PCM chunk received from the recorder
+   *
+   * @param {string} chunkBase64 - Base64-encoded PCM chunk
+   */
+  push(chunkBase64) {
+    if (this.isFinished || !chunkBase64) {
+      return;
+    }
+
+    const sequence = this.sequence;
+    this.sequence += 1;
+
+    this.writeQueue = this.writeQueue
+      .then(() => RNFS.appendFile(this.audioPath, chunkBase64, 'base64'))
+      .catch(error => {
+        console.error('AudioChunkStream: Error buffering chunk', error);
+      });
+
+    this.sendFrame(buildChunkFrame(this.messageId, sequence, chunkBase64, this.binary));
+  }
+
+  /**
+   * Finish the stream
+   *
+   * @param {Object} [options] - Finish options
+   * @param {string} [options.transcription=''] - Local transcription of the recording
+   * @param {boolean} [options.keepBuffer=false] - Keep the buffer even if the stream was delivered live,
+   *   so it can be replayed should the server never acknowledge it
+   * @returns {Promise<Object>} Whether the whole stream was delivered live, and the buffer path
+   */
+  async finish({ transcription = '', keepBuffer = false } = {}) {
+    this.isFinished = true;
+    this.sendFrame(buildEndFrame(this.messageId, this.sequence, transcription));
+
+    await this.writeQueue;
+
+    if (this.isLive && !keepBuffer) {
+      await this.discard();
+    }
+
+    return {
+      streamed: this.isLive,
+      audioPath: this.audioPath,
+      chunkCount: this.sequence,
+    };
+  }
+
+  /**
+   * Delete the buffered recording
+   *
+   * @returns {Promise<void>} Promise that resolves when the buffer is removed
+   */
+  async discard() {
+    this.isFinished = true;
+    await this.writeQueue;
+    await removeBuffer(this.audioPath);
+  }
+
+  /**
+   * Replay a buffered recording as a fresh chunked upload
+   *
+   * A reset frame goes first, so the server restarts the upload rather than
+   * adding the replayed chunks to a partial one under the same message ID.
+   * The buffer is kept; remove it with `removeBuffer` once the server has
+   * acknowledged the recording.
+   *
+   * @param {Object} pending - Pending audio message
+   * @param {string} pending.messageId - ID of the user message
+   * @param {string} pending.audioPath - Path of the buffered PCM file
+   * @param {string} [pending.transcription=''] - Local transcription
+   * @param {Object} [pending.format={}] - PCM format
+   * @param {Function} send - Function that sends a frame object or binary frame and returns whether it was sent
+   * @param {Object} [metadata={}] - Extra fields for the start frame
+   * @param {Object} [options={}] - Replay options
+   * @param {boolean} [options.binary=false] - Send data chunks as binary frames
+   * @returns {Promise<boolean>} Whether every frame was sent
+   */
+  static async replay(pending, send, metadata = {}, { binary = false } = {}) {
+    const { messageId, audioPath, transcription = '', format = {} } = pending;
+
+    try {
+      const exists = await RNFS.exists(audioPath);
+
+      if (!exists) {
+        console.warn(`AudioChunkStream: Buffered recording ${audioPath} no longer exists`);
+        return false;
+      }
+
+      const { size } = await RNFS.stat(audioPath);
+
+      if (!send(buildResetFrame(messageId, metadata))) {
+        return false;
+      }
+
+      if (!send(buildStartFrame(messageId, metadata, format, binary))) {
+        return false;
+      }
+
+      let sequence = 0;
+      for (let position = 0; position < size; position += REPLAY_CHUNK_SIZE) {
+        const chunk = await RNFS.read(audioPath, REPLAY_CHUNK_SIZE, position, 'base64');
+
+        if (!send(buildChunkFrame(messageId, sequence, chunk, binary))) {
+          return false;
+        }
+
+        sequence += 1;
+      }
+
+      return send(buildEndFrame(messageId, sequence, transcription));
+    } catch (error) {
+      console.error('AudioChunkStream: Error replaying buffered recording', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a buffered recording
+   *
+   * @param {string} audioPath - Path of the buffered PCM file
+   * @returns {Promise<void>} Promise that resolves when the buffer is removed
+   */
+  static removeBuffer(audioPath) {
+    return removeBuffer(audioPath);
+  }
+}
+
+/**
+ * Build the frame that discards an earlier, possibly partial, upload of a recording
+ *
+ * @param {string} messageId - ID of the user message
+ * @param {Object} metadata - Extra frame fields
+ * @returns {Object} Reset frame
+ */
+const buildResetFrame = (messageId, metadata) => ({
+  type: WS_MESSAGE_TYPES.AUDIO_CHUNK,
+  phase: AUDIO_CHUNK_PHASES.RESET,
+  messageId,
+  clientId: metadata.clientId,
+  timestamp: Date.now(),
+});
+
+/**
+ * Build the frame that opens a chunked upload
+ *
+ * @param {string} messageId - ID of the user message
+ * @param {Object} metadata - Extra frame fields
+ * @param {Object} format - PCM format
+ * @param {boolean} binary - Whether data chunks follow as binary frames
+ * @returns {Object} Start frame
+ */
+const buildStartFrame = (messageId, metadata, format, binary) => ({
+  ...metadata,
+  type: WS_MESSAGE_TYPES.AUDIO_CHUNK,
+  phase: AUDIO_CHUNK_PHASES.START,
+  messageId,
+  binary,
+  encoding: 'pcm_s16le',
+  sampleRate: format.sampleRate,
+  channels: format.channels,
+  bitsPerSample: format.bitsPerSample,
+  timestamp: Date.now(),
+});
+
+/**
+ * Build a sequence-numbered data frame
+ *
+ * @param {string} messageId - ID of the user message
+ * @param {number} sequence - Zero-based chunk sequence number
+ * @param {string} audio - Base64-encoded PCM chunk
+ * @param {boolean} binary - Whether to build a binary frame
+ * @returns {Object|ArrayBuffer} Data frame
+ */
+const buildChunkFrame = (messageId, sequence, audio, binary) => {
+  if (binary) {
+    return encodeBinaryFrame({
+      type: BINARY_FRAME_TYPES.AUDIO_CHUNK,
+      codec: AUDIO_CODECS.PCM_S16LE,
+      sequence,
+      messageId,
+      payload: decodeBase64(audio),
+    });
+  }
+
+  return {
+    type: WS_MESSAGE_TYPES.AUDIO_CHUNK,
+    phase: AUDIO_CHUNK_PHASES.DATA,
+    messageId,
+    sequence,
+    audio,
+  };
+};
+
+/**
+ * Build the frame that closes a chunked upload
+ *
+ * @param {string} messageId - ID of the user message
+ * @param {number} chunkCount - Number of data frames sent
+ * @param {string} transcription - Local transcription
+ * @returns {Object} End frame
+ */
+const buildEndFrame = (messageId, chunkCount, transcription) => ({
+  type: WS_MESSAGE_TYPES.AUDIO_CHUNK,
+  phase: AUDIO_CHUNK_PHASES.END,
+  messageId,
+  chunkCount,
+  transcription,
+  timestamp: Date.now(),
+});
+
+/**
+ * Remove a buffer file if it exists
+ *
+ * @param {string} path - File path
+ */
+const removeBuffer = async (path) => {
+  try {
+    if (await RNFS.exists(path)) {
+      await RNFS.unlink(path);
+    }
+  } catch (error) {
+    console.warn('AudioChunkStream: Error removing buffer', error);
+  }
+};
+
+export default AudioChunkStream;
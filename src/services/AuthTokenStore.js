@@ -0,0 +1,84 @@
+/**
+ * Auth Token Store
+ *
+ * Keeps the WebSocket session tokens in the device keychain, apart from the
+ * settings and history in AsyncStorage, which aren't encrypted.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import * as Keychain from 'react-native-keychain';
+import { AUTH } from '../utils/constants';
+
+class AuthTokenStoreClass {
+  constructor() {
+    // Tokens as last loaded or saved; undefined until the keychain is read
+    this.tokens = undefined;
+  }
+
+  /**
+   * Load the stored tokens
+   *
+   * @returns {Promise<Object|null>} { token, refreshToken, expiresAt }, or null when signed out
+   */
+  async load() {
+    if (this.tokens !== undefined) {
+      return this.tokens;
+    }
+
+    try {
+      const credentials = await Keychain.getGenericPassword({ service: AUTH.KEYCHAIN_SERVICE });
+      this.tokens = credentials ? JSON.parse(credentials.password) : null;
+      return this.tokens;
+    } catch (error) {
+      console.error('Error loading auth tokens:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store tokens, replacing any stored before
+   *
+   * @param {Object} tokens - Tokens to store
+   * @param {string} tokens.token - Session token sent when connecting
+   * @param {string} [tokens.refreshToken] - Token used to get a new session token
+   * @param {number} [tokens.expiresAt] - When the session token expires, in ms since the epoch
+   * @returns {Promise<boolean>} Whether the tokens were stored
+   */
+  async save({ token, refreshToken = null, expiresAt = null }) {
+    try {
+      const tokens = { token, refreshToken, expiresAt };
+
+      // Readable after the first unlock, so the app can reconnect in the background
+      await Keychain.setGenericPassword('session', JSON.stringify(tokens), {
+        service: AUTH.KEYCHAIN_SERVICE,
+        accessible: Keychain.ACCESSIBLE.AFTER_FIRST_UNLOCK,
+      });
+
+      this.tokens = tokens;
+      return true;
+    } catch (error) {
+      console.error('Error saving auth tokens:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the stored tokens
+   *
+   * @returns {Promise<boolean>} Whether the tokens were removed
+   */
+  async clear() {
+    try {
+      await Keychain.resetGenericPassword({ service: AUTH.KEYCHAIN_SERVICE });
+      this.tokens = null;
+      return true;
+    } catch (error) {
+      console.error('Error clearing auth tokens:', error);
+      return false;
+    }
+  }
+}
+
+export const AuthTokenStore = new AuthTokenStoreClass();
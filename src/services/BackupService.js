@@ -0,0 +1,263 @@
+/**
+ * Backup Service
+ *
+ * Backs up the app's data to a file and restores it, e.g. on a new phone.
+ * The data is read from and written to the same storage the app uses (see
+ * STORAGE_KEYS): settings, the thread index with every stored message of
+ * each thread, known Bluetooth devices, and the messages in the outbox.
+ * Recordings buffered for upload stay on the device that made them, so
+ * messages waiting with one aren't backed up.
+ *
+ * A backup file is written to the app's documents and the file itself is
+ * handed to the OS share sheet (react-native-share passes it to other apps
+ * through a content URI on Android). The app's documents are deleted with the
+ * app, so on Android a copy is also saved to Downloads. Backups are restored
+ * from the app's documents, from Downloads on Android, or from any file the
+ * user picks, which is how a backup saved before reinstalling is found.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+import Share from 'react-native-share';
+import DocumentPicker, { types } from 'react-native-document-picker';
+import { StorageService } from './StorageService';
+import { OUTBOX_KINDS } from './MessageOutbox';
+import {
+  createBackup,
+  getBackupFileName,
+  parseBackup,
+  mergeBackup,
+  describeChanges,
+} from '../utils/backup';
+import { STORAGE_KEYS, DEFAULT_SETTINGS } from '../utils/constants';
+
+const BACKUP_DIR = Platform.select({
+  ios: RNFS.DocumentDirectoryPath,
+  android: RNFS.ExternalDirectoryPath || RNFS.DocumentDirectoryPath,
+});
+
+/**
+ * Backs up and restores the app's data
+ */
+export class BackupService {
+  /**
+   * Create a backup service
+   *
+   * @param {Object} options - Service options
+   * @param {ThreadStore} options.threadStore - Storage of the threads and their messages
+   * @param {Function} [options.getPendingMessages] - Returns the outbox entries awaiting delivery
+   */
+  constructor({ threadStore, getPendingMessages = () => [] }) {
+    this.threadStore = threadStore;
+    this.getPendingMessages = getPendingMessages;
+  }
+
+  /**
+   * Read the app's data as stored
+   *
+   * @returns {Promise<Object>} { settings, threads, activeThreadId, devices, pendingMessages } with each thread's messages
+   */
+  async readData() {
+    const settings = await StorageService.loadData(STORAGE_KEYS.SETTINGS, {});
+    const index = await StorageService.loadData(STORAGE_KEYS.THREADS);
+    const devices = await StorageService.loadData(STORAGE_KEYS.BLUETOOTH_DEVICES, []);
+    const threads = [];
+
+    for (const thread of (index && Array.isArray(index.threads) ? index.threads : [])) {
+      threads.push({ ...thread, messages: await this.threadStore.loadAll(thread.id) });
+    }
+
+    return {
+      settings: { ...DEFAULT_SETTINGS, ...settings },
+      threads,
+      activeThreadId: index ? index.activeThreadId : null,
+      devices: Array.isArray(devices) ? devices : [],
+      pendingMessages: this.getPendingMessages(),
+    };
+  }
+
+  /**
+   * Write a backup file, save a copy that outlives the app, and open the share sheet
+   *
+   * @returns {Promise<Object>} { path, savedPath, shared } where savedPath is null if no copy was saved and shared is false if the share sheet was dismissed
+   */
+  async createBackupFile() {
+    const createdAt = Date.now();
+    const data = await this.readData();
+    const content = JSON.stringify(createBackup({
+      ...data,
+      pendingMessages: data.pendingMessages.filter(entry => entry.kind !== OUTBOX_KINDS.AUDIO),
+    }, createdAt));
+    const fileName = getBackupFileName(createdAt);
+    const path = `${BACKUP_DIR}/${fileName}`;
+
+    await RNFS.writeFile(path, content, 'utf8');
+
+    const savedPath = await this.saveCopy(path, fileName);
+
+    const result = await Share.open({
+      url: `file://${path}`,
+      type: 'application/json',
+      filename: fileName,
+      title: 'AIR-assist Backup',
+      subject: 'AIR-assist Backup',
+      failOnCancel: false,
+    });
+
+    return { path, savedPath, shared: Boolean(result && result.success) };
+  }
+
+  /**
+   * Copy a backup file to Downloads, which is kept when the app is uninstalled
+   *
+   * Only Android has such a folder the app can write to; on iOS the share
+   * sheet's Save to Files does the same.
+   *
+   * @param {string} path - Path of the backup file
+   * @param {string} fileName - Name of the backup file
+   * @returns {Promise<string|null>} Path of the copy, or null if none was saved
+   */
+  async saveCopy(path, fileName) {
+    if (Platform.OS !== 'android' || !RNFS.DownloadDirectoryPath) {
+      return null;
+    }
+
+    const savedPath = `${RNFS.DownloadDirectoryPath}/${fileName}`;
+
+    try {
+      await RNFS.copyFile(path, savedPath);
+      return savedPath;
+    } catch (error) {
+      // The share sheet still lets the user keep the backup
+      console.error('BackupService: Error saving a copy to Downloads', error);
+      return null;
+    }
+  }
+
+  /**
+   * List the files a backup can be restored from
+   *
+   * @returns {Promise<Array<Object>>} JSON files ({ name, path, size, modifiedAt }), newest first
+   */
+  async listBackupFiles() {
+    const directories = Platform.OS === 'android'
+      ? [BACKUP_DIR, RNFS.DownloadDirectoryPath]
+      : [BACKUP_DIR];
+    const files = [];
+
+    for (const directory of directories) {
+      try {
+        const items = await RNFS.readDir(directory);
+
+        items
+          .filter(item => item.isFile() && item.name.toLowerCase().endsWith('.json'))
+          .forEach(item => files.push({
+            name: item.name,
+            path: item.path,
+            size: Number(item.size) || 0,
+            modifiedAt: item.mtime ? item.mtime.getTime() : 0,
+          }));
+      } catch (error) {
+        console.error(`BackupService: Error listing ${directory}`, error);
+      }
+    }
+
+    return files.sort((a, b) => b.modifiedAt - a.modifiedAt);
+  }
+
+  /**
+   * Read a backup file, migrating it to the current layout
+   *
+   * @param {string} path - Path of the file
+   * @returns {Promise<Object>} Valid backup; rejects if the file isn't a backup the app can restore
+   */
+  async readBackupFile(path) {
+    return parseBackup(await RNFS.readFile(path, 'utf8'));
+  }
+
+  /**
+   * Let the user pick a backup file from anywhere the OS file picker reaches
+   *
+   * The picked file is copied to the app's caches, so it can be read like
+   * the listed files.
+   *
+   * @returns {Promise<Object|null>} { name, path } of the copy, or null if the picker was dismissed
+   */
+  async pickBackupFile() {
+    try {
+      const file = await DocumentPicker.pickSingle({
+        type: [types.json, types.plainText],
+        copyTo: 'cachesDirectory',
+      });
+
+      if (!file.fileCopyUri) {
+        throw new Error(file.copyError || 'The file could not be opened.');
+      }
+
+      return {
+        name: file.name || 'Backup file',
+        path: decodeURIComponent(file.fileCopyUri.replace(/^file:\/\//, '')),
+      };
+    } catch (error) {
+      if (DocumentPicker.isCancel(error)) {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Work out what restoring a backup would store
+   *
+   * @param {Object} backup - Valid backup
+   * @param {string} mode - One of RESTORE_MODES
+   * @returns {Promise<Object>} { current, next, changes }, see mergeBackup and describeChanges
+   */
+  async previewRestore(backup, mode) {
+    const current = await this.readData();
+    const next = mergeBackup(current, backup, mode);
+
+    return { current, next, changes: describeChanges(current, next) };
+  }
+
+  /**
+   * Store restored data in place of the current data
+   *
+   * Only threads whose messages change are written. Pending messages aren't
+   * stored here; the outbox takes them (see MessageOutbox.replaceEntries).
+   *
+   * @param {Object} current - Data read by previewRestore
+   * @param {Object} next - Data to store, from previewRestore
+   * @returns {Promise<void>} Promise that resolves once everything is stored
+   */
+  async applyRestore(current, next) {
+    const previousMessages = new Map(current.threads.map(thread => [thread.id, thread.messages]));
+    const nextIds = new Set(next.threads.map(thread => thread.id));
+
+    await StorageService.saveData(STORAGE_KEYS.SETTINGS, next.settings);
+
+    for (const thread of current.threads) {
+      if (!nextIds.has(thread.id)) {
+        await this.threadStore.removeMessages(thread.id);
+      }
+    }
+
+    for (const thread of next.threads) {
+      if (previousMessages.get(thread.id) !== thread.messages) {
+        await this.threadStore.replaceMessages(thread.id, thread.messages);
+      }
+    }
+
+    await this.threadStore.saveIndex(
+      next.threads.map(({ messages, ...thread }) => thread),
+      next.activeThreadId
+    );
+    await StorageService.saveData(STORAGE_KEYS.BLUETOOTH_DEVICES, next.devices);
+  }
+}
+
+export default BackupService;
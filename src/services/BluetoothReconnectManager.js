@@ -0,0 +1,218 @@
+/**
+ * Bluetooth Reconnect Manager
+ *
+ * Reconnects to recently used headsets after the link drops or Bluetooth is
+ * switched back on. Each round tries the most recent devices in turn; rounds
+ * are spaced with exponential backoff until one succeeds or the attempt
+ * limit is reached.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { getBackoffDelay } from '../utils/backoff';
+import { TIME, BLE_RECONNECT, RECONNECT_STATES, FEATURES } from '../utils/constants';
+
+/**
+ * Reconnects to previously used devices
+ */
+export class BluetoothReconnectManager {
+  /**
+   * Create a reconnect manager
+   *
+   * @param {Object} options - Manager options
+   * @param {Function} options.connect - Connects to a device ID; resolves on success, rejects on failure
+   * @param {Function} options.getDevices - Returns previously connected devices, most recent first
+   * @param {Function} [options.onStatusChange] - Called with the status whenever it changes
+   * @param {number} [options.maxAttempts=BLE_RECONNECT.MAX_ATTEMPTS] - Rounds before giving up
+   * @param {number} [options.maxDevices=BLE_RECONNECT.MAX_DEVICES] - Devices tried in each round
+   * @param {number} [options.initialDelay=TIME.BLE_RECONNECT_INITIAL_DELAY] - Delay before the first round, in ms
+   * @param {number} [options.maxDelay=TIME.BLE_RECONNECT_MAX_DELAY] - Upper bound for the delay, in ms
+   */
+  constructor({
+    connect,
+    getDevices,
+    onStatusChange = () => {},
+    maxAttempts = BLE_RECONNECT.MAX_ATTEMPTS,
+    maxDevices = BLE_RECONNECT.MAX_DEVICES,
+    initialDelay = TIME.BLE_RECONNECT_INITIAL_DELAY,
+    maxDelay = TIME.BLE_RECONNECT_MAX_DELAY,
+  }) {
+    this.connect = connect;
+    this.getDevices = getDevices;
+    this.onStatusChange = onStatusChange;
+    this.maxAttempts = maxAttempts;
+    this.maxDevices = maxDevices;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.timer = null;
+    this.status = createStatus(RECONNECT_STATES.IDLE);
+  }
+
+  /**
+   * Start reconnecting, unless already doing so
+   *
+   * @param {string} reason - Why reconnection started (for logging)
+   * @returns {boolean} Whether a new reconnection was started
+   */
+  start(reason) {
+    if (this.isActive()) {
+      return false;
+    }
+
+    if (this.getCandidates().length === 0) {
+      return false;
+    }
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`BluetoothReconnectManager: Reconnecting (${reason})`);
+    }
+
+    this.scheduleAttempt(0);
+    return true;
+  }
+
+  /**
+   * Stop reconnecting and cancel any pending attempt
+   */
+  stop() {
+    this.clearTimer();
+
+    if (this.status.state !== RECONNECT_STATES.IDLE) {
+      this.setStatus(createStatus(RECONNECT_STATES.IDLE));
+    }
+  }
+
+  /**
+   * Whether a reconnection is in progress
+   *
+   * @returns {boolean} True while waiting for or making an attempt
+   */
+  isActive() {
+    return this.status.state === RECONNECT_STATES.WAITING
+      || this.status.state === RECONNECT_STATES.CONNECTING;
+  }
+
+  /**
+   * Get the current status
+   *
+   * @returns {Object} { state, attempt, maxAttempts, nextAttemptAt, deviceId }
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Devices to try, most recent first
+   *
+   * @returns {Array<Object>} Candidate devices
+   */
+  getCandidates() {
+    return (this.getDevices() || []).slice(0, this.maxDevices);
+  }
+
+  /**
+   * Wait for the backoff delay, then make an attempt
+   *
+   * @param {number} attempt - Zero-based attempt number
+   */
+  scheduleAttempt(attempt) {
+    this.clearTimer();
+
+    const delay = getBackoffDelay(attempt, {
+      initialDelay: this.initialDelay,
+      maxDelay: this.maxDelay,
+    });
+
+    this.setStatus(createStatus(RECONNECT_STATES.WAITING, {
+      attempt: attempt + 1,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: Date.now() + delay,
+    }));
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.attempt(attempt);
+    }, delay);
+  }
+
+  /**
+   * Try each candidate device in turn
+   *
+   * @param {number} attempt - Zero-based attempt number
+   */
+  async attempt(attempt) {
+    for (const device of this.getCandidates()) {
+      // Stopped while a previous device was being tried
+      if (!this.isActive()) {
+        return;
+      }
+
+      this.setStatus(createStatus(RECONNECT_STATES.CONNECTING, {
+        attempt: attempt + 1,
+        maxAttempts: this.maxAttempts,
+        deviceId: device.id,
+      }));
+
+      try {
+        await this.connect(device.id);
+        this.stop();
+        return;
+      } catch (error) {
+        console.warn(`BluetoothReconnectManager: Attempt ${attempt + 1} to ${device.id} failed`, error);
+      }
+    }
+
+    if (!this.isActive()) {
+      return;
+    }
+
+    if (attempt + 1 >= this.maxAttempts) {
+      this.setStatus(createStatus(RECONNECT_STATES.GAVE_UP, {
+        attempt: attempt + 1,
+        maxAttempts: this.maxAttempts,
+      }));
+      return;
+    }
+
+    this.scheduleAttempt(attempt + 1);
+  }
+
+  /**
+   * Cancel the pending attempt, if any
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Update the status and notify the listener
+   *
+   * @param {Object} status - New status
+   */
+  setStatus(status) {
+    this.status = status;
+    this.onStatusChange(status);
+  }
+}
+
+/**
+ * Build a status object
+ *
+ * @param {string} state - One of RECONNECT_STATES
+ * @param {Object} [fields={}] - attempt, maxAttempts, nextAttemptAt, deviceId
+ * @returns {Object} Status
+ */
+const createStatus = (state, fields = {}) => ({
+  state,
+  attempt: 0,
+  maxAttempts: 0,
+  nextAttemptAt: null,
+  deviceId: null,
+  ...fields,
+});
+
+export default BluetoothReconnectManager;
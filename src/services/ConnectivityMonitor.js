@@ -0,0 +1,106 @@
+/**
+ * Connectivity Monitor
+ *
+ * Tracks whether the device has a network connection, and of which type.
+ * Network changes come from NetInfo's change events; the listener hears only
+ * of changes. When the state can't be determined, the connection is
+ * reported as unknown (isConnected is null) rather than offline, so a
+ * failing check never stops the app from trying to connect.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import NetInfo from '@react-native-community/netinfo';
+import { FEATURES } from '../utils/constants';
+
+/**
+ * Watches network availability
+ */
+export class ConnectivityMonitor {
+  /**
+   * Create a connectivity monitor
+   *
+   * @param {Object} [options={}] - Monitor options
+   * @param {Function} [options.onChange] - Called with { isConnected, type } whenever either changes; isConnected is null when unknown
+   */
+  constructor({ onChange = () => {} } = {}) {
+    this.onChange = onChange;
+    this.unsubscribe = null;
+
+    // Unknown until NetInfo reports the first state
+    this.status = { isConnected: null, type: 'unknown' };
+  }
+
+  /**
+   * Listen for network changes
+   */
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+
+    // NetInfo calls the listener with the current state right away, then on every change
+    this.unsubscribe = NetInfo.addEventListener(state => this.update(state));
+  }
+
+  /**
+   * Stop listening for network changes
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Check the network now and notify the listener if anything changed
+   *
+   * @returns {Promise<Object>} { isConnected, type }
+   */
+  async check() {
+    try {
+      this.update(await NetInfo.fetch());
+    } catch (error) {
+      console.error('ConnectivityMonitor: Error checking the network', error);
+      this.update({ isConnected: null, type: 'unknown' });
+    }
+
+    return this.status;
+  }
+
+  /**
+   * Take a NetInfo state, notifying the listener if it changed
+   *
+   * @param {Object} state - NetInfo state
+   */
+  update(state) {
+    // NetInfo reports null while it can't tell
+    const isConnected = typeof state.isConnected === 'boolean' ? state.isConnected : null;
+    const type = state.type || 'unknown';
+
+    if (isConnected === this.status.isConnected && type === this.status.type) {
+      return;
+    }
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      const description = isConnected === null ? 'Unknown' : (isConnected ? 'Online' : 'Offline');
+      console.log(`ConnectivityMonitor: ${description} (${type})`);
+    }
+
+    this.status = { isConnected, type };
+    this.onChange(this.status);
+  }
+
+  /**
+   * Get the last known network status
+   *
+   * @returns {Object} { isConnected, type }; isConnected is null when unknown
+   */
+  getStatus() {
+    return this.status;
+  }
+}
+
+export default ConnectivityMonitor;
@@ -0,0 +1,48 @@
+/**
+ * Export Service
+ *
+ * Writes a conversation to a file in the app's cache and hands it to the OS
+ * share sheet. React Native's share API can only attach files on iOS, so on
+ * Android the contents are shared as text; the file is written either way.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { Platform, Share } from 'react-native';
+import RNFS from 'react-native-fs';
+import { formatConversation, getExportFileName } from '../utils/conversationExport';
+import { getThreadTitle } from '../utils/threads';
+
+const EXPORT_DIR = `${RNFS.CachesDirectoryPath}/exports`;
+
+class ExportServiceClass {
+  /**
+   * Export a conversation and open the share sheet
+   *
+   * @param {Object} thread - Thread summary
+   * @param {Array} messages - Every message of the thread, oldest first
+   * @param {string} format - One of EXPORT_FORMATS
+   * @returns {Promise<Object>} { path, shared } where shared is false if the share sheet was dismissed
+   */
+  async exportConversation(thread, messages, format) {
+    const exportedAt = Date.now();
+    const title = getThreadTitle(thread);
+    const content = formatConversation(thread, messages, format, exportedAt);
+    const path = `${EXPORT_DIR}/${getExportFileName(thread, format, exportedAt)}`;
+
+    await RNFS.mkdir(EXPORT_DIR);
+    await RNFS.writeFile(path, content, 'utf8');
+
+    const result = await Share.share(
+      Platform.OS === 'ios'
+        ? { url: `file://${path}`, title }
+        : { message: content, title },
+      { subject: title, dialogTitle: 'Export Conversation' }
+    );
+
+    return { path, shared: result.action === Share.sharedAction };
+  }
+}
+
+export const ExportService = new ExportServiceClass();
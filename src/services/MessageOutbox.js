@@ -0,0 +1,673 @@
+/**
+ * Message Outbox
+ *
+ * Durable queue of user messages on their way to the server. Every message
+ * gets a client id that travels with its frames, and stays in the outbox
+ * until the server acknowledges it (an `ack` frame with the client id, or
+ * the start of the answer). Messages that can't be sent, or aren't
+ * acknowledged in time, are retried with exponential backoff and marked
+ * failed once they outlive the TTL; failed messages stay in the outbox
+ * until the user retries them.
+ *
+ * The queue is persisted, so messages survive app restarts, and drained in
+ * order at a limited rate once the socket is back.
+ *
+ * A message sent live is tracked only once its last frame is out, and the
+ * server may acknowledge it before that. Acknowledgements that match no entry
+ * are kept for a while and applied when the message is tracked.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { AudioChunkStream } from './AudioChunkStream';
+import { StorageService } from './StorageService';
+import { getBackoffDelay } from '../utils/backoff';
+import { generateId } from '../utils/helpers';
+import { STORAGE_KEYS, WS_MESSAGE_TYPES, OUTBOX, MESSAGE_STATUS } from '../utils/constants';
+
+/**
+ * Kinds of queued message
+ */
+export const OUTBOX_KINDS = {
+  TEXT: 'text',
+  AUDIO: 'audio', // Buffered recording, replayed as a chunked upload
+  LEGACY_AUDIO: 'legacyAudio', // Base64 recording queued before chunked uploads
+};
+
+/**
+ * Delivery states of a queued message, named as the message statuses they show as
+ */
+export const OUTBOX_STATES = {
+  QUEUED: MESSAGE_STATUS.QUEUED, // Waiting to be sent
+  SENDING: MESSAGE_STATUS.SENDING,
+  SENT: MESSAGE_STATUS.SENT, // Waiting for the server to acknowledge it
+  FAILED: MESSAGE_STATUS.FAILED, // Expired; waiting for the user to retry it
+};
+
+/**
+ * Queue of messages awaiting delivery
+ */
+export class MessageOutbox {
+  /**
+   * Create an outbox
+   *
+   * @param {Object} options - Outbox options
+   * @param {Function} options.send - Sends a frame object and returns whether it was sent
+   * @param {Function} [options.getMetadata] - Returns the fields sent with every message (userId, voice, ...)
+   * @param {Function} [options.onChange] - Called with the entries whenever they change
+   * @param {Function} [options.onExpire] - Called with each entry that failed after the TTL
+   * @param {Function} [options.onStatusChange] - Called with a message id, its MESSAGE_STATUS and its entry as delivery progresses
+   * @param {Function} [options.useBinaryAudio] - Returns whether recordings are uploaded as binary frames
+   * @param {string} [options.storageKey=STORAGE_KEYS.PENDING_MESSAGES] - Storage key of the queue
+   */
+  constructor({
+    send,
+    getMetadata = () => ({}),
+    onChange = () => {},
+    onExpire = () => {},
+    onStatusChange = () => {},
+    useBinaryAudio = () => false,
+    storageKey = STORAGE_KEYS.PENDING_MESSAGES,
+  }) {
+    this.send = send;
+    this.getMetadata = getMetadata;
+    this.onChange = onChange;
+    this.onExpire = onExpire;
+    this.onStatusChange = onStatusChange;
+    this.useBinaryAudio = useBinaryAudio;
+    this.storageKey = storageKey;
+    this.entries = [];
+    this.isLoaded = false;
+    this.isConnected = false;
+    this.isDraining = false;
+    this.timer = null;
+
+    // Acknowledgements that matched no entry, newest last: { clientId } or { messageId }
+    this.earlyAcks = [];
+  }
+
+  /**
+   * Restore the persisted queue
+   *
+   * Entries queued in the meantime are kept.
+   *
+   * @returns {Promise<Array<Object>>} Entries after loading
+   */
+  async load() {
+    const saved = await StorageService.loadData(this.storageKey, []);
+    const restored = (Array.isArray(saved) ? saved : []).map(restoreEntry);
+    const known = new Set(this.entries.map(entry => entry.clientId));
+
+    this.entries = [...restored.filter(entry => !known.has(entry.clientId)), ...this.entries]
+      .sort((a, b) => a.createdAt - b.createdAt);
+    this.isLoaded = true;
+
+    restored.forEach(entry => this.onStatusChange(entry.messageId, entry.state, entry));
+
+    this.expire();
+    this.save();
+    this.drain();
+
+    return this.entries;
+  }
+
+  /**
+   * Queue a message for delivery
+   *
+   * @param {Object} message - Message to queue
+   * @param {string} message.kind - One of OUTBOX_KINDS
+   * @param {string} message.messageId - ID of the user message in the conversation
+   * @param {string} [message.threadId] - ID of the thread the message was written in
+   * @param {string} [message.clientId] - Client id, when already sent with live frames
+   * @returns {string} Client id of the entry
+   */
+  enqueue(message) {
+    const entry = this.add(message, OUTBOX_STATES.QUEUED);
+    this.drain();
+    return entry.clientId;
+  }
+
+  /**
+   * Track a message already sent live, so it is resent if never acknowledged
+   *
+   * @param {Object} message - Sent message, as for enqueue
+   * @returns {string} Client id of the entry
+   */
+  track(message) {
+    const earlyAck = this.earlyAcks.findIndex(ack => (
+      (message.clientId && ack.clientId === message.clientId) || ack.messageId === message.messageId
+    ));
+
+    // Already acknowledged while its last frames were going out
+    if (earlyAck !== -1) {
+      this.earlyAcks.splice(earlyAck, 1);
+
+      if (message.audioPath) {
+        AudioChunkStream.removeBuffer(message.audioPath);
+      }
+
+      this.onStatusChange(message.messageId, MESSAGE_STATUS.SENT, message);
+      return message.clientId;
+    }
+
+    const entry = this.add(message, OUTBOX_STATES.SENT);
+    return entry.clientId;
+  }
+
+  /**
+   * Handle the server acknowledging a message
+   *
+   * @param {string} clientId - Client id from the `ack` frame
+   * @returns {boolean} Whether a queued message was acknowledged
+   */
+  ack(clientId) {
+    return this.acknowledge(entry => entry.clientId === clientId, { clientId });
+  }
+
+  /**
+   * Handle the server answering a message, which implies it was delivered
+   *
+   * @param {string} messageId - ID of the answered user message
+   * @returns {boolean} Whether a queued message was acknowledged
+   */
+  ackMessage(messageId) {
+    return this.acknowledge(entry => entry.messageId === messageId, { messageId });
+  }
+
+  /**
+   * Send a failed message again
+   *
+   * The message gets a fresh TTL and keeps its place in the queue.
+   *
+   * @param {string} messageId - ID of the failed user message
+   * @returns {boolean} Whether a failed message was found
+   */
+  retry(messageId) {
+    const entry = this.entries.find(candidate => (
+      candidate.messageId === messageId && candidate.state === OUTBOX_STATES.FAILED
+    ));
+
+    if (!entry) {
+      return false;
+    }
+
+    const now = Date.now();
+    this.update(entry.clientId, {
+      state: OUTBOX_STATES.QUEUED,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      sentAt: null,
+    });
+
+    this.schedule();
+    this.drain();
+    return true;
+  }
+
+  /**
+   * Drop the failed messages, with their buffered recordings
+   *
+   * @param {string} [threadId] - Only drop those written in this thread
+   * @returns {boolean} Whether any message was dropped
+   */
+  removeFailed(threadId) {
+    return this.remove(entry => (
+      entry.state === OUTBOX_STATES.FAILED && (!threadId || entry.threadId === threadId)
+    ));
+  }
+
+  /**
+   * Drop the messages of a thread, with their buffered recordings
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {boolean} Whether any message was dropped
+   */
+  removeThread(threadId) {
+    return this.remove(entry => entry.threadId === threadId);
+  }
+
+  /**
+   * Replace the queue, e.g. when restoring a backup
+   *
+   * Entries left out are dropped with their buffered recordings.
+   *
+   * @param {Array<Object>} entries - Entries to queue, as persisted
+   */
+  replaceEntries(entries) {
+    const kept = new Set(entries.map(entry => entry.clientId));
+    this.remove(entry => !kept.has(entry.clientId));
+
+    const known = new Set(this.entries.map(entry => entry.clientId));
+    const added = entries.filter(entry => !known.has(entry.clientId)).map(restoreEntry);
+
+    this.entries = [...this.entries, ...added].sort((a, b) => a.createdAt - b.createdAt);
+    added.forEach(entry => this.onStatusChange(entry.messageId, entry.state, entry));
+
+    this.expire();
+    this.save();
+    this.schedule();
+    this.drain();
+  }
+
+  /**
+   * Update the connection state
+   *
+   * Unacknowledged messages are resent once the socket is back, since their
+   * acknowledgement may have been lost with the connection.
+   *
+   * @param {boolean} isConnected - Whether the socket is open
+   */
+  setConnected(isConnected) {
+    this.isConnected = isConnected;
+
+    if (!isConnected) {
+      this.entries
+        .filter(entry => entry.state === OUTBOX_STATES.SENDING || entry.state === OUTBOX_STATES.SENT)
+        .forEach(entry => this.update(entry.clientId, { state: OUTBOX_STATES.QUEUED }));
+      return;
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Send queued messages in order, one at a time
+   *
+   * Stops at the first message that fails or isn't due for a retry yet, so
+   * messages are never sent out of order.
+   *
+   * @returns {Promise<void>} Promise that resolves when draining stops
+   */
+  async drain() {
+    if (this.isDraining || !this.isConnected) {
+      return;
+    }
+
+    this.isDraining = true;
+
+    try {
+      let entry = this.nextQueued();
+
+      while (entry && this.isConnected && entry.nextAttemptAt <= Date.now()) {
+        const sent = await this.transmit(entry);
+
+        if (!sent) {
+          break;
+        }
+
+        entry = this.nextQueued();
+
+        if (entry) {
+          await wait(OUTBOX.DRAIN_INTERVAL);
+        }
+      }
+    } finally {
+      this.isDraining = false;
+      this.schedule();
+    }
+  }
+
+  /**
+   * Send one entry
+   *
+   * @param {Object} entry - Entry to send
+   * @returns {Promise<boolean>} Whether every frame was sent
+   */
+  async transmit(entry) {
+    this.update(entry.clientId, { state: OUTBOX_STATES.SENDING });
+
+    let sent = false;
+
+    try {
+      // A message belongs to the thread it was written in, whichever thread is open now
+      const metadata = entry.threadId
+        ? { ...this.getMetadata(), threadId: entry.threadId }
+        : this.getMetadata();
+
+      sent = await sendEntry(entry, this.send, metadata, this.useBinaryAudio());
+    } catch (error) {
+      console.error('MessageOutbox: Error sending message', error);
+    }
+
+    // Acknowledged or dropped while sending
+    if (!this.find(entry.clientId)) {
+      return sent;
+    }
+
+    if (sent) {
+      this.update(entry.clientId, { state: OUTBOX_STATES.SENT, sentAt: Date.now() });
+    } else {
+      this.retryLater(entry.clientId);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Put an entry back in the queue with a backoff delay
+   *
+   * @param {string} clientId - Client id of the entry
+   */
+  retryLater(clientId) {
+    const entry = this.find(clientId);
+    const attempts = entry.attempts + 1;
+
+    this.update(clientId, {
+      state: OUTBOX_STATES.QUEUED,
+      attempts,
+      nextAttemptAt: Date.now() + getBackoffDelay(attempts - 1, {
+        initialDelay: OUTBOX.RETRY_INITIAL_DELAY,
+        maxDelay: OUTBOX.RETRY_MAX_DELAY,
+      }),
+    });
+  }
+
+  /**
+   * Wake up for the next retry, acknowledgement timeout or expiry
+   */
+  schedule() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const dueTimes = this.entries.filter(entry => entry.state !== OUTBOX_STATES.FAILED).map(entry => {
+      const expiresAt = entry.createdAt + OUTBOX.MESSAGE_TTL;
+
+      if (entry.state === OUTBOX_STATES.SENT) {
+        return Math.min(expiresAt, entry.sentAt + OUTBOX.ACK_TIMEOUT);
+      }
+
+      return this.isConnected ? Math.min(expiresAt, entry.nextAttemptAt) : expiresAt;
+    });
+
+    if (dueTimes.length === 0) {
+      return;
+    }
+
+    const delay = Math.max(0, Math.min(...dueTimes) - Date.now());
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.tick();
+    }, delay);
+  }
+
+  /**
+   * Expire old entries, requeue unacknowledged ones and carry on draining
+   */
+  tick() {
+    this.expire();
+
+    const now = Date.now();
+    this.entries
+      .filter(entry => entry.state === OUTBOX_STATES.SENT && now - entry.sentAt >= OUTBOX.ACK_TIMEOUT)
+      .forEach(entry => this.retryLater(entry.clientId));
+
+    if (this.isConnected && !this.isDraining) {
+      this.drain();
+    } else {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Mark entries older than the TTL as failed
+   */
+  expire() {
+    const now = Date.now();
+    const expired = this.entries.filter(entry => (
+      entry.state !== OUTBOX_STATES.FAILED && now - entry.createdAt >= OUTBOX.MESSAGE_TTL
+    ));
+
+    expired.forEach((entry) => {
+      console.warn(`MessageOutbox: Message ${entry.messageId} expired before delivery`);
+      this.update(entry.clientId, { state: OUTBOX_STATES.FAILED });
+      this.onExpire(entry);
+    });
+  }
+
+  /**
+   * Get the queued entries, oldest first
+   *
+   * @returns {Array<Object>} Entries
+   */
+  getEntries() {
+    return this.entries;
+  }
+
+  /**
+   * Stop the outbox timers; the queue stays persisted
+   */
+  destroy() {
+    this.isConnected = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Add an entry
+   *
+   * @param {Object} message - Message fields
+   * @param {string} state - Initial state
+   * @returns {Object} The new entry
+   */
+  add(message, state) {
+    const now = Date.now();
+    const entry = {
+      ...message,
+      clientId: message.clientId || generateId(),
+      state,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      sentAt: state === OUTBOX_STATES.SENT ? now : null,
+    };
+
+    this.entries = [...this.entries, entry];
+    this.save();
+    this.schedule();
+    this.onStatusChange(entry.messageId, state, entry);
+
+    return entry;
+  }
+
+  /**
+   * Find an entry
+   *
+   * @param {string} clientId - Client id
+   * @returns {Object|undefined} Entry
+   */
+  find(clientId) {
+    return this.entries.find(entry => entry.clientId === clientId);
+  }
+
+  /**
+   * Oldest entry waiting to be sent
+   *
+   * @returns {Object|undefined} Entry
+   */
+  nextQueued() {
+    return this.entries.find(entry => entry.state === OUTBOX_STATES.QUEUED);
+  }
+
+  /**
+   * Update fields of an entry
+   *
+   * @param {string} clientId - Client id
+   * @param {Object} fields - Fields to change
+   */
+  update(clientId, fields) {
+    const previous = this.find(clientId);
+
+    this.entries = this.entries.map(entry => (
+      entry.clientId === clientId ? { ...entry, ...fields } : entry
+    ));
+    this.save();
+
+    if (previous && fields.state && fields.state !== previous.state) {
+      this.onStatusChange(previous.messageId, fields.state, previous);
+    }
+  }
+
+  /**
+   * Remove the acknowledged entries matching a predicate
+   *
+   * An acknowledgement that matches nothing is kept for track().
+   *
+   * @param {Function} predicate - Called with each entry
+   * @param {Object} ack - { clientId } or { messageId } of the acknowledgement
+   * @returns {boolean} Whether any entry was acknowledged
+   */
+  acknowledge(predicate, ack) {
+    const acknowledged = this.entries.filter(predicate);
+
+    if (!this.remove(predicate)) {
+      this.earlyAcks = [...this.earlyAcks, ack].slice(-OUTBOX.MAX_EARLY_ACKS);
+      return false;
+    }
+
+    acknowledged.forEach(entry => this.onStatusChange(entry.messageId, MESSAGE_STATUS.SENT, entry));
+    return true;
+  }
+
+  /**
+   * Remove the entries matching a predicate, with their buffered recordings
+   *
+   * @param {Function} predicate - Called with each entry
+   * @returns {boolean} Whether any entry was removed
+   */
+  remove(predicate) {
+    const removed = this.entries.filter(predicate);
+
+    if (removed.length === 0) {
+      return false;
+    }
+
+    this.entries = this.entries.filter(entry => !predicate(entry));
+    removed
+      .filter(entry => entry.audioPath)
+      .forEach(entry => AudioChunkStream.removeBuffer(entry.audioPath));
+
+    this.save();
+    this.schedule();
+    return true;
+  }
+
+  /**
+   * Persist the queue and notify the listener
+   */
+  save() {
+    // Saving before the persisted queue is merged in would overwrite it
+    if (this.isLoaded) {
+      StorageService.saveData(this.storageKey, this.entries);
+    }
+
+    this.onChange(this.entries);
+  }
+}
+
+/**
+ * Send the frames of an entry
+ *
+ * @param {Object} entry - Outbox entry
+ * @param {Function} send - Sends a frame object and returns whether it was sent
+ * @param {Object} metadata - Fields sent with every message
+ * @param {boolean} binary - Whether recordings are uploaded as binary frames
+ * @returns {Promise<boolean>} Whether every frame was sent
+ */
+const sendEntry = async (entry, send, metadata, binary) => {
+  const { kind, messageId, clientId, createdAt } = entry;
+
+  switch (kind) {
+    case OUTBOX_KINDS.TEXT:
+      return send({
+        ...metadata,
+        type: WS_MESSAGE_TYPES.TEXT,
+        text: entry.text,
+        timestamp: createdAt,
+        messageId,
+        clientId,
+      });
+    case OUTBOX_KINDS.AUDIO:
+      return AudioChunkStream.replay(entry, send, { ...metadata, timestamp: createdAt, clientId }, { binary });
+    case OUTBOX_KINDS.LEGACY_AUDIO:
+      return send({
+        ...metadata,
+        type: WS_MESSAGE_TYPES.AUDIO,
+        audio: entry.audioBase64,
+        transcription: entry.transcription || '',
+        timestamp: createdAt,
+        messageId,
+        clientId,
+      });
+    default:
+      console.warn(`MessageOutbox: Unknown message kind "${kind}"`);
+      return false;
+  }
+};
+
+/**
+ * Convert a pending message saved before the outbox existed
+ *
+ * @param {Object} saved - Saved entry or pending message
+ * @returns {Object} Outbox entry
+ */
+const migrateEntry = (saved) => {
+  if (saved.clientId) {
+    return saved;
+  }
+
+  let kind = OUTBOX_KINDS.LEGACY_AUDIO;
+  if (saved.isText) {
+    kind = OUTBOX_KINDS.TEXT;
+  } else if (saved.audioPath) {
+    kind = OUTBOX_KINDS.AUDIO;
+  }
+
+  const createdAt = saved.timestamp || Date.now();
+
+  return {
+    kind,
+    messageId: saved.messageId,
+    text: saved.text,
+    audioPath: saved.audioPath,
+    format: saved.format,
+    transcription: saved.transcription,
+    audioBase64: saved.audioBase64,
+    clientId: generateId(),
+    state: OUTBOX_STATES.QUEUED,
+    attempts: 0,
+    createdAt,
+    nextAttemptAt: createdAt,
+    sentAt: null,
+  };
+};
+
+/**
+ * Turn a persisted entry back into a queued one
+ *
+ * @param {Object} saved - Persisted entry or pending message
+ * @returns {Object} Outbox entry
+ */
+const restoreEntry = (saved) => {
+  const entry = migrateEntry(saved);
+
+  // Nothing is in flight after a restart
+  return entry.state === OUTBOX_STATES.SENDING ? { ...entry, state: OUTBOX_STATES.QUEUED } : entry;
+};
+
+/**
+ * Wait for a while
+ *
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>} Promise that resolves after the delay
+ */
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export default MessageOutbox;
@@ -0,0 +1,474 @@
+/**
+ * Message Page Store
+ *
+ * Stores the messages of each thread in pages of a fixed size, each under a
+ * key of its own, next to a small layout record with the range of pages and
+ * the count, size and latest timestamp of each. New messages are appended to
+ * the last page, and saving writes only the pages whose messages changed, so
+ * the cost of a save doesn't grow with the length of the conversation.
+ * Older pages are read only when asked for.
+ *
+ * Pages are dropped from the oldest end by `prune`, following a retention
+ * policy by message count, age or storage size.
+ *
+ * The methods don't wait for each other; ThreadStore runs them one at a time
+ * for each thread.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { StorageService } from './StorageService';
+import { STORAGE_KEYS, THREADS } from '../utils/constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pages of thread messages
+ */
+export class MessagePageStore {
+  /**
+   * Create a message page store
+   *
+   * @param {Object} [options={}] - Store options
+   * @param {string} [options.keyPrefix=STORAGE_KEYS.THREAD_MESSAGES] - Prefix of the storage keys
+   * @param {number} [options.pageSize=THREADS.PAGE_SIZE] - Messages per page
+   */
+  constructor({
+    keyPrefix = STORAGE_KEYS.THREAD_MESSAGES,
+    pageSize = THREADS.PAGE_SIZE,
+  } = {}) {
+    this.keyPrefix = keyPrefix;
+    this.pageSize = pageSize;
+
+    // Layouts read so far, with the pages read or written, keyed by thread ID
+    this.layouts = new Map();
+  }
+
+  /**
+   * Read the latest messages of a thread, at least a page's worth when there are enough
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Object>} { messages, olderCount } where olderCount is the number of messages before them
+   */
+  async readLatest(threadId) {
+    const layout = await this.getLayout(threadId);
+    let page = layout.lastPage;
+    let messages = await this.readPage(layout, page);
+
+    while (page > layout.firstPage && messages.length < this.pageSize) {
+      page -= 1;
+      messages = [...await this.readPage(layout, page), ...messages];
+    }
+
+    return { messages, olderCount: countBefore(layout, page) };
+  }
+
+  /**
+   * Read the page of messages before a message
+   *
+   * @param {string} threadId - Thread ID
+   * @param {string} messageId - ID of the oldest message read so far
+   * @returns {Promise<Object|null>} { messages, olderCount }, or null if there are no older messages
+   */
+  async readOlder(threadId, messageId) {
+    const layout = await this.getLayout(threadId);
+    const page = layout.index.get(messageId);
+
+    if (page === undefined) {
+      return null;
+    }
+
+    // Skip pages left empty by removed messages
+    for (let older = page - 1; older >= layout.firstPage; older -= 1) {
+      const messages = await this.readPage(layout, older);
+
+      if (messages.length > 0) {
+        return { messages, olderCount: countBefore(layout, older) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the pages before a message, back to the one holding another message
+   *
+   * @param {string} threadId - Thread ID
+   * @param {string} fromMessageId - ID of the oldest message read so far
+   * @param {string} messageId - ID of the message to read back to
+   * @returns {Promise<Object|null>} { messages, olderCount }, or null if the message isn't stored before the first one
+   */
+  async readThrough(threadId, fromMessageId, messageId) {
+    let messages = [];
+    let oldestId = fromMessageId;
+
+    for (;;) {
+      const older = await this.readOlder(threadId, oldestId);
+
+      if (!older) {
+        return null;
+      }
+
+      messages = [...older.messages, ...messages];
+
+      if (older.messages.some(msg => msg.id === messageId)) {
+        return { messages, olderCount: older.olderCount };
+      }
+
+      oldestId = older.messages[0].id;
+    }
+  }
+
+  /**
+   * Read every stored message of a thread
+   *
+   * Pages not read before are read without being kept in memory.
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Array>} Messages, oldest first
+   */
+  async readAll(threadId) {
+    const layout = await this.getLayout(threadId);
+    let messages = [];
+
+    for (let page = layout.firstPage; page <= layout.lastPage; page += 1) {
+      const pageMessages = layout.pages.has(page)
+        ? layout.pages.get(page)
+        : await StorageService.loadData(this.getPageKey(threadId, page), []);
+
+      if (Array.isArray(pageMessages)) {
+        messages = messages.concat(pageMessages);
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Save the latest messages of a thread
+   *
+   * The messages are the ones last read, in order, with any changes; they
+   * start at any page and run to the end of the thread. Messages not stored
+   * yet are appended, and pages before the first message are left alone.
+   *
+   * @param {string} threadId - Thread ID
+   * @param {Array} messages - Latest messages
+   * @returns {Promise<number>} Number of pages written
+   */
+  async write(threadId, messages) {
+    const layout = await this.getLayout(threadId);
+
+    // Nothing tells which pages an empty list covers; clearing goes through clear()
+    if (messages.length === 0) {
+      return 0;
+    }
+
+    const knownPages = messages
+      .map(msg => layout.index.get(msg.id))
+      .filter(page => page !== undefined);
+    const startPage = knownPages.length > 0 ? Math.min(...knownPages) : layout.lastPage;
+    const next = new Map();
+    const added = [];
+
+    for (let page = startPage; page <= layout.lastPage; page += 1) {
+      next.set(page, []);
+    }
+
+    messages.forEach(msg => {
+      const page = layout.index.get(msg.id);
+
+      if (page !== undefined && page >= startPage) {
+        next.get(page).push(msg);
+      } else {
+        added.push(msg);
+      }
+    });
+
+    let lastPage = layout.lastPage;
+    added.forEach(msg => {
+      if (next.get(lastPage).length >= this.pageSize) {
+        lastPage += 1;
+        next.set(lastPage, []);
+      }
+
+      next.get(lastPage).push(msg);
+    });
+
+    let written = 0;
+
+    for (const [page, pageMessages] of next) {
+      const previous = await this.readPage(layout, page);
+
+      if (!isSamePage(previous, pageMessages)) {
+        await this.writePage(layout, page, pageMessages);
+        written += 1;
+      }
+    }
+
+    if (written > 0 || lastPage !== layout.lastPage) {
+      layout.lastPage = lastPage;
+      await this.saveLayout(layout);
+    }
+
+    return written;
+  }
+
+  /**
+   * Drop the oldest pages of a thread that the retention policy doesn't keep
+   *
+   * Whole pages are dropped, and never the last one, so at least the
+   * newest messages the policy allows are kept.
+   *
+   * @param {string} threadId - Thread ID
+   * @param {Object} policy - Retention policy; a limit of 0 or less is no limit
+   * @param {number} [policy.maxMessages] - Messages kept
+   * @param {number} [policy.maxAgeDays] - Days messages are kept
+   * @param {number} [policy.maxSizeKb] - Storage kept, in KB
+   * @returns {Promise<Array<string>>} IDs of the messages dropped
+   */
+  async prune(threadId, { maxMessages = 0, maxAgeDays = 0, maxSizeKb = 0 } = {}) {
+    const layout = await this.getLayout(threadId);
+    const { firstPage } = layout;
+    const oldestKept = maxAgeDays > 0 ? Date.now() - maxAgeDays * DAY_MS : 0;
+    const pageStats = (page) => layout.stats[page] || { count: 0, size: 0, lastTimestamp: 0 };
+
+    let totalCount = 0;
+    let totalSize = 0;
+    for (let page = layout.firstPage; page <= layout.lastPage; page += 1) {
+      totalCount += pageStats(page).count;
+      totalSize += pageStats(page).size;
+    }
+
+    const dropped = [];
+
+    while (layout.firstPage < layout.lastPage) {
+      const { count, size, lastTimestamp } = pageStats(layout.firstPage);
+      const overCount = maxMessages > 0 && totalCount - count >= maxMessages;
+      const tooOld = oldestKept > 0 && lastTimestamp < oldestKept;
+      const overSize = maxSizeKb > 0 && totalSize > maxSizeKb * 1024;
+
+      if (!overCount && !tooOld && !overSize) {
+        break;
+      }
+
+      const pageMessages = await this.readPage(layout, layout.firstPage);
+      pageMessages.forEach(msg => dropped.push(msg.id));
+
+      await this.dropPage(layout, layout.firstPage);
+      layout.firstPage += 1;
+      totalCount -= count;
+      totalSize -= size;
+    }
+
+    if (layout.firstPage !== firstPage) {
+      await this.saveLayout(layout);
+    }
+
+    return dropped;
+  }
+
+  /**
+   * Remove every message of a thread
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<void>} Promise that resolves once the pages are removed
+   */
+  async clear(threadId) {
+    const layout = await this.getLayout(threadId);
+
+    for (let page = layout.firstPage; page <= layout.lastPage; page += 1) {
+      await this.dropPage(layout, page);
+    }
+
+    layout.firstPage = 0;
+    layout.lastPage = 0;
+    await this.saveLayout(layout);
+  }
+
+  /**
+   * Remove a thread's messages and layout
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<void>} Promise that resolves once everything is removed
+   */
+  async remove(threadId) {
+    await this.clear(threadId);
+    await StorageService.removeData(this.getLayoutKey(threadId));
+    this.layouts.delete(threadId);
+  }
+
+  /**
+   * Drop the pages of a thread kept in memory; they are read again when needed
+   *
+   * @param {string} threadId - Thread ID
+   */
+  forget(threadId) {
+    this.layouts.delete(threadId);
+  }
+
+  /**
+   * Get the storage key of a thread's layout
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {string} Storage key
+   */
+  getLayoutKey(threadId) {
+    return `${this.keyPrefix}:${threadId}`;
+  }
+
+  /**
+   * Get the storage key of a page
+   *
+   * @param {string} threadId - Thread ID
+   * @param {number} page - Page number
+   * @returns {string} Storage key
+   */
+  getPageKey(threadId, page) {
+    return `${this.keyPrefix}:${threadId}:${page}`;
+  }
+
+  /**
+   * Get the layout of a thread, reading it if needed
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Object>} Layout
+   */
+  async getLayout(threadId) {
+    if (this.layouts.has(threadId)) {
+      return this.layouts.get(threadId);
+    }
+
+    const saved = await StorageService.loadData(this.getLayoutKey(threadId));
+    const layout = {
+      threadId,
+      firstPage: 0,
+      lastPage: 0,
+      stats: {},
+      pages: new Map(),
+      index: new Map(),
+    };
+
+    this.layouts.set(threadId, layout);
+
+    if (Array.isArray(saved)) {
+      // Threads used to be saved as one list of messages under the layout key
+      await this.write(threadId, saved);
+    } else if (saved) {
+      layout.firstPage = saved.firstPage;
+      layout.lastPage = saved.lastPage;
+      layout.stats = saved.stats || {};
+    }
+
+    return layout;
+  }
+
+  /**
+   * Persist a layout
+   *
+   * @param {Object} layout - Layout
+   * @returns {Promise<boolean>} Whether the layout was saved
+   */
+  saveLayout(layout) {
+    return StorageService.saveData(this.getLayoutKey(layout.threadId), {
+      firstPage: layout.firstPage,
+      lastPage: layout.lastPage,
+      stats: layout.stats,
+    });
+  }
+
+  /**
+   * Read a page, from memory if it was read before
+   *
+   * @param {Object} layout - Layout of the thread
+   * @param {number} page - Page number
+   * @returns {Promise<Array>} Messages of the page
+   */
+  async readPage(layout, page) {
+    if (layout.pages.has(page)) {
+      return layout.pages.get(page);
+    }
+
+    const saved = await StorageService.loadData(this.getPageKey(layout.threadId, page), []);
+    const messages = Array.isArray(saved) ? saved : [];
+
+    layout.pages.set(page, messages);
+    messages.forEach(msg => layout.index.set(msg.id, page));
+
+    return messages;
+  }
+
+  /**
+   * Write a page and update its statistics
+   *
+   * @param {Object} layout - Layout of the thread
+   * @param {number} page - Page number
+   * @param {Array} messages - Messages of the page
+   * @returns {Promise<boolean>} Whether the page was saved
+   */
+  writePage(layout, page, messages) {
+    (layout.pages.get(page) || []).forEach(msg => {
+      if (layout.index.get(msg.id) === page) {
+        layout.index.delete(msg.id);
+      }
+    });
+    messages.forEach(msg => layout.index.set(msg.id, page));
+    layout.pages.set(page, messages);
+
+    const json = JSON.stringify(messages);
+    layout.stats[page] = {
+      count: messages.length,
+      size: json.length,
+      lastTimestamp: messages.reduce((latest, msg) => Math.max(latest, msg.timestamp || 0), 0),
+    };
+
+    return StorageService.saveData(this.getPageKey(layout.threadId, page), json);
+  }
+
+  /**
+   * Remove a page
+   *
+   * @param {Object} layout - Layout of the thread
+   * @param {number} page - Page number
+   * @returns {Promise<boolean>} Whether the page was removed
+   */
+  dropPage(layout, page) {
+    (layout.pages.get(page) || []).forEach(msg => {
+      if (layout.index.get(msg.id) === page) {
+        layout.index.delete(msg.id);
+      }
+    });
+    layout.pages.delete(page);
+    delete layout.stats[page];
+
+    return StorageService.removeData(this.getPageKey(layout.threadId, page));
+  }
+}
+
+/**
+ * Count the stored messages before a page
+ *
+ * @param {Object} layout - Layout of the thread
+ * @param {number} page - Page number
+ * @returns {number} Number of messages
+ */
+const countBefore = (layout, page) => {
+  let count = 0;
+
+  for (let before = layout.firstPage; before < page; before += 1) {
+    count += layout.stats[before] ? layout.stats[before].count : 0;
+  }
+
+  return count;
+};
+
+/**
+ * Whether two pages hold the same message objects
+ *
+ * @param {Array} a - Page messages
+ * @param {Array} b - Page messages
+ * @returns {boolean} True if nothing changed
+ */
+const isSamePage = (a, b) => a.length === b.length && a.every((msg, i) => msg === b[i]);
+
+export default MessagePageStore;
@@ -0,0 +1,260 @@
+/**
+ * Protocol Validator
+ *
+ * Guards a WebSocket connection against frames that don't follow the
+ * protocol. Incoming JSON and binary frames are checked against their schema
+ * before anyone acts on them; malformed or unknown ones are dropped, reported
+ * to the listener and, best effort, to the server as a `protocolError` frame.
+ * Outgoing frames are checked before they are sent, so a client bug shows up
+ * in the debug view rather than as a confused server.
+ *
+ * Also tracks the protocol version the server picked from the versions
+ * offered in the connect frame; a version this client doesn't speak ends the
+ * connection.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import {
+  validateFrame,
+  validateBinaryFrame,
+  createProtocolError,
+  isSupportedVersion,
+  FRAME_DIRECTIONS,
+} from '../utils/protocol';
+import { isBinaryFrame, decodeBinaryFrame } from '../utils/binaryFrame';
+import { WS_MESSAGE_TYPES, PROTOCOL, PROTOCOL_ERROR_CODES, FEATURES } from '../utils/constants';
+
+/**
+ * Validates the frames of a WebSocket connection
+ */
+export class ProtocolValidator {
+  /**
+   * Create a validator
+   *
+   * @param {Object} [options={}] - Validator options
+   * @param {Function} [options.send] - Sends a raw frame string to the server, to report rejected frames
+   * @param {Function} [options.onError] - Called with each protocol error
+   * @param {Function} [options.onVersionChange] - Called with the negotiated version, or null when reset
+   * @param {Function} [options.onVersionRejected] - Called when the server picked a version we don't speak
+   */
+  constructor({
+    send = () => false,
+    onError = () => {},
+    onVersionChange = () => {},
+    onVersionRejected = () => {},
+  } = {}) {
+    this.send = send;
+    this.onError = onError;
+    this.onVersionChange = onVersionChange;
+    this.onVersionRejected = onVersionRejected;
+    this.version = null;
+  }
+
+  /**
+   * Parse and check an incoming frame
+   *
+   * @param {string} raw - Frame as received
+   * @returns {Object|null} The frame, or null if it was rejected or consumed
+   */
+  parseInbound(raw) {
+    let frame;
+
+    try {
+      frame = JSON.parse(raw);
+    } catch (error) {
+      this.reject(createProtocolError(PROTOCOL_ERROR_CODES.INVALID_JSON, error.message, {
+        direction: FRAME_DIRECTIONS.INBOUND,
+      }));
+      return null;
+    }
+
+    const error = validateFrame(frame, FRAME_DIRECTIONS.INBOUND);
+    if (error) {
+      this.reject(error);
+      return null;
+    }
+
+    // The server reporting a frame of ours
+    if (frame.type === WS_MESSAGE_TYPES.PROTOCOL_ERROR) {
+      this.report(createProtocolError(frame.code, frame.message || 'Rejected by the server', {
+        direction: frame.direction || FRAME_DIRECTIONS.OUTBOUND,
+        frameType: frame.frameType || null,
+        source: 'server',
+      }));
+      return null;
+    }
+
+    if (frame.type === WS_MESSAGE_TYPES.AUTH_OK && !this.negotiate(frame.protocolVersion)) {
+      return null;
+    }
+
+    return frame;
+  }
+
+  /**
+   * Decode and check an incoming binary frame
+   *
+   * @param {ArrayBuffer} raw - Frame as received
+   * @returns {Object|null} The decoded frame, or null if it was rejected
+   */
+  parseBinaryInbound(raw) {
+    let frame;
+
+    try {
+      frame = decodeBinaryFrame(raw);
+    } catch (error) {
+      this.reject(createProtocolError(PROTOCOL_ERROR_CODES.INVALID_FRAME, error.message, {
+        direction: FRAME_DIRECTIONS.INBOUND,
+        frameType: 'binary',
+      }));
+      return null;
+    }
+
+    const error = validateBinaryFrame(frame, FRAME_DIRECTIONS.INBOUND);
+    if (error) {
+      this.reject(error);
+      return null;
+    }
+
+    return frame;
+  }
+
+  /**
+   * Check a frame before it is sent
+   *
+   * @param {Object|string|ArrayBuffer} frame - Frame object, or the string or binary frame about to be sent
+   * @returns {boolean} Whether the frame may be sent
+   */
+  checkOutbound(frame) {
+    if (isBinaryFrame(frame)) {
+      return this.checkBinaryOutbound(frame);
+    }
+
+    let parsed = frame;
+
+    if (typeof frame === 'string') {
+      try {
+        parsed = JSON.parse(frame);
+      } catch (error) {
+        this.report(createProtocolError(PROTOCOL_ERROR_CODES.INVALID_JSON, error.message, {
+          direction: FRAME_DIRECTIONS.OUTBOUND,
+        }));
+        return false;
+      }
+    }
+
+    const error = validateFrame(parsed, FRAME_DIRECTIONS.OUTBOUND);
+    if (error) {
+      this.report(error);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check a binary frame before it is sent
+   *
+   * @param {ArrayBuffer} frame - Encoded frame
+   * @returns {boolean} Whether the frame may be sent
+   */
+  checkBinaryOutbound(frame) {
+    let error;
+
+    try {
+      error = validateBinaryFrame(decodeBinaryFrame(frame), FRAME_DIRECTIONS.OUTBOUND);
+    } catch (decodeError) {
+      error = createProtocolError(PROTOCOL_ERROR_CODES.INVALID_FRAME, decodeError.message, {
+        direction: FRAME_DIRECTIONS.OUTBOUND,
+        frameType: 'binary',
+      });
+    }
+
+    if (error) {
+      this.report(error);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Settle the protocol version picked by the server
+   *
+   * Servers that predate negotiation don't send a version and speak the first one.
+   *
+   * @param {number} [version=PROTOCOL.SUPPORTED_VERSIONS[0]] - Version from the `authOk` frame
+   * @returns {boolean} Whether the version is supported
+   */
+  negotiate(version = PROTOCOL.SUPPORTED_VERSIONS[0]) {
+    if (!isSupportedVersion(version)) {
+      this.report(createProtocolError(
+        PROTOCOL_ERROR_CODES.UNSUPPORTED_VERSION,
+        `Server picked protocol version ${version}; this app supports ${PROTOCOL.SUPPORTED_VERSIONS.join(', ')}`,
+        { direction: FRAME_DIRECTIONS.INBOUND, frameType: WS_MESSAGE_TYPES.AUTH_OK }
+      ));
+      this.onVersionRejected(version);
+      return false;
+    }
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`ProtocolValidator: Using protocol version ${version}`);
+    }
+
+    this.setVersion(version);
+    return true;
+  }
+
+  /**
+   * Forget the negotiated version once the connection closes
+   */
+  reset() {
+    this.setVersion(null);
+  }
+
+  /**
+   * Report a rejected incoming frame locally and to the server
+   *
+   * @param {Object} error - Protocol error
+   */
+  reject(error) {
+    this.report(error);
+
+    // Never answer a report with another one
+    if (error.frameType !== WS_MESSAGE_TYPES.PROTOCOL_ERROR) {
+      this.send(JSON.stringify({
+        type: WS_MESSAGE_TYPES.PROTOCOL_ERROR,
+        code: error.code,
+        message: error.message,
+        frameType: error.frameType,
+        direction: error.direction,
+      }));
+    }
+  }
+
+  /**
+   * Notify the listener of a protocol error
+   *
+   * @param {Object} error - Protocol error
+   */
+  report(error) {
+    console.warn(`ProtocolValidator: ${error.code} (${error.frameType || 'unknown frame'}): ${error.message}`);
+    this.onError(error);
+  }
+
+  /**
+   * Update the version and notify the listener
+   *
+   * @param {number|null} version - Negotiated version
+   */
+  setVersion(version) {
+    if (this.version !== version) {
+      this.version = version;
+      this.onVersionChange(version);
+    }
+  }
+}
+
+export default ProtocolValidator;
@@ -0,0 +1,97 @@
+/**
+ * Response Audio Buffer
+ *
+ * Collects the spoken answer the server sends as binary frames. The frames
+ * of an answer arrive ahead of the JSON frame that completes it, which says
+ * how many were sent; the buffer then joins them in sequence order for
+ * playback. Servers speaking an older protocol version embed the audio in
+ * the JSON frame instead, which the buffer passes through.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { encodeBase64 } from '../utils/base64';
+import { getCodecExtension } from '../utils/binaryFrame';
+
+/**
+ * Buffers binary response audio until its answer completes
+ */
+export class ResponseAudioBuffer {
+  constructor() {
+    // Received frames of each answer, keyed by the id of the message it answers
+    this.responses = new Map();
+  }
+
+  /**
+   * Add a received audio frame
+   *
+   * @param {Object} frame - Decoded binary frame (messageId, codec, sequence, payload)
+   */
+  add({ messageId, codec, sequence, payload }) {
+    if (!this.responses.has(messageId)) {
+      this.responses.set(messageId, { codec, chunks: [] });
+    }
+
+    this.responses.get(messageId).chunks.push({ sequence, payload });
+  }
+
+  /**
+   * Take the audio of a completed answer
+   *
+   * @param {Object} frame - `aiResponse` or `aiResponseEnd` frame
+   * @param {string} frame.messageId - ID of the message being answered
+   * @param {number} [frame.audioFrames] - Number of binary audio frames sent
+   * @param {string} [frame.audioBase64] - Audio embedded in the frame
+   * @returns {Object|null} { audioBase64, extension }, or null if the answer has no playable audio
+   */
+  take({ messageId, audioFrames, audioBase64 }) {
+    if (audioBase64) {
+      return { audioBase64, extension: 'wav' };
+    }
+
+    const response = this.responses.get(messageId);
+    this.responses.delete(messageId);
+
+    if (!audioFrames || !response) {
+      return null;
+    }
+
+    if (response.chunks.length !== audioFrames) {
+      console.warn(`ResponseAudioBuffer: Got ${response.chunks.length} of ${audioFrames} audio frames for ${messageId}`);
+      return null;
+    }
+
+    const chunks = [...response.chunks].sort((a, b) => a.sequence - b.sequence);
+    const audio = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.payload.length, 0));
+
+    let offset = 0;
+    chunks.forEach(chunk => {
+      audio.set(chunk.payload, offset);
+      offset += chunk.payload.length;
+    });
+
+    return {
+      audioBase64: encodeBase64(audio),
+      extension: getCodecExtension(response.codec),
+    };
+  }
+
+  /**
+   * Drop the audio of an answer that won't be played
+   *
+   * @param {string} messageId - ID of the message being answered
+   */
+  discard(messageId) {
+    this.responses.delete(messageId);
+  }
+
+  /**
+   * Drop all buffered audio
+   */
+  clear() {
+    this.responses.clear();
+  }
+}
+
+export default ResponseAudioBuffer;
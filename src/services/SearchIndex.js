@@ -0,0 +1,291 @@
+/**
+ * Search Index
+ *
+ * Local full-text index over the messages of every thread. Each indexed
+ * message is kept as a small document ({ threadId, messageId, text, isUser,
+ * type, timestamp }), and an inverted index maps each term to the documents
+ * that contain it, so a search only looks at messages that match. The
+ * documents are saved a moment after the last change; the inverted index is
+ * rebuilt from them on load.
+ *
+ * Messages are indexed as they are added or change, whether their thread is
+ * open or not. Messages still streaming in are indexed once they are complete.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { StorageService } from './StorageService';
+import { tokenize } from '../utils/search';
+import { STORAGE_KEYS, SEARCH } from '../utils/constants';
+
+// Bumped when the saved documents change shape, so the index is built again
+const INDEX_VERSION = 1;
+
+/**
+ * Full-text index of messages
+ */
+export class SearchIndex {
+  /**
+   * Create a search index
+   *
+   * @param {Object} [options={}] - Index options
+   * @param {string} [options.storageKey=STORAGE_KEYS.SEARCH_INDEX] - Storage key of the documents
+   * @param {number} [options.saveDelay=SEARCH.SAVE_DELAY] - Time in ms to wait for more changes before saving
+   */
+  constructor({
+    storageKey = STORAGE_KEYS.SEARCH_INDEX,
+    saveDelay = SEARCH.SAVE_DELAY,
+  } = {}) {
+    this.storageKey = storageKey;
+    this.saveDelay = saveDelay;
+
+    // Documents keyed by `${threadId}:${messageId}`, and the keys of the documents holding each term
+    this.documents = new Map();
+    this.postings = new Map();
+
+    this.saveTimer = null;
+  }
+
+  /**
+   * Restore the saved documents
+   *
+   * @returns {Promise<boolean>} Whether a saved index was found; if not, existing messages need indexing
+   */
+  async load() {
+    const saved = await StorageService.loadData(this.storageKey);
+
+    if (!saved || saved.version !== INDEX_VERSION || !Array.isArray(saved.documents)) {
+      return false;
+    }
+
+    saved.documents.forEach(document => {
+      const key = getKey(document.threadId, document.messageId);
+
+      // Messages indexed before loading are newer than their saved copies
+      if (!this.documents.has(key)) {
+        this.addDocument(key, document);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Index the messages of a thread that are new or have changed
+   *
+   * @param {string} threadId - Thread ID
+   * @param {Array} messages - Messages of the thread; others of the thread stay indexed
+   * @returns {number} Number of messages indexed
+   */
+  indexMessages(threadId, messages) {
+    let indexed = 0;
+
+    messages.forEach(message => {
+      if (message.isStreaming || !message.text) {
+        return;
+      }
+
+      const key = getKey(threadId, message.id);
+      const existing = this.documents.get(key);
+
+      if (existing && existing.text === message.text) {
+        return;
+      }
+
+      this.removeDocument(key);
+      this.addDocument(key, {
+        threadId,
+        messageId: message.id,
+        text: message.text,
+        isUser: !!message.isUser,
+        type: message.type || 'text',
+        timestamp: message.timestamp || Date.now(),
+      });
+      indexed += 1;
+    });
+
+    if (indexed > 0) {
+      this.scheduleSave();
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Remove messages from the index
+   *
+   * @param {string} threadId - Thread ID
+   * @param {Array<string>} messageIds - IDs of the messages
+   */
+  removeMessages(threadId, messageIds) {
+    const removed = messageIds.filter(messageId => this.removeDocument(getKey(threadId, messageId)));
+
+    if (removed.length > 0) {
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Remove every message of a thread from the index
+   *
+   * @param {string} threadId - Thread ID
+   */
+  removeThread(threadId) {
+    const messageIds = [...this.documents.values()]
+      .filter(document => document.threadId === threadId)
+      .map(document => document.messageId);
+
+    this.removeMessages(threadId, messageIds);
+  }
+
+  /**
+   * Find the messages matching a query
+   *
+   * Every term of the query must match the start of a word of the message.
+   *
+   * @param {string} query - Search text
+   * @param {Object} [filters={}] - Search filters
+   * @param {string} [filters.sender='all'] - 'all', 'user', or 'assistant'
+   * @param {number} [filters.since=0] - Earliest message time, in ms since the epoch
+   * @param {boolean} [filters.includeSystem=false] - Whether system messages can match
+   * @param {number} [filters.limit=SEARCH.MAX_RESULTS] - Most results returned
+   * @returns {Array<Object>} Matching documents, most recent first
+   */
+  search(query, {
+    sender = 'all',
+    since = 0,
+    includeSystem = false,
+    limit = SEARCH.MAX_RESULTS,
+  } = {}) {
+    const terms = tokenize(query);
+
+    if (terms.length === 0) {
+      return [];
+    }
+
+    // Start from the term with the fewest matches and narrow down
+    const termMatches = terms
+      .map(term => this.findTerm(term))
+      .sort((a, b) => a.size - b.size);
+    const keys = [...termMatches[0]].filter(key => termMatches.every(matches => matches.has(key)));
+
+    return keys
+      .map(key => this.documents.get(key))
+      .filter(document => (
+        document.timestamp >= since
+        && (includeSystem || document.type !== 'system')
+        && (sender === 'all' || document.isUser === (sender === 'user'))
+      ))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
+  }
+
+  /**
+   * Save the documents now
+   *
+   * @returns {Promise<boolean>} Whether the index was saved
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    return StorageService.saveData(this.storageKey, {
+      version: INDEX_VERSION,
+      documents: [...this.documents.values()],
+    });
+  }
+
+  /**
+   * Save the documents once changes stop for a moment
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.save().catch(error => console.error('Error saving search index:', error));
+    }, this.saveDelay);
+  }
+
+  /**
+   * Get the keys of the documents with a word starting with a term
+   *
+   * @param {string} term - Lowercase term
+   * @returns {Set<string>} Document keys
+   */
+  findTerm(term) {
+    const keys = new Set();
+
+    this.postings.forEach((termKeys, indexedTerm) => {
+      if (indexedTerm.startsWith(term)) {
+        termKeys.forEach(key => keys.add(key));
+      }
+    });
+
+    return keys;
+  }
+
+  /**
+   * Add a document and its terms
+   *
+   * @param {string} key - Document key
+   * @param {Object} document - Document
+   */
+  addDocument(key, document) {
+    this.documents.set(key, document);
+
+    tokenize(document.text).forEach(term => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(key);
+    });
+  }
+
+  /**
+   * Remove a document and its terms
+   *
+   * @param {string} key - Document key
+   * @returns {boolean} Whether the document was indexed
+   */
+  removeDocument(key) {
+    const document = this.documents.get(key);
+
+    if (!document) {
+      return false;
+    }
+
+    tokenize(document.text).forEach(term => {
+      const termKeys = this.postings.get(term);
+
+      if (termKeys) {
+        termKeys.delete(key);
+        if (termKeys.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+    });
+    this.documents.delete(key);
+
+    return true;
+  }
+
+  /**
+   * Save any changes waiting to be saved
+   */
+  flush() {
+    if (this.saveTimer) {
+      this.save().catch(error => console.error('Error saving search index:', error));
+    }
+  }
+}
+
+/**
+ * Get the key of a message's document
+ *
+ * @param {string} threadId - Thread ID
+ * @param {string} messageId - Message ID
+ * @returns {string} Document key
+ */
+const getKey = (threadId, messageId) => `${threadId}:${messageId}`;
+
+export default SearchIndex;
@@ -0,0 +1,310 @@
+/**
+ * Session Authenticator
+ *
+ * Authenticates each WebSocket connection. Once the socket opens, the first
+ * frame is a `connect` frame carrying the stored session token and the
+ * protocol versions we speak; the server answers with `authOk` (optionally
+ * with new tokens and the version it picked) or `authError`.
+ *
+ * An expired token is refreshed with the refresh token, both when the server
+ * reports it and shortly before the known expiry. Any other rejection fails
+ * the session until the user provides a new token. A handshake the server
+ * doesn't answer in time is given up, and the connection dropped so that a
+ * new one is tried.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { AuthTokenStore } from './AuthTokenStore';
+import { WS_MESSAGE_TYPES, AUTH, AUTH_STATES, AUTH_ERROR_CODES, PROTOCOL, FEATURES } from '../utils/constants';
+
+/**
+ * Authenticates WebSocket sessions
+ */
+export class SessionAuthenticator {
+  /**
+   * Create an authenticator
+   *
+   * @param {Object} options - Authenticator options
+   * @param {Function} options.send - Sends a frame object and returns whether it was sent
+   * @param {Function} [options.getMetadata] - Returns the fields sent with every message (userId, ...)
+   * @param {Function} [options.onStateChange] - Called with the state whenever it changes
+   * @param {Function} [options.onAuthFailed] - Called with { code, message } when the server rejects the session
+   * @param {Function} [options.onTimeout] - Called when the server doesn't answer the handshake in time
+   * @param {Object} [options.tokenStore=AuthTokenStore] - Where tokens are kept
+   */
+  constructor({
+    send,
+    getMetadata = () => ({}),
+    onStateChange = () => {},
+    onAuthFailed = () => {},
+    onTimeout = () => {},
+    tokenStore = AuthTokenStore,
+  }) {
+    this.send = send;
+    this.getMetadata = getMetadata;
+    this.onStateChange = onStateChange;
+    this.onAuthFailed = onAuthFailed;
+    this.onTimeout = onTimeout;
+    this.tokenStore = tokenStore;
+    this.state = AUTH_STATES.IDLE;
+    this.isRefreshing = false;
+    this.refreshTimer = null;
+    this.handshakeTimer = null;
+  }
+
+  /**
+   * Send the connect frame for a newly opened socket
+   *
+   * @returns {Promise<boolean>} Whether the frame was sent
+   */
+  async start() {
+    const tokens = await this.tokenStore.load();
+
+    this.setState(AUTH_STATES.AUTHENTICATING);
+
+    const sent = this.send({
+      ...this.getMetadata(),
+      type: WS_MESSAGE_TYPES.CONNECT,
+      token: tokens ? tokens.token : null,
+      // The server picks the version to speak and returns it in `authOk`
+      protocolVersion: PROTOCOL.VERSION,
+      supportedVersions: PROTOCOL.SUPPORTED_VERSIONS,
+      timestamp: Date.now(),
+    });
+
+    if (sent) {
+      this.startHandshakeTimer();
+    } else {
+      this.setState(AUTH_STATES.IDLE);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Handle an incoming frame if it belongs to the handshake
+   *
+   * @param {Object} data - Parsed frame
+   * @returns {boolean} Whether the frame was an authentication frame
+   */
+  handleFrame(data) {
+    switch (data.type) {
+      case WS_MESSAGE_TYPES.AUTH_OK:
+        this.handleAuthOk(data).catch(error => console.error('SessionAuthenticator: Error storing tokens', error));
+        return true;
+      case WS_MESSAGE_TYPES.AUTH_ERROR:
+        this.handleAuthError(data).catch(error => console.error('SessionAuthenticator: Error handling rejection', error));
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Mark the session authenticated, storing any tokens the server issued
+   *
+   * @param {Object} data - `authOk` frame
+   */
+  async handleAuthOk({ token, refreshToken, expiresAt }) {
+    this.clearHandshakeTimer();
+    this.isRefreshing = false;
+
+    let tokens = await this.tokenStore.load();
+
+    if (token) {
+      tokens = {
+        token,
+        refreshToken: refreshToken || (tokens && tokens.refreshToken) || null,
+        expiresAt: expiresAt || null,
+      };
+      await this.tokenStore.save(tokens);
+    }
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log('SessionAuthenticator: Authenticated');
+    }
+
+    this.setState(AUTH_STATES.AUTHENTICATED);
+    this.scheduleRefresh(tokens && tokens.expiresAt);
+  }
+
+  /**
+   * Refresh an expired token, or fail the session
+   *
+   * @param {Object} data - `authError` frame
+   */
+  async handleAuthError({ code, message }) {
+    this.clearHandshakeTimer();
+
+    // A refresh that is itself rejected fails the session
+    const canRefresh = code === AUTH_ERROR_CODES.TOKEN_EXPIRED && !this.isRefreshing;
+    this.isRefreshing = false;
+
+    if (canRefresh && await this.refresh()) {
+      return;
+    }
+
+    console.warn(`SessionAuthenticator: Session rejected (${code})`);
+
+    this.clearRefreshTimer();
+
+    // The stored token is no use any more
+    await this.tokenStore.clear();
+
+    this.setState(AUTH_STATES.FAILED);
+    this.onAuthFailed({
+      code: code || AUTH_ERROR_CODES.INVALID_TOKEN,
+      message: message || 'The server did not accept your credentials.',
+    });
+  }
+
+  /**
+   * Ask the server for a new session token
+   *
+   * @returns {Promise<boolean>} Whether a refresh request was sent
+   */
+  async refresh() {
+    const tokens = await this.tokenStore.load();
+
+    if (!tokens || !tokens.refreshToken) {
+      return false;
+    }
+
+    const sent = this.send({
+      ...this.getMetadata(),
+      type: WS_MESSAGE_TYPES.AUTH_REFRESH,
+      refreshToken: tokens.refreshToken,
+      timestamp: Date.now(),
+    });
+
+    if (sent) {
+      this.isRefreshing = true;
+
+      // A session refreshed ahead of expiry stays usable meanwhile
+      if (this.state !== AUTH_STATES.AUTHENTICATED) {
+        this.setState(AUTH_STATES.REFRESHING);
+        this.startHandshakeTimer();
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Refresh the token shortly before it expires
+   *
+   * @param {number|null} expiresAt - Expiry of the token, in ms since the epoch
+   */
+  scheduleRefresh(expiresAt) {
+    this.clearRefreshTimer();
+
+    if (!expiresAt) {
+      return;
+    }
+
+    const delay = Math.max(0, expiresAt - AUTH.REFRESH_MARGIN - Date.now());
+
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refresh();
+    }, delay);
+  }
+
+  /**
+   * Replace the stored token with one provided by the user
+   *
+   * @param {string|null} token - New session token, or null to sign out
+   * @returns {Promise<boolean>} Whether the token was stored
+   */
+  async setToken(token) {
+    const stored = token
+      ? await this.tokenStore.save({ token })
+      : await this.tokenStore.clear();
+
+    if (stored && this.state === AUTH_STATES.FAILED) {
+      this.setState(AUTH_STATES.IDLE);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Reset after the socket closes; a failed session stays failed
+   */
+  stop() {
+    this.clearRefreshTimer();
+    this.clearHandshakeTimer();
+    this.isRefreshing = false;
+
+    if (this.state !== AUTH_STATES.FAILED) {
+      this.setState(AUTH_STATES.IDLE);
+    }
+  }
+
+  /**
+   * Whether the server accepted the session
+   *
+   * @returns {boolean} True once authenticated
+   */
+  isAuthenticated() {
+    return this.state === AUTH_STATES.AUTHENTICATED;
+  }
+
+  /**
+   * Cancel the pending refresh, if any
+   */
+  clearRefreshTimer() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Give up on the handshake if the server doesn't answer in time
+   */
+  startHandshakeTimer() {
+    this.clearHandshakeTimer();
+
+    this.handshakeTimer = setTimeout(() => {
+      this.handshakeTimer = null;
+
+      if (this.state !== AUTH_STATES.AUTHENTICATING && this.state !== AUTH_STATES.REFRESHING) {
+        return;
+      }
+
+      console.warn('SessionAuthenticator: No answer to the handshake');
+
+      // Not a rejection: the next connection tries again with the same token
+      this.isRefreshing = false;
+      this.setState(AUTH_STATES.IDLE);
+      this.onTimeout();
+    }, AUTH.HANDSHAKE_TIMEOUT);
+  }
+
+  /**
+   * Cancel the handshake timeout, if any
+   */
+  clearHandshakeTimer() {
+    if (this.handshakeTimer) {
+      clearTimeout(this.handshakeTimer);
+      this.handshakeTimer = null;
+    }
+  }
+
+  /**
+   * Update the state and notify the listener
+   *
+   * @param {string} state - One of AUTH_STATES
+   */
+  setState(state) {
+    if (this.state !== state) {
+      this.state = state;
+      this.onStateChange(state);
+    }
+  }
+}
+
+export default SessionAuthenticator;
@@ -0,0 +1,122 @@
+/**
+ * Session Tracker
+ *
+ * Lets a conversation survive dropped connections. The server numbers the
+ * frames it sends with an increasing `seq`; the tracker remembers the session
+ * id and the last sequence number received, so after reconnecting the client
+ * can send a `resume` frame and the server replays whatever was missed.
+ * Frames that were already received are recognised by their sequence number
+ * and dropped, so a replay never duplicates messages.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { StorageService } from './StorageService';
+import { debounce, generateId } from '../utils/helpers';
+import { STORAGE_KEYS, WS_MESSAGE_TYPES, TIME } from '../utils/constants';
+
+/**
+ * Tracks the server session and the frames received in it
+ */
+export class SessionTracker {
+  /**
+   * Create a session tracker
+   *
+   * @param {Object} [options={}] - Tracker options
+   * @param {string} [options.storageKey=STORAGE_KEYS.SESSION] - Storage key of the session
+   */
+  constructor({ storageKey = STORAGE_KEYS.SESSION } = {}) {
+    this.storageKey = storageKey;
+    this.sessionId = generateId();
+    this.lastSeq = 0;
+
+    // Sequence numbers arrive with every streamed delta, so they are saved once frames pause
+    this.saveLater = debounce(() => this.save(), TIME.DEBOUNCE_DELAY);
+  }
+
+  /**
+   * Restore the persisted session
+   *
+   * @returns {Promise<Object>} { sessionId, lastSeq }
+   */
+  async load() {
+    const saved = await StorageService.loadData(this.storageKey);
+
+    if (saved && saved.sessionId) {
+      this.sessionId = saved.sessionId;
+      this.lastSeq = saved.lastSeq || 0;
+    } else {
+      this.save();
+    }
+
+    return { sessionId: this.sessionId, lastSeq: this.lastSeq };
+  }
+
+  /**
+   * Build the frame asking the server to resume the session
+   *
+   * @param {Object} [metadata={}] - Fields sent with every message (userId, ...)
+   * @returns {Object} Resume frame
+   */
+  getResumeFrame(metadata = {}) {
+    return {
+      ...metadata,
+      type: WS_MESSAGE_TYPES.RESUME,
+      sessionId: this.sessionId,
+      lastSeq: this.lastSeq,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Record a received frame
+   *
+   * @param {Object} data - Parsed frame
+   * @returns {boolean} False if the frame was already received and should be dropped
+   */
+  accept(data) {
+    // Frames outside the session's sequence (pongs, acks, ...) always pass
+    if (typeof data.seq !== 'number') {
+      return true;
+    }
+
+    if (data.seq <= this.lastSeq) {
+      return false;
+    }
+
+    this.lastSeq = data.seq;
+    this.saveLater();
+    return true;
+  }
+
+  /**
+   * Continue in the session the server started when ours couldn't be resumed
+   *
+   * @param {string} [sessionId] - ID of the new session; a new one is generated if missing
+   */
+  adopt(sessionId) {
+    this.sessionId = sessionId || generateId();
+    this.lastSeq = 0;
+    this.save();
+  }
+
+  /**
+   * Start a new session, e.g. once the conversation is cleared
+   */
+  reset() {
+    this.adopt();
+  }
+
+  /**
+   * Persist the session
+   */
+  save() {
+    StorageService.saveData(this.storageKey, {
+      sessionId: this.sessionId,
+      lastSeq: this.lastSeq,
+    });
+  }
+}
+
+export default SessionTracker;
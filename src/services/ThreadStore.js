@@ -0,0 +1,294 @@
+/**
+ * Thread Store
+ *
+ * Persists conversation threads: an index of thread summaries with the id of
+ * the open thread, and the messages of each thread in pages (see
+ * MessagePageStore), so opening a thread reads only its latest messages and
+ * older ones are read as the user scrolls back. Reads and writes of a
+ * thread's messages run one after another, so an answer saved into a thread
+ * in the background can't be overwritten by an older copy.
+ *
+ * Old messages are dropped following the retention policy whenever the
+ * threads are loaded and whenever a thread is opened; `onPrune` is told which.
+ *
+ * The single conversation saved before threads existed becomes the first
+ * thread on the first load.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { StorageService } from './StorageService';
+import { MessagePageStore } from './MessagePageStore';
+import { createThread, summarizeThread, sortThreads } from '../utils/threads';
+import { STORAGE_KEYS } from '../utils/constants';
+
+/**
+ * Stores threads and their messages
+ */
+export class ThreadStore {
+  /**
+   * Create a thread store
+   *
+   * @param {Object} [options={}] - Store options
+   * @param {string} [options.storageKey=STORAGE_KEYS.THREADS] - Storage key of the thread index
+   * @param {Function} [options.getRetention] - Returns the retention policy ({ maxMessages, maxAgeDays, maxSizeKb })
+   * @param {Function} [options.onPrune] - Called with the thread ID and message IDs when messages are dropped
+   * @param {MessagePageStore} [options.pages] - Storage of the thread messages
+   */
+  constructor({
+    storageKey = STORAGE_KEYS.THREADS,
+    getRetention = () => ({}),
+    onPrune = () => {},
+    pages = new MessagePageStore(),
+  } = {}) {
+    this.storageKey = storageKey;
+    this.getRetention = getRetention;
+    this.onPrune = onPrune;
+    this.pages = pages;
+
+    // Last pending read or write of each thread's messages
+    this.queues = new Map();
+  }
+
+  /**
+   * Restore the thread index
+   *
+   * There is always at least one thread, and the open thread is one of them.
+   * Threads that lost messages to the retention policy get updated summaries.
+   *
+   * @returns {Promise<Object>} { threads, activeThreadId }
+   */
+  async load() {
+    const saved = await StorageService.loadData(this.storageKey);
+    let threads = saved && Array.isArray(saved.threads)
+      ? saved.threads
+      : await this.migrateConversation();
+    let activeThreadId = saved ? saved.activeThreadId : null;
+
+    if (threads.length === 0) {
+      threads = [createThread()];
+    }
+
+    if (!threads.some(thread => thread.id === activeThreadId)) {
+      activeThreadId = sortThreads(threads)[0].id;
+    }
+
+    threads = await Promise.all(threads.map(async (thread) => {
+      const dropped = await this.prune(thread.id);
+      return dropped.length > 0
+        ? { ...thread, messageCount: Math.max(0, thread.messageCount - dropped.length) }
+        : thread;
+    }));
+
+    this.saveIndex(threads, activeThreadId);
+
+    return { threads, activeThreadId };
+  }
+
+  /**
+   * Persist the thread index
+   *
+   * @param {Array} threads - Thread summaries
+   * @param {string} activeThreadId - ID of the open thread
+   * @returns {Promise<boolean>} Whether the index was saved
+   */
+  saveIndex(threads, activeThreadId) {
+    return StorageService.saveData(this.storageKey, { threads, activeThreadId });
+  }
+
+  /**
+   * Load the latest messages of a thread, after applying the retention policy
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Object>} { messages, olderCount } where olderCount is the number of stored messages before them
+   */
+  loadLatest(threadId) {
+    return this.enqueue(threadId, async () => {
+      await this.pruneNow(threadId);
+      return this.pages.readLatest(threadId);
+    });
+  }
+
+  /**
+   * Load the page of messages before the oldest one loaded
+   *
+   * @param {string} threadId - Thread ID
+   * @param {string} messageId - ID of the oldest message loaded
+   * @returns {Promise<Object|null>} { messages, olderCount }, or null if there are no older messages
+   */
+  loadOlder(threadId, messageId) {
+    return this.enqueue(threadId, () => this.pages.readOlder(threadId, messageId));
+  }
+
+  /**
+   * Load the pages before a message, back to the one holding another message
+   *
+   * @param {string} threadId - Thread ID
+   * @param {string} fromMessageId - ID of the oldest message loaded
+   * @param {string} messageId - ID of the message to load
+   * @returns {Promise<Object|null>} { messages, olderCount }, or null if the message isn't stored
+   */
+  loadThrough(threadId, fromMessageId, messageId) {
+    return this.enqueue(threadId, () => this.pages.readThrough(threadId, fromMessageId, messageId));
+  }
+
+  /**
+   * Load every stored message of a thread
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Array>} Messages, oldest first
+   */
+  loadAll(threadId) {
+    return this.enqueue(threadId, () => this.pages.readAll(threadId));
+  }
+
+  /**
+   * Save the loaded messages of a thread; only the changed pages are written
+   *
+   * @param {string} threadId - Thread ID
+   * @param {Array} messages - Loaded messages, oldest first
+   * @returns {Promise<number>} Number of pages written
+   */
+  saveMessages(threadId, messages) {
+    return this.enqueue(threadId, () => this.pages.write(threadId, messages));
+  }
+
+  /**
+   * Change the latest stored messages of a thread that isn't open
+   *
+   * @param {string} threadId - Thread ID
+   * @param {Function} update - Called with the latest messages; returns the next messages
+   * @returns {Promise<Object>} { messages, olderCount } after the update
+   */
+  updateMessages(threadId, update) {
+    return this.enqueue(threadId, async () => {
+      const { messages, olderCount } = await this.pages.readLatest(threadId);
+      const next = update(messages);
+
+      if (next !== messages) {
+        await this.pages.write(threadId, next);
+      }
+
+      return { messages: next, olderCount };
+    });
+  }
+
+  /**
+   * Remove every message of a thread, keeping the thread
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<void>} Promise that resolves once the messages are removed
+   */
+  clearMessages(threadId) {
+    return this.enqueue(threadId, () => this.pages.clear(threadId));
+  }
+
+  /**
+   * Replace every stored message of a thread, e.g. when restoring a backup
+   *
+   * @param {string} threadId - Thread ID
+   * @param {Array} messages - Messages, oldest first
+   * @returns {Promise<number>} Number of pages written
+   */
+  replaceMessages(threadId, messages) {
+    return this.enqueue(threadId, async () => {
+      await this.pages.clear(threadId);
+      return this.pages.write(threadId, messages);
+    });
+  }
+
+  /**
+   * Remove the messages of a deleted thread
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<void>} Promise that resolves once the messages are removed
+   */
+  removeMessages(threadId) {
+    return this.enqueue(threadId, () => this.pages.remove(threadId));
+  }
+
+  /**
+   * Let go of the pages of a thread held in memory, e.g. once it is closed
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<void>} Promise that resolves once pending writes are done
+   */
+  release(threadId) {
+    return this.enqueue(threadId, async () => this.pages.forget(threadId));
+  }
+
+  /**
+   * Apply the retention policy to a thread
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Array<string>>} IDs of the messages dropped
+   */
+  prune(threadId) {
+    return this.enqueue(threadId, () => this.pruneNow(threadId));
+  }
+
+  /**
+   * Apply the retention policy to a thread without waiting for its queue
+   *
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Array<string>>} IDs of the messages dropped
+   */
+  async pruneNow(threadId) {
+    const dropped = await this.pages.prune(threadId, this.getRetention());
+
+    if (dropped.length > 0) {
+      this.onPrune(threadId, dropped);
+    }
+
+    return dropped;
+  }
+
+  /**
+   * Run a task after the pending reads and writes of a thread's messages
+   *
+   * @param {string} threadId - Thread ID
+   * @param {Function} task - Returns a promise
+   * @returns {Promise<*>} Result of the task
+   */
+  enqueue(threadId, task) {
+    const previous = this.queues.get(threadId) || Promise.resolve();
+    const result = previous.then(task);
+
+    // A failed task doesn't block the ones after it
+    const settled = result.catch(error => {
+      console.error(`Error storing messages of thread ${threadId}:`, error);
+    });
+    this.queues.set(threadId, settled);
+    settled.then(() => {
+      if (this.queues.get(threadId) === settled) {
+        this.queues.delete(threadId);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Turn the conversation saved before threads existed into a thread
+   *
+   * @returns {Promise<Array>} Threads made from it
+   */
+  async migrateConversation() {
+    const messages = await StorageService.loadData(STORAGE_KEYS.CONVERSATION_HISTORY, []);
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return [];
+    }
+
+    const createdAt = messages[0].timestamp || Date.now();
+    const thread = summarizeThread(createThread({ createdAt }), messages);
+
+    await this.pages.write(thread.id, messages);
+    await StorageService.removeData(STORAGE_KEYS.CONVERSATION_HISTORY);
+
+    return [thread];
+  }
+}
+
+export default ThreadStore;
@@ -0,0 +1,142 @@
+/**
+ * Voice Session Machine
+ *
+ * Runs the voice session state machine from utils/voiceSession: applies
+ * events, refuses the ones the current state doesn't allow, starts the
+ * timeout of each timed state and tells its listeners about every change.
+ * Listeners do the actual work, such as starting the microphone on entering
+ * the recording state, so a change and its side effects can't get out of step.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import {
+  VOICE_EVENTS,
+  STATE_TIMEOUTS,
+  createVoiceSession,
+  transition,
+} from '../utils/voiceSession';
+import { FEATURES } from '../utils/constants';
+
+/**
+ * Drives the voice session
+ */
+export class VoiceSessionMachine {
+  /**
+   * Create a voice session machine
+   *
+   * @param {Object} [options={}] - Machine options
+   * @param {Function} [options.onChange] - Called with (session, previous, event) after every change
+   * @param {Object} [options.timeouts=STATE_TIMEOUTS] - How long each state may last, in ms
+   */
+  constructor({
+    onChange,
+    timeouts = STATE_TIMEOUTS,
+  } = {}) {
+    this.timeouts = timeouts;
+    this.session = createVoiceSession();
+    this.timer = null;
+    this.listeners = new Set();
+
+    if (onChange) {
+      this.listeners.add(onChange);
+    }
+  }
+
+  /**
+   * Apply an event
+   *
+   * @param {Object} event - Event ({ type } plus any data the event carries)
+   * @returns {boolean} Whether the event was allowed
+   */
+  send(event) {
+    const next = transition(this.session, event);
+
+    if (!next) {
+      if (FEATURES.ENABLE_DEBUGGING) {
+        console.log(`VoiceSessionMachine: Ignoring ${event.type} while ${this.session.state}`);
+      }
+      return false;
+    }
+
+    const previous = this.session;
+    this.session = next;
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`VoiceSessionMachine: ${previous.state} → ${next.state} (${event.type})`);
+    }
+
+    // Turning auto-listen on or off mid-turn doesn't restart the clock of the turn
+    if (event.type !== VOICE_EVENTS.SET_LISTENING || next.state !== previous.state) {
+      this.scheduleTimeout();
+    }
+
+    this.listeners.forEach(listener => listener(next, previous, event));
+
+    return true;
+  }
+
+  /**
+   * Listen for changes
+   *
+   * @param {Function} listener - Called with (session, previous, event) after every change
+   * @returns {Function} Function to stop listening
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Get the current session
+   *
+   * @returns {Object} Session { state, listening, error }
+   */
+  getSession() {
+    return this.session;
+  }
+
+  /**
+   * Get the current state
+   *
+   * @returns {string} One of VOICE_STATES
+   */
+  getState() {
+    return this.session.state;
+  }
+
+  /**
+   * Start the timeout of the current state, replacing the previous one
+   */
+  scheduleTimeout() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const delay = this.timeouts[this.session.state];
+
+    if (delay) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.send({ type: VOICE_EVENTS.TIMEOUT });
+      }, delay);
+    }
+  }
+
+  /**
+   * Stop the pending timeout
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default VoiceSessionMachine;
@@ -0,0 +1,275 @@
+/**
+ * WebSocket Reconnect Manager
+ *
+ * Spaces reconnection attempts to the server with exponential backoff and
+ * jitter, so an outage isn't met with a retry every few seconds from every
+ * client at once. Gives up after a number of attempts; an explicit retry
+ * (network regained, app foregrounded, user request) starts over at once.
+ * Reconnection can also be paused while it can't succeed, such as when the
+ * server rejected our credentials. Each pause has a reason and is lifted only
+ * by resuming for that reason, so e.g. the network coming back doesn't retry
+ * credentials the server already rejected.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { getBackoffDelay } from '../utils/backoff';
+import { TIME, WS_RECONNECT, RECONNECT_STATES, FEATURES } from '../utils/constants';
+
+/**
+ * Schedules reconnections to the WebSocket server
+ */
+export class WebSocketReconnectManager {
+  /**
+   * Create a reconnect manager
+   *
+   * @param {Object} options - Manager options
+   * @param {Function} options.connect - Opens a new connection; failures are reported through schedule()
+   * @param {Function} [options.onStatusChange] - Called with the status whenever it changes
+   * @param {number} [options.maxAttempts=WS_RECONNECT.MAX_ATTEMPTS] - Attempts before giving up
+   * @param {number} [options.initialDelay=TIME.WEBSOCKET_RECONNECT_INITIAL_DELAY] - Delay before the first attempt, in ms
+   * @param {number} [options.maxDelay=TIME.WEBSOCKET_RECONNECT_MAX_DELAY] - Upper bound for the delay, in ms
+   * @param {number} [options.jitter=WS_RECONNECT.JITTER] - Fraction of each delay that may be randomly removed
+   */
+  constructor({
+    connect,
+    onStatusChange = () => {},
+    maxAttempts = WS_RECONNECT.MAX_ATTEMPTS,
+    initialDelay = TIME.WEBSOCKET_RECONNECT_INITIAL_DELAY,
+    maxDelay = TIME.WEBSOCKET_RECONNECT_MAX_DELAY,
+    jitter = WS_RECONNECT.JITTER,
+  }) {
+    this.connect = connect;
+    this.onStatusChange = onStatusChange;
+    this.maxAttempts = maxAttempts;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.jitter = jitter;
+    this.attempts = 0;
+    this.timer = null;
+    this.pauseReasons = new Set();
+    this.status = createStatus(RECONNECT_STATES.IDLE);
+  }
+
+  /**
+   * Schedule the next attempt after a connection failed or was lost
+   *
+   * @returns {boolean} Whether an attempt was scheduled
+   */
+  schedule() {
+    if (this.timer || this.isHalted()) {
+      return false;
+    }
+
+    if (this.attempts >= this.maxAttempts) {
+      console.warn(`WebSocketReconnectManager: Giving up after ${this.attempts} attempts`);
+      this.setStatus(createStatus(RECONNECT_STATES.GAVE_UP, {
+        attempt: this.attempts,
+        maxAttempts: this.maxAttempts,
+      }));
+      return false;
+    }
+
+    const delay = getBackoffDelay(this.attempts, {
+      initialDelay: this.initialDelay,
+      maxDelay: this.maxDelay,
+      jitter: this.jitter,
+    });
+    this.attempts += 1;
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`WebSocketReconnectManager: Attempt ${this.attempts} in ${delay}ms`);
+    }
+
+    this.setStatus(createStatus(RECONNECT_STATES.WAITING, {
+      attempt: this.attempts,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: Date.now() + delay,
+    }));
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.attempt();
+    }, delay);
+
+    return true;
+  }
+
+  /**
+   * Reconnect now and start the backoff over, even after giving up
+   *
+   * Does nothing while paused; see resume().
+   *
+   * @param {string} reason - Why the retry was triggered (for logging)
+   * @returns {boolean} Whether an attempt was made
+   */
+  retryNow(reason) {
+    if (this.isPaused()) {
+      if (FEATURES.ENABLE_DEBUGGING) {
+        console.log(`WebSocketReconnectManager: Not retrying (${reason}) while paused for ${[...this.pauseReasons].join(', ')}`);
+      }
+      return false;
+    }
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`WebSocketReconnectManager: Retrying now (${reason})`);
+    }
+
+    this.clearTimer();
+    this.attempts = 1;
+    this.attempt();
+    return true;
+  }
+
+  /**
+   * Stop reconnecting until resume() is called with the same reason
+   *
+   * @param {string} reason - Why reconnection is paused, one of RECONNECT_PAUSE_REASONS
+   */
+  pause(reason) {
+    console.warn(`WebSocketReconnectManager: Paused (${reason})`);
+
+    this.pauseReasons.add(reason);
+    this.clearTimer();
+    this.setStatus(createStatus(RECONNECT_STATES.PAUSED, {
+      attempt: this.attempts,
+      maxAttempts: this.maxAttempts,
+      pauseReasons: [...this.pauseReasons],
+    }));
+  }
+
+  /**
+   * Lift the pause for a reason; reconnection stays paused for any other
+   *
+   * @param {string} reason - Reason given to pause(), one of RECONNECT_PAUSE_REASONS
+   * @returns {boolean} Whether reconnection is no longer paused
+   */
+  resume(reason) {
+    this.pauseReasons.delete(reason);
+
+    return !this.isPaused();
+  }
+
+  /**
+   * Start the backoff over once connected
+   *
+   * Pauses are kept; each is lifted only by resuming for its reason.
+   */
+  reset() {
+    this.clearTimer();
+    this.attempts = 0;
+
+    if (!this.isPaused() && this.status.state !== RECONNECT_STATES.IDLE) {
+      this.setStatus(createStatus(RECONNECT_STATES.IDLE));
+    }
+  }
+
+  /**
+   * Stop reconnecting when disconnecting on purpose
+   *
+   * Any pause is forgotten, since the next connection may well succeed.
+   */
+  stop() {
+    this.clearTimer();
+    this.attempts = 0;
+    this.pauseReasons.clear();
+
+    if (this.status.state !== RECONNECT_STATES.IDLE) {
+      this.setStatus(createStatus(RECONNECT_STATES.IDLE));
+    }
+  }
+
+  /**
+   * Whether a reconnection is in progress
+   *
+   * @returns {boolean} True while waiting for or making an attempt
+   */
+  isActive() {
+    return this.status.state === RECONNECT_STATES.WAITING
+      || this.status.state === RECONNECT_STATES.CONNECTING;
+  }
+
+  /**
+   * Whether reconnection waits for an explicit retry
+   *
+   * @returns {boolean} True after giving up or while paused
+   */
+  isHalted() {
+    return this.status.state === RECONNECT_STATES.GAVE_UP
+      || this.status.state === RECONNECT_STATES.PAUSED;
+  }
+
+  /**
+   * Whether reconnection is paused for any reason
+   *
+   * @returns {boolean} True until every pause is lifted
+   */
+  isPaused() {
+    return this.pauseReasons.size > 0;
+  }
+
+  /**
+   * Get the current status
+   *
+   * @returns {Object} { state, attempt, maxAttempts, nextAttemptAt, pauseReasons }
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Make an attempt
+   */
+  attempt() {
+    this.setStatus(createStatus(RECONNECT_STATES.CONNECTING, {
+      attempt: this.attempts,
+      maxAttempts: this.maxAttempts,
+    }));
+
+    try {
+      this.connect();
+    } catch (error) {
+      console.error('WebSocketReconnectManager: Error reconnecting', error);
+      this.schedule();
+    }
+  }
+
+  /**
+   * Cancel the pending attempt, if any
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Update the status and notify the listener
+   *
+   * @param {Object} status - New status
+   */
+  setStatus(status) {
+    this.status = status;
+    this.onStatusChange(status);
+  }
+}
+
+/**
+ * Build a status object
+ *
+ * @param {string} state - One of RECONNECT_STATES
+ * @param {Object} [fields={}] - attempt, maxAttempts, nextAttemptAt, pauseReasons
+ * @returns {Object} Status
+ */
+const createStatus = (state, fields = {}) => ({
+  state,
+  attempt: 0,
+  maxAttempts: 0,
+  nextAttemptAt: null,
+  pauseReasons: [],
+  ...fields,
+});
+
+export default WebSocketReconnectManager;
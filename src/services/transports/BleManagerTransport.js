@@ -0,0 +1,185 @@
+/**
+ * BLE Manager Transport
+ *
+ * BleTransport implementation backed by react-native-ble-manager. Scan,
+ * connection and notification events arrive through the library's native
+ * event emitter and are translated into TRANSPORT_EVENTS.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { NativeEventEmitter, NativeModules } from 'react-native';
+import BleManager from 'react-native-ble-manager';
+import { BleTransport, TRANSPORT_EVENTS, ADAPTER_STATES } from './BleTransport';
+import { formatPeripheral, normalizeUuid } from '../../utils/bluetoothDevices';
+import { TIME } from '../../utils/constants';
+
+/**
+ * Map a ble-manager adapter state to ADAPTER_STATES
+ *
+ * @param {string} state - State reported by ble-manager
+ * @returns {string} Adapter state
+ */
+const toAdapterState = (state) => {
+  switch (state) {
+    case 'on':
+      return ADAPTER_STATES.ON;
+    case 'off':
+    case 'turning_on':
+    case 'turning_off':
+      return ADAPTER_STATES.OFF;
+    case 'unauthorized':
+      return ADAPTER_STATES.UNAUTHORIZED;
+    case 'unsupported':
+      return ADAPTER_STATES.UNSUPPORTED;
+    default:
+      return ADAPTER_STATES.UNKNOWN;
+  }
+};
+
+/**
+ * Build the key used to route notifications to subscribers
+ *
+ * @param {string} deviceId - Device ID
+ * @param {string} characteristicUUID - Characteristic UUID
+ * @returns {string} Subscription key
+ */
+const subscriptionKey = (deviceId, characteristicUUID) =>
+  `${deviceId}|${normalizeUuid(characteristicUUID)}`;
+
+/**
+ * Transport for react-native-ble-manager
+ */
+export class BleManagerTransport extends BleTransport {
+  constructor() {
+    super();
+    this.emitter = null;
+    this.nativeListeners = [];
+    this.subscriptions = {};
+    this.isStarted = false;
+  }
+  
+  /**
+   * Start ble-manager and attach native event listeners
+   *
+   * @returns {Promise<string>} Adapter state
+   */
+  async initialize() {
+    if (!this.isStarted) {
+      await BleManager.start({ showAlert: false });
+      this.addNativeListeners();
+      this.isStarted = true;
+    }
+    
+    return this.getState();
+  }
+  
+  /**
+   * Translate native events into transport events
+   */
+  addNativeListeners() {
+    this.emitter = new NativeEventEmitter(NativeModules.BleManager);
+    
+    this.nativeListeners = [
+      this.emitter.addListener('BleManagerDidUpdateState', ({ state }) => {
+        this.emit(TRANSPORT_EVENTS.STATE_CHANGED, { state: toAdapterState(state) });
+      }),
+      this.emitter.addListener('BleManagerDiscoverPeripheral', (peripheral) => {
+        this.emit(TRANSPORT_EVENTS.DEVICE_DISCOVERED, formatPeripheral(peripheral));
+      }),
+      this.emitter.addListener('BleManagerStopScan', () => {
+        this.emit(TRANSPORT_EVENTS.SCAN_STOPPED);
+      }),
+      this.emitter.addListener('BleManagerConnectPeripheral', ({ peripheral }) => {
+        this.emit(TRANSPORT_EVENTS.DEVICE_CONNECTED, { deviceId: peripheral });
+      }),
+      this.emitter.addListener('BleManagerDisconnectPeripheral', ({ peripheral }) => {
+        this.clearSubscriptions(peripheral);
+        this.emit(TRANSPORT_EVENTS.DEVICE_DISCONNECTED, { deviceId: peripheral, error: null });
+      }),
+      this.emitter.addListener('BleManagerDidUpdateValueForCharacteristic', ({ peripheral, characteristic, value }) => {
+        const onValue = this.subscriptions[subscriptionKey(peripheral, characteristic)];
+        if (onValue) {
+          onValue(new Uint8Array(value));
+        }
+      }),
+    ];
+  }
+  
+  /**
+   * Forget the notification subscriptions of a device
+   *
+   * @param {string} deviceId - Device ID
+   */
+  clearSubscriptions(deviceId) {
+    Object.keys(this.subscriptions)
+      .filter(key => key.startsWith(`${deviceId}|`))
+      .forEach(key => delete this.subscriptions[key]);
+  }
+  
+  async getState() {
+    const state = await BleManager.checkState();
+    return toAdapterState(state);
+  }
+  
+  async startScan({ serviceUUIDs = [], timeout = TIME.BLE_SCAN_TIMEOUT, allowDuplicates = true } = {}) {
+    // ble-manager takes the duration in seconds and emits BleManagerStopScan
+    await BleManager.scan(serviceUUIDs, Math.ceil(timeout / 1000), allowDuplicates);
+  }
+  
+  async stopScan() {
+    await BleManager.stopScan();
+  }
+  
+  async connect(deviceId) {
+    await BleManager.connect(deviceId);
+    await BleManager.retrieveServices(deviceId);
+  }
+  
+  async disconnect(deviceId) {
+    this.clearSubscriptions(deviceId);
+    await BleManager.disconnect(deviceId);
+  }
+  
+  async read(deviceId, serviceUUID, characteristicUUID) {
+    const value = await BleManager.read(deviceId, serviceUUID, characteristicUUID);
+    return new Uint8Array(value);
+  }
+  
+  async write(deviceId, serviceUUID, characteristicUUID, data, { withResponse = false } = {}) {
+    const bytes = Array.from(data);
+    
+    if (withResponse) {
+      await BleManager.write(deviceId, serviceUUID, characteristicUUID, bytes);
+    } else {
+      await BleManager.writeWithoutResponse(deviceId, serviceUUID, characteristicUUID, bytes);
+    }
+  }
+  
+  async subscribe(deviceId, serviceUUID, characteristicUUID, onValue) {
+    const key = subscriptionKey(deviceId, characteristicUUID);
+    
+    this.subscriptions[key] = onValue;
+    await BleManager.startNotification(deviceId, serviceUUID, characteristicUUID);
+    
+    return async () => {
+      if (this.subscriptions[key] !== onValue) {
+        return;
+      }
+      
+      delete this.subscriptions[key];
+      await BleManager.stopNotification(deviceId, serviceUUID, characteristicUUID);
+    };
+  }
+  
+  destroy() {
+    super.destroy();
+    this.nativeListeners.forEach(listener => listener.remove());
+    this.nativeListeners = [];
+    this.subscriptions = {};
+    this.isStarted = false;
+  }
+}
+
+export default BleManagerTransport;
@@ -0,0 +1,205 @@
+/**
+ * BLE PLX Transport
+ *
+ * BleTransport implementation backed by react-native-ble-plx. The library
+ * reports values as base64 and has no scan timeout of its own, so both are
+ * handled here to match the other transports.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { BleManager } from 'react-native-ble-plx';
+import { BleTransport, TRANSPORT_EVENTS, ADAPTER_STATES } from './BleTransport';
+import { formatPeripheral } from '../../utils/bluetoothDevices';
+import { decodeBase64, encodeBase64 } from '../../utils/base64';
+import { TIME } from '../../utils/constants';
+
+/**
+ * Map a ble-plx adapter state to ADAPTER_STATES
+ *
+ * @param {string} state - State reported by ble-plx
+ * @returns {string} Adapter state
+ */
+const toAdapterState = (state) => {
+  switch (state) {
+    case 'PoweredOn':
+      return ADAPTER_STATES.ON;
+    case 'PoweredOff':
+    case 'Resetting':
+      return ADAPTER_STATES.OFF;
+    case 'Unauthorized':
+      return ADAPTER_STATES.UNAUTHORIZED;
+    case 'Unsupported':
+      return ADAPTER_STATES.UNSUPPORTED;
+    default:
+      return ADAPTER_STATES.UNKNOWN;
+  }
+};
+
+/**
+ * Transport for react-native-ble-plx
+ */
+export class BlePlxTransport extends BleTransport {
+  constructor() {
+    super();
+    this.manager = null;
+    this.stateSubscription = null;
+    this.disconnectSubscriptions = {};
+    this.scanTimeout = null;
+    this.isScanning = false;
+  }
+  
+  /**
+   * Create the ble-plx manager and watch the adapter state
+   *
+   * @returns {Promise<string>} Adapter state
+   */
+  async initialize() {
+    if (!this.manager) {
+      this.manager = new BleManager();
+      this.stateSubscription = this.manager.onStateChange(state => {
+        this.emit(TRANSPORT_EVENTS.STATE_CHANGED, { state: toAdapterState(state) });
+      });
+    }
+    
+    return this.getState();
+  }
+  
+  async getState() {
+    const state = await this.manager.state();
+    return toAdapterState(state);
+  }
+  
+  async startScan({ serviceUUIDs = [], timeout = TIME.BLE_SCAN_TIMEOUT, allowDuplicates = true } = {}) {
+    this.isScanning = true;
+    
+    this.manager.startDeviceScan(
+      serviceUUIDs.length > 0 ? serviceUUIDs : null,
+      { allowDuplicates },
+      (error, device) => {
+        if (error) {
+          console.error('BlePlxTransport: Scan error', error);
+          this.stopScan().catch(console.error);
+          return;
+        }
+        
+        if (device) {
+          this.emit(TRANSPORT_EVENTS.DEVICE_DISCOVERED, formatPeripheral({
+            id: device.id,
+            name: device.name,
+            rssi: device.rssi,
+            advertising: {
+              localName: device.localName,
+              serviceUUIDs: device.serviceUUIDs,
+            },
+          }));
+        }
+      }
+    );
+    
+    this.scanTimeout = setTimeout(() => {
+      this.stopScan().catch(console.error);
+    }, timeout);
+  }
+  
+  async stopScan() {
+    if (this.scanTimeout) {
+      clearTimeout(this.scanTimeout);
+      this.scanTimeout = null;
+    }
+    
+    this.manager.stopDeviceScan();
+    
+    if (this.isScanning) {
+      this.isScanning = false;
+      this.emit(TRANSPORT_EVENTS.SCAN_STOPPED);
+    }
+  }
+  
+  async connect(deviceId) {
+    await this.manager.connectToDevice(deviceId);
+    await this.manager.discoverAllServicesAndCharacteristicsForDevice(deviceId);
+    
+    if (this.disconnectSubscriptions[deviceId]) {
+      this.disconnectSubscriptions[deviceId].remove();
+    }
+    
+    this.disconnectSubscriptions[deviceId] = this.manager.onDeviceDisconnected(deviceId, (error) => {
+      this.disconnectSubscriptions[deviceId].remove();
+      delete this.disconnectSubscriptions[deviceId];
+      this.emit(TRANSPORT_EVENTS.DEVICE_DISCONNECTED, { deviceId, error: error || null });
+    });
+    
+    this.emit(TRANSPORT_EVENTS.DEVICE_CONNECTED, { deviceId });
+  }
+  
+  async disconnect(deviceId) {
+    await this.manager.cancelDeviceConnection(deviceId);
+  }
+  
+  async read(deviceId, serviceUUID, characteristicUUID) {
+    const characteristic = await this.manager.readCharacteristicForDevice(
+      deviceId,
+      serviceUUID,
+      characteristicUUID
+    );
+    
+    return decodeBase64(characteristic.value || '');
+  }
+  
+  async write(deviceId, serviceUUID, characteristicUUID, data, { withResponse = false } = {}) {
+    const value = encodeBase64(data);
+    
+    if (withResponse) {
+      await this.manager.writeCharacteristicWithResponseForDevice(deviceId, serviceUUID, characteristicUUID, value);
+    } else {
+      await this.manager.writeCharacteristicWithoutResponseForDevice(deviceId, serviceUUID, characteristicUUID, value);
+    }
+  }
+  
+  async subscribe(deviceId, serviceUUID, characteristicUUID, onValue) {
+    const subscription = this.manager.monitorCharacteristicForDevice(
+      deviceId,
+      serviceUUID,
+      characteristicUUID,
+      (error, characteristic) => {
+        if (error) {
+          // Monitoring ends with an error when the device disconnects
+          console.warn('BlePlxTransport: Notification error', error);
+          return;
+        }
+        
+        onValue(decodeBase64(characteristic.value || ''));
+      }
+    );
+    
+    return async () => {
+      subscription.remove();
+    };
+  }
+  
+  destroy() {
+    super.destroy();
+    
+    if (this.scanTimeout) {
+      clearTimeout(this.scanTimeout);
+      this.scanTimeout = null;
+    }
+    
+    Object.values(this.disconnectSubscriptions).forEach(subscription => subscription.remove());
+    this.disconnectSubscriptions = {};
+    
+    if (this.stateSubscription) {
+      this.stateSubscription.remove();
+      this.stateSubscription = null;
+    }
+    
+    if (this.manager) {
+      this.manager.destroy();
+      this.manager = null;
+    }
+  }
+}
+
+export default BlePlxTransport;
@@ -0,0 +1,191 @@
+/**
+ * BLE Transport
+ *
+ * Interface shared by every Bluetooth Low Energy library adapter. The rest of
+ * the app talks to headsets only through this interface, so the underlying
+ * library can be swapped and device flows can run against an in-memory fake.
+ *
+ * All characteristic values cross the interface as Uint8Array, UUIDs are
+ * normalised to lower case short form where possible, and discovered devices
+ * use the shape produced by `utils/bluetoothDevices.formatPeripheral`.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Events emitted by a transport
+ */
+export const TRANSPORT_EVENTS = {
+  STATE_CHANGED: 'stateChanged', // { state }
+  DEVICE_DISCOVERED: 'deviceDiscovered', // formatted device
+  SCAN_STOPPED: 'scanStopped', // {}
+  DEVICE_CONNECTED: 'deviceConnected', // { deviceId }
+  DEVICE_DISCONNECTED: 'deviceDisconnected', // { deviceId, error }
+};
+
+/**
+ * Bluetooth adapter states reported by a transport
+ */
+export const ADAPTER_STATES = {
+  ON: 'on',
+  OFF: 'off',
+  UNAUTHORIZED: 'unauthorized',
+  UNSUPPORTED: 'unsupported',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Base class for BLE transports
+ *
+ * Subclasses implement the library-specific methods and call `emit` for the
+ * events in TRANSPORT_EVENTS.
+ */
+export class BleTransport {
+  constructor() {
+    this.listeners = {};
+  }
+  
+  /**
+   * Subscribe to a transport event
+   *
+   * @param {string} event - One of TRANSPORT_EVENTS
+   * @param {Function} listener - Event listener
+   * @returns {Function} Function that removes the listener
+   */
+  on(event, listener) {
+    this.listeners[event] = [...(this.listeners[event] || []), listener];
+    
+    return () => {
+      this.listeners[event] = (this.listeners[event] || []).filter(l => l !== listener);
+    };
+  }
+  
+  /**
+   * Emit a transport event
+   *
+   * @param {string} event - One of TRANSPORT_EVENTS
+   * @param {Object} [payload={}] - Event payload
+   */
+  emit(event, payload = {}) {
+    (this.listeners[event] || []).forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`BleTransport: Error in ${event} listener`, error);
+      }
+    });
+  }
+  
+  /**
+   * Start the underlying library
+   *
+   * @returns {Promise<string>} Adapter state (one of ADAPTER_STATES)
+   */
+  async initialize() {
+    throw new Error('BleTransport: initialize not implemented');
+  }
+  
+  /**
+   * Get the Bluetooth adapter state
+   *
+   * @returns {Promise<string>} Adapter state (one of ADAPTER_STATES)
+   */
+  async getState() {
+    throw new Error('BleTransport: getState not implemented');
+  }
+  
+  /**
+   * Start scanning; devices arrive as DEVICE_DISCOVERED events
+   *
+   * The scan ends with a SCAN_STOPPED event, either after the timeout or
+   * when stopScan is called.
+   *
+   * @param {Object} [options] - Scan options
+   * @param {Array<string>} [options.serviceUUIDs=[]] - Only report devices advertising these services
+   * @param {number} [options.timeout] - Scan duration in ms
+   * @param {boolean} [options.allowDuplicates=true] - Report repeated advertisements (RSSI updates)
+   * @returns {Promise<void>} Promise that resolves when scanning has started
+   */
+  async startScan(options) {
+    throw new Error('BleTransport: startScan not implemented');
+  }
+  
+  /**
+   * Stop scanning
+   *
+   * @returns {Promise<void>} Promise that resolves when scanning has stopped
+   */
+  async stopScan() {
+    throw new Error('BleTransport: stopScan not implemented');
+  }
+  
+  /**
+   * Connect to a device and discover its services
+   *
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<void>} Promise that resolves when the device is ready
+   */
+  async connect(deviceId) {
+    throw new Error('BleTransport: connect not implemented');
+  }
+  
+  /**
+   * Disconnect from a device
+   *
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<void>} Promise that resolves when disconnected
+   */
+  async disconnect(deviceId) {
+    throw new Error('BleTransport: disconnect not implemented');
+  }
+  
+  /**
+   * Read a characteristic
+   *
+   * @param {string} deviceId - Device ID
+   * @param {string} serviceUUID - Service UUID
+   * @param {string} characteristicUUID - Characteristic UUID
+   * @returns {Promise<Uint8Array>} Characteristic value
+   */
+  async read(deviceId, serviceUUID, characteristicUUID) {
+    throw new Error('BleTransport: read not implemented');
+  }
+  
+  /**
+   * Write a characteristic
+   *
+   * @param {string} deviceId - Device ID
+   * @param {string} serviceUUID - Service UUID
+   * @param {string} characteristicUUID - Characteristic UUID
+   * @param {Uint8Array} data - Value to write
+   * @param {Object} [options] - Write options
+   * @param {boolean} [options.withResponse=false] - Wait for the device to acknowledge the write
+   * @returns {Promise<void>} Promise that resolves when written
+   */
+  async write(deviceId, serviceUUID, characteristicUUID, data, options) {
+    throw new Error('BleTransport: write not implemented');
+  }
+  
+  /**
+   * Subscribe to characteristic notifications
+   *
+   * @param {string} deviceId - Device ID
+   * @param {string} serviceUUID - Service UUID
+   * @param {string} characteristicUUID - Characteristic UUID
+   * @param {Function} onValue - Called with each notified value as a Uint8Array
+   * @returns {Promise<Function>} Async function that ends the subscription
+   */
+  async subscribe(deviceId, serviceUUID, characteristicUUID, onValue) {
+    throw new Error('BleTransport: subscribe not implemented');
+  }
+  
+  /**
+   * Release library resources and listeners
+   */
+  destroy() {
+    this.listeners = {};
+  }
+}
+
+export default BleTransport;
@@ -0,0 +1,249 @@
+/**
+ * Fake BLE Transport
+ *
+ * In-memory BleTransport with no native dependencies. Devices, adapter state
+ * and characteristic values are set up by the caller, which can then drive
+ * notifications and disconnects to exercise device flows without hardware.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { BleTransport, TRANSPORT_EVENTS, ADAPTER_STATES } from './BleTransport';
+import { normalizeUuid } from '../../utils/bluetoothDevices';
+
+/**
+ * Build the key for a characteristic of a device
+ *
+ * @param {string} deviceId - Device ID
+ * @param {string} serviceUUID - Service UUID
+ * @param {string} characteristicUUID - Characteristic UUID
+ * @returns {string} Characteristic key
+ */
+const characteristicKey = (deviceId, serviceUUID, characteristicUUID) =>
+  `${deviceId}|${normalizeUuid(serviceUUID)}|${normalizeUuid(characteristicUUID)}`;
+
+/**
+ * In-memory transport for development and tests
+ */
+export class FakeBleTransport extends BleTransport {
+  /**
+   * Create a fake transport
+   *
+   * @param {Object} [options] - Fake options
+   * @param {string} [options.state=ADAPTER_STATES.ON] - Initial adapter state
+   * @param {Array<Object>} [options.devices=[]] - Devices to advertise, see addDevice
+   * @param {number} [options.scanDelay=100] - Delay before devices are reported, in ms
+   */
+  constructor({ state = ADAPTER_STATES.ON, devices = [], scanDelay = 100 } = {}) {
+    super();
+    this.state = state;
+    this.scanDelay = scanDelay;
+    this.devices = {};
+    this.values = {};
+    this.subscriptions = {};
+    this.connectedIds = new Set();
+    this.writes = [];
+    this.scanTimers = [];
+    this.isScanning = false;
+    
+    devices.forEach(device => this.addDevice(device));
+  }
+  
+  /**
+   * Add a device that will be reported by scans
+   *
+   * @param {Object} device - Device
+   * @param {string} device.id - Device ID
+   * @param {string} [device.name] - Advertised name
+   * @param {number} [device.rssi=-60] - Signal strength
+   * @param {Array<string>} [device.serviceUUIDs=[]] - Advertised services
+   * @param {Object} [device.characteristics={}] - Initial values keyed by `service/characteristic`
+   */
+  addDevice({ id, name = null, rssi = -60, serviceUUIDs = [], characteristics = {} }) {
+    this.devices[id] = {
+      id,
+      name,
+      rssi,
+      serviceUUIDs: serviceUUIDs.map(normalizeUuid),
+    };
+    
+    Object.entries(characteristics).forEach(([path, value]) => {
+      const [serviceUUID, characteristicUUID] = path.split('/');
+      this.values[characteristicKey(id, serviceUUID, characteristicUUID)] = Uint8Array.from(value);
+    });
+  }
+  
+  /**
+   * Change the adapter state
+   *
+   * @param {string} state - One of ADAPTER_STATES
+   */
+  setState(state) {
+    this.state = state;
+    this.emit(TRANSPORT_EVENTS.STATE_CHANGED, { state });
+    
+    if (state !== ADAPTER_STATES.ON) {
+      Array.from(this.connectedIds).forEach(deviceId => this.simulateDisconnect(deviceId));
+    }
+  }
+  
+  /**
+   * Set a characteristic value, notifying any subscriber
+   *
+   * @param {string} deviceId - Device ID
+   * @param {string} serviceUUID - Service UUID
+   * @param {string} characteristicUUID - Characteristic UUID
+   * @param {Uint8Array|Array<number>} value - New value
+   */
+  setValue(deviceId, serviceUUID, characteristicUUID, value) {
+    const key = characteristicKey(deviceId, serviceUUID, characteristicUUID);
+    this.values[key] = Uint8Array.from(value);
+    
+    if (this.subscriptions[key] && this.connectedIds.has(deviceId)) {
+      this.subscriptions[key](this.values[key]);
+    }
+  }
+  
+  /**
+   * Drop a connection as if the device went out of range
+   *
+   * @param {string} deviceId - Device ID
+   */
+  simulateDisconnect(deviceId) {
+    if (!this.connectedIds.delete(deviceId)) {
+      return;
+    }
+    
+    this.clearSubscriptions(deviceId);
+    this.emit(TRANSPORT_EVENTS.DEVICE_DISCONNECTED, {
+      deviceId,
+      error: new Error('Connection lost'),
+    });
+  }
+  
+  /**
+   * Forget the notification subscriptions of a device
+   *
+   * @param {string} deviceId - Device ID
+   */
+  clearSubscriptions(deviceId) {
+    Object.keys(this.subscriptions)
+      .filter(key => key.startsWith(`${deviceId}|`))
+      .forEach(key => delete this.subscriptions[key]);
+  }
+  
+  /**
+   * Throw unless the device is connected
+   *
+   * @param {string} deviceId - Device ID
+   */
+  assertConnected(deviceId) {
+    if (!this.connectedIds.has(deviceId)) {
+      throw new Error(`Device ${deviceId} is not connected`);
+    }
+  }
+  
+  async initialize() {
+    return this.state;
+  }
+  
+  async getState() {
+    return this.state;
+  }
+  
+  async startScan({ serviceUUIDs = [], timeout = 10000 } = {}) {
+    if (this.state !== ADAPTER_STATES.ON) {
+      throw new Error('Bluetooth is not powered on');
+    }
+    
+    const wanted = serviceUUIDs.map(normalizeUuid);
+    this.isScanning = true;
+    
+    this.scanTimers.push(setTimeout(() => {
+      Object.values(this.devices)
+        .filter(device => !wanted.length || device.serviceUUIDs.some(uuid => wanted.includes(uuid)))
+        .forEach(device => {
+          this.emit(TRANSPORT_EVENTS.DEVICE_DISCOVERED, { ...device, lastSeen: Date.now() });
+        });
+    }, this.scanDelay));
+    
+    this.scanTimers.push(setTimeout(() => {
+      this.stopScan();
+    }, timeout));
+  }
+  
+  async stopScan() {
+    this.scanTimers.forEach(timer => clearTimeout(timer));
+    this.scanTimers = [];
+    
+    if (this.isScanning) {
+      this.isScanning = false;
+      this.emit(TRANSPORT_EVENTS.SCAN_STOPPED);
+    }
+  }
+  
+  async connect(deviceId) {
+    if (this.state !== ADAPTER_STATES.ON) {
+      throw new Error('Bluetooth is not powered on');
+    }
+    
+    if (!this.devices[deviceId]) {
+      throw new Error(`Device ${deviceId} not found`);
+    }
+    
+    this.connectedIds.add(deviceId);
+    this.emit(TRANSPORT_EVENTS.DEVICE_CONNECTED, { deviceId });
+  }
+  
+  async disconnect(deviceId) {
+    if (!this.connectedIds.delete(deviceId)) {
+      return;
+    }
+    
+    this.clearSubscriptions(deviceId);
+    this.emit(TRANSPORT_EVENTS.DEVICE_DISCONNECTED, { deviceId, error: null });
+  }
+  
+  async read(deviceId, serviceUUID, characteristicUUID) {
+    this.assertConnected(deviceId);
+    
+    const value = this.values[characteristicKey(deviceId, serviceUUID, characteristicUUID)];
+    if (!value) {
+      throw new Error(`Characteristic ${characteristicUUID} not found`);
+    }
+    
+    return value;
+  }
+  
+  async write(deviceId, serviceUUID, characteristicUUID, data, { withResponse = false } = {}) {
+    this.assertConnected(deviceId);
+    
+    const value = Uint8Array.from(data);
+    this.values[characteristicKey(deviceId, serviceUUID, characteristicUUID)] = value;
+    this.writes.push({ deviceId, serviceUUID, characteristicUUID, value, withResponse });
+  }
+  
+  async subscribe(deviceId, serviceUUID, characteristicUUID, onValue) {
+    this.assertConnected(deviceId);
+    
+    const key = characteristicKey(deviceId, serviceUUID, characteristicUUID);
+    this.subscriptions[key] = onValue;
+    
+    return async () => {
+      if (this.subscriptions[key] === onValue) {
+        delete this.subscriptions[key];
+      }
+    };
+  }
+  
+  destroy() {
+    super.destroy();
+    this.scanTimers.forEach(timer => clearTimeout(timer));
+    this.scanTimers = [];
+    this.subscriptions = {};
+    this.connectedIds.clear();
+  }
+}
+
+export default FakeBleTransport;
@@ -0,0 +1,76 @@
+/**
+ * BLE Transports Index
+ *
+ * Creates the Bluetooth transport selected by the BLE_TRANSPORT environment
+ * variable and exports the instance shared by the Bluetooth contexts, hooks
+ * and services.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { BleTransport, TRANSPORT_EVENTS, ADAPTER_STATES } from './BleTransport';
+import { BleManagerTransport } from './BleManagerTransport';
+import { BlePlxTransport } from './BlePlxTransport';
+import { FakeBleTransport } from './FakeBleTransport';
+import { env } from '../../utils/env';
+import { BLUETOOTH_SERVICES, BLUETOOTH_CHARACTERISTICS } from '../../utils/constants';
+import { stringToBytes } from '../../utils/base64';
+
+/**
+ * Available transport types
+ */
+export const TRANSPORT_TYPES = {
+  BLE_MANAGER: 'ble-manager',
+  BLE_PLX: 'ble-plx',
+  FAKE: 'fake',
+};
+
+// Device advertised by the fake transport when it is selected for the app
+const SIMULATED_HEADSET = {
+  id: 'FA:KE:00:00:00:01',
+  name: 'AIR-Headset (simulated)',
+  rssi: -55,
+  serviceUUIDs: [BLUETOOTH_SERVICES.AUDIO_SERVICE],
+  characteristics: {
+    [`${BLUETOOTH_SERVICES.BATTERY_SERVICE}/${BLUETOOTH_CHARACTERISTICS.BATTERY_LEVEL}`]: [80],
+    [`${BLUETOOTH_SERVICES.DEVICE_INFORMATION}/${BLUETOOTH_CHARACTERISTICS.MANUFACTURER_NAME}`]: stringToBytes('AIR'),
+    [`${BLUETOOTH_SERVICES.DEVICE_INFORMATION}/${BLUETOOTH_CHARACTERISTICS.MODEL_NUMBER}`]: stringToBytes('AIR-Headset'),
+    [`${BLUETOOTH_SERVICES.DEVICE_INFORMATION}/${BLUETOOTH_CHARACTERISTICS.FIRMWARE_REVISION}`]: stringToBytes('1.0.0'),
+  },
+};
+
+/**
+ * Create a transport
+ *
+ * @param {string} [type=TRANSPORT_TYPES.BLE_MANAGER] - One of TRANSPORT_TYPES
+ * @param {Object} [options={}] - Options passed to the fake transport
+ * @returns {BleTransport} Transport instance
+ */
+export const createBleTransport = (type = TRANSPORT_TYPES.BLE_MANAGER, options = {}) => {
+  switch (type) {
+    case TRANSPORT_TYPES.BLE_PLX:
+      return new BlePlxTransport();
+    case TRANSPORT_TYPES.FAKE:
+      return new FakeBleTransport({ devices: [SIMULATED_HEADSET], ...options });
+    case TRANSPORT_TYPES.BLE_MANAGER:
+      return new BleManagerTransport();
+    default:
+      console.warn(`BleTransport: Unknown transport "${type}", using ble-manager`);
+      return new BleManagerTransport();
+  }
+};
+
+// Transport shared across the app
+export const bleTransport = createBleTransport(env.bleTransport);
+
+export {
+  BleTransport,
+  BleManagerTransport,
+  BlePlxTransport,
+  FakeBleTransport,
+  TRANSPORT_EVENTS,
+  ADAPTER_STATES,
+};
+
+export default bleTransport;
@@ -2,21 +2,45 @@
  * App Context
  * 
  * Provides global state management for the application.
- * Manages app settings, messages, and connection states.
+ * Manages app settings, conversation threads, messages, and connection states.
+ * 
+ * This is the one app store: state lives in a reducer (see appReducer) and
+ * changes through its actions, and the functions in the context value wrap
+ * the side effects around them. context/AppContext re-exports it.
  * 
  * @author AIR-assist Development Team
  * @version 1.0.0
  */
 
-import React, { createContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useReducer, useEffect, useCallback, useRef } from 'react';
 import { AppState } from 'react-native';
 
 // Hooks
 import { useWebSocket, useAudio } from '../hooks';
 
+// Services
+import { AudioChunkStream } from '../services/AudioChunkStream';
+import { MessageOutbox, OUTBOX_KINDS, OUTBOX_STATES } from '../services/MessageOutbox';
+import { SessionAuthenticator } from '../services/SessionAuthenticator';
+import { SessionTracker } from '../services/SessionTracker';
+import { ResponseAudioBuffer } from '../services/ResponseAudioBuffer';
+import { ConnectivityMonitor } from '../services/ConnectivityMonitor';
+import { VoiceSessionMachine } from '../services/VoiceSessionMachine';
+import { ThreadStore } from '../services/ThreadStore';
+import { SearchIndex } from '../services/SearchIndex';
+import { ExportService } from '../services/ExportService';
+import { BackupService } from '../services/BackupService';
+
 // Utils
 import { storage } from '../utils';
-import { DEFAULT_SETTINGS } from '../config/constants';
+import { generateId } from '../utils/helpers';
+import { supportsBinaryAudio } from '../utils/protocol';
+import { VOICE_STATES, VOICE_EVENTS } from '../utils/voiceSession';
+import { createThread, sortThreads, getRetentionPolicy } from '../utils/threads';
+import { DEFAULT_SETTINGS, WS_MESSAGE_TYPES, MESSAGE_STATUS, BINARY_FRAME_TYPES, RECONNECT_PAUSE_REASONS, AUTH_STATES } from '../config/constants';
+
+// State
+import { appReducer, appActions, messagesReducer, createInitialAppState } from './appReducer';
 
 // Create context
 export const AppContext = createContext();
@@ -29,29 +53,39 @@ export const AppContext = createContext();
  * @returns {React.ReactElement} Provider component
  */
 export const AppProvider = ({ children }) => {
-  // App state
-  const [appState, setAppState] = useState(AppState.currentState);
-  const [isOnline, setIsOnline] = useState(true);
-  
-  // Settings state
-  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
-  const [userId, setUserId] = useState(null);
-  
-  // Messages state
-  const [messages, setMessages] = useState([]);
-  const [pendingMessages, setPendingMessages] = useState([]);
-  const [isSpeaking, setIsSpeaking] = useState(false);
+  // Store state, changed only through appActions
+  const [state, dispatch] = useReducer(appReducer, AppState.currentState, createInitialAppState);
+  const {
+    settings,
+    userId,
+    messages,
+    olderMessageCount,
+    pendingMessages,
+    threads,
+    activeThreadId,
+    connection: { appState, isOnline, networkType, authState, authError },
+    audio: { voiceSession, lastTranscription },
+  } = state;
   
   // Initialize WebSocket hook
   const {
     isConnected: wsConnected,
     isConnecting: wsConnecting,
     error: wsError,
+    reconnectStatus: wsReconnectStatus,
+    protocolVersion,
+    protocolErrors,
     lastMessage,
     sendMessage,
     addMessageCallback,
+    addBinaryCallback,
     connect: connectWs,
     disconnect: disconnectWs,
+    reconnectNow: reconnectWsNow,
+    dropConnection: dropWsConnection,
+    pauseReconnect: pauseWsReconnect,
+    resumeReconnect: resumeWsReconnect,
+    clearProtocolErrors,
   } = useWebSocket({
     url: settings.wsServerUrl,
     autoConnect: false, // We'll connect manually after settings are loaded
@@ -62,20 +96,156 @@ export const AppProvider = ({ children }) => {
   // Initialize Audio hook
   const {
     isRecording,
-    isRecognizing,
-    isPlaying,
     transcription,
     error: audioError,
+    recordingConfig,
     startRecording,
     stopRecording,
+    startBargeInMonitor,
+    stopBargeInMonitor,
     playAudio,
+    stopPlayback,
   } = useAudio({
     autoInitialize: true,
     enableVoiceRecognition: true,
   });
   
+  // The voice loop; voiceSession mirrors its state
+  const voiceMachineRef = useRef(null);
+  if (!voiceMachineRef.current) {
+    voiceMachineRef.current = new VoiceSessionMachine({
+      onChange: (session) => dispatch(appActions.setVoiceSession(session)),
+    });
+  }
+  
   // Derived state
-  const isProcessingAudio = isRecognizing || isPlaying;
+  const isProcessingAudio = voiceSession.state === VOICE_STATES.PROCESSING;
+  const isSpeaking = voiceSession.state === VOICE_STATES.SPEAKING;
+  
+  // Refs for the active audio upload
+  const audioStreamRef = useRef(null);
+  const sendMessageRef = useRef(sendMessage);
+  sendMessageRef.current = sendMessage;
+  const stopRecordingRef = useRef(stopRecording);
+  stopRecordingRef.current = stopRecording;
+  
+  // ID of the user message whose answer is in flight, and answers the user interrupted
+  const activeResponseIdRef = useRef(null);
+  const cancelledResponsesRef = useRef(new Set());
+  
+  // Answer audio received as binary frames, played once its answer completes
+  const responseAudioRef = useRef(null);
+  if (!responseAudioRef.current) {
+    responseAudioRef.current = new ResponseAudioBuffer();
+  }
+  
+  // Recordings are uploaded as binary frames when the negotiated protocol allows it
+  const protocolVersionRef = useRef(protocolVersion);
+  protocolVersionRef.current = protocolVersion;
+  
+  // Latest frame metadata, for the outbox which sends outside of renders
+  const messageMetadataRef = useRef(null);
+  
+  // Full-text index of the messages of every thread
+  const searchIndexRef = useRef(null);
+  if (!searchIndexRef.current) {
+    searchIndexRef.current = new SearchIndex();
+  }
+  
+  // Stored threads; only the latest messages of the open thread are in the store
+  const retentionRef = useRef(null);
+  retentionRef.current = getRetentionPolicy(settings);
+  const threadStoreRef = useRef(null);
+  if (!threadStoreRef.current) {
+    threadStoreRef.current = new ThreadStore({
+      getRetention: () => retentionRef.current,
+      onPrune: (threadId, messageIds) => searchIndexRef.current.removeMessages(threadId, messageIds),
+    });
+  }
+  const activeThreadIdRef = useRef(activeThreadId);
+  activeThreadIdRef.current = activeThreadId;
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+  
+  /**
+   * Apply a message action to the thread it belongs to
+   * 
+   * Actions for the open thread go to the store; those for another thread
+   * change its stored messages, which are indexed for search here.
+   * 
+   * @param {string|undefined} threadId - Thread ID; the open thread if missing
+   * @param {Object} action - Message action from appActions
+   */
+  const dispatchToThread = useCallback((threadId, action) => {
+    if (!threadId || threadId === activeThreadIdRef.current) {
+      dispatch(action);
+      return;
+    }
+    
+    threadStoreRef.current.updateMessages(threadId, threadMessages => messagesReducer(threadMessages, action))
+      .then(latest => {
+        searchIndexRef.current.indexMessages(threadId, latest.messages);
+        dispatch(appActions.summarizeThread(threadId, latest.messages, latest.olderCount));
+      })
+      .catch(error => console.error('Error updating thread messages:', error));
+  }, []);
+  
+  // Outbox of messages awaiting delivery; pendingMessages mirrors its entries
+  const outboxRef = useRef(null);
+  if (!outboxRef.current) {
+    outboxRef.current = new MessageOutbox({
+      send: (frame) => sendMessageRef.current(frame),
+      getMetadata: () => messageMetadataRef.current,
+      onChange: (entries) => dispatch(appActions.setPendingMessages(entries)),
+      onExpire: () => addMessage('A message could not be delivered in time. Tap it to try again.', false, 'system'),
+      onStatusChange: (messageId, status, entry) => (
+        dispatchToThread(entry.threadId, appActions.setMessageStatus(messageId, status))
+      ),
+      useBinaryAudio: () => supportsBinaryAudio(protocolVersionRef.current),
+    });
+  }
+  
+  // Backs up and restores the stored data
+  const backupServiceRef = useRef(null);
+  if (!backupServiceRef.current) {
+    backupServiceRef.current = new BackupService({
+      threadStore: threadStoreRef.current,
+      getPendingMessages: () => outboxRef.current.getEntries(),
+    });
+  }
+  
+  // Authenticates each connection; a rejected session stops reconnection until the user signs in,
+  // and an unanswered handshake drops the connection for a new one
+  const pauseWsReconnectRef = useRef(pauseWsReconnect);
+  pauseWsReconnectRef.current = pauseWsReconnect;
+  const dropWsConnectionRef = useRef(dropWsConnection);
+  dropWsConnectionRef.current = dropWsConnection;
+  const authRef = useRef(null);
+  if (!authRef.current) {
+    authRef.current = new SessionAuthenticator({
+      send: (frame) => sendMessageRef.current(frame),
+      getMetadata: () => messageMetadataRef.current,
+      onStateChange: (nextAuthState) => dispatch(appActions.setAuthState(nextAuthState)),
+      onAuthFailed: (error) => {
+        pauseWsReconnectRef.current(RECONNECT_PAUSE_REASONS.AUTH_FAILED);
+        dispatch(appActions.setAuthError(error));
+      },
+      onTimeout: () => dropWsConnectionRef.current('handshake timed out'),
+    });
+  }
+  
+  // Server session and last frame received, for resuming after a reconnect
+  const sessionRef = useRef(null);
+  if (!sessionRef.current) {
+    sessionRef.current = new SessionTracker();
+  }
+  
+  // Messages only go out once the server has accepted the session
+  const isSessionReady = wsConnected && authState === AUTH_STATES.AUTHENTICATED;
+  const isSessionReadyRef = useRef(isSessionReady);
+  isSessionReadyRef.current = isSessionReady;
+  const wsConnectedRef = useRef(wsConnected);
+  wsConnectedRef.current = wsConnected;
   
   /**
    * Load settings from storage
@@ -85,35 +255,62 @@ export const AppProvider = ({ children }) => {
       try {
         // Load settings
         const savedSettings = await storage.loadSettings(DEFAULT_SETTINGS);
-        setSettings(savedSettings);
+        dispatch(appActions.setSettings(savedSettings));
+        retentionRef.current = getRetentionPolicy({ ...DEFAULT_SETTINGS, ...savedSettings });
         
         // Load or generate user ID
         const id = await storage.getUserId();
-        setUserId(id);
+        dispatch(appActions.setUserId(id));
         
-        // Load conversation history
-        const savedMessages = await storage.loadConversationHistory();
-        setMessages(savedMessages);
+        // Load the threads and open the last one
+        const threadStore = threadStoreRef.current;
+        const saved = await threadStore.load();
+        const latest = await threadStore.loadLatest(saved.activeThreadId);
+        activeThreadIdRef.current = saved.activeThreadId;
+        dispatch(appActions.loadThreads(saved.threads));
+        dispatch(appActions.openThread(saved.activeThreadId, latest.messages, latest.olderCount));
         
-        // Load pending messages
-        const savedPendingMessages = await storage.loadPendingMessages();
-        setPendingMessages(savedPendingMessages);
+        // Load the outbox of pending messages
+        await outboxRef.current.load();
+        
+        // Load the session to resume
+        await sessionRef.current.load();
+        
+        // Load the search index, indexing the stored messages the first time
+        const searchIndex = searchIndexRef.current;
+        if (!await searchIndex.load()) {
+          for (const thread of saved.threads) {
+            searchIndex.indexMessages(thread.id, await threadStore.loadAll(thread.id));
+          }
+          await searchIndex.save();
+        }
       } catch (error) {
         console.error('Error loading app data:', error);
       }
     };
     
     loadSettings();
+    
+    return () => {
+      outboxRef.current.destroy();
+      searchIndexRef.current.flush();
+    };
   }, []);
   
   /**
-   * Connect to WebSocket when settings are loaded
+   * Connect to WebSocket when settings are loaded or the server changes
+   * 
+   * Only runs when the URL changes; every reconnect after that is left to
+   * the reconnect manager, so its backoff and pauses hold. connectWs goes
+   * through a ref since it changes with the connection state.
    */
+  const connectWsRef = useRef(connectWs);
+  connectWsRef.current = connectWs;
   useEffect(() => {
     if (settings.wsServerUrl) {
-      connectWs();
+      connectWsRef.current();
     }
-  }, [settings.wsServerUrl, connectWs]);
+  }, [settings.wsServerUrl]);
   
   /**
    * Save settings when they change
@@ -123,18 +320,27 @@ export const AppProvider = ({ children }) => {
   }, [settings]);
   
   /**
-   * Save conversation history when messages change
+   * Save and index the messages of the open thread when they change
+   * 
+   * Only the pages holding changed messages are written. Nothing is saved
+   * until the threads are loaded, so the stored messages can't be
+   * overwritten by the empty ones the store starts with.
    */
   useEffect(() => {
-    storage.saveConversationHistory(messages);
-  }, [messages]);
+    if (activeThreadId) {
+      threadStoreRef.current.saveMessages(activeThreadId, messages);
+      searchIndexRef.current.indexMessages(activeThreadId, messages);
+    }
+  }, [activeThreadId, messages]);
   
   /**
-   * Save pending messages when they change
+   * Save the thread index when it changes
    */
   useEffect(() => {
-    storage.savePendingMessages(pendingMessages);
-  }, [pendingMessages]);
+    if (activeThreadId) {
+      threadStoreRef.current.saveIndex(threads, activeThreadId);
+    }
+  }, [threads, activeThreadId]);
   
   /**
    * Handle app state changes
@@ -147,8 +353,11 @@ export const AppProvider = ({ children }) => {
           // Check WebSocket connection
           connectWs();
         }
+      } else if (nextAppState === 'background') {
+        // The app may be stopped in the background before the index is saved
+        searchIndexRef.current.flush();
       }
-      setAppState(nextAppState);
+      dispatch(appActions.setAppState(nextAppState));
     });
     
     return () => {
@@ -156,39 +365,186 @@ export const AppProvider = ({ children }) => {
     };
   }, [appState, wsConnected, connectWs]);
   
+  /**
+   * Track network availability
+   */
+  const connectivityRef = useRef(null);
+  if (!connectivityRef.current) {
+    connectivityRef.current = new ConnectivityMonitor({
+      onChange: (status) => dispatch(appActions.setNetwork(status)),
+    });
+  }
+  
+  useEffect(() => {
+    const connectivity = connectivityRef.current;
+    connectivity.start();
+    
+    return () => {
+      connectivity.stop();
+    };
+  }, []);
+  
+  /**
+   * Don't spend reconnection attempts while offline, and reconnect as soon as the network comes back
+   */
+  const wasOnlineRef = useRef(isOnline);
+  useEffect(() => {
+    if (!isOnline) {
+      pauseWsReconnect(RECONNECT_PAUSE_REASONS.OFFLINE);
+    } else if (!wasOnlineRef.current) {
+      resumeWsReconnect(RECONNECT_PAUSE_REASONS.OFFLINE);
+    }
+    
+    wasOnlineRef.current = isOnline;
+  }, [isOnline, pauseWsReconnect, resumeWsReconnect]);
+  
+  /**
+   * Add a message to the conversation
+   * 
+   * @param {string} text - Message text
+   * @param {boolean} isUser - Whether the message is from the user
+   * @param {string} [type='normal'] - Message type
+   * @param {string} [id] - Message ID
+   * @returns {string} Message ID
+   */
+  const addMessage = useCallback((text, isUser, type = 'normal', id = generateId()) => {
+    const newMessage = {
+      id,
+      text,
+      isUser,
+      type,
+      timestamp: Date.now(),
+    };
+    
+    dispatch(appActions.addMessage(newMessage));
+    return newMessage.id;
+  }, []);
+  
   /**
    * Handle WebSocket messages
    */
   useEffect(() => {
     const handleMessage = (data) => {
       try {
-        if (data.type === 'aiResponse') {
-          // Update last user message with transcription if available
-          if (data.transcription && data.messageId) {
-            setMessages(prevMessages =>
-              prevMessages.map(msg =>
-                msg.id === data.messageId
-                  ? { ...msg, text: data.transcription }
-                  : msg
-              )
-            );
+        if (authRef.current.handleFrame(data)) {
+          return;
+        }
+        
+        // Drop frames already received before a reconnect replayed them
+        if (!sessionRef.current.accept(data)) {
+          return;
+        }
+        
+        if (data.type === WS_MESSAGE_TYPES.RESUMED) {
+          if (!data.resumed) {
+            // The server lost the session, so unfinished answers will never complete
+            sessionRef.current.adopt(data.sessionId);
+            dispatch(appActions.finishStreaming());
+            voiceMachineRef.current.send({ type: VOICE_EVENTS.RESPONSE_DONE });
           }
+          return;
+        }
+        
+        /**
+         * Play response audio and end the turn
+         *
+         * @param {string} messageId - ID of the user message being answered
+         * @param {Object|null} audio - Response audio from ResponseAudioBuffer.take (audioBase64, extension)
+         */
+        const playResponseAudio = (messageId, audio) => {
+          const voiceMachine = voiceMachineRef.current;
           
-          // Add AI response to messages
-          addMessage(data.text, false);
-          
-          // Play audio if available
-          if (data.audioBase64) {
-            setIsSpeaking(true);
-            playAudio(data.audioBase64)
+          // Answers aren't spoken over a new recording
+          if (audio && voiceMachine.send({ type: VOICE_EVENTS.START_SPEAKING })) {
+            activeResponseIdRef.current = messageId;
+            playAudio(audio.audioBase64, audio.extension)
               .finally(() => {
-                setIsSpeaking(false);
+                if (activeResponseIdRef.current === messageId) {
+                  activeResponseIdRef.current = null;
+                  voiceMachine.send({ type: VOICE_EVENTS.STOP_SPEAKING });
+                }
               });
           } else {
-            setIsSpeaking(false);
+            if (activeResponseIdRef.current === messageId) {
+              activeResponseIdRef.current = null;
+            }
+            voiceMachine.send({ type: VOICE_EVENTS.RESPONSE_DONE });
+          }
+        };
+        
+        // Drop the rest of an answer the user interrupted
+        if (data.messageId && cancelledResponsesRef.current.has(data.messageId)) {
+          if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE || data.type === WS_MESSAGE_TYPES.AI_RESPONSE_END) {
+            cancelledResponsesRef.current.delete(data.messageId);
+            responseAudioRef.current.discard(data.messageId);
           }
-        } else if (data.type === 'error') {
+          return;
+        }
+        
+        // The server has the message once it acknowledges or starts answering it
+        if (data.type === WS_MESSAGE_TYPES.ACK) {
+          outboxRef.current.ack(data.clientId);
+          return;
+        }
+        if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE || data.type === WS_MESSAGE_TYPES.AI_RESPONSE_START) {
+          outboxRef.current.ackMessage(data.messageId);
+          dispatchToThread(data.threadId, appActions.setMessageStatus(data.messageId, MESSAGE_STATUS.ANSWERED));
+        }
+        
+        // Answers in a thread that isn't open are stored with it, and not spoken
+        if (data.threadId && data.threadId !== activeThreadIdRef.current) {
+          const threadAction = {
+            [WS_MESSAGE_TYPES.AI_RESPONSE]: appActions.responseEnd,
+            [WS_MESSAGE_TYPES.AI_RESPONSE_START]: appActions.responseStart,
+            [WS_MESSAGE_TYPES.AI_RESPONSE_DELTA]: appActions.responseDelta,
+            [WS_MESSAGE_TYPES.AI_RESPONSE_END]: appActions.responseEnd,
+          }[data.type];
+          
+          if (threadAction && data.messageId) {
+            dispatchToThread(data.threadId, appActions.applyTranscription(data.messageId, data.transcription));
+            dispatchToThread(data.threadId, threadAction(data));
+          }
+          if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE || data.type === WS_MESSAGE_TYPES.AI_RESPONSE_END) {
+            responseAudioRef.current.discard(data.messageId);
+          }
+          return;
+        }
+        
+        if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE) {
+          // Update last user message with transcription if available
+          if (data.transcription) {
+            dispatch(appActions.setLastTranscription(data.transcription));
+          }
+          dispatch(appActions.applyTranscription(data.messageId, data.transcription));
+          
+          // Add AI response to messages, keyed by the answered message so a replay replaces it
+          if (data.messageId) {
+            dispatch(appActions.responseEnd(data));
+          } else {
+            addMessage(data.text, false);
+          }
+          
+          // Play audio if available
+          playResponseAudio(data.messageId, responseAudioRef.current.take(data));
+        } else if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE_START) {
+          if (data.transcription) {
+            dispatch(appActions.setLastTranscription(data.transcription));
+          }
+          
+          activeResponseIdRef.current = data.messageId;
+          
+          // Open an empty AI bubble that grows as deltas arrive
+          dispatch(appActions.responseStart(data));
+          voiceMachineRef.current.send({ type: VOICE_EVENTS.RESPONSE_PROGRESS });
+        } else if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE_DELTA) {
+          dispatch(appActions.responseDelta(data));
+          voiceMachineRef.current.send({ type: VOICE_EVENTS.RESPONSE_PROGRESS });
+        } else if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE_END) {
+          dispatch(appActions.responseEnd(data));
+          playResponseAudio(data.messageId, responseAudioRef.current.take(data));
+        } else if (data.type === WS_MESSAGE_TYPES.ERROR) {
           addMessage(`Error: ${data.message}`, false, 'system');
+          voiceMachineRef.current.send({ type: VOICE_EVENTS.RESPONSE_ERROR, error: data.message });
         }
       } catch (error) {
         console.error('Error handling WebSocket message:', error);
@@ -202,92 +558,185 @@ export const AppProvider = ({ children }) => {
     return () => {
       removeCallback();
     };
-  }, [addMessageCallback, playAudio]);
+  }, [addMessageCallback, addMessage, playAudio, dispatchToThread]);
   
   /**
-   * Process pending messages when WebSocket connects
+   * Collect answer audio sent as binary frames
    */
   useEffect(() => {
-    if (wsConnected && pendingMessages.length > 0) {
-      processPendingMessages();
-    }
-  }, [wsConnected, pendingMessages]);
+    const removeCallback = addBinaryCallback((frame) => {
+      if (frame.type === BINARY_FRAME_TYPES.RESPONSE_AUDIO && !cancelledResponsesRef.current.has(frame.messageId)) {
+        responseAudioRef.current.add(frame);
+      }
+    });
+    
+    return () => {
+      removeCallback();
+    };
+  }, [addBinaryCallback]);
   
   /**
-   * Add a message to the conversation
+   * Build the common fields sent with every message frame
    * 
-   * @param {string} text - Message text
-   * @param {boolean} isUser - Whether the message is from the user
-   * @param {string} [type='normal'] - Message type
-   * @param {string} [id] - Message ID
-   * @returns {string} Message ID
+   * @returns {Object} Frame metadata
    */
-  const addMessage = useCallback((text, isUser, type = 'normal', id = Date.now().toString()) => {
-    const newMessage = {
-      id,
-      text,
-      isUser,
-      type,
-      timestamp: Date.now(),
-    };
+  const getMessageMetadata = useCallback(() => ({
+    userId: userId || 'guest',
+    userName: settings.userName,
+    voice: settings.aiVoice,
+    // The server keeps the context of each thread apart
+    threadId: activeThreadId || undefined,
+  }), [userId, settings.userName, settings.aiVoice, activeThreadId]);
+  
+  messageMetadataRef.current = getMessageMetadata();
+  
+  /**
+   * Authenticate each new connection
+   */
+  useEffect(() => {
+    if (wsConnected) {
+      authRef.current.start();
+    } else {
+      authRef.current.stop();
+    }
+  }, [wsConnected]);
+  
+  /**
+   * Resume the session on each authenticated connection, before anything else is sent
+   */
+  useEffect(() => {
+    if (isSessionReady) {
+      sendMessageRef.current(sessionRef.current.getResumeFrame(messageMetadataRef.current));
+    }
+  }, [isSessionReady]);
+  
+  /**
+   * Let the outbox send while the session is open
+   */
+  useEffect(() => {
+    const outbox = outboxRef.current;
     
-    setMessages(prevMessages => [...prevMessages, newMessage]);
-    return newMessage.id;
+    if (isSessionReady && outbox.getEntries().some(entry => entry.state === OUTBOX_STATES.QUEUED)) {
+      addMessage('Processing your offline messages...', false, 'system');
+    }
+    
+    outbox.setConnected(isSessionReady);
+  }, [isSessionReady, addMessage]);
+  
+  /**
+   * Start streaming a new recording to the server
+   * 
+   * @returns {string|null} User message ID or null if error
+   */
+  const startAudioStream = useCallback(() => {
+    try {
+      const userMessageId = addMessage('Listening...', true);
+      
+      const stream = new AudioChunkStream({
+        messageId: userMessageId,
+        // Read the latest sendMessage, which changes whenever the socket does. Frames
+        // only go out live once the session is authenticated; a recording started
+        // before that is buffered and sent by the outbox after sign-in
+        send: (frame) => isSessionReadyRef.current && sendMessageRef.current(frame),
+        // The client id lets the server acknowledge the recording
+        metadata: { ...getMessageMetadata(), clientId: generateId() },
+        format: recordingConfig,
+        binary: supportsBinaryAudio(protocolVersionRef.current),
+      });
+      
+      stream.start();
+      audioStreamRef.current = stream;
+      
+      return userMessageId;
+    } catch (error) {
+      console.error('Error starting audio stream:', error);
+      addMessage('Error: Could not process audio. Please try again.', false, 'system');
+      return null;
+    }
+  }, [addMessage, getMessageMetadata, recordingConfig]);
+  
+  /**
+   * Forward a recorded PCM chunk to the active audio stream
+   * 
+   * @param {string} chunkBase64 - Base64-encoded PCM chunk
+   */
+  const sendAudioChunk = useCallback((chunkBase64) => {
+    if (audioStreamRef.current) {
+      audioStreamRef.current.push(chunkBase64);
+    }
   }, []);
   
   /**
-   * Send audio to the server
+   * Finish the active audio stream, queueing it if it could not be delivered live
    * 
-   * @param {string} audioBase64 - Base64-encoded audio data
    * @param {string} [transcription=''] - Transcription of the audio
    * @returns {Promise<string|null>} Message ID or null if error
    */
-  const sendAudioToServer = useCallback(async (audioBase64, transcription = '') => {
+  const finishAudioStream = useCallback(async (transcription = '') => {
+    const stream = audioStreamRef.current;
+    if (!stream) return null;
+    
+    audioStreamRef.current = null;
+    
     try {
-      // If we have a transcription, use it, otherwise show processing
-      const displayText = transcription || 'Listening...';
-      const userMessageId = addMessage(displayText, true);
+      // Keep the buffer until the server acknowledges the recording
+      const { streamed, audioPath } = await stream.finish({ transcription, keepBuffer: true });
+      const threadId = stream.metadata.threadId;
+      const outboxMessage = {
+        kind: OUTBOX_KINDS.AUDIO,
+        clientId: stream.metadata.clientId,
+        messageId: stream.messageId,
+        threadId,
+        audioPath,
+        format: stream.format,
+        transcription,
+      };
       
-      if (wsConnected) {
-        // Send audio to server
-        sendMessage({
-          type: 'audioMessage',
-          audio: audioBase64,
-          transcription: transcription,
-          userId: userId || 'guest',
-          userName: settings.userName,
-          voice: settings.aiVoice,
-          timestamp: Date.now(),
-          messageId: userMessageId,
-        });
+      if (streamed) {
+        outboxRef.current.track(outboxMessage);
+        activeResponseIdRef.current = stream.messageId;
+        dispatchToThread(threadId, appActions.applyTranscription(stream.messageId, transcription));
+      } else if (wsConnectedRef.current && !isSessionReadyRef.current) {
+        // Connected but not signed in yet; the outbox sends it once the session is ready
+        outboxRef.current.enqueue(outboxMessage);
+        activeResponseIdRef.current = stream.messageId;
+        dispatchToThread(threadId, appActions.applyTranscription(stream.messageId, transcription));
       } else {
         // Store for later sending when connection is restored
-        setPendingMessages(prev => [...prev, {
-          audioBase64,
-          transcription,
-          timestamp: Date.now(),
-          messageId: userMessageId,
-        }]);
+        outboxRef.current.enqueue(outboxMessage);
         
         // Update user message with offline indicator
-        setMessages(prevMessages =>
-          prevMessages.map(msg =>
-            msg.id === userMessageId
-              ? { ...msg, text: transcription || 'Message saved for when connection is restored' }
-              : msg
-          )
-        );
+        dispatchToThread(threadId, appActions.setMessageText(
+          stream.messageId,
+          transcription || 'Message saved for when connection is restored'
+        ));
         
         addMessage('I\'m currently offline. I\'ll process your message when I reconnect.', false, 'system');
+        voiceMachineRef.current.send({ type: VOICE_EVENTS.RESPONSE_DONE });
       }
       
-      return userMessageId;
+      return stream.messageId;
     } catch (error) {
       console.error('Error sending audio to server:', error);
       addMessage('Error: Could not process audio. Please try again.', false, 'system');
+      voiceMachineRef.current.send({ type: VOICE_EVENTS.FAIL, error: 'Could not send the recording' });
       return null;
     }
-  }, [wsConnected, addMessage, sendMessage, userId, settings.userName, settings.aiVoice]);
+  }, [addMessage, dispatchToThread]);
+  
+  /**
+   * Drop the active audio stream without sending it
+   * 
+   * @returns {Promise<void>} Promise that resolves when the stream is discarded
+   */
+  const discardAudioStream = useCallback(async () => {
+    const stream = audioStreamRef.current;
+    if (!stream) return;
+    
+    audioStreamRef.current = null;
+    dispatchToThread(stream.metadata.threadId, appActions.removeMessage(stream.messageId));
+    await stream.discard();
+  }, [dispatchToThread]);
   
   /**
    * Send text to the server
@@ -299,26 +748,17 @@ export const AppProvider = ({ children }) => {
     try {
       const userMessageId = addMessage(text, true);
       
+      // The outbox sends it right away if it can, and keeps it until acknowledged
+      outboxRef.current.enqueue({
+        kind: OUTBOX_KINDS.TEXT,
+        messageId: userMessageId,
+        threadId: activeThreadIdRef.current,
+        text,
+      });
+      
       if (wsConnected) {
-        // Send text to server
-        sendMessage({
-          type: 'textMessage',
-          text: text,
-          userId: userId || 'guest',
-          userName: settings.userName,
-          voice: settings.aiVoice,
-          timestamp: Date.now(),
-          messageId: userMessageId,
-        });
+        activeResponseIdRef.current = userMessageId;
       } else {
-        // Store for later sending
-        setPendingMessages(prev => [...prev, {
-          text,
-          isText: true,
-          timestamp: Date.now(),
-          messageId: userMessageId,
-        }]);
-        
         addMessage('I\'m currently offline. I\'ll process your message when I reconnect.', false, 'system');
       }
       
@@ -328,48 +768,14 @@ export const AppProvider = ({ children }) => {
       addMessage('Error: Could not send your message. Please try again.', false, 'system');
       return null;
     }
-  }, [wsConnected, addMessage, sendMessage, userId, settings.userName, settings.aiVoice]);
+  }, [wsConnected, addMessage]);
   
   /**
-   * Process pending messages
+   * Send any pending messages, in order
+   * 
+   * @returns {Promise<void>} Promise that resolves when the outbox stops draining
    */
-  const processPendingMessages = useCallback(async () => {
-    if (!wsConnected || pendingMessages.length === 0) return;
-    
-    try {
-      addMessage('Processing your offline messages...', false, 'system');
-      
-      // Only process the first pending message to avoid overloading
-      const [firstPending, ...remainingPending] = pendingMessages;
-      setPendingMessages(remainingPending);
-      
-      // Send the message to the server
-      if (firstPending.isText) {
-        sendMessage({
-          type: 'textMessage',
-          text: firstPending.text,
-          userId: userId || 'guest',
-          userName: settings.userName,
-          voice: settings.aiVoice,
-          timestamp: firstPending.timestamp,
-          messageId: firstPending.messageId,
-        });
-      } else {
-        sendMessage({
-          type: 'audioMessage',
-          audio: firstPending.audioBase64,
-          transcription: firstPending.transcription || '',
-          userId: userId || 'guest',
-          userName: settings.userName,
-          voice: settings.aiVoice,
-          timestamp: firstPending.timestamp,
-          messageId: firstPending.messageId,
-        });
-      }
-    } catch (error) {
-      console.error('Error processing pending messages:', error);
-    }
-  }, [wsConnected, pendingMessages, addMessage, sendMessage, userId, settings.userName, settings.aiVoice]);
+  const processPendingMessages = useCallback(() => outboxRef.current.drain(), []);
   
   /**
    * Update settings
@@ -377,53 +783,524 @@ export const AppProvider = ({ children }) => {
    * @param {Object} newSettings - New settings
    */
   const updateSettings = useCallback((newSettings) => {
-    setSettings(prev => ({ ...prev, ...newSettings }));
+    dispatch(appActions.updateSettings(newSettings));
   }, []);
   
   /**
-   * Clear conversation
+   * Clear the messages of the open thread
    */
   const clearConversation = useCallback(() => {
-    setMessages([]);
-    storage.clearConversationHistory();
+    threadStoreRef.current.clearMessages(activeThreadIdRef.current);
+    searchIndexRef.current.removeThread(activeThreadIdRef.current);
+    dispatch(appActions.clearMessages());
+    
+    // Failed messages can no longer be retried once their bubbles are gone
+    outboxRef.current.removeFailed(activeThreadIdRef.current);
+    
+    // Answers to the old conversation shouldn't be replayed into the new one
+    sessionRef.current.reset();
+    responseAudioRef.current.clear();
   }, []);
   
   /**
-   * Handle recording
+   * Load the page of messages before the oldest one shown
+   * 
+   * @returns {Promise<boolean>} Whether older messages were loaded
    */
-  const handleRecording = useCallback(async () => {
-    if (isRecording) {
-      // Stop recording
-      const result = await stopRecording();
-      if (result && result.audioBase64) {
-        await sendAudioToServer(result.audioBase64, result.transcription);
+  const loadOlderMessages = useCallback(async () => {
+    const threadId = activeThreadIdRef.current;
+    
+    if (!threadId || olderMessageCount === 0 || messages.length === 0) {
+      return false;
+    }
+    
+    const older = await threadStoreRef.current.loadOlder(threadId, messages[0].id);
+    
+    // The user may have switched threads in the meantime
+    if (!older || threadId !== activeThreadIdRef.current) {
+      return false;
+    }
+    
+    dispatch(appActions.prependMessages(older.messages, older.olderCount));
+    return true;
+  }, [olderMessageCount, messages]);
+  
+  /**
+   * Send a failed message again
+   * 
+   * @param {string} messageId - ID of the failed user message
+   * @returns {boolean} Whether the message was queued again
+   */
+  const retryMessage = useCallback((messageId) => outboxRef.current.retry(messageId), []);
+  
+  /**
+   * Reconnect to the server now, without waiting for the next attempt
+   * 
+   * @returns {boolean} Whether a reconnection was started
+   */
+  const reconnectServer = useCallback(() => reconnectWsNow('user request'), [reconnectWsNow]);
+  
+  /**
+   * Store a new session token and authenticate with it
+   * 
+   * @param {string|null} token - Session token, or null to sign out
+   * @returns {Promise<boolean>} Whether the token was stored
+   */
+  const updateAuthToken = useCallback(async (token) => {
+    const stored = await authRef.current.setToken(token);
+    
+    if (stored && token) {
+      dispatch(appActions.setAuthError(null));
+      
+      // Reconnects unless something else, such as being offline, still holds it back
+      resumeWsReconnect(RECONNECT_PAUSE_REASONS.AUTH_FAILED);
+      
+      if (wsConnected) {
+        authRef.current.start();
       }
-    } else {
-      // Start recording
-      await startRecording({
-        useVoiceRecognition: true,
-        onSilenceDetected: async () => {
-          if (isRecording) {
-            const result = await stopRecording();
-            if (result && result.audioBase64) {
-              await sendAudioToServer(result.audioBase64, result.transcription);
-            }
-          }
-        },
+    }
+    
+    return stored;
+  }, [wsConnected, resumeWsReconnect]);
+  
+  /**
+   * Interrupt the in-flight AI answer so the user can speak (barge-in)
+   * 
+   * Stops playback, asks the server to cancel the answer and ignores any
+   * frames that still arrive for it.
+   * 
+   * @returns {string|null} ID of the interrupted message, if any
+   */
+  const interruptResponse = useCallback(() => {
+    const messageId = activeResponseIdRef.current;
+    activeResponseIdRef.current = null;
+    
+    stopPlayback();
+    
+    if (messageId) {
+      cancelledResponsesRef.current.add(messageId);
+      
+      sendMessage({
+        ...getMessageMetadata(),
+        type: WS_MESSAGE_TYPES.CANCEL,
+        messageId,
+        timestamp: Date.now(),
       });
+      
+      // Keep whatever was streamed so far, but stop it growing
+      dispatch(appActions.responseEnd({ messageId }));
+    }
+    
+    voiceMachineRef.current.send({ type: VOICE_EVENTS.INTERRUPT });
+    return messageId;
+  }, [stopPlayback, sendMessage, getMessageMetadata]);
+  
+  /**
+   * Open the upload and start the microphone
+   */
+  const beginRecording = useCallback(async () => {
+    const voiceMachine = voiceMachineRef.current;
+    
+    // Open the upload so chunks reach the server while the user speaks
+    startAudioStream();
+    
+    // Start recording
+    const started = await startRecording({
+      useVoiceRecognition: true,
+      onAudioChunk: sendAudioChunk,
+      silenceThreshold: settings.silenceThreshold,
+      micSensitivity: settings.micSensitivity,
+      onSilenceDetected: () => voiceMachine.send({ type: VOICE_EVENTS.STOP_RECORDING }),
+      onNoSpeechDetected: () => voiceMachine.send({ type: VOICE_EVENTS.CANCEL_RECORDING }),
+    });
+    
+    if (!started) {
+      voiceMachine.send({ type: VOICE_EVENTS.FAIL, error: 'Could not start recording' });
+    } else if (voiceMachine.getState() !== VOICE_STATES.RECORDING) {
+      // The recording was stopped while the microphone was starting
+      await stopRecordingRef.current();
+    }
+  }, [
+    startRecording,
+    startAudioStream,
+    sendAudioChunk,
+    settings.silenceThreshold,
+    settings.micSensitivity,
+  ]);
+  
+  /**
+   * Stop the microphone and send or drop the upload
+   * 
+   * @param {boolean} send - Whether to send the recording
+   */
+  const endRecording = useCallback(async (send) => {
+    // Stop recording, using the latest stopRecording; the audio itself has already been streamed
+    const result = await stopRecordingRef.current();
+    
+    if (send) {
+      await finishAudioStream(result ? result.transcription : '');
+    } else {
+      await discardAudioStream();
+    }
+  }, [finishAudioStream, discardAudioStream]);
+  
+  /**
+   * Run the microphone as the voice loop moves in and out of recording
+   * 
+   * The listener goes through a ref so it always sees the latest callbacks.
+   */
+  const voiceChangeRef = useRef(null);
+  voiceChangeRef.current = (session, previous) => {
+    const wasRecording = previous.state === VOICE_STATES.RECORDING;
+    const nowRecording = session.state === VOICE_STATES.RECORDING;
+    
+    if (nowRecording && !wasRecording) {
+      beginRecording().catch(error => console.error('Error starting recording:', error));
+    } else if (wasRecording && !nowRecording) {
+      // Only a completed recording moves on to processing; anything else drops it
+      endRecording(session.state === VOICE_STATES.PROCESSING)
+        .catch(error => console.error('Error stopping recording:', error));
+    }
+  };
+  
+  useEffect(() => {
+    const voiceMachine = voiceMachineRef.current;
+    const unsubscribe = voiceMachine.subscribe((session, previous) => voiceChangeRef.current(session, previous));
+    
+    return () => {
+      unsubscribe();
+      voiceMachine.stop();
+    };
+  }, []);
+  
+  /**
+   * Handle recording
+   */
+  const handleRecording = useCallback(() => {
+    const voiceMachine = voiceMachineRef.current;
+    
+    if (voiceMachine.getState() === VOICE_STATES.RECORDING) {
+      voiceMachine.send({ type: VOICE_EVENTS.STOP_RECORDING });
+      return;
+    }
+    
+    if (voiceMachine.getState() === VOICE_STATES.SPEAKING) {
+      if (!settings.bargeIn) {
+        return;
+      }
+      
+      interruptResponse();
+    }
+    
+    voiceMachine.send({ type: VOICE_EVENTS.START_RECORDING });
+  }, [interruptResponse, settings.bargeIn]);
+  
+  /**
+   * Listen for the user barging in by voice while the AI is speaking
+   * 
+   * The monitor runs on the same microphone as recordings, and hands it
+   * over when the user starts talking.
+   */
+  useEffect(() => {
+    if (!settings.bargeIn || !isSpeaking) {
+      return;
+    }
+    
+    startBargeInMonitor({
+      silenceThreshold: settings.silenceThreshold,
+      micSensitivity: settings.micSensitivity,
+      onSpeechDetected: handleRecording,
+    }).catch(error => console.error('Error starting the barge-in monitor:', error));
+    
+    return () => {
+      stopBargeInMonitor().catch(error => console.error('Error stopping the barge-in monitor:', error));
+    };
+  }, [
+    settings.bargeIn,
+    settings.silenceThreshold,
+    settings.micSensitivity,
+    isSpeaking,
+    handleRecording,
+    startBargeInMonitor,
+    stopBargeInMonitor,
+  ]);
+  
+  /**
+   * Open a thread, ending the voice turn of the one being left
+   * 
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Array>} Promise that resolves to the messages shown
+   */
+  const openThread = useCallback(async (threadId) => {
+    if (threadId === activeThreadIdRef.current) {
+      return messagesRef.current;
+    }
+    
+    // A recording or answer in progress belongs to the thread being left
+    if (voiceMachineRef.current.getState() === VOICE_STATES.RECORDING) {
+      voiceMachineRef.current.send({ type: VOICE_EVENTS.CANCEL_RECORDING });
+    }
+    interruptResponse();
+    
+    const previousThreadId = activeThreadIdRef.current;
+    const latest = await threadStoreRef.current.loadLatest(threadId);
+    activeThreadIdRef.current = threadId;
+    dispatch(appActions.openThread(threadId, latest.messages, latest.olderCount));
+    
+    if (previousThreadId) {
+      threadStoreRef.current.release(previousThreadId);
+    }
+    
+    return latest.messages;
+  }, [interruptResponse]);
+  
+  /**
+   * Open the thread of a message, loading earlier pages until it is shown
+   * 
+   * @param {string} threadId - Thread ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<boolean>} Whether the message is shown; false if it is no longer stored
+   */
+  const showMessage = useCallback(async (threadId, messageId) => {
+    const shown = await openThread(threadId);
+    
+    if (shown.some(msg => msg.id === messageId)) {
+      return true;
+    }
+    
+    if (shown.length === 0) {
+      return false;
+    }
+    
+    const older = await threadStoreRef.current.loadThrough(threadId, shown[0].id, messageId);
+    
+    // The user may have switched threads in the meantime
+    if (!older || threadId !== activeThreadIdRef.current) {
+      return false;
+    }
+    
+    dispatch(appActions.prependMessages(older.messages, older.olderCount));
+    return true;
+  }, [openThread]);
+  
+  /**
+   * Export every stored message of a thread and open the share sheet
+   * 
+   * @param {string} threadId - Thread ID
+   * @param {string} format - One of EXPORT_FORMATS
+   * @returns {Promise<Object>} { path, shared }; rejects if the file can't be written or shared
+   */
+  const exportThread = useCallback(async (threadId, format) => {
+    const thread = threads.find(item => item.id === threadId);
+    const threadMessages = await threadStoreRef.current.loadAll(threadId);
+    
+    return ExportService.exportConversation(thread, threadMessages, format);
+  }, [threads]);
+  
+  /**
+   * Find messages of any thread
+   * 
+   * @param {string} query - Search text
+   * @param {Object} [filters] - Search filters, as taken by SearchIndex.search
+   * @returns {Array<Object>} Matching messages, most recent first, each with its thread summary
+   */
+  const searchMessages = useCallback((query, filters) => {
+    const threadsById = new Map(threads.map(thread => [thread.id, thread]));
+    
+    return searchIndexRef.current.search(query, filters)
+      .filter(result => threadsById.has(result.threadId))
+      .map(result => ({ ...result, thread: threadsById.get(result.threadId) }));
+  }, [threads]);
+  
+  /**
+   * Start a new thread and open it
+   * 
+   * @param {string} [title=''] - Thread title; named after its first message if empty
+   * @returns {Promise<string>} ID of the new thread
+   */
+  const startThread = useCallback(async (title = '') => {
+    const thread = createThread({ title: title.trim() });
+    
+    dispatch(appActions.addThread(thread));
+    await openThread(thread.id);
+    
+    return thread.id;
+  }, [openThread]);
+  
+  /**
+   * Rename a thread
+   * 
+   * @param {string} threadId - Thread ID
+   * @param {string} title - New title; an empty title names the thread after its first message
+   */
+  const renameThread = useCallback((threadId, title) => {
+    dispatch(appActions.updateThread(threadId, { title: title.trim() }));
+  }, []);
+  
+  /**
+   * Delete a thread with its messages
+   * 
+   * Deleting the open thread opens the most recent of the others, or a new
+   * one if none is left.
+   * 
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<void>} Promise that resolves once the thread is deleted
+   */
+  const deleteThread = useCallback(async (threadId) => {
+    if (threadId === activeThreadIdRef.current) {
+      const [nextThread] = sortThreads(threads.filter(thread => thread.id !== threadId));
+      
+      if (nextThread) {
+        await openThread(nextThread.id);
+      } else {
+        await startThread();
+      }
     }
-  }, [isRecording, startRecording, stopRecording, sendAudioToServer]);
+    
+    dispatch(appActions.removeThread(threadId));
+    
+    // Messages of the thread can't be shown, found, or retried anymore
+    outboxRef.current.removeThread(threadId);
+    searchIndexRef.current.removeThread(threadId);
+    await threadStoreRef.current.removeMessages(threadId);
+  }, [threads, openThread, startThread]);
+  
+  /**
+   * Write a backup of the stored data, save a copy to Downloads on Android, and open the share sheet
+   * 
+   * @returns {Promise<Object>} { path, savedPath, shared }; rejects if the file can't be written or shared
+   */
+  const createBackup = useCallback(() => backupServiceRef.current.createBackupFile(), []);
+  
+  /**
+   * List the files a backup can be restored from
+   * 
+   * @returns {Promise<Array<Object>>} Files ({ name, path, size, modifiedAt }), newest first
+   */
+  const listBackupFiles = useCallback(() => backupServiceRef.current.listBackupFiles(), []);
+  
+  /**
+   * Let the user pick a backup file with the OS file picker
+   * 
+   * @returns {Promise<Object|null>} { name, path } of the picked file, or null if the picker was dismissed
+   */
+  const pickBackupFile = useCallback(() => backupServiceRef.current.pickBackupFile(), []);
+  
+  /**
+   * Read a backup file
+   * 
+   * @param {string} path - Path of the file
+   * @returns {Promise<Object>} Valid backup; rejects if the file isn't a backup that can be restored
+   */
+  const readBackupFile = useCallback((path) => backupServiceRef.current.readBackupFile(path), []);
+  
+  /**
+   * Work out what restoring a backup would change, without changing anything
+   * 
+   * @param {Object} backup - Valid backup
+   * @param {string} mode - One of RESTORE_MODES
+   * @returns {Promise<Object>} Changes, see describeChanges
+   */
+  const previewRestore = useCallback(async (backup, mode) => {
+    const preview = await backupServiceRef.current.previewRestore(backup, mode);
+    return preview.changes;
+  }, []);
+  
+  /**
+   * Restore a backup, then reload the settings, threads and outbox
+   * 
+   * The open thread is closed while the stored data is replaced, so its
+   * messages aren't saved over the restored ones, and the restore is worked
+   * out again from the data stored at that point.
+   * 
+   * @param {Object} backup - Valid backup
+   * @param {string} mode - One of RESTORE_MODES
+   * @returns {Promise<Object>} Changes made, see describeChanges
+   */
+  const restoreBackup = useCallback(async (backup, mode) => {
+    // A recording or answer in progress belongs to a conversation that may be replaced
+    if (voiceMachineRef.current.getState() === VOICE_STATES.RECORDING) {
+      voiceMachineRef.current.send({ type: VOICE_EVENTS.CANCEL_RECORDING });
+    }
+    interruptResponse();
+    
+    const threadStore = threadStoreRef.current;
+    const previousThreadId = activeThreadIdRef.current;
+    activeThreadIdRef.current = null;
+    dispatch(appActions.openThread(null, [], 0));
+    if (previousThreadId) {
+      await threadStore.release(previousThreadId);
+    }
+    
+    let restored;
+    
+    try {
+      const backupService = backupServiceRef.current;
+      restored = await backupService.previewRestore(backup, mode);
+      await backupService.applyRestore(restored.current, restored.next);
+      
+      retentionRef.current = getRetentionPolicy(restored.next.settings);
+      dispatch(appActions.setSettings(restored.next.settings));
+      
+      // Index the threads whose messages changed
+      const searchIndex = searchIndexRef.current;
+      const previousMessages = new Map(restored.current.threads.map(thread => [thread.id, thread.messages]));
+      const nextIds = new Set(restored.next.threads.map(thread => thread.id));
+      
+      restored.current.threads
+        .filter(thread => !nextIds.has(thread.id))
+        .forEach(thread => searchIndex.removeThread(thread.id));
+      restored.next.threads
+        .filter(thread => previousMessages.get(thread.id) !== thread.messages)
+        .forEach(thread => {
+          searchIndex.removeThread(thread.id);
+          searchIndex.indexMessages(thread.id, thread.messages);
+        });
+    } finally {
+      // Open whatever is stored now, restored or not
+      const saved = await threadStore.load();
+      const latest = await threadStore.loadLatest(saved.activeThreadId);
+      activeThreadIdRef.current = saved.activeThreadId;
+      dispatch(appActions.loadThreads(saved.threads));
+      dispatch(appActions.openThread(saved.activeThreadId, latest.messages, latest.olderCount));
+    }
+    
+    // Pending messages go last, as they update the status of restored messages
+    outboxRef.current.replaceEntries(restored.next.pendingMessages);
+    
+    // Answers to the replaced conversations shouldn't be replayed into the restored ones
+    sessionRef.current.reset();
+    responseAudioRef.current.clear();
+    
+    return restored.changes;
+  }, [interruptResponse]);
   
   // Context value
   const contextValue = {
+    // Store actions, see appReducer
+    dispatch,
+    
     // App state
     appState,
     isOnline,
+    networkType,
     
     // Connection state
     wsConnected,
     wsConnecting,
     wsError,
+    wsReconnectStatus,
+    reconnectServer,
+    
+    // Authentication
+    authState,
+    authError,
+    updateAuthToken,
+    
+    // Protocol diagnostics
+    protocolVersion,
+    protocolErrors,
+    clearProtocolErrors,
     
     // Settings
     settings,
@@ -431,11 +1308,38 @@ export const AppProvider = ({ children }) => {
     
     // Messages
     messages,
+    hasOlderMessages: olderMessageCount > 0,
+    loadOlderMessages,
     pendingMessages,
     addMessage,
     clearConversation,
+    retryMessage,
+    
+    // Threads
+    threads,
+    activeThreadId,
+    openThread,
+    startThread,
+    renameThread,
+    deleteThread,
+    exportThread,
+    
+    // Backups
+    createBackup,
+    listBackupFiles,
+    pickBackupFile,
+    readBackupFile,
+    previewRestore,
+    restoreBackup,
+    
+    // Search
+    searchMessages,
+    showMessage,
     
     // Audio state
+    voiceSession,
+    lastTranscription,
+    voiceMachine: voiceMachineRef.current,
     isRecording,
     isProcessingAudio,
     isSpeaking,
@@ -444,7 +1348,11 @@ export const AppProvider = ({ children }) => {
     
     // Audio functions
     handleRecording,
-    sendAudioToServer,
+    interruptResponse,
+    startAudioStream,
+    sendAudioChunk,
+    finishAudioStream,
+    discardAudioStream,
     sendTextToServer,
     
     // WebSocket functions
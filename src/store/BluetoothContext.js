@@ -1,195 +1,662 @@
 /**
  * Bluetooth Context
  * 
- * Provides Bluetooth state management for the application.
- * Manages device scanning, connection, and communication.
+ * Provides Bluetooth functionality and state management for the application.
+ * Handles device scanning, connection, communication, and error handling.
  * 
  * @author AIR-assist Development Team
  * @version 1.0.0
  */
 
-import React, { createContext, useEffect, useCallback } from 'react';
+import React, { createContext, useState, useEffect, useRef, useContext, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppContext } from './AppContext';
+import { PermissionsService } from '../services/PermissionsService';
+import { bleTransport, TRANSPORT_EVENTS, ADAPTER_STATES } from '../services/transports';
+import { BluetoothReconnectManager } from '../services/BluetoothReconnectManager';
+import { STORAGE_KEYS, BT_CONNECTION_STATES, TIME, FEATURES, DEFAULT_SETTINGS } from '../utils/constants';
+import { isSupportedDevice, mergeDiscoveredDevice } from '../utils/bluetoothDevices';
+import { subscribeHeadsetButtons } from '../utils/headsetButtons';
+import { readHeadsetInfo, subscribeBatteryLevel } from '../utils/headsetInfo';
 
-// Hooks
-import { useBluetooth } from '../hooks';
-
-// Utils
-import { storage } from '../utils';
-
-// Create context
+// Create the context
 export const BluetoothContext = createContext();
 
 /**
  * Bluetooth Provider Component
+ * Provides Bluetooth state and functions to the application
  * 
  * @param {Object} props - Component properties
- * @param {React.ReactNode} props.children - Child components
+ * @param {ReactNode} props.children - Child components
  * @returns {React.ReactElement} Provider component
  */
 export const BluetoothProvider = ({ children }) => {
-  // Initialize Bluetooth hook
-  const {
-    // State
-    isBluetoothEnabled,
-    isInitialized,
-    isScanning,
-    discoveredDevices,
-    connectionState,
-    connectedDevice,
-    previousDevices,
-    error,
+  // Settings, from the app context when this provider is mounted inside it
+  const appContext = useContext(AppContext);
+  const autoConnect = appContext?.settings?.autoConnect ?? DEFAULT_SETTINGS.autoConnect;
+  
+  // State for Bluetooth connection status
+  const [isBluetoothEnabled, setIsBluetoothEnabled] = useState(false);
+  const [isInitialized, setIsInitialized] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const [connectionState, setConnectionState] = useState(BT_CONNECTION_STATES.DISCONNECTED);
+  const [error, setError] = useState(null);
+  
+  // Devices state
+  const [discoveredDevices, setDiscoveredDevices] = useState([]);
+  const [connectedDevice, setConnectedDevice] = useState(null);
+  const [previousDevices, setPreviousDevices] = useState([]);
+  
+  // Reconnection status, see services/BluetoothReconnectManager
+  const [reconnectStatus, setReconnectStatus] = useState(null);
+  
+  // Refs read by native event handlers, which outlive the render they were created in
+  const isScanningRef = useRef(false);
+  const connectedDeviceRef = useRef(null);
+  connectedDeviceRef.current = connectedDevice;
+  const previousDevicesRef = useRef([]);
+  previousDevicesRef.current = previousDevices;
+  const autoConnectRef = useRef(autoConnect);
+  autoConnectRef.current = autoConnect;
+  
+  // ID of the device being disconnected on request, so its disconnect event isn't treated as a dropped link
+  const disconnectingDeviceIdRef = useRef(null);
+  
+  // Latest connectToDevice, which the reconnect manager calls from its timers
+  const connectToDeviceRef = useRef(null);
+  
+  // Reconnect manager, created once
+  const reconnectManagerRef = useRef(null);
+  if (!reconnectManagerRef.current) {
+    reconnectManagerRef.current = new BluetoothReconnectManager({
+      connect: deviceId => connectToDeviceRef.current(deviceId),
+      getDevices: () => previousDevicesRef.current,
+      onStatusChange: setReconnectStatus,
+    });
+  }
+  
+  // Headset button listeners and the function ending the button subscriptions
+  const headsetButtonListenersRef = useRef(new Set());
+  const unsubscribeButtonsRef = useRef(null);
+  
+  // Function ending the battery level subscription
+  const unsubscribeBatteryRef = useRef(null);
+  
+  // Latest handlers for the transport listeners registered on mount, set below
+  const handlersRef = useRef(null);
+  
+  // Initialize Bluetooth on component mount
+  useEffect(() => {
+    const removeListeners = [
+      bleTransport.on(TRANSPORT_EVENTS.DEVICE_DISCOVERED, device => handlersRef.current.handleDeviceDiscovered(device)),
+      bleTransport.on(TRANSPORT_EVENTS.SCAN_STOPPED, () => handlersRef.current.handleScanStopped()),
+      bleTransport.on(TRANSPORT_EVENTS.STATE_CHANGED, event => handlersRef.current.handleStateUpdate(event)),
+      bleTransport.on(TRANSPORT_EVENTS.DEVICE_DISCONNECTED, event => handlersRef.current.handleDeviceDisconnected(event)),
+    ];
     
-    // Functions
-    initialize,
-    startScan,
-    stopScan,
-    connectToDevice,
-    disconnectFromDevice,
-    sendData,
-    readData,
-  } = useBluetooth();
+    handlersRef.current.initializeBluetooth();
+    
+    // Load previously connected devices
+    handlersRef.current.loadPreviousDevices();
+    
+    // Clean up on unmount
+    return () => {
+      removeListeners.forEach(removeListener => removeListener());
+      reconnectManagerRef.current.stop();
+      
+      // Stop scanning if active
+      if (isScanningRef.current) {
+        bleTransport.stopScan().catch(console.error);
+      }
+      
+      // Disconnect from device if connected
+      if (connectedDeviceRef.current) {
+        handlersRef.current.disconnectFromDevice(connectedDeviceRef.current.id)
+          .catch(error => console.error('Error disconnecting on unmount:', error));
+      }
+    };
+  }, []);
+  
+  const hasPreviousDevices = previousDevices.length > 0;
   
   /**
-   * Load previous devices from storage
+   * Effect to reconnect to the last headset when Bluetooth becomes available
+   * 
+   * This covers both app start, once Bluetooth is initialized and the previous
+   * devices are loaded, and Bluetooth being switched back on.
    */
   useEffect(() => {
-    const loadPreviousDevices = async () => {
-      try {
-        const devices = await storage.loadBluetoothDevices();
-        
-        // If auto-connect is enabled and we have previous devices, connect to the first one
-        if (isBluetoothEnabled && isInitialized && devices.length > 0) {
-          connectToDevice(devices[0].id)
-            .catch(err => console.warn('Auto-connect failed:', err));
-        }
-      } catch (error) {
-        console.error('Error loading previous devices:', error);
+    const reconnectManager = reconnectManagerRef.current;
+    
+    if (!autoConnect || !isBluetoothEnabled) {
+      reconnectManager.stop();
+      return;
+    }
+    
+    if (isInitialized && hasPreviousDevices && !connectedDeviceRef.current) {
+      reconnectManager.start('Bluetooth available');
+    }
+  }, [autoConnect, isBluetoothEnabled, isInitialized, hasPreviousDevices]);
+  
+  /**
+   * Initialize Bluetooth functionality
+   */
+  const initializeBluetooth = async () => {
+    try {
+      // Check permissions first
+      const hasPermissions = await PermissionsService.hasBluetoothPermissions();
+      
+      if (!hasPermissions) {
+        setError('Bluetooth permissions not granted');
+        setConnectionState(BT_CONNECTION_STATES.ERROR);
+        return;
+      }
+      
+      // Initialize the Bluetooth transport and check if Bluetooth is enabled
+      const state = await bleTransport.initialize();
+      setIsBluetoothEnabled(state === ADAPTER_STATES.ON);
+      
+      setIsInitialized(true);
+      
+      if (FEATURES.ENABLE_DEBUGGING) {
+        console.log('BluetoothContext: Initialized successfully');
       }
+    } catch (error) {
+      console.error('BluetoothContext: Initialization error', error);
+      setError('Failed to initialize Bluetooth');
+      setConnectionState(BT_CONNECTION_STATES.ERROR);
+    }
+  };
+  
+  /**
+   * Handle a device reported by the scanner
+   * 
+   * Advertisements repeat while scanning, so each one updates the existing
+   * entry for the device rather than adding another.
+   * 
+   * @param {Object} device - Discovered device
+   */
+  const handleDeviceDiscovered = (device) => {
+    if (!isSupportedDevice(device)) {
+      return;
+    }
+    
+    setDiscoveredDevices(prevDevices => mergeDiscoveredDevice(prevDevices, device));
+  };
+  
+  /**
+   * Handle the scanner stopping, whether on timeout or on request
+   */
+  const handleScanStopped = () => {
+    isScanningRef.current = false;
+    setIsScanning(false);
+    setConnectionState(connectedDeviceRef.current
+      ? BT_CONNECTION_STATES.CONNECTED
+      : BT_CONNECTION_STATES.DISCONNECTED);
+    
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log('BluetoothContext: Scan stopped');
+    }
+  };
+  
+  /**
+   * Handle the Bluetooth adapter being switched on or off
+   * 
+   * @param {Object} args - Event arguments
+   * @param {string} args.state - New adapter state
+   */
+  const handleStateUpdate = ({ state }) => {
+    setIsBluetoothEnabled(state === ADAPTER_STATES.ON);
+    
+    if (state !== ADAPTER_STATES.ON && isScanningRef.current) {
+      handleScanStopped();
+    }
+  };
+  
+  /**
+   * Handle a device disconnecting, whether requested or not
+   * 
+   * @param {Object} args - Event arguments
+   * @param {string} args.deviceId - ID of the disconnected device
+   */
+  const handleDeviceDisconnected = ({ deviceId }) => {
+    if (!connectedDeviceRef.current || connectedDeviceRef.current.id !== deviceId) {
+      return;
+    }
+    
+    // The transport has already dropped the device's notifications
+    unsubscribeButtonsRef.current = null;
+    unsubscribeBatteryRef.current = null;
+    
+    connectedDeviceRef.current = null;
+    setConnectedDevice(null);
+    setConnectionState(BT_CONNECTION_STATES.DISCONNECTED);
+    
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`BluetoothContext: ${deviceId} disconnected`);
+    }
+    
+    // A link that dropped on its own is worth getting back
+    if (autoConnectRef.current && disconnectingDeviceIdRef.current !== deviceId) {
+      reconnectManagerRef.current.start('link lost');
+    }
+  };
+  
+  /**
+   * Subscribe to the buttons of a connected headset
+   * 
+   * Which characteristics are watched and what their values mean comes from
+   * the device's profile in config/headsetProfiles.
+   * 
+   * @param {Object} device - The connected device
+   */
+  const startHeadsetButtons = async (device) => {
+    await stopHeadsetButtons();
+    
+    try {
+      unsubscribeButtonsRef.current = await subscribeHeadsetButtons(bleTransport, device, (event) => {
+        if (FEATURES.ENABLE_DEBUGGING) {
+          console.log(`BluetoothContext: ${event.model} ${event.press} press -> ${event.action}`);
+        }
+        
+        headsetButtonListenersRef.current.forEach(listener => listener(event));
+      });
+    } catch (error) {
+      console.error('BluetoothContext: Error subscribing to headset buttons', error);
+    }
+  };
+  
+  /**
+   * End the headset button subscriptions
+   */
+  const stopHeadsetButtons = async () => {
+    const unsubscribe = unsubscribeButtonsRef.current;
+    unsubscribeButtonsRef.current = null;
+    
+    if (unsubscribe) {
+      await unsubscribe();
+    }
+  };
+  
+  /**
+   * Read the battery level and device information of a connected headset
+   * and keep the battery level up to date
+   * 
+   * Both are merged into the connected device. Headsets that don't expose
+   * the standard services simply end up with null fields.
+   * 
+   * @param {Object} device - The connected device
+   */
+  const startHeadsetInfo = async (device) => {
+    await stopHeadsetInfo();
+    
+    try {
+      const info = await readHeadsetInfo(bleTransport, device.id);
+      
+      setConnectedDevice(prev => (prev && prev.id === device.id ? { ...prev, ...info } : prev));
+      
+      unsubscribeBatteryRef.current = await subscribeBatteryLevel(bleTransport, device.id, (batteryLevel) => {
+        setConnectedDevice(prev => (prev && prev.id === device.id ? { ...prev, batteryLevel } : prev));
+      });
+    } catch (error) {
+      console.error('BluetoothContext: Error reading headset information', error);
+    }
+  };
+  
+  /**
+   * End the battery level subscription
+   */
+  const stopHeadsetInfo = async () => {
+    const unsubscribe = unsubscribeBatteryRef.current;
+    unsubscribeBatteryRef.current = null;
+    
+    if (unsubscribe) {
+      await unsubscribe();
+    }
+  };
+  
+  /**
+   * Listen for headset button actions
+   * 
+   * Stable across renders, so subscribers aren't dropped and added again
+   * whenever the Bluetooth state changes; the listeners live in a ref.
+   * 
+   * @param {Function} listener - Called with { action, press, model, deviceId }
+   * @returns {Function} Function that removes the listener
+   */
+  const addHeadsetButtonListener = useCallback((listener) => {
+    headsetButtonListenersRef.current.add(listener);
+    
+    return () => {
+      headsetButtonListenersRef.current.delete(listener);
     };
+  }, []);
+  
+  /**
+   * Load previously connected devices from storage
+   */
+  const loadPreviousDevices = async () => {
+    try {
+      const storedDevices = await AsyncStorage.getItem(STORAGE_KEYS.BLUETOOTH_DEVICES);
+      
+      if (storedDevices) {
+        // Auto-connect starts from the reconnection effect once these are loaded
+        setPreviousDevices(JSON.parse(storedDevices));
+      }
+    } catch (error) {
+      console.error('BluetoothContext: Error loading previous devices', error);
+    }
+  };
+  
+  /**
+   * Save device to previous devices list
+   * 
+   * @param {Object} device - The device to save
+   */
+  const saveDeviceToHistory = async (device) => {
+    try {
+      // Filter out this device if it already exists
+      const updatedDevices = previousDevices.filter(d => d.id !== device.id);
+      
+      // Add device to the beginning of the list
+      const newDevicesList = [device, ...updatedDevices].slice(0, 10); // Keep only 10 most recent
+      
+      setPreviousDevices(newDevicesList);
+      
+      // Save to AsyncStorage
+      await AsyncStorage.setItem(STORAGE_KEYS.BLUETOOTH_DEVICES, JSON.stringify(newDevicesList));
+      
+    } catch (error) {
+      console.error('BluetoothContext: Error saving device to history', error);
+    }
+  };
+  
+  /**
+   * Start scanning for Bluetooth devices
+   * 
+   * @returns {Promise<void>} Promise that resolves when scanning starts
+   */
+  const startScan = async () => {
+    if (!isBluetoothEnabled || !isInitialized) {
+      setError('Bluetooth is not available');
+      return;
+    }
     
-    if (isInitialized) {
-      loadPreviousDevices();
+    if (isScanningRef.current) {
+      return; // Already scanning
+    }
+    
+    try {
+      // Clear previous scan results
+      setDiscoveredDevices([]);
+      setError(null);
+      
+      // Start scanning
+      isScanningRef.current = true;
+      setIsScanning(true);
+      setConnectionState(BT_CONNECTION_STATES.SCANNING);
+      
+      // Scan for everything and filter locally, so devices that only match
+      // by name are found too. Duplicates are allowed to keep RSSI current.
+      // The transport ends the scan after the timeout and emits SCAN_STOPPED.
+      await bleTransport.startScan({
+        serviceUUIDs: [],
+        timeout: TIME.BLE_SCAN_TIMEOUT,
+        allowDuplicates: true,
+      });
+    } catch (error) {
+      console.error('BluetoothContext: Scan error', error);
+      setError('Failed to scan for devices');
+      isScanningRef.current = false;
+      setIsScanning(false);
+      setConnectionState(BT_CONNECTION_STATES.ERROR);
     }
-  }, [isInitialized, isBluetoothEnabled, connectToDevice]);
+  };
   
   /**
-   * Save devices when they change
+   * Stop scanning for Bluetooth devices
    */
-  useEffect(() => {
-    if (previousDevices.length > 0) {
-      storage.saveBluetoothDevices(previousDevices);
+  const stopScan = async () => {
+    if (!isScanningRef.current) {
+      return;
+    }
+    
+    try {
+      await bleTransport.stopScan();
+      
+      // SCAN_STOPPED follows, but don't leave the UI waiting for it
+      handleScanStopped();
+    } catch (error) {
+      console.error('BluetoothContext: Stop scan error', error);
+      isScanningRef.current = false;
+      setIsScanning(false);
+      setError('Failed to stop scanning');
     }
-  }, [previousDevices]);
+  };
   
   /**
-   * Connect to a device by ID
+   * Connect to a Bluetooth device
    * 
-   * @param {string} deviceId - Device ID to connect to
-   * @returns {Promise<boolean>} Whether connection was successful
+   * @param {string} deviceId - The ID of the device to connect to
+   * @returns {Promise<Object>} Promise that resolves with the connected device
    */
-  const handleConnectToDevice = useCallback(async (deviceId) => {
+  const connectToDevice = async (deviceId) => {
+    if (!isBluetoothEnabled || !isInitialized) {
+      throw new Error('Bluetooth is not available');
+    }
+    
     try {
-      const success = await connectToDevice(deviceId);
-      return success;
+      setConnectionState(BT_CONNECTION_STATES.CONNECTING);
+      setError(null);
+      
+      // Stop scanning if currently scanning
+      if (isScanningRef.current) {
+        await stopScan();
+      }
+      
+      // Find the device in our lists
+      const device = 
+        [...discoveredDevices, ...previousDevices].find(d => d.id === deviceId);
+      
+      if (!device) {
+        throw new Error('Device not found');
+      }
+      
+      // Connect to the device and discover its services and characteristics
+      await bleTransport.connect(deviceId);
+      
+      // Update state
+      connectedDeviceRef.current = device;
+      setConnectedDevice(device);
+      setConnectionState(BT_CONNECTION_STATES.CONNECTED);
+      
+      // Connected, whether by the user or the reconnect manager
+      reconnectManagerRef.current.stop();
+      
+      // Listen to the headset's buttons and read its battery and device information
+      await startHeadsetButtons(device);
+      await startHeadsetInfo(device);
+      
+      // Save to history
+      await saveDeviceToHistory(device);
+      
+      return device;
     } catch (error) {
-      console.error(`Error connecting to device ${deviceId}:`, error);
-      return false;
+      console.error(`BluetoothContext: Connection error to ${deviceId}`, error);
+      setError(`Failed to connect to device: ${error.message}`);
+      setConnectionState(BT_CONNECTION_STATES.ERROR);
+      throw error;
     }
-  }, [connectToDevice]);
+  };
+  
+  connectToDeviceRef.current = connectToDevice;
   
   /**
-   * Disconnect from the current device
+   * Disconnect from a Bluetooth device
    * 
-   * @returns {Promise<boolean>} Whether disconnection was successful
+   * @param {string} deviceId - The ID of the device to disconnect from
+   * @returns {Promise<void>} Promise that resolves when disconnected
    */
-  const handleDisconnectFromDevice = useCallback(async () => {
-    if (!connectedDevice) {
-      return true;
+  const disconnectFromDevice = async (deviceId) => {
+    if (!deviceId || !connectedDevice || connectedDevice.id !== deviceId) {
+      return;
     }
     
+    // Don't reconnect to a device the user disconnected from
+    reconnectManagerRef.current.stop();
+    disconnectingDeviceIdRef.current = deviceId;
+    
     try {
-      const success = await disconnectFromDevice(connectedDevice.id);
-      return success;
+      await stopHeadsetButtons();
+      await stopHeadsetInfo();
+      await bleTransport.disconnect(deviceId);
+      
+      connectedDeviceRef.current = null;
+      setConnectedDevice(null);
+      setConnectionState(BT_CONNECTION_STATES.DISCONNECTED);
+      
+      if (FEATURES.ENABLE_DEBUGGING) {
+        console.log(`BluetoothContext: Disconnected from ${deviceId}`);
+      }
     } catch (error) {
-      console.error(`Error disconnecting from device ${connectedDevice.id}:`, error);
-      return false;
+      console.error(`BluetoothContext: Disconnection error from ${deviceId}`, error);
+      setError('Failed to disconnect from device');
+      
+      // Still clear the connected device from state
+      setConnectedDevice(null);
+      setConnectionState(BT_CONNECTION_STATES.DISCONNECTED);
+    } finally {
+      disconnectingDeviceIdRef.current = null;
     }
-  }, [connectedDevice, disconnectFromDevice]);
+  };
+  
+  handlersRef.current = {
+    initializeBluetooth,
+    loadPreviousDevices,
+    handleDeviceDiscovered,
+    handleScanStopped,
+    handleStateUpdate,
+    handleDeviceDisconnected,
+    disconnectFromDevice,
+  };
+  
+  /**
+   * Stop trying to reconnect to the last headset
+   */
+  const stopReconnecting = () => {
+    reconnectManagerRef.current.stop();
+  };
   
   /**
-   * Start scanning for devices
+   * Send data to a connected Bluetooth device
    * 
-   * @returns {Promise<boolean>} Whether scan started successfully
+   * @param {string} serviceUUID - The service UUID
+   * @param {string} characteristicUUID - The characteristic UUID
+   * @param {Uint8Array} data - The data to send
+   * @returns {Promise<void>} Promise that resolves when data is sent
    */
-  const handleStartScan = useCallback(async () => {
+  const sendDataToDevice = async (serviceUUID, characteristicUUID, data) => {
+    if (!connectedDevice) {
+      throw new Error('No device connected');
+    }
+    
     try {
-      const success = await startScan();
-      return success;
+      await bleTransport.write(
+        connectedDevice.id,
+        serviceUUID,
+        characteristicUUID,
+        data
+      );
+      
+      if (FEATURES.ENABLE_DEBUGGING) {
+        console.log(`BluetoothContext: Data sent to ${connectedDevice.id}`);
+      }
     } catch (error) {
-      console.error('Error starting scan:', error);
-      return false;
+      console.error('BluetoothContext: Error sending data', error);
+      setError('Failed to send data to device');
+      throw error;
     }
-  }, [startScan]);
+  };
   
   /**
-   * Send data to the connected device
+   * Read data from a connected Bluetooth device
    * 
-   * @param {string} serviceUUID - Service UUID
-   * @param {string} characteristicUUID - Characteristic UUID
-   * @param {string|Uint8Array} data - Data to send
-   * @returns {Promise<boolean>} Whether data was sent successfully
+   * @param {string} serviceUUID - The service UUID
+   * @param {string} characteristicUUID - The characteristic UUID
+   * @returns {Promise<Uint8Array>} Promise that resolves with the read data
    */
-  const handleSendData = useCallback(async (serviceUUID, characteristicUUID, data) => {
+  const readDataFromDevice = async (serviceUUID, characteristicUUID) => {
+    if (!connectedDevice) {
+      throw new Error('No device connected');
+    }
+    
     try {
-      const success = await sendData(serviceUUID, characteristicUUID, data);
-      return success;
+      return await bleTransport.read(
+        connectedDevice.id,
+        serviceUUID,
+        characteristicUUID
+      );
     } catch (error) {
-      console.error('Error sending data:', error);
-      return false;
+      console.error('BluetoothContext: Error reading data', error);
+      setError('Failed to read data from device');
+      throw error;
     }
-  }, [sendData]);
+  };
   
   /**
-   * Read data from the connected device
+   * Subscribe to notifications from a characteristic of the connected device
    * 
-   * @param {string} serviceUUID - Service UUID
-   * @param {string} characteristicUUID - Characteristic UUID
-   * @returns {Promise<string|null>} Data read from device or null if error
+   * @param {string} serviceUUID - The service UUID
+   * @param {string} characteristicUUID - The characteristic UUID
+   * @param {Function} onValue - Called with each notified value as a Uint8Array
+   * @returns {Promise<Function>} Promise that resolves with a function ending the subscription
    */
-  const handleReadData = useCallback(async (serviceUUID, characteristicUUID) => {
+  const subscribeToDevice = async (serviceUUID, characteristicUUID, onValue) => {
+    if (!connectedDevice) {
+      throw new Error('No device connected');
+    }
+    
     try {
-      const data = await readData(serviceUUID, characteristicUUID);
-      return data;
+      return await bleTransport.subscribe(
+        connectedDevice.id,
+        serviceUUID,
+        characteristicUUID,
+        onValue
+      );
     } catch (error) {
-      console.error('Error reading data:', error);
-      return null;
+      console.error('BluetoothContext: Error subscribing to notifications', error);
+      setError('Failed to subscribe to device notifications');
+      throw error;
     }
-  }, [readData]);
+  };
   
-  // Context value
-  const contextValue = {
-    // State
+  /**
+   * Get the Bluetooth state for the context provider value
+   */
+  const bluetoothState = {
     isBluetoothEnabled,
     isInitialized,
     isScanning,
-    discoveredDevices,
     connectionState,
+    error,
+    discoveredDevices,
     connectedDevice,
     previousDevices,
-    error,
-    
-    // Functions
-    initialize,
-    startScan: handleStartScan,
+    loadPreviousDevices,
+    reconnectStatus,
+    startScan,
     stopScan,
-    connectToDevice: handleConnectToDevice,
-    disconnectFromDevice: handleDisconnectFromDevice,
-    sendData: handleSendData,
-    readData: handleReadData,
+    connectToDevice,
+    disconnectFromDevice,
+    stopReconnecting,
+    sendDataToDevice,
+    readDataFromDevice,
+    subscribeToDevice,
+    addHeadsetButtonListener,
   };
   
   return (
-    <BluetoothContext.Provider value={contextValue}>
+    <BluetoothContext.Provider value={bluetoothState}>
       {children}
     </BluetoothContext.Provider>
   );
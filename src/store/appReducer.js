@@ -0,0 +1,328 @@
+/**
+ * App Reducer
+ * 
+ * State of the app store and the actions that change it: settings,
+ * conversation threads and the messages of the open one, connection state
+ * and the voice loop. Everything
+ * that changes app state goes through an action, so each change can be
+ * followed from one place; the reducer itself stays pure.
+ * 
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { DEFAULT_SETTINGS, AUTH_STATES } from '../config/constants';
+import messageStream from '../utils/messageStream';
+import { createVoiceSession } from '../utils/voiceSession';
+import { summarizeThread } from '../utils/threads';
+
+/**
+ * Action types
+ */
+export const APP_ACTIONS = {
+  // Connection
+  SET_APP_STATE: 'SET_APP_STATE',
+  SET_NETWORK: 'SET_NETWORK',
+  SET_AUTH_STATE: 'SET_AUTH_STATE',
+  SET_AUTH_ERROR: 'SET_AUTH_ERROR',
+  
+  // Settings
+  SET_SETTINGS: 'SET_SETTINGS',
+  UPDATE_SETTINGS: 'UPDATE_SETTINGS',
+  SET_USER_ID: 'SET_USER_ID',
+  
+  // Messages
+  SET_MESSAGES: 'SET_MESSAGES',
+  ADD_MESSAGE: 'ADD_MESSAGE',
+  REMOVE_MESSAGE: 'REMOVE_MESSAGE',
+  SET_MESSAGE_TEXT: 'SET_MESSAGE_TEXT',
+  SET_MESSAGE_STATUS: 'SET_MESSAGE_STATUS',
+  APPLY_TRANSCRIPTION: 'APPLY_TRANSCRIPTION',
+  RESPONSE_START: 'RESPONSE_START',
+  RESPONSE_DELTA: 'RESPONSE_DELTA',
+  RESPONSE_END: 'RESPONSE_END',
+  FINISH_STREAMING: 'FINISH_STREAMING',
+  CLEAR_MESSAGES: 'CLEAR_MESSAGES',
+  PREPEND_MESSAGES: 'PREPEND_MESSAGES',
+  SET_PENDING_MESSAGES: 'SET_PENDING_MESSAGES',
+  
+  // Threads
+  LOAD_THREADS: 'LOAD_THREADS',
+  OPEN_THREAD: 'OPEN_THREAD',
+  ADD_THREAD: 'ADD_THREAD',
+  UPDATE_THREAD: 'UPDATE_THREAD',
+  REMOVE_THREAD: 'REMOVE_THREAD',
+  SUMMARIZE_THREAD: 'SUMMARIZE_THREAD',
+  
+  // Audio
+  SET_VOICE_SESSION: 'SET_VOICE_SESSION',
+  SET_LAST_TRANSCRIPTION: 'SET_LAST_TRANSCRIPTION',
+};
+
+/**
+ * Create the initial store state
+ * 
+ * @param {string} appState - Current AppState of the app
+ * @returns {Object} Store state
+ */
+export const createInitialAppState = (appState) => ({
+  settings: DEFAULT_SETTINGS,
+  userId: null,
+  messages: [], // Latest messages of the open thread, as far back as loaded
+  olderMessageCount: 0, // Stored messages of the open thread before the loaded ones
+  pendingMessages: [],
+  threads: [],
+  activeThreadId: null, // Null until the threads are loaded
+  connection: {
+    appState,
+    isOnline: true,
+    networkType: 'unknown',
+    authState: AUTH_STATES.IDLE,
+    authError: null,
+  },
+  audio: {
+    voiceSession: createVoiceSession(),
+    lastTranscription: '',
+  },
+});
+
+/**
+ * Update the connection slice
+ * 
+ * @param {Object} state - Current state
+ * @param {Object} changes - Changed connection fields
+ * @returns {Object} Next state
+ */
+const updateConnection = (state, changes) => ({
+  ...state,
+  connection: { ...state.connection, ...changes },
+});
+
+/**
+ * Update the audio slice
+ * 
+ * @param {Object} state - Current state
+ * @param {Object} changes - Changed audio fields
+ * @returns {Object} Next state
+ */
+const updateAudio = (state, changes) => ({
+  ...state,
+  audio: { ...state.audio, ...changes },
+});
+
+/**
+ * Update the messages, keeping the state when they didn't change
+ * 
+ * @param {Object} state - Current state
+ * @param {Array} messages - Next messages
+ * @returns {Object} Next state
+ */
+const updateMessages = (state, messages) =>
+  messages === state.messages ? state : { ...state, messages };
+
+/**
+ * Update the summary of one thread from its messages
+ * 
+ * @param {Array} threads - Thread summaries
+ * @param {string} threadId - Thread ID
+ * @param {Array} messages - Latest messages of the thread
+ * @param {number} olderCount - Number of stored messages before them
+ * @returns {Array} Updated summaries, or the same array if nothing changed
+ */
+const summarizeThreadIn = (threads, threadId, messages, olderCount) => {
+  let changed = false;
+  const next = threads.map(thread => {
+    if (thread.id !== threadId) {
+      return thread;
+    }
+    
+    const summary = summarizeThread(thread, messages, olderCount);
+    changed = changed || summary !== thread;
+    return summary;
+  });
+  
+  return changed ? next : threads;
+};
+
+/**
+ * Messages reducer
+ * 
+ * Applies the message actions to a list of messages, whether those of the
+ * open thread or the stored messages of another one.
+ * 
+ * @param {Array} messages - Current messages
+ * @param {Object} action - Message action from appActions
+ * @returns {Array} Next messages, or the same array if nothing changed
+ */
+export const messagesReducer = (messages, action) => {
+  switch (action.type) {
+    case APP_ACTIONS.SET_MESSAGES:
+      return action.messages;
+    case APP_ACTIONS.ADD_MESSAGE:
+      return [...messages, action.message];
+    case APP_ACTIONS.REMOVE_MESSAGE:
+      return messages.filter(msg => msg.id !== action.messageId);
+    case APP_ACTIONS.SET_MESSAGE_TEXT:
+      return messages.map(msg =>
+        msg.id === action.messageId ? { ...msg, text: action.text } : msg
+      );
+    case APP_ACTIONS.SET_MESSAGE_STATUS:
+      return messageStream.applyMessageStatus(messages, action.messageId, action.status);
+    case APP_ACTIONS.APPLY_TRANSCRIPTION:
+      return messageStream.applyTranscription(messages, action.messageId, action.transcription);
+    case APP_ACTIONS.RESPONSE_START:
+      return messageStream.applyResponseStart(messages, action.frame);
+    case APP_ACTIONS.RESPONSE_DELTA:
+      return messageStream.applyResponseDelta(messages, action.frame);
+    case APP_ACTIONS.RESPONSE_END:
+      return messageStream.applyResponseEnd(messages, action.frame);
+    case APP_ACTIONS.FINISH_STREAMING:
+      return messageStream.finishStreaming(messages);
+    default:
+      return messages;
+  }
+};
+
+/**
+ * Apply an action, without keeping the open thread's summary in step
+ * 
+ * @param {Object} state - Current state
+ * @param {Object} action - Action from appActions
+ * @returns {Object} Next state
+ */
+const reduce = (state, action) => {
+  switch (action.type) {
+    case APP_ACTIONS.SET_APP_STATE:
+      return updateConnection(state, { appState: action.appState });
+    case APP_ACTIONS.SET_NETWORK:
+      return updateConnection(state, { isOnline: action.isOnline, networkType: action.networkType });
+    case APP_ACTIONS.SET_AUTH_STATE:
+      return updateConnection(state, { authState: action.authState });
+    case APP_ACTIONS.SET_AUTH_ERROR:
+      return updateConnection(state, { authError: action.error });
+    
+    case APP_ACTIONS.SET_SETTINGS:
+      // Defaults fill in settings added since they were saved
+      return { ...state, settings: { ...DEFAULT_SETTINGS, ...action.settings } };
+    case APP_ACTIONS.UPDATE_SETTINGS:
+      return { ...state, settings: { ...state.settings, ...action.settings } };
+    case APP_ACTIONS.SET_USER_ID:
+      return { ...state, userId: action.userId };
+    
+    case APP_ACTIONS.SET_MESSAGES:
+    case APP_ACTIONS.ADD_MESSAGE:
+    case APP_ACTIONS.REMOVE_MESSAGE:
+    case APP_ACTIONS.SET_MESSAGE_TEXT:
+    case APP_ACTIONS.SET_MESSAGE_STATUS:
+    case APP_ACTIONS.APPLY_TRANSCRIPTION:
+    case APP_ACTIONS.RESPONSE_START:
+    case APP_ACTIONS.RESPONSE_DELTA:
+    case APP_ACTIONS.RESPONSE_END:
+    case APP_ACTIONS.FINISH_STREAMING:
+      return updateMessages(state, messagesReducer(state.messages, action));
+    case APP_ACTIONS.CLEAR_MESSAGES:
+      return { ...state, messages: [], olderMessageCount: 0 };
+    case APP_ACTIONS.PREPEND_MESSAGES:
+      return {
+        ...state,
+        messages: [...action.messages, ...state.messages],
+        olderMessageCount: action.olderCount,
+      };
+    case APP_ACTIONS.SET_PENDING_MESSAGES:
+      return { ...state, pendingMessages: action.pendingMessages };
+    
+    case APP_ACTIONS.LOAD_THREADS:
+      return { ...state, threads: action.threads };
+    case APP_ACTIONS.OPEN_THREAD:
+      return {
+        ...state,
+        activeThreadId: action.threadId,
+        messages: action.messages,
+        olderMessageCount: action.olderCount,
+      };
+    case APP_ACTIONS.ADD_THREAD:
+      return { ...state, threads: [...state.threads, action.thread] };
+    case APP_ACTIONS.UPDATE_THREAD:
+      return {
+        ...state,
+        threads: state.threads.map(thread =>
+          thread.id === action.threadId ? { ...thread, ...action.changes } : thread
+        ),
+      };
+    case APP_ACTIONS.REMOVE_THREAD:
+      return { ...state, threads: state.threads.filter(thread => thread.id !== action.threadId) };
+    case APP_ACTIONS.SUMMARIZE_THREAD: {
+      const threads = summarizeThreadIn(state.threads, action.threadId, action.messages, action.olderCount);
+      return threads === state.threads ? state : { ...state, threads };
+    }
+    
+    case APP_ACTIONS.SET_VOICE_SESSION:
+      return updateAudio(state, { voiceSession: action.voiceSession });
+    case APP_ACTIONS.SET_LAST_TRANSCRIPTION:
+      return updateAudio(state, { lastTranscription: action.transcription });
+    
+    default:
+      return state;
+  }
+};
+
+/**
+ * App reducer
+ * 
+ * The summary of the open thread follows its messages.
+ * 
+ * @param {Object} state - Current state
+ * @param {Object} action - Action from appActions
+ * @returns {Object} Next state
+ */
+export const appReducer = (state, action) => {
+  const next = reduce(state, action);
+  
+  if (next.messages === state.messages || !next.activeThreadId) {
+    return next;
+  }
+  
+  const threads = summarizeThreadIn(next.threads, next.activeThreadId, next.messages, next.olderMessageCount);
+  return threads === next.threads ? next : { ...next, threads };
+};
+
+/**
+ * Action creators
+ */
+export const appActions = {
+  setAppState: (appState) => ({ type: APP_ACTIONS.SET_APP_STATE, appState }),
+  // An unknown connection (isConnected null) counts as online, so it never holds back reconnects
+  setNetwork: ({ isConnected, type }) => ({ type: APP_ACTIONS.SET_NETWORK, isOnline: isConnected !== false, networkType: type }),
+  setAuthState: (authState) => ({ type: APP_ACTIONS.SET_AUTH_STATE, authState }),
+  setAuthError: (error) => ({ type: APP_ACTIONS.SET_AUTH_ERROR, error }),
+  
+  setSettings: (settings) => ({ type: APP_ACTIONS.SET_SETTINGS, settings }),
+  updateSettings: (settings) => ({ type: APP_ACTIONS.UPDATE_SETTINGS, settings }),
+  setUserId: (userId) => ({ type: APP_ACTIONS.SET_USER_ID, userId }),
+  
+  setMessages: (messages) => ({ type: APP_ACTIONS.SET_MESSAGES, messages }),
+  addMessage: (message) => ({ type: APP_ACTIONS.ADD_MESSAGE, message }),
+  removeMessage: (messageId) => ({ type: APP_ACTIONS.REMOVE_MESSAGE, messageId }),
+  setMessageText: (messageId, text) => ({ type: APP_ACTIONS.SET_MESSAGE_TEXT, messageId, text }),
+  setMessageStatus: (messageId, status) => ({ type: APP_ACTIONS.SET_MESSAGE_STATUS, messageId, status }),
+  applyTranscription: (messageId, transcription) => ({ type: APP_ACTIONS.APPLY_TRANSCRIPTION, messageId, transcription }),
+  responseStart: (frame) => ({ type: APP_ACTIONS.RESPONSE_START, frame }),
+  responseDelta: (frame) => ({ type: APP_ACTIONS.RESPONSE_DELTA, frame }),
+  responseEnd: (frame) => ({ type: APP_ACTIONS.RESPONSE_END, frame }),
+  finishStreaming: () => ({ type: APP_ACTIONS.FINISH_STREAMING }),
+  clearMessages: () => ({ type: APP_ACTIONS.CLEAR_MESSAGES }),
+  prependMessages: (messages, olderCount) => ({ type: APP_ACTIONS.PREPEND_MESSAGES, messages, olderCount }),
+  setPendingMessages: (pendingMessages) => ({ type: APP_ACTIONS.SET_PENDING_MESSAGES, pendingMessages }),
+  
+  loadThreads: (threads) => ({ type: APP_ACTIONS.LOAD_THREADS, threads }),
+  openThread: (threadId, messages, olderCount = 0) => ({ type: APP_ACTIONS.OPEN_THREAD, threadId, messages, olderCount }),
+  addThread: (thread) => ({ type: APP_ACTIONS.ADD_THREAD, thread }),
+  updateThread: (threadId, changes) => ({ type: APP_ACTIONS.UPDATE_THREAD, threadId, changes }),
+  removeThread: (threadId) => ({ type: APP_ACTIONS.REMOVE_THREAD, threadId }),
+  summarizeThread: (threadId, messages, olderCount = 0) => ({ type: APP_ACTIONS.SUMMARIZE_THREAD, threadId, messages, olderCount }),
+  
+  setVoiceSession: (voiceSession) => ({ type: APP_ACTIONS.SET_VOICE_SESSION, voiceSession }),
+  setLastTranscription: (transcription) => ({ type: APP_ACTIONS.SET_LAST_TRANSCRIPTION, transcription }),
+};
+
+export default appReducer;
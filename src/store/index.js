@@ -10,6 +10,7 @@
 
 import AppContext, { AppProvider } from './AppContext';
 import BluetoothContext, { BluetoothProvider } from './BluetoothContext';
+import { APP_ACTIONS, appActions, appReducer, messagesReducer } from './appReducer';
 
 /**
  * Root Provider Component
@@ -36,6 +37,10 @@ export {
   BluetoothContext,
   BluetoothProvider,
   RootProvider,
+  APP_ACTIONS,
+  appActions,
+  appReducer,
+  messagesReducer,
 };
 
 export default RootProvider;
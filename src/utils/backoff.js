@@ -0,0 +1,41 @@
+/**
+ * Backoff Utilities
+ *
+ * Delay calculation for retrying operations that fail because a remote end
+ * is unavailable, such as reconnecting to a headset.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Get the delay before a retry
+ *
+ * The delay doubles (by default) with each attempt, up to `maxDelay`. With
+ * jitter, a random fraction of the delay is taken off so that clients which
+ * failed together don't all retry at the same moment.
+ *
+ * @param {number} attempt - Zero-based number of the retry
+ * @param {Object} [options={}] - Backoff options
+ * @param {number} [options.initialDelay=1000] - Delay before the first retry, in ms
+ * @param {number} [options.maxDelay=30000] - Upper bound for the delay, in ms
+ * @param {number} [options.factor=2] - Growth factor between retries
+ * @param {number} [options.jitter=0] - Fraction of the delay (0-1) that may be randomly removed
+ * @param {Function} [options.random=Math.random] - Random number source, for deterministic delays
+ * @returns {number} Delay in ms
+ */
+export const getBackoffDelay = (attempt, {
+  initialDelay = 1000,
+  maxDelay = 30000,
+  factor = 2,
+  jitter = 0,
+  random = Math.random,
+} = {}) => {
+  const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, Math.max(0, attempt)));
+
+  return Math.round(delay - delay * jitter * random());
+};
+
+export default {
+  getBackoffDelay,
+};
@@ -0,0 +1,459 @@
+/**
+ * Backup Utilities
+ *
+ * Pure helpers for backups of the app's data: settings, conversations (each
+ * thread summary with all of its messages), known Bluetooth devices and
+ * messages still waiting to be delivered. A backup file is JSON with a
+ * format marker and a version; files from older versions are migrated step
+ * by step on import, and a conversation exported as JSON can be imported as
+ * a backup holding just that conversation.
+ *
+ * Restoring works on plain data: the data on the device and the backup are
+ * combined into the data to store (see mergeBackup), and describeChanges
+ * tells what that would change, so it can be shown before anything is
+ * written. Sections a backup leaves out are never changed.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { DEFAULT_SETTINGS, RESTORE_MODES } from './constants';
+import { EXPORT_FILE_FORMAT } from './conversationExport';
+import { summarizeThread } from './threads';
+
+// Identifies backup files, with the version of their layout
+export const BACKUP_FILE_FORMAT = 'air-assist.backup';
+export const BACKUP_VERSION = 1;
+
+// Sections of the data a backup can hold
+const SECTIONS = ['settings', 'threads', 'devices', 'pendingMessages'];
+
+/**
+ * Steps that bring a backup up to the next version, keyed by the version
+ * they upgrade from. A step is added here whenever BACKUP_VERSION is bumped.
+ */
+const MIGRATIONS = {};
+
+/**
+ * Create a backup from the app's data
+ *
+ * @param {Object} data - App data
+ * @param {Object} data.settings - App settings
+ * @param {Array} data.threads - Thread summaries, each with its messages, oldest first
+ * @param {string} data.activeThreadId - ID of the open thread
+ * @param {Array} data.devices - Known Bluetooth devices
+ * @param {Array} data.pendingMessages - Outbox entries awaiting delivery
+ * @param {number} [createdAt=Date.now()] - Backup time, in ms since the epoch
+ * @returns {Object} Backup
+ */
+export const createBackup = (data, createdAt = Date.now()) => ({
+  format: BACKUP_FILE_FORMAT,
+  version: BACKUP_VERSION,
+  createdAt,
+  settings: data.settings,
+  threads: data.threads,
+  activeThreadId: data.activeThreadId,
+  devices: data.devices,
+  pendingMessages: data.pendingMessages,
+});
+
+/**
+ * Get the name of a backup file
+ *
+ * @param {number} [createdAt=Date.now()] - Backup time, in ms since the epoch
+ * @returns {string} File name, e.g. "air-assist-backup-2024-05-01-14-30.json"
+ */
+export const getBackupFileName = (createdAt = Date.now()) => {
+  const time = new Date(createdAt).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+  return `air-assist-backup-${time}.json`;
+};
+
+/**
+ * Turn a conversation exported as JSON into a backup of that conversation
+ *
+ * @param {Object} exported - Exported conversation
+ * @returns {Object} Backup
+ */
+const fromConversationExport = (exported) => {
+  const thread = exported.thread || {};
+  const messages = Array.isArray(exported.messages) ? exported.messages : [];
+
+  return {
+    format: BACKUP_FILE_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: exported.exportedAt,
+    threads: [{
+      id: thread.id,
+      title: thread.title || '',
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      messages: messages.map(message => ({
+        id: message.id,
+        text: message.text,
+        isUser: message.role === 'user',
+        type: message.role === 'system' ? 'system' : message.type,
+        timestamp: message.timestamp,
+        ...(message.status ? { status: message.status } : {}),
+      })),
+    }],
+  };
+};
+
+/**
+ * Bring a backup file up to the current version
+ *
+ * @param {Object} file - Parsed backup file, or a conversation exported as JSON
+ * @returns {Object} Backup in the current layout
+ * @throws {Error} If the file isn't a backup, or comes from a newer version of the app
+ */
+export const migrateBackup = (file) => {
+  if (file && file.format === EXPORT_FILE_FORMAT) {
+    return fromConversationExport(file);
+  }
+
+  if (!file || file.format !== BACKUP_FILE_FORMAT || !Number.isInteger(file.version)) {
+    throw new Error('The file is not an AIR-assist backup');
+  }
+
+  if (file.version > BACKUP_VERSION) {
+    throw new Error('The backup was made by a newer version of AIR-assist; update the app to restore it');
+  }
+
+  let backup = file;
+
+  while (backup.version < BACKUP_VERSION) {
+    const migrate = MIGRATIONS[backup.version];
+
+    if (!migrate) {
+      throw new Error(`Backups of version ${backup.version} can't be restored`);
+    }
+
+    backup = { ...migrate(backup), version: backup.version + 1 };
+  }
+
+  return backup;
+};
+
+/**
+ * Check that a backup holds data the app can restore
+ *
+ * @param {Object} backup - Backup in the current layout
+ * @returns {Array<string>} Problems found; empty if the backup is valid
+ */
+export const validateBackup = (backup) => {
+  const problems = [];
+
+  if (backup.settings !== undefined && !isObject(backup.settings)) {
+    problems.push('Settings are not an object');
+  }
+
+  if (backup.threads !== undefined) {
+    if (Array.isArray(backup.threads)) {
+      const threadIds = new Set();
+
+      backup.threads.forEach((thread, index) => {
+        if (!isObject(thread) || typeof thread.id !== 'string' || !thread.id) {
+          problems.push(`Conversation ${index + 1} has no id`);
+          return;
+        }
+
+        if (threadIds.has(thread.id)) {
+          problems.push(`Conversation ${thread.id} appears more than once`);
+        }
+        threadIds.add(thread.id);
+
+        if (!Array.isArray(thread.messages)) {
+          problems.push(`Conversation ${thread.id} has no messages list`);
+          return;
+        }
+
+        const invalid = thread.messages.filter(message => (
+          !isObject(message)
+          || typeof message.id !== 'string'
+          || typeof message.text !== 'string'
+          || typeof message.timestamp !== 'number'
+        ));
+        if (invalid.length > 0) {
+          problems.push(`Conversation ${thread.id} has ${invalid.length} invalid messages`);
+        }
+      });
+    } else {
+      problems.push('Conversations are not a list');
+    }
+  }
+
+  if (backup.devices !== undefined && !isListOf(backup.devices, device => typeof device.id === 'string')) {
+    problems.push('Bluetooth devices are not a list of devices with ids');
+  }
+
+  if (backup.pendingMessages !== undefined && !isListOf(backup.pendingMessages, entry => (
+    typeof entry.clientId === 'string' && typeof entry.messageId === 'string'
+  ))) {
+    problems.push('Pending messages are not a list of queued messages');
+  }
+
+  if (SECTIONS.every(section => backup[section] === undefined)) {
+    problems.push('The backup holds no data');
+  }
+
+  return problems;
+};
+
+/**
+ * Read a backup file
+ *
+ * @param {string} text - Contents of the file
+ * @returns {Object} Valid backup in the current layout
+ * @throws {Error} If the file isn't a backup the app can restore
+ */
+export const parseBackup = (text) => {
+  let file;
+
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const backup = migrateBackup(file);
+  const problems = validateBackup(backup);
+
+  if (problems.length > 0) {
+    throw new Error(`The backup is damaged: ${problems.join('; ')}`);
+  }
+
+  return backup;
+};
+
+/**
+ * Combine the data on the device with a backup
+ *
+ * Merging keeps everything on the device and adds what only the backup has:
+ * conversations in both keep the device's copy of each message and gain the
+ * messages only the backup has, and backed-up settings win. Replacing keeps
+ * only what the backup has, for each section it holds. Pending messages of
+ * conversations that don't exist afterwards are dropped.
+ *
+ * @param {Object} current - Data on the device, as taken by createBackup
+ * @param {Object} backup - Valid backup in the current layout
+ * @param {string} mode - One of RESTORE_MODES
+ * @returns {Object} Data to store, in the same shape
+ */
+export const mergeBackup = (current, backup, mode) => {
+  const replace = mode === RESTORE_MODES.REPLACE;
+  const next = { ...current };
+
+  if (backup.settings) {
+    next.settings = replace
+      ? { ...DEFAULT_SETTINGS, ...backup.settings }
+      : { ...current.settings, ...backup.settings };
+  }
+
+  if (backup.threads) {
+    const restored = backup.threads.map(restoreThread);
+
+    if (replace) {
+      next.threads = restored;
+      next.activeThreadId = backup.activeThreadId;
+    } else {
+      const backedUp = new Map(restored.map(thread => [thread.id, thread]));
+      const kept = current.threads.map(thread => (
+        backedUp.has(thread.id) ? mergeThread(thread, backedUp.get(thread.id)) : thread
+      ));
+      const keptIds = new Set(kept.map(thread => thread.id));
+
+      next.threads = [...kept, ...restored.filter(thread => !keptIds.has(thread.id))];
+    }
+  }
+
+  if (backup.devices) {
+    next.devices = replace ? backup.devices : unionBy(current.devices, backup.devices, device => device.id);
+  }
+
+  if (backup.pendingMessages) {
+    next.pendingMessages = replace
+      ? backup.pendingMessages
+      : unionBy(current.pendingMessages, backup.pendingMessages, entry => entry.clientId);
+  }
+
+  const threadIds = new Set(next.threads.map(thread => thread.id));
+  next.pendingMessages = next.pendingMessages.filter(entry => !entry.threadId || threadIds.has(entry.threadId));
+
+  if (!threadIds.has(next.activeThreadId)) {
+    next.activeThreadId = current.activeThreadId;
+  }
+
+  return next;
+};
+
+/**
+ * Tell what restoring a backup would change
+ *
+ * @param {Object} current - Data on the device
+ * @param {Object} next - Data to store, from mergeBackup
+ * @returns {Object} Changed setting keys, thread, message, device and pending message counts, and hasChanges
+ */
+export const describeChanges = (current, next) => {
+  const settingKeys = new Set([...Object.keys(current.settings), ...Object.keys(next.settings)]);
+  const settings = [...settingKeys].filter(key => (
+    JSON.stringify(current.settings[key]) !== JSON.stringify(next.settings[key])
+  ));
+
+  const currentThreads = new Map(current.threads.map(thread => [thread.id, thread]));
+  const nextThreads = new Map(next.threads.map(thread => [thread.id, thread]));
+  const changes = {
+    settings,
+    threadsAdded: 0,
+    threadsUpdated: 0,
+    threadsRemoved: 0,
+    messagesAdded: 0,
+    messagesRemoved: 0,
+  };
+  const devices = countChanges(current.devices, next.devices, device => device.id);
+  const pending = countChanges(current.pendingMessages, next.pendingMessages, entry => entry.clientId);
+
+  nextThreads.forEach((thread, threadId) => {
+    const previous = currentThreads.get(threadId);
+
+    if (!previous) {
+      changes.threadsAdded += 1;
+      changes.messagesAdded += thread.messages.length;
+      return;
+    }
+
+    const { added, removed } = countChanges(previous.messages, thread.messages, message => message.id);
+    changes.messagesAdded += added;
+    changes.messagesRemoved += removed;
+
+    if (added > 0 || removed > 0 || previous.title !== thread.title) {
+      changes.threadsUpdated += 1;
+    }
+  });
+
+  currentThreads.forEach((thread, threadId) => {
+    if (!nextThreads.has(threadId)) {
+      changes.threadsRemoved += 1;
+      changes.messagesRemoved += thread.messages.length;
+    }
+  });
+
+  changes.devicesAdded = devices.added;
+  changes.devicesRemoved = devices.removed;
+  changes.pendingAdded = pending.added;
+  changes.pendingRemoved = pending.removed;
+  changes.hasChanges = settings.length > 0
+    || next.activeThreadId !== current.activeThreadId
+    || changes.threadsAdded + changes.threadsUpdated + changes.threadsRemoved > 0
+    || devices.added + devices.removed + pending.added + pending.removed > 0;
+
+  return changes;
+};
+
+/**
+ * Fill in the summary of a backed-up thread from its messages
+ *
+ * @param {Object} thread - Backed-up thread, with its messages
+ * @returns {Object} Thread summary, with its messages oldest first
+ */
+const restoreThread = (thread) => {
+  const messages = sortMessages(thread.messages);
+  const createdAt = thread.createdAt || (messages.length > 0 ? messages[0].timestamp : Date.now());
+  const summary = summarizeThread({
+    title: '',
+    subject: '',
+    updatedAt: createdAt,
+    messageCount: 0,
+    ...thread,
+    createdAt,
+  }, messages);
+
+  return { ...summary, messages };
+};
+
+/**
+ * Merge a backed-up copy of a thread into the one on the device
+ *
+ * @param {Object} thread - Thread on the device, with its messages
+ * @param {Object} backedUp - Backed-up thread, with its messages
+ * @returns {Object} Merged thread, with its messages
+ */
+const mergeThread = (thread, backedUp) => {
+  const messages = sortMessages(unionBy(thread.messages, backedUp.messages, message => message.id));
+
+  if (messages.length === thread.messages.length && (thread.title || !backedUp.title)) {
+    return thread;
+  }
+
+  const summary = summarizeThread({
+    ...thread,
+    title: thread.title || backedUp.title,
+    createdAt: Math.min(thread.createdAt, backedUp.createdAt),
+  }, messages);
+
+  return { ...summary, messages };
+};
+
+/**
+ * Sort messages oldest first
+ *
+ * @param {Array} messages - Messages
+ * @returns {Array} Sorted copy
+ */
+const sortMessages = (messages) => [...messages].sort((a, b) => a.timestamp - b.timestamp);
+
+/**
+ * Combine two lists, keeping the first item with each key
+ *
+ * @param {Array} first - Items kept first
+ * @param {Array} second - Items added if their key is new
+ * @param {Function} getKey - Returns the key of an item
+ * @returns {Array} Combined list
+ */
+const unionBy = (first, second, getKey) => {
+  const keys = new Set(first.map(getKey));
+  return [...first, ...second.filter(item => !keys.has(getKey(item)))];
+};
+
+/**
+ * Count the items added to and removed from a list
+ *
+ * @param {Array} previous - Items before
+ * @param {Array} next - Items after
+ * @param {Function} getKey - Returns the key of an item
+ * @returns {Object} { added, removed } counts
+ */
+const countChanges = (previous, next, getKey) => {
+  const previousKeys = new Set(previous.map(getKey));
+  const nextKeys = new Set(next.map(getKey));
+  const added = [...nextKeys].filter(key => !previousKeys.has(key)).length;
+  const removed = [...previousKeys].filter(key => !nextKeys.has(key)).length;
+
+  return { added, removed };
+};
+
+/**
+ * Check that a value is a plain object
+ *
+ * @param {*} value - Value
+ * @returns {boolean} Whether it is an object other than an array
+ */
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check that a value is a list of objects passing a check
+ *
+ * @param {*} value - Value
+ * @param {Function} check - Called with each object
+ * @returns {boolean} Whether every item is an object passing the check
+ */
+const isListOf = (value, check) => Array.isArray(value) && value.every(item => isObject(item) && check(item));
+
+export default {
+  createBackup,
+  getBackupFileName,
+  migrateBackup,
+  validateBackup,
+  parseBackup,
+  mergeBackup,
+  describeChanges,
+};
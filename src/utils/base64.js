@@ -0,0 +1,104 @@
+/**
+ * Base64 Utilities
+ *
+ * Dependency-free base64 encoding and decoding between strings and byte
+ * arrays. React Native has no Buffer, and recorder chunks and BLE
+ * characteristic values both arrive as base64.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+// Base64 alphabet
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_LOOKUP = BASE64_CHARS.split('').reduce((lookup, char, index) => {
+  lookup[char] = index;
+  return lookup;
+}, {});
+
+/**
+ * Decode a base64 string into bytes
+ *
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export const decodeBase64 = (base64) => {
+  const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+
+  let byteIndex = 0;
+  for (let i = 0; i < clean.length; i += 4) {
+    const a = BASE64_LOOKUP[clean[i]];
+    const b = BASE64_LOOKUP[clean[i + 1]];
+    const c = BASE64_LOOKUP[clean[i + 2]];
+    const d = BASE64_LOOKUP[clean[i + 3]];
+
+    bytes[byteIndex++] = (a << 2) | (b >> 4);
+    if (c !== undefined) {
+      bytes[byteIndex++] = ((b & 15) << 4) | (c >> 2);
+    }
+    if (d !== undefined) {
+      bytes[byteIndex++] = ((c & 3) << 6) | d;
+    }
+  }
+
+  return bytes.subarray(0, byteIndex);
+};
+
+/**
+ * Encode bytes as a base64 string
+ *
+ * @param {Uint8Array|Array<number>} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+export const encodeBase64 = (bytes) => {
+  let output = '';
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const a = bytes[i];
+    const b = i + 1 < bytes.length ? bytes[i + 1] : 0;
+    const c = i + 2 < bytes.length ? bytes[i + 2] : 0;
+
+    output += BASE64_CHARS[a >> 2];
+    output += BASE64_CHARS[((a & 3) << 4) | (b >> 4)];
+    output += i + 1 < bytes.length ? BASE64_CHARS[((b & 15) << 2) | (c >> 6)] : '=';
+    output += i + 2 < bytes.length ? BASE64_CHARS[c & 63] : '=';
+  }
+
+  return output;
+};
+
+/**
+ * Encode a string as UTF-8 bytes
+ *
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+export const stringToBytes = (text) => {
+  const encoded = unescape(encodeURIComponent(text));
+  return Uint8Array.from(encoded, char => char.charCodeAt(0));
+};
+
+/**
+ * Decode UTF-8 bytes into a string
+ *
+ * @param {Uint8Array|Array<number>} bytes - UTF-8 bytes
+ * @returns {string} Decoded text
+ */
+export const bytesToString = (bytes) => {
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+  try {
+    return decodeURIComponent(escape(binary));
+  } catch (error) {
+    // Not valid UTF-8; fall back to one character per byte
+    return binary;
+  }
+};
+
+export default {
+  decodeBase64,
+  encodeBase64,
+  stringToBytes,
+  bytesToString,
+};
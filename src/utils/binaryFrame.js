@@ -0,0 +1,126 @@
+/**
+ * Binary Frame Utilities
+ *
+ * Encoding and decoding of the binary WebSocket frames that carry audio.
+ * Each frame is a small header followed by the raw audio bytes:
+ *
+ *   byte 0      frame type (BINARY_FRAME_TYPES)
+ *   byte 1      codec (AUDIO_CODECS)
+ *   bytes 2-5   sequence number, unsigned big-endian
+ *   byte 6      length of the message id
+ *   bytes 7-    message id (ASCII), then the audio
+ *
+ * Control messages stay JSON; only audio uses this format.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { AUDIO_CODECS } from './constants';
+
+// Type, codec, sequence and message id length
+const FIXED_HEADER_SIZE = 7;
+
+// Longest message id the one-byte length can describe
+const MAX_MESSAGE_ID_LENGTH = 255;
+
+/**
+ * File extension for playing back each codec
+ */
+const CODEC_EXTENSIONS = {
+  [AUDIO_CODECS.PCM_S16LE]: 'pcm',
+  [AUDIO_CODECS.WAV]: 'wav',
+  [AUDIO_CODECS.MP3]: 'mp3',
+  [AUDIO_CODECS.AAC]: 'aac',
+  [AUDIO_CODECS.OPUS]: 'opus',
+};
+
+/**
+ * Whether data received or about to be sent is a binary frame
+ *
+ * @param {*} data - Frame data
+ * @returns {boolean} True for an ArrayBuffer or a typed array
+ */
+export const isBinaryFrame = (data) => data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+
+/**
+ * Encode a binary frame
+ *
+ * @param {Object} frame - Frame contents
+ * @param {number} frame.type - One of BINARY_FRAME_TYPES
+ * @param {number} frame.codec - One of AUDIO_CODECS
+ * @param {number} frame.sequence - Zero-based sequence number within the message
+ * @param {string} frame.messageId - ID of the message the audio belongs to
+ * @param {Uint8Array} frame.payload - Audio bytes
+ * @returns {ArrayBuffer} Encoded frame
+ */
+export const encodeBinaryFrame = ({ type, codec, sequence, messageId, payload }) => {
+  if (messageId.length > MAX_MESSAGE_ID_LENGTH || /[^\x20-\x7e]/.test(messageId)) {
+    throw new Error(`Message ID "${messageId}" can't be sent in a binary frame`);
+  }
+
+  const headerSize = FIXED_HEADER_SIZE + messageId.length;
+  const buffer = new ArrayBuffer(headerSize + payload.length);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  view.setUint8(0, type);
+  view.setUint8(1, codec);
+  view.setUint32(2, sequence);
+  view.setUint8(6, messageId.length);
+
+  for (let i = 0; i < messageId.length; i++) {
+    bytes[FIXED_HEADER_SIZE + i] = messageId.charCodeAt(i);
+  }
+
+  bytes.set(payload, headerSize);
+
+  return buffer;
+};
+
+/**
+ * Decode a binary frame
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data - Frame as received
+ * @returns {Object} { type, codec, sequence, messageId, payload }
+ * @throws {Error} If the frame is shorter than its header
+ */
+export const decodeBinaryFrame = (data) => {
+  const bytes = data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  if (bytes.length < FIXED_HEADER_SIZE) {
+    throw new Error('Binary frame is shorter than its header');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerSize = FIXED_HEADER_SIZE + view.getUint8(6);
+
+  if (bytes.length < headerSize) {
+    throw new Error('Binary frame is shorter than its message id');
+  }
+
+  return {
+    type: view.getUint8(0),
+    codec: view.getUint8(1),
+    sequence: view.getUint32(2),
+    messageId: String.fromCharCode(...bytes.subarray(FIXED_HEADER_SIZE, headerSize)),
+    payload: bytes.subarray(headerSize),
+  };
+};
+
+/**
+ * Get the file extension to play audio of a codec from
+ *
+ * @param {number} codec - One of AUDIO_CODECS
+ * @returns {string} File extension
+ */
+export const getCodecExtension = (codec) => CODEC_EXTENSIONS[codec] || 'wav';
+
+export default {
+  isBinaryFrame,
+  encodeBinaryFrame,
+  decodeBinaryFrame,
+  getCodecExtension,
+};
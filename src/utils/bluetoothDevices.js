@@ -0,0 +1,111 @@
+/**
+ * Bluetooth Device Utilities
+ *
+ * Pure helpers for turning BLE scan results into the device list shown to the
+ * user: normalising advertised peripherals, deciding whether a peripheral
+ * looks like a supported headset, and merging repeated discovery events into
+ * one entry per device with an up-to-date RSSI.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { BLUETOOTH_SERVICES, BLUETOOTH_DEVICE_NAME_PATTERNS } from './constants';
+
+// Base UUID that 16-bit Bluetooth SIG UUIDs expand into
+const BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+
+/**
+ * Normalise a service UUID to its short form when it is a SIG UUID
+ *
+ * `180F`, `0000180f-0000-1000-8000-00805f9b34fb` and `180f` all become `180f`.
+ *
+ * @param {string} uuid - Service UUID
+ * @returns {string} Normalised, lower-case UUID
+ */
+export const normalizeUuid = (uuid) => {
+  const lower = String(uuid || '').toLowerCase();
+
+  if (lower.length === 36 && lower.startsWith('0000') && lower.endsWith(BASE_UUID_SUFFIX)) {
+    return lower.substring(4, 8);
+  }
+
+  return lower;
+};
+
+// Services a supported device may advertise
+const SUPPORTED_SERVICE_UUIDS = Object.values(BLUETOOTH_SERVICES).map(normalizeUuid);
+
+/**
+ * Convert a discovered peripheral into a device entry
+ *
+ * @param {Object} peripheral - Peripheral from a discovery event
+ * @returns {Object} Device with id, name, rssi, serviceUUIDs and lastSeen
+ */
+export const formatPeripheral = (peripheral) => {
+  const advertising = peripheral.advertising || {};
+
+  return {
+    id: peripheral.id,
+    name: peripheral.name || advertising.localName || null,
+    rssi: peripheral.rssi,
+    serviceUUIDs: (advertising.serviceUUIDs || []).map(normalizeUuid),
+    lastSeen: Date.now(),
+  };
+};
+
+/**
+ * Check whether a device looks like a supported headset
+ *
+ * A device matches if it advertises one of `BLUETOOTH_SERVICES` or its name
+ * contains one of `BLUETOOTH_DEVICE_NAME_PATTERNS`.
+ *
+ * @param {Object} device - Formatted device
+ * @returns {boolean} Whether the device should be listed
+ */
+export const isSupportedDevice = (device) => {
+  if ((device.serviceUUIDs || []).some(uuid => SUPPORTED_SERVICE_UUIDS.includes(uuid))) {
+    return true;
+  }
+
+  if (!device.name) {
+    return false;
+  }
+
+  const name = device.name.toLowerCase();
+  return BLUETOOTH_DEVICE_NAME_PATTERNS.some(pattern => name.includes(pattern.toLowerCase()));
+};
+
+/**
+ * Merge a discovered device into the device list
+ *
+ * Repeated advertisements update the existing entry (RSSI, last seen time and
+ * any name or services learned since) instead of adding a duplicate.
+ *
+ * @param {Array} devices - Current device list
+ * @param {Object} device - Formatted device
+ * @returns {Array} Updated device list, sorted by signal strength
+ */
+export const mergeDiscoveredDevice = (devices, device) => {
+  const existing = devices.find(d => d.id === device.id);
+
+  const merged = existing
+    ? {
+      ...existing,
+      rssi: device.rssi,
+      lastSeen: device.lastSeen,
+      name: device.name || existing.name,
+      serviceUUIDs: Array.from(new Set([...existing.serviceUUIDs, ...device.serviceUUIDs])),
+    }
+    : device;
+
+  return [...devices.filter(d => d.id !== device.id), merged]
+    .sort((a, b) => (b.rssi ?? -Infinity) - (a.rssi ?? -Infinity));
+};
+
+export default {
+  normalizeUuid,
+  formatPeripheral,
+  isSupportedDevice,
+  mergeDiscoveredDevice,
+};
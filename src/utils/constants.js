@@ -21,6 +21,11 @@ export const STORAGE_KEYS = {
   PENDING_MESSAGES: '@AIRAssist:pendingMessages',
   USER_ID: '@AIRAssist:userId',
   BLUETOOTH_DEVICES: '@AIRAssist:btDevices',
+  COMPOSER_DRAFT: '@AIRAssist:composerDraft',
+  SESSION: '@AIRAssist:session',
+  THREADS: '@AIRAssist:threads',
+  THREAD_MESSAGES: '@AIRAssist:threadMessages', // Prefix; each thread's page layout is saved under `${prefix}:${threadId}` and its pages under `${prefix}:${threadId}:${page}`
+  SEARCH_INDEX: '@AIRAssist:searchIndex',
 };
 
 /**
@@ -43,9 +48,15 @@ export const DEFAULT_SETTINGS = {
   
   // Behavior settings
   autoListen: true,
+  bargeIn: true,
   autoConnect: true,
   saveHistory: true,
   readResponses: true,
+  historyMaxMessages: 1000, // Messages kept per conversation (0 keeps all)
+  historyMaxAgeDays: 0, // Days messages are kept (0 keeps them forever)
+  historyMaxSizeKb: 0, // Storage kept per conversation, in KB (0 for no limit)
+  lowBatteryThreshold: 20, // Headset battery % that triggers a warning (0 disables)
+  inputMode: 'voice', // One of INPUT_MODES
   
   // Customization
   theme: 'dark',
@@ -63,13 +74,56 @@ export const DEFAULT_SETTINGS = {
  */
 export const WS_MESSAGE_TYPES = {
   AUDIO: 'audioMessage',
+  AUDIO_CHUNK: 'audioChunk',
   TEXT: 'textMessage',
   AI_RESPONSE: 'aiResponse',
+  AI_RESPONSE_START: 'aiResponseStart',
+  AI_RESPONSE_DELTA: 'aiResponseDelta',
+  AI_RESPONSE_END: 'aiResponseEnd',
   ERROR: 'error',
   PING: 'ping',
   PONG: 'pong',
   CONNECT: 'connect',
   DISCONNECT: 'disconnect',
+  CANCEL: 'cancel',
+  ACK: 'ack',
+  AUTH_OK: 'authOk',
+  AUTH_ERROR: 'authError',
+  AUTH_REFRESH: 'authRefresh',
+  RESUME: 'resume',
+  RESUMED: 'resumed',
+  PROTOCOL_ERROR: 'protocolError',
+};
+
+/**
+ * Phases of a chunked audio upload
+ * An upload is one start frame, sequence-numbered data frames and one end frame;
+ * a replay of a buffered recording opens with a reset frame
+ */
+export const AUDIO_CHUNK_PHASES = {
+  RESET: 'reset', // Drop whatever was received of the message's recording before a replay restarts it
+  START: 'start',
+  DATA: 'data',
+  END: 'end',
+};
+
+/**
+ * Ways of composing a message on the home screen
+ */
+export const INPUT_MODES = {
+  VOICE: 'voice',
+  KEYBOARD: 'keyboard',
+};
+
+/**
+ * Delivery status of a user message, from queued to answered
+ */
+export const MESSAGE_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  ANSWERED: 'answered',
+  FAILED: 'failed',
 };
 
 /**
@@ -84,6 +138,38 @@ export const BT_CONNECTION_STATES = {
   ERROR: 'error',
 };
 
+/**
+ * Bluetooth services UUIDs
+ */
+export const BLUETOOTH_SERVICES = {
+  GENERIC_ACCESS: '1800',
+  GENERIC_ATTRIBUTE: '1801',
+  IMMEDIATE_ALERT: '1802',
+  LINK_LOSS: '1803',
+  TX_POWER: '1804',
+  HEART_RATE: '180D',
+  BATTERY_SERVICE: '180F',
+  DEVICE_INFORMATION: '180A',
+  AUDIO_SERVICE: '1843', // Custom audio service
+};
+
+/**
+ * Bluetooth characteristic UUIDs
+ */
+export const BLUETOOTH_CHARACTERISTICS = {
+  BATTERY_LEVEL: '2A19',
+  MANUFACTURER_NAME: '2A29',
+  MODEL_NUMBER: '2A24',
+  SERIAL_NUMBER: '2A25',
+  FIRMWARE_REVISION: '2A26',
+};
+
+/**
+ * Name fragments identifying supported headsets in scan results
+ * Matched case-insensitively for devices that don't advertise a known service.
+ */
+export const BLUETOOTH_DEVICE_NAME_PATTERNS = ['AIR', 'Headset', 'Earbud', 'Buds', 'Headphone'];
+
 /**
  * Permissions required by the application
  * These are the permission strings needed for different platforms
@@ -117,12 +203,174 @@ export const PERMISSIONS = {
  * Used for various timeouts and intervals
  */
 export const TIME = {
-  WEBSOCKET_RECONNECT_INTERVAL: 5000,
+  WEBSOCKET_RECONNECT_INITIAL_DELAY: 1000,
+  WEBSOCKET_RECONNECT_MAX_DELAY: 60000,
   BLE_SCAN_TIMEOUT: 10000,
   DEBOUNCE_DELAY: 300,
   LONG_PRESS_DURATION: 500,
   SILENCE_DETECTION_TIMEOUT: 2000,
+  NO_SPEECH_TIMEOUT: 8000,
+  BARGE_IN_MIN_SPEECH: 300,
   AUTO_LISTEN_DELAY: 1000,
+  MAX_RECORDING_DURATION: 60000,
+  RESPONSE_TIMEOUT: 30000,
+  VOICE_ERROR_RESET_DELAY: 3000,
+  BLE_RECONNECT_INITIAL_DELAY: 1000,
+  BLE_RECONNECT_MAX_DELAY: 30000,
+};
+
+/**
+ * Outbound message delivery
+ */
+export const OUTBOX = {
+  ACK_TIMEOUT: 15000, // Resend a message the server hasn't acknowledged after this long
+  MESSAGE_TTL: 24 * 60 * 60 * 1000, // Drop messages that couldn't be delivered within a day
+  DRAIN_INTERVAL: 500, // Gap between queued messages sent after reconnecting
+  RETRY_INITIAL_DELAY: 2000,
+  RETRY_MAX_DELAY: 60000,
+  MAX_EARLY_ACKS: 20, // Acknowledgements kept for live messages not tracked yet
+};
+
+/**
+ * Conversation threads
+ */
+export const THREADS = {
+  PAGE_SIZE: 50, // Messages stored per page; the latest page is loaded first
+  TITLE_LENGTH: 40, // Length of the title taken from the first message
+  DEFAULT_TITLE: 'New conversation',
+};
+
+/**
+ * Message search
+ */
+export const SEARCH = {
+  MAX_RESULTS: 100, // Most recent matches shown
+  SNIPPET_LENGTH: 120, // Characters of message text shown around the first match
+  SAVE_DELAY: 2000, // Time in ms the index waits for more changes before it is saved
+};
+
+/**
+ * Conversation export formats
+ */
+export const EXPORT_FORMATS = {
+  MARKDOWN: 'markdown',
+  JSON: 'json',
+  TEXT: 'text',
+};
+
+/**
+ * Ways of restoring a backup
+ */
+export const RESTORE_MODES = {
+  MERGE: 'merge', // Add what the backup has to the data on the device
+  REPLACE: 'replace', // Replace the data on the device with what the backup has
+};
+
+/**
+ * WebSocket session authentication
+ * Tokens are kept in the device keychain, not with the other stored data
+ */
+export const AUTH = {
+  KEYCHAIN_SERVICE: 'com.airassist.auth',
+  REFRESH_MARGIN: 60000, // Refresh this long before the token expires, in ms
+  HANDSHAKE_TIMEOUT: 10000, // Give up on an unanswered connect or refresh frame after this long, in ms
+};
+
+/**
+ * Codes of `authError` frames
+ */
+export const AUTH_ERROR_CODES = {
+  TOKEN_EXPIRED: 'tokenExpired', // Can be fixed with a refresh token
+  INVALID_TOKEN: 'invalidToken',
+  TOKEN_REQUIRED: 'tokenRequired',
+};
+
+/**
+ * WebSocket protocol versions
+ * The client offers its supported versions when connecting; the server picks one
+ */
+export const PROTOCOL = {
+  VERSION: 2, // Preferred version
+  SUPPORTED_VERSIONS: [1, 2],
+  BINARY_AUDIO_VERSION: 2, // First version that carries audio in binary frames
+  MAX_ERRORS: 50, // Protocol errors kept for the debug view
+};
+
+/**
+ * Codes of `protocolError` reports
+ */
+export const PROTOCOL_ERROR_CODES = {
+  INVALID_JSON: 'invalidJson',
+  INVALID_FRAME: 'invalidFrame', // Fields missing or of the wrong type
+  UNKNOWN_TYPE: 'unknownType',
+  UNSUPPORTED_VERSION: 'unsupportedVersion',
+};
+
+/**
+ * Types of binary WebSocket frames
+ * Audio travels as raw bytes behind a small header rather than as base64 in JSON
+ */
+export const BINARY_FRAME_TYPES = {
+  AUDIO_CHUNK: 1, // Recorded audio, client to server
+  RESPONSE_AUDIO: 2, // Spoken answer, server to client
+};
+
+/**
+ * Codecs of the audio in binary frames
+ */
+export const AUDIO_CODECS = {
+  PCM_S16LE: 1,
+  WAV: 2,
+  MP3: 3,
+  AAC: 4,
+  OPUS: 5,
+};
+
+/**
+ * States of the WebSocket and Bluetooth reconnect managers
+ */
+export const RECONNECT_STATES = {
+  IDLE: 'idle',
+  WAITING: 'waiting', // Waiting for the next attempt
+  CONNECTING: 'connecting',
+  GAVE_UP: 'gaveUp',
+  PAUSED: 'paused', // Waiting for the user, e.g. to sign in
+};
+
+/**
+ * Why WebSocket reconnection is paused; only the same cause lifts each pause
+ */
+export const RECONNECT_PAUSE_REASONS = {
+  OFFLINE: 'offline', // Lifted when the network comes back
+  AUTH_FAILED: 'authFailed', // Lifted when the user signs in
+  UNSUPPORTED_PROTOCOL: 'unsupportedProtocol', // Lifted by connecting to another server
+};
+
+/**
+ * Authentication states of a WebSocket session
+ */
+export const AUTH_STATES = {
+  IDLE: 'idle', // No socket open
+  AUTHENTICATING: 'authenticating', // Waiting for the answer to the connect frame
+  REFRESHING: 'refreshing', // Rejected as expired; waiting for the answer to a refresh
+  AUTHENTICATED: 'authenticated',
+  FAILED: 'failed', // Rejected; waiting for the user to sign in again
+};
+
+/**
+ * WebSocket reconnection limits
+ */
+export const WS_RECONNECT = {
+  MAX_ATTEMPTS: 10, // Attempts before giving up until the network or app comes back
+  JITTER: 0.5, // Fraction of each backoff delay that may be randomly removed
+};
+
+/**
+ * Bluetooth reconnection limits
+ */
+export const BLE_RECONNECT = {
+  MAX_ATTEMPTS: 6, // Rounds of attempts before giving up
+  MAX_DEVICES: 2, // Most recent previous devices tried in each round
 };
 
 /**
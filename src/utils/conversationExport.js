@@ -0,0 +1,177 @@
+/**
+ * Conversation Export Utilities
+ *
+ * Pure helpers that render a thread and its messages as a file to share:
+ * Markdown for reading, plain text for pasting anywhere, or JSON that keeps
+ * the ids, timestamps, types and delivery status of the messages.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { EXPORT_FORMATS } from './constants';
+import { formatDate } from './helpers';
+import { getThreadTitle } from './threads';
+
+// Identifies exported JSON files, with the version of their layout
+export const EXPORT_FILE_FORMAT = 'air-assist.conversation';
+export const EXPORT_VERSION = 1;
+
+/**
+ * File extension of each export format
+ */
+export const EXPORT_EXTENSIONS = {
+  [EXPORT_FORMATS.MARKDOWN]: 'md',
+  [EXPORT_FORMATS.JSON]: 'json',
+  [EXPORT_FORMATS.TEXT]: 'txt',
+};
+
+/**
+ * Get who sent a message
+ *
+ * @param {Object} message - Message
+ * @returns {string} 'user', 'assistant', or 'system'
+ */
+export const getMessageRole = (message) => {
+  if (message.type === 'system') {
+    return 'system';
+  }
+
+  return message.isUser ? 'user' : 'assistant';
+};
+
+// Name shown for each sender in Markdown and plain text
+const ROLE_NAMES = {
+  user: 'You',
+  assistant: 'Assistant',
+  system: 'System',
+};
+
+/**
+ * Render a conversation as Markdown
+ *
+ * @param {string} title - Conversation title
+ * @param {Array} messages - Messages, oldest first
+ * @param {number} exportedAt - Export time, in ms since the epoch
+ * @returns {string} Markdown document
+ */
+const toMarkdown = (title, messages, exportedAt) => {
+  const lines = [
+    `# ${title}`,
+    '',
+    `_Exported ${formatDate(exportedAt)} · ${messages.length} ${messages.length === 1 ? 'message' : 'messages'}_`,
+  ];
+
+  messages.forEach(message => {
+    const role = getMessageRole(message);
+    lines.push('');
+
+    if (role === 'system') {
+      lines.push(`> _${message.text}_ (${formatDate(message.timestamp)})`);
+      return;
+    }
+
+    lines.push(`**${ROLE_NAMES[role]}** · ${formatDate(message.timestamp)}`, '', message.text);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Render a conversation as plain text
+ *
+ * @param {string} title - Conversation title
+ * @param {Array} messages - Messages, oldest first
+ * @param {number} exportedAt - Export time, in ms since the epoch
+ * @returns {string} Text document
+ */
+const toText = (title, messages, exportedAt) => {
+  const lines = [title, `Exported ${formatDate(exportedAt)}`];
+
+  messages.forEach(message => {
+    lines.push('', `[${formatDate(message.timestamp)}] ${ROLE_NAMES[getMessageRole(message)]}:`, message.text);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Render a conversation as JSON
+ *
+ * @param {Object} thread - Thread summary
+ * @param {Array} messages - Messages, oldest first
+ * @param {number} exportedAt - Export time, in ms since the epoch
+ * @returns {string} JSON document
+ */
+const toJson = (thread, messages, exportedAt) => JSON.stringify({
+  format: EXPORT_FILE_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt,
+  thread: {
+    id: thread.id,
+    title: getThreadTitle(thread),
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+  },
+  messages: messages.map(message => ({
+    id: message.id,
+    timestamp: message.timestamp,
+    role: getMessageRole(message),
+    type: message.type || 'text',
+    text: message.text,
+    ...(message.status ? { status: message.status } : {}),
+  })),
+}, null, 2);
+
+/**
+ * Render a conversation in an export format
+ *
+ * Messages without text, such as an answer that hasn't started streaming,
+ * are left out.
+ *
+ * @param {Object} thread - Thread summary
+ * @param {Array} messages - Messages of the thread, oldest first
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {number} [exportedAt=Date.now()] - Export time, in ms since the epoch
+ * @returns {string} File contents
+ */
+export const formatConversation = (thread, messages, format, exportedAt = Date.now()) => {
+  const title = getThreadTitle(thread);
+  const exported = messages.filter(message => message.text);
+
+  switch (format) {
+    case EXPORT_FORMATS.MARKDOWN:
+      return toMarkdown(title, exported, exportedAt);
+    case EXPORT_FORMATS.JSON:
+      return toJson(thread, exported, exportedAt);
+    case EXPORT_FORMATS.TEXT:
+      return toText(title, exported, exportedAt);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+/**
+ * Get the name of an export file
+ *
+ * @param {Object} thread - Thread summary
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {number} [exportedAt=Date.now()] - Export time, in ms since the epoch
+ * @returns {string} File name, e.g. "trip-to-paris-2024-05-01.md"
+ */
+export const getExportFileName = (thread, format, exportedAt = Date.now()) => {
+  const slug = getThreadTitle(thread)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 40)
+    .replace(/^-+|-+$/g, '') || 'conversation';
+  const date = new Date(exportedAt).toISOString().slice(0, 10);
+
+  return `${slug}-${date}.${EXPORT_EXTENSIONS[format]}`;
+};
+
+export default {
+  getMessageRole,
+  formatConversation,
+  getExportFileName,
+};
@@ -1,5 +1,6 @@
 import { Platform, Dimensions } from 'react-native';
 import DeviceInfo from 'react-native-device-info';
+import NetInfo from '@react-native-community/netinfo';
 
 // Get device information
 export const getDeviceInfo = async () => {
@@ -44,20 +45,19 @@ export const getDeviceInfo = async () => {
   }
 };
 
-// Get device network information
+// Get device network information; isConnected is null when it can't be determined
 export const getNetworkInfo = async () => {
   try {
-    const isConnected = await DeviceInfo.isNetworkAvailable();
-    const type = await DeviceInfo.getNetworkType();
+    const state = await NetInfo.fetch();
     
     return {
-      isConnected,
-      type,
+      isConnected: state.isConnected,
+      type: state.type,
     };
   } catch (error) {
     console.error('Error getting network info:', error);
     return {
-      isConnected: false,
+      isConnected: null,
       type: 'unknown',
     };
   }
@@ -14,7 +14,8 @@ import {
   WEBSOCKET_URL,
   APP_NAME,
   APP_VERSION,
-  DEBUG_MODE
+  DEBUG_MODE,
+  BLE_TRANSPORT
 } from '@env';
 
 /**
@@ -26,6 +27,7 @@ const defaults = {
   appName: 'AIRAssist',
   appVersion: '1.0.0',
   debugMode: __DEV__ ? 'true' : 'false',
+  bleTransport: 'ble-manager',
 };
 
 /**
@@ -62,6 +64,12 @@ export const env = {
    */
   debugMode: (DEBUG_MODE || defaults.debugMode).toLowerCase() === 'true',
   
+  /**
+   * Bluetooth library adapter (ble-manager, ble-plx or fake)
+   * @type {string}
+   */
+  bleTransport: BLE_TRANSPORT || defaults.bleTransport,
+  
   /**
    * Current platform (ios or android)
    * @type {string}
@@ -0,0 +1,104 @@
+/**
+ * Headset Button Utilities
+ *
+ * Turns characteristic notifications from a headset into app actions using
+ * the declarative profiles in `config/headsetProfiles`.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { HEADSET_PROFILES, DEFAULT_PRESS_ACTIONS } from '../config/headsetProfiles';
+
+/**
+ * Find the profile for a device
+ *
+ * @param {Object} device - Device with a name
+ * @param {Array<Object>} [profiles=HEADSET_PROFILES] - Profiles to match against
+ * @returns {Object|null} Matching profile or null
+ */
+export const findHeadsetProfile = (device, profiles = HEADSET_PROFILES) => {
+  if (!device || !device.name) {
+    return null;
+  }
+
+  const name = device.name.toLowerCase();
+
+  return profiles.find(profile =>
+    profile.namePatterns.some(pattern => name.includes(pattern.toLowerCase()))
+  ) || null;
+};
+
+/**
+ * Decode a notified value into a button press
+ *
+ * @param {Object} button - Button definition from a profile
+ * @param {Uint8Array} value - Notified characteristic value
+ * @returns {string|null} One of BUTTON_PRESSES, or null for values that aren't presses (e.g. release)
+ */
+export const decodeButtonPress = (button, value) => {
+  const code = value[button.byteIndex || 0];
+
+  if (code === undefined) {
+    return null;
+  }
+
+  return button.values[code] || null;
+};
+
+/**
+ * Get the action for a press on a device
+ *
+ * @param {Object} profile - Device profile
+ * @param {string} press - One of BUTTON_PRESSES
+ * @returns {string|null} One of HEADSET_ACTIONS or null
+ */
+export const getPressAction = (profile, press) => {
+  const actions = { ...DEFAULT_PRESS_ACTIONS, ...(profile.actions || {}) };
+  return actions[press] || null;
+};
+
+/**
+ * Subscribe to every button characteristic of a connected device
+ *
+ * Buttons whose characteristic the device doesn't expose are skipped.
+ *
+ * @param {BleTransport} transport - Transport the device is connected through
+ * @param {Object} device - Connected device
+ * @param {Function} onAction - Called with { action, press, model, deviceId } for each press
+ * @returns {Promise<Function>} Async function ending all the subscriptions
+ */
+export const subscribeHeadsetButtons = async (transport, device, onAction) => {
+  const profile = findHeadsetProfile(device);
+
+  if (!profile) {
+    return async () => {};
+  }
+
+  const results = await Promise.all(profile.buttons.map(button =>
+    transport.subscribe(device.id, button.serviceUUID, button.characteristicUUID, (value) => {
+      const press = decodeButtonPress(button, value);
+      const action = press && getPressAction(profile, press);
+
+      if (action) {
+        onAction({ action, press, model: profile.model, deviceId: device.id });
+      }
+    }).catch(error => {
+      console.warn(`headsetButtons: Could not subscribe to ${button.characteristicUUID}`, error);
+      return null;
+    })
+  ));
+
+  const unsubscribers = results.filter(Boolean);
+
+  return async () => {
+    await Promise.all(unsubscribers.map(unsubscribe => unsubscribe().catch(console.warn)));
+  };
+};
+
+export default {
+  findHeadsetProfile,
+  decodeButtonPress,
+  getPressAction,
+  subscribeHeadsetButtons,
+};
@@ -0,0 +1,103 @@
+/**
+ * Headset Information Utilities
+ *
+ * Reads the standard Battery (180F) and Device Information (180A) services of
+ * a connected headset through a BLE transport. Headsets often implement only
+ * some of these characteristics, so each one is optional.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { BLUETOOTH_SERVICES, BLUETOOTH_CHARACTERISTICS } from './constants';
+import { bytesToString } from './base64';
+
+// Device Information characteristics and the device fields they fill
+const DEVICE_INFORMATION_FIELDS = {
+  manufacturer: BLUETOOTH_CHARACTERISTICS.MANUFACTURER_NAME,
+  model: BLUETOOTH_CHARACTERISTICS.MODEL_NUMBER,
+  firmware: BLUETOOTH_CHARACTERISTICS.FIRMWARE_REVISION,
+  serialNumber: BLUETOOTH_CHARACTERISTICS.SERIAL_NUMBER,
+};
+
+/**
+ * Decode a Battery Level characteristic value
+ *
+ * @param {Uint8Array} value - Characteristic value
+ * @returns {number|null} Battery level in percent, or null if invalid
+ */
+export const decodeBatteryLevel = (value) => {
+  if (!value || value.length === 0 || value[0] > 100) {
+    return null;
+  }
+
+  return value[0];
+};
+
+/**
+ * Read the battery level and device information of a connected headset
+ *
+ * @param {BleTransport} transport - Transport the device is connected through
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object>} batteryLevel, manufacturer, model, firmware and serialNumber; missing ones are null
+ */
+export const readHeadsetInfo = async (transport, deviceId) => {
+  const info = { batteryLevel: null };
+
+  try {
+    const value = await transport.read(
+      deviceId,
+      BLUETOOTH_SERVICES.BATTERY_SERVICE,
+      BLUETOOTH_CHARACTERISTICS.BATTERY_LEVEL
+    );
+    info.batteryLevel = decodeBatteryLevel(value);
+  } catch (error) {
+    console.warn('headsetInfo: Battery level not available', error);
+  }
+
+  for (const [field, characteristicUUID] of Object.entries(DEVICE_INFORMATION_FIELDS)) {
+    try {
+      const value = await transport.read(deviceId, BLUETOOTH_SERVICES.DEVICE_INFORMATION, characteristicUUID);
+      // Strings are often NUL-padded
+      info[field] = bytesToString(value).replace(/\0+$/, '').trim() || null;
+    } catch (error) {
+      info[field] = null;
+    }
+  }
+
+  return info;
+};
+
+/**
+ * Subscribe to battery level changes of a connected headset
+ *
+ * @param {BleTransport} transport - Transport the device is connected through
+ * @param {string} deviceId - Device ID
+ * @param {Function} onLevel - Called with the new battery level in percent
+ * @returns {Promise<Function>} Async function ending the subscription
+ */
+export const subscribeBatteryLevel = async (transport, deviceId, onLevel) => {
+  try {
+    return await transport.subscribe(
+      deviceId,
+      BLUETOOTH_SERVICES.BATTERY_SERVICE,
+      BLUETOOTH_CHARACTERISTICS.BATTERY_LEVEL,
+      (value) => {
+        const level = decodeBatteryLevel(value);
+        if (level !== null) {
+          onLevel(level);
+        }
+      }
+    );
+  } catch (error) {
+    // Not every headset supports battery notifications
+    console.warn('headsetInfo: Battery notifications not available', error);
+    return async () => {};
+  }
+};
+
+export default {
+  decodeBatteryLevel,
+  readHeadsetInfo,
+  subscribeBatteryLevel,
+};
@@ -8,12 +8,16 @@
  * @version 1.0.0
  */
 
+import bluetoothDevices from './bluetoothDevices';
 import helpers from './helpers';
+import messageStream from './messageStream';
 import permissions from './permissions';
 import storage from './storage';
 
 export {
+  bluetoothDevices,
   helpers,
+  messageStream,
   permissions,
   storage,
 };
@@ -0,0 +1,190 @@
+/**
+ * Message Stream Utilities
+ *
+ * Pure helpers for applying streamed AI response frames (start, delta, end)
+ * to the conversation message list. Frames are keyed by the `messageId` of
+ * the user message being answered, so the AI bubble can grow token-by-token
+ * and be finalised when the end frame arrives.
+ *
+ * User messages also carry a delivery `status`, updated by the same kind of
+ * pure helper as frames and acknowledgements arrive.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { MESSAGE_STATUS } from './constants';
+
+/**
+ * Get the ID of the AI message that answers a user message
+ *
+ * @param {string} messageId - ID of the user message being answered
+ * @returns {string} ID of the streamed AI message
+ */
+export const getResponseMessageId = (messageId) => `${messageId}-response`;
+
+/**
+ * Create an empty streaming AI message
+ *
+ * @param {string} messageId - ID of the user message being answered
+ * @param {string} [text=''] - Initial message text
+ * @returns {Object} Message object
+ */
+const createStreamingMessage = (messageId, text = '') => ({
+  id: getResponseMessageId(messageId),
+  replyTo: messageId,
+  text,
+  isUser: false,
+  type: 'normal',
+  isStreaming: true,
+  timestamp: Date.now(),
+});
+
+/**
+ * Replace the text of a user message with its server-side transcription
+ *
+ * @param {Array} messages - Current messages
+ * @param {string} messageId - ID of the user message
+ * @param {string} [transcription] - Transcription from the server
+ * @returns {Array} Updated messages
+ */
+export const applyTranscription = (messages, messageId, transcription) => {
+  if (!transcription || !messageId) {
+    return messages;
+  }
+
+  return messages.map(msg =>
+    msg.id === messageId
+      ? { ...msg, text: transcription }
+      : msg
+  );
+};
+
+/**
+ * Apply an AI response start frame
+ *
+ * @param {Array} messages - Current messages
+ * @param {Object} frame - Start frame
+ * @param {string} frame.messageId - ID of the user message being answered
+ * @param {string} [frame.transcription] - Transcription of the user message
+ * @returns {Array} Updated messages
+ */
+export const applyResponseStart = (messages, { messageId, transcription }) => {
+  const withTranscription = applyTranscription(messages, messageId, transcription);
+  const responseId = getResponseMessageId(messageId);
+
+  // Ignore a repeated start frame for the same response
+  if (withTranscription.some(msg => msg.id === responseId)) {
+    return withTranscription;
+  }
+
+  return [...withTranscription, createStreamingMessage(messageId)];
+};
+
+/**
+ * Apply an AI response delta frame
+ *
+ * A delta that arrives before its start frame creates the message.
+ *
+ * @param {Array} messages - Current messages
+ * @param {Object} frame - Delta frame
+ * @param {string} frame.messageId - ID of the user message being answered
+ * @param {string} frame.delta - Text to append
+ * @returns {Array} Updated messages
+ */
+export const applyResponseDelta = (messages, { messageId, delta }) => {
+  const responseId = getResponseMessageId(messageId);
+
+  if (!messages.some(msg => msg.id === responseId)) {
+    return [...messages, createStreamingMessage(messageId, delta || '')];
+  }
+
+  return messages.map(msg =>
+    msg.id === responseId && msg.isStreaming
+      ? { ...msg, text: msg.text + (delta || '') }
+      : msg
+  );
+};
+
+/**
+ * Apply an AI response end frame
+ *
+ * If the frame carries the full text it replaces the accumulated deltas.
+ *
+ * @param {Array} messages - Current messages
+ * @param {Object} frame - End frame
+ * @param {string} frame.messageId - ID of the user message being answered
+ * @param {string} [frame.text] - Final response text
+ * @returns {Array} Updated messages
+ */
+export const applyResponseEnd = (messages, { messageId, text }) => {
+  const responseId = getResponseMessageId(messageId);
+
+  if (!messages.some(msg => msg.id === responseId)) {
+    return text
+      ? [...messages, { ...createStreamingMessage(messageId, text), isStreaming: false }]
+      : messages;
+  }
+
+  return messages.map(msg =>
+    msg.id === responseId
+      ? { ...msg, text: text || msg.text, isStreaming: false }
+      : msg
+  );
+};
+
+/**
+ * Finalise every AI message that is still streaming
+ *
+ * Used when the rest of an answer will never arrive, such as when the server
+ * could not resume the session it was sent in.
+ *
+ * @param {Array} messages - Current messages
+ * @returns {Array} Updated messages
+ */
+export const finishStreaming = (messages) => {
+  if (!messages.some(msg => msg.isStreaming)) {
+    return messages;
+  }
+
+  return messages.map(msg =>
+    msg.isStreaming
+      ? { ...msg, isStreaming: false }
+      : msg
+  );
+};
+
+/**
+ * Set the delivery status of a user message
+ *
+ * An answered message keeps that status; late delivery events for it are
+ * ignored.
+ *
+ * @param {Array} messages - Current messages
+ * @param {string} messageId - ID of the user message
+ * @param {string} status - One of MESSAGE_STATUS
+ * @returns {Array} Updated messages
+ */
+export const applyMessageStatus = (messages, messageId, status) => {
+  const message = messages.find(msg => msg.id === messageId);
+
+  if (!message || message.status === status || message.status === MESSAGE_STATUS.ANSWERED) {
+    return messages;
+  }
+
+  return messages.map(msg =>
+    msg.id === messageId
+      ? { ...msg, status }
+      : msg
+  );
+};
+
+export default {
+  getResponseMessageId,
+  applyMessageStatus,
+  applyTranscription,
+  applyResponseStart,
+  applyResponseDelta,
+  applyResponseEnd,
+  finishStreaming,
+};
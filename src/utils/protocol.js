@@ -0,0 +1,362 @@
+/**
+ * Protocol Utilities
+ *
+ * Declarative schemas of the WebSocket frames, one per `WS_MESSAGE_TYPES`
+ * entry, and pure helpers to check frames against them. A schema lists the
+ * direction the frame travels in and its required and optional fields; each
+ * field is described by a type name ('string', 'number', 'boolean', 'object',
+ * 'array', 'null', or alternatives joined by '|') or by the array of values it
+ * may take. Fields a schema doesn't mention are allowed, so either side can
+ * add fields without breaking the other.
+ *
+ * Binary audio frames (see binaryFrame.js) are checked against the direction
+ * and codecs of their type.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import {
+  WS_MESSAGE_TYPES,
+  AUDIO_CHUNK_PHASES,
+  PROTOCOL,
+  PROTOCOL_ERROR_CODES,
+  BINARY_FRAME_TYPES,
+  AUDIO_CODECS,
+} from './constants';
+import { generateId } from './helpers';
+
+/**
+ * Directions a frame travels in
+ */
+export const FRAME_DIRECTIONS = {
+  INBOUND: 'inbound', // Server to client
+  OUTBOUND: 'outbound', // Client to server
+  BOTH: 'both',
+};
+
+// Inbound frames may be numbered so a resumed session can skip replayed ones
+const SEQUENCED = { seq: 'number' };
+
+// Answers may name the conversation thread of the message they answer
+const THREADED = { threadId: 'string' };
+
+/**
+ * Schema of each frame type
+ */
+export const FRAME_SCHEMAS = {
+  [WS_MESSAGE_TYPES.AUDIO]: {
+    direction: FRAME_DIRECTIONS.OUTBOUND,
+    required: { audio: 'string', messageId: 'string', clientId: 'string' },
+    optional: { transcription: 'string', timestamp: 'number' },
+  },
+  [WS_MESSAGE_TYPES.AUDIO_CHUNK]: {
+    direction: FRAME_DIRECTIONS.OUTBOUND,
+    required: { phase: Object.values(AUDIO_CHUNK_PHASES), messageId: 'string' },
+    optional: {
+      sequence: 'number',
+      audio: 'string',
+      binary: 'boolean', // Data chunks follow as binary frames
+      encoding: 'string',
+      sampleRate: 'number',
+      channels: 'number',
+      bitsPerSample: 'number',
+      chunkCount: 'number',
+      transcription: 'string',
+      clientId: 'string',
+      timestamp: 'number',
+    },
+  },
+  [WS_MESSAGE_TYPES.TEXT]: {
+    direction: FRAME_DIRECTIONS.OUTBOUND,
+    required: { text: 'string', messageId: 'string', clientId: 'string' },
+    optional: { timestamp: 'number' },
+  },
+  [WS_MESSAGE_TYPES.AI_RESPONSE]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    required: { text: 'string' },
+    optional: {
+      ...SEQUENCED,
+      ...THREADED,
+      messageId: 'string',
+      transcription: 'string',
+      audioBase64: 'string',
+      audioFrames: 'number', // Binary audio frames sent ahead of this one
+    },
+  },
+  [WS_MESSAGE_TYPES.AI_RESPONSE_START]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    required: { messageId: 'string' },
+    optional: { ...SEQUENCED, ...THREADED, transcription: 'string' },
+  },
+  [WS_MESSAGE_TYPES.AI_RESPONSE_DELTA]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    required: { messageId: 'string', delta: 'string' },
+    optional: { ...SEQUENCED, ...THREADED },
+  },
+  [WS_MESSAGE_TYPES.AI_RESPONSE_END]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    required: { messageId: 'string' },
+    optional: { ...SEQUENCED, ...THREADED, text: 'string', audioBase64: 'string', audioFrames: 'number' },
+  },
+  [WS_MESSAGE_TYPES.ERROR]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    required: {},
+    optional: { ...SEQUENCED, code: 'string', message: 'string' },
+  },
+  [WS_MESSAGE_TYPES.PING]: {
+    direction: FRAME_DIRECTIONS.OUTBOUND,
+    required: {},
+    optional: {},
+  },
+  [WS_MESSAGE_TYPES.PONG]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    required: {},
+    optional: {},
+  },
+  [WS_MESSAGE_TYPES.CONNECT]: {
+    direction: FRAME_DIRECTIONS.OUTBOUND,
+    required: { token: 'string|null', protocolVersion: 'number', supportedVersions: 'array' },
+    optional: { timestamp: 'number' },
+  },
+  [WS_MESSAGE_TYPES.DISCONNECT]: {
+    direction: FRAME_DIRECTIONS.OUTBOUND,
+    required: {},
+    optional: { timestamp: 'number' },
+  },
+  [WS_MESSAGE_TYPES.CANCEL]: {
+    direction: FRAME_DIRECTIONS.OUTBOUND,
+    required: { messageId: 'string' },
+    optional: { timestamp: 'number' },
+  },
+  [WS_MESSAGE_TYPES.ACK]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    required: { clientId: 'string' },
+    optional: {},
+  },
+  [WS_MESSAGE_TYPES.AUTH_OK]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    required: {},
+    optional: {
+      token: 'string',
+      refreshToken: 'string|null',
+      expiresAt: 'number|null',
+      protocolVersion: 'number',
+    },
+  },
+  [WS_MESSAGE_TYPES.AUTH_ERROR]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    required: {},
+    optional: { code: 'string', message: 'string' },
+  },
+  [WS_MESSAGE_TYPES.AUTH_REFRESH]: {
+    direction: FRAME_DIRECTIONS.OUTBOUND,
+    required: { refreshToken: 'string' },
+    optional: { timestamp: 'number' },
+  },
+  [WS_MESSAGE_TYPES.RESUME]: {
+    direction: FRAME_DIRECTIONS.OUTBOUND,
+    required: { sessionId: 'string', lastSeq: 'number' },
+    optional: { timestamp: 'number' },
+  },
+  [WS_MESSAGE_TYPES.RESUMED]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    required: { resumed: 'boolean' },
+    optional: { sessionId: 'string' },
+  },
+  [WS_MESSAGE_TYPES.PROTOCOL_ERROR]: {
+    direction: FRAME_DIRECTIONS.BOTH,
+    required: { code: 'string' },
+    optional: { message: 'string', frameType: 'string|null', direction: 'string' },
+  },
+};
+
+/**
+ * Schema of each binary frame type
+ */
+export const BINARY_FRAME_SCHEMAS = {
+  [BINARY_FRAME_TYPES.AUDIO_CHUNK]: {
+    direction: FRAME_DIRECTIONS.OUTBOUND,
+    codecs: [AUDIO_CODECS.PCM_S16LE],
+  },
+  [BINARY_FRAME_TYPES.RESPONSE_AUDIO]: {
+    direction: FRAME_DIRECTIONS.INBOUND,
+    codecs: [AUDIO_CODECS.WAV, AUDIO_CODECS.MP3, AUDIO_CODECS.AAC, AUDIO_CODECS.OPUS],
+  },
+};
+
+/**
+ * Get the type name of a value as used in schemas
+ *
+ * @param {*} value - Value to describe
+ * @returns {string} Type name
+ */
+const getTypeName = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+
+/**
+ * Check a field value against its description
+ *
+ * @param {*} value - Field value
+ * @param {string|Array} spec - Type names joined by '|', or the allowed values
+ * @returns {boolean} Whether the value matches
+ */
+const matchesSpec = (value, spec) => (
+  Array.isArray(spec)
+    ? spec.includes(value)
+    : spec.split('|').includes(getTypeName(value))
+);
+
+/**
+ * Describe what a field should have been
+ *
+ * @param {string|Array} spec - Field description
+ * @returns {string} Human-readable expectation
+ */
+const describeSpec = (spec) => (
+  Array.isArray(spec) ? `one of ${spec.join(', ')}` : spec.split('|').join(' or ')
+);
+
+/**
+ * Build a protocol error report
+ *
+ * @param {string} code - One of PROTOCOL_ERROR_CODES
+ * @param {string} message - What was wrong
+ * @param {Object} [details={}] - Where it happened
+ * @param {string} [details.direction] - One of FRAME_DIRECTIONS
+ * @param {string} [details.frameType] - Type of the offending frame
+ * @param {string} [details.source='client'] - Who detected the error: 'client' or 'server'
+ * @returns {Object} Protocol error
+ */
+export const createProtocolError = (code, message, { direction = null, frameType = null, source = 'client' } = {}) => ({
+  id: generateId(),
+  code,
+  message,
+  direction,
+  frameType,
+  source,
+  timestamp: Date.now(),
+});
+
+/**
+ * Check a frame against the schema of its type
+ *
+ * @param {*} frame - Parsed frame
+ * @param {string} direction - FRAME_DIRECTIONS.INBOUND or FRAME_DIRECTIONS.OUTBOUND
+ * @returns {Object|null} Protocol error, or null if the frame is valid
+ */
+export const validateFrame = (frame, direction) => {
+  if (getTypeName(frame) !== 'object' || typeof frame.type !== 'string') {
+    return createProtocolError(
+      PROTOCOL_ERROR_CODES.INVALID_FRAME,
+      'Frame is not an object with a type',
+      { direction }
+    );
+  }
+
+  const schema = FRAME_SCHEMAS[frame.type];
+  const details = { direction, frameType: frame.type };
+
+  if (!schema || (schema.direction !== direction && schema.direction !== FRAME_DIRECTIONS.BOTH)) {
+    return createProtocolError(
+      PROTOCOL_ERROR_CODES.UNKNOWN_TYPE,
+      `No ${direction} frame of type "${frame.type}"`,
+      details
+    );
+  }
+
+  const problems = [];
+
+  Object.entries(schema.required).forEach(([field, spec]) => {
+    if (!(field in frame)) {
+      problems.push(`${field} is missing`);
+    } else if (!matchesSpec(frame[field], spec)) {
+      problems.push(`${field} should be ${describeSpec(spec)}`);
+    }
+  });
+
+  Object.entries(schema.optional).forEach(([field, spec]) => {
+    if (frame[field] !== undefined && !matchesSpec(frame[field], spec)) {
+      problems.push(`${field} should be ${describeSpec(spec)}`);
+    }
+  });
+
+  return problems.length > 0
+    ? createProtocolError(PROTOCOL_ERROR_CODES.INVALID_FRAME, problems.join('; '), details)
+    : null;
+};
+
+/**
+ * Check a decoded binary frame against the schema of its type
+ *
+ * @param {Object} frame - Decoded binary frame
+ * @param {string} direction - FRAME_DIRECTIONS.INBOUND or FRAME_DIRECTIONS.OUTBOUND
+ * @returns {Object|null} Protocol error, or null if the frame is valid
+ */
+export const validateBinaryFrame = (frame, direction) => {
+  const schema = BINARY_FRAME_SCHEMAS[frame.type];
+  const details = { direction, frameType: `binary:${frame.type}` };
+
+  if (!schema || schema.direction !== direction) {
+    return createProtocolError(
+      PROTOCOL_ERROR_CODES.UNKNOWN_TYPE,
+      `No ${direction} binary frame of type ${frame.type}`,
+      details
+    );
+  }
+
+  const problems = [];
+
+  if (!schema.codecs.includes(frame.codec)) {
+    problems.push(`codec ${frame.codec} is not allowed`);
+  }
+  if (!frame.messageId) {
+    problems.push('messageId is missing');
+  }
+
+  return problems.length > 0
+    ? createProtocolError(PROTOCOL_ERROR_CODES.INVALID_FRAME, problems.join('; '), details)
+    : null;
+};
+
+/**
+ * Add a protocol error to the log shown in the debug view
+ *
+ * @param {Array} errors - Logged errors, newest first
+ * @param {Object} error - Protocol error
+ * @returns {Array} Updated log, capped at PROTOCOL.MAX_ERRORS
+ */
+export const appendProtocolError = (errors, error) => [error, ...errors].slice(0, PROTOCOL.MAX_ERRORS);
+
+/**
+ * Whether this client speaks a protocol version
+ *
+ * @param {number} version - Version picked by the server
+ * @returns {boolean} True if supported
+ */
+export const isSupportedVersion = (version) => PROTOCOL.SUPPORTED_VERSIONS.includes(version);
+
+/**
+ * Whether a protocol version carries audio in binary frames
+ *
+ * @param {number|null} version - Negotiated version
+ * @returns {boolean} True if recordings should be uploaded as binary frames
+ */
+export const supportsBinaryAudio = (version) => version >= PROTOCOL.BINARY_AUDIO_VERSION;
+
+export default {
+  FRAME_DIRECTIONS,
+  FRAME_SCHEMAS,
+  BINARY_FRAME_SCHEMAS,
+  createProtocolError,
+  validateFrame,
+  validateBinaryFrame,
+  appendProtocolError,
+  isSupportedVersion,
+  supportsBinaryAudio,
+};
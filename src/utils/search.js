@@ -0,0 +1,125 @@
+/**
+ * Search Utilities
+ *
+ * Pure helpers for message search: splitting text into the terms the search
+ * index is keyed by, and cutting the snippet of a message shown in search
+ * results with the matching words marked. A query term matches any word that
+ * starts with it, so results show up while a word is still being typed.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { SEARCH } from './constants';
+
+// Whitespace and punctuation, which separate words in any script
+const SEPARATOR = /[\s!-/:-@[-`{-~\u2000-\u206f]/;
+const SEPARATORS = /[\s!-/:-@[-`{-~\u2000-\u206f]+/;
+
+/**
+ * Split text into lowercase terms
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Terms, without duplicates, in order of appearance
+ */
+export const tokenize = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  return [...new Set(text.toLowerCase().split(SEPARATORS).filter(Boolean))];
+};
+
+/**
+ * Find the words of a text that match query terms
+ *
+ * @param {string} text - Text to search
+ * @param {Array<string>} terms - Lowercase query terms
+ * @returns {Array<Object>} { start, end } of each matching word, in order and not overlapping
+ */
+export const findMatches = (text, terms) => {
+  const lower = text.toLowerCase();
+  const matches = [];
+
+  terms.forEach(term => {
+    let index = lower.indexOf(term);
+
+    while (index !== -1) {
+      if (index === 0 || SEPARATOR.test(lower[index - 1])) {
+        let end = index + term.length;
+        while (end < lower.length && !SEPARATOR.test(lower[end])) {
+          end += 1;
+        }
+        matches.push({ start: index, end });
+      }
+
+      index = lower.indexOf(term, index + 1);
+    }
+  });
+
+  return matches
+    .sort((a, b) => a.start - b.start)
+    .filter((match, i, sorted) => i === 0 || match.start >= sorted[i - 1].end);
+};
+
+/**
+ * Cut the part of a message shown in search results
+ *
+ * The snippet starts a little before the first matching word, and is split
+ * into segments so the matching words can be shown highlighted.
+ *
+ * @param {string} text - Message text
+ * @param {Array<string>} terms - Lowercase query terms
+ * @param {number} [length=SEARCH.SNIPPET_LENGTH] - Characters of text shown
+ * @returns {Array<Object>} Segments { text, isMatch }
+ */
+export const getSnippet = (text, terms, length = SEARCH.SNIPPET_LENGTH) => {
+  const matches = findMatches(text, terms);
+  const firstMatch = matches.length > 0 ? matches[0].start : 0;
+
+  let start = Math.max(0, firstMatch - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+  start = Math.max(0, end - length);
+
+  // Don't start in the middle of a word
+  if (start > 0) {
+    const wordStart = text.slice(start, firstMatch).search(SEPARATOR);
+    start = wordStart === -1 ? firstMatch : start + wordStart + 1;
+  }
+
+  const segments = [];
+  let position = start;
+
+  matches
+    .filter(match => match.start >= start && match.start < end)
+    .forEach(match => {
+      if (match.start > position) {
+        segments.push({ text: text.slice(position, match.start), isMatch: false });
+      }
+      segments.push({ text: text.slice(match.start, Math.min(match.end, end)), isMatch: true });
+      position = Math.min(match.end, end);
+    });
+
+  if (position < end) {
+    segments.push({ text: text.slice(position, end), isMatch: false });
+  }
+
+  if (segments.length === 0) {
+    return segments;
+  }
+
+  if (start > 0) {
+    segments.unshift({ text: '...', isMatch: false });
+  }
+  if (end < text.length) {
+    segments.push({ text: '...', isMatch: false });
+  }
+
+  return segments;
+};
+
+export default {
+  tokenize,
+  findMatches,
+  getSnippet,
+};
@@ -0,0 +1,99 @@
+/**
+ * Thread Utilities
+ *
+ * Pure helpers for conversation threads. A thread is a summary kept in the
+ * thread index ({ id, title, subject, createdAt, updatedAt, messageCount });
+ * its messages are stored apart from it and only loaded while it is open.
+ * The title is the one the user gave the thread, if any; otherwise the
+ * thread is named after its first user message.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { THREADS } from './constants';
+import { generateId, truncateString } from './helpers';
+
+/**
+ * Create a thread
+ *
+ * @param {Object} [options={}] - Thread fields
+ * @param {string} [options.title=''] - Title given by the user
+ * @param {number} [options.createdAt=Date.now()] - Creation time, in ms since the epoch
+ * @returns {Object} Thread summary
+ */
+export const createThread = ({ title = '', createdAt = Date.now() } = {}) => ({
+  id: generateId(),
+  title,
+  subject: '',
+  createdAt,
+  updatedAt: createdAt,
+  messageCount: 0,
+});
+
+/**
+ * Update a thread summary from its messages
+ *
+ * @param {Object} thread - Thread summary
+ * @param {Array} messages - Latest messages of the thread
+ * @param {number} [olderCount=0] - Number of stored messages before them
+ * @returns {Object} Updated summary, or the same one if nothing changed
+ */
+export const summarizeThread = (thread, messages, olderCount = 0) => {
+  const firstUserMessage = messages.find(msg => msg.isUser && msg.text);
+  const lastMessage = messages[messages.length - 1];
+  const messageCount = olderCount + messages.length;
+  const updatedAt = Math.max(thread.updatedAt, lastMessage ? lastMessage.timestamp || 0 : 0);
+
+  // The first message may be among the older ones, which aren't loaded
+  let subject = thread.subject;
+  if (olderCount === 0) {
+    subject = firstUserMessage ? truncateString(firstUserMessage.text, THREADS.TITLE_LENGTH) : '';
+  }
+
+  if (
+    subject === thread.subject
+    && updatedAt === thread.updatedAt
+    && messageCount === thread.messageCount
+  ) {
+    return thread;
+  }
+
+  return { ...thread, subject, updatedAt, messageCount };
+};
+
+/**
+ * Get the name to show for a thread
+ *
+ * @param {Object} thread - Thread summary
+ * @returns {string} Title given by the user, else the subject, else the default title
+ */
+export const getThreadTitle = (thread) => thread.title || thread.subject || THREADS.DEFAULT_TITLE;
+
+/**
+ * Get the message retention policy from the settings
+ *
+ * @param {Object} settings - App settings
+ * @returns {Object} { maxMessages, maxAgeDays, maxSizeKb }, each 0 for no limit
+ */
+export const getRetentionPolicy = (settings) => ({
+  maxMessages: settings.historyMaxMessages || 0,
+  maxAgeDays: settings.historyMaxAgeDays || 0,
+  maxSizeKb: settings.historyMaxSizeKb || 0,
+});
+
+/**
+ * Sort threads with the most recently updated first
+ *
+ * @param {Array} threads - Thread summaries
+ * @returns {Array} Sorted copy
+ */
+export const sortThreads = (threads) => [...threads].sort((a, b) => b.updatedAt - a.updatedAt);
+
+export default {
+  createThread,
+  summarizeThread,
+  getThreadTitle,
+  getRetentionPolicy,
+  sortThreads,
+};
@@ -0,0 +1,263 @@
+/**
+ * Voice Activity Detection
+ *
+ * Energy-based voice activity detector for 16-bit little-endian PCM audio.
+ * Each recorded chunk is decoded, its RMS level measured in dBFS and compared
+ * against a threshold derived from the user's silence threshold and microphone
+ * sensitivity settings. Silence is only reported after speech has been heard,
+ * and a separate callback fires if the user never starts speaking.
+ *
+ * This module has no React Native dependencies so it can be exercised with
+ * synthetic PCM buffers.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { decodeBase64 } from './base64';
+
+// Level reported for a chunk of digital silence
+const MIN_LEVEL_DB = -100;
+
+/**
+ * Detector states
+ */
+export const VAD_STATES = {
+  WAITING: 'waiting', // No speech heard yet
+  SPEECH: 'speech', // User is speaking
+  SILENCE: 'silence', // Speech has been followed by a pause
+  DONE: 'done', // A callback has fired; further audio is ignored
+};
+
+/**
+ * Decode a chunk of 16-bit little-endian PCM audio
+ *
+ * @param {string|Uint8Array|ArrayBuffer|Int16Array} chunk - Base64 string, raw bytes or samples
+ * @returns {Int16Array} Decoded samples
+ */
+export const decodePcm16 = (chunk) => {
+  if (chunk instanceof Int16Array) {
+    return chunk;
+  }
+
+  let bytes;
+  if (typeof chunk === 'string') {
+    bytes = decodeBase64(chunk);
+  } else if (chunk instanceof ArrayBuffer) {
+    bytes = new Uint8Array(chunk);
+  } else {
+    bytes = chunk;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const samples = new Int16Array(Math.floor(bytes.byteLength / 2));
+
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view.getInt16(i * 2, true);
+  }
+
+  return samples;
+};
+
+/**
+ * Compute the RMS level of a set of samples
+ *
+ * @param {Int16Array} samples - PCM samples
+ * @returns {number} RMS level normalised to 0.0-1.0
+ */
+export const computeRms = (samples) => {
+  if (!samples.length) {
+    return 0;
+  }
+
+  let sumOfSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const normalised = samples[i] / 32768;
+    sumOfSquares += normalised * normalised;
+  }
+
+  return Math.sqrt(sumOfSquares / samples.length);
+};
+
+/**
+ * Convert an RMS level to decibels relative to full scale
+ *
+ * @param {number} rms - RMS level (0.0-1.0)
+ * @returns {number} Level in dBFS
+ */
+export const rmsToDb = (rms) => {
+  if (rms <= 0) {
+    return MIN_LEVEL_DB;
+  }
+
+  return Math.max(MIN_LEVEL_DB, 20 * Math.log10(rms));
+};
+
+/**
+ * Map the silence threshold setting to a level in dBFS
+ *
+ * 0.0 treats almost anything as speech (-65 dBFS), 1.0 requires loud speech (-15 dBFS).
+ *
+ * @param {number} silenceThreshold - Silence threshold setting (0.0-1.0)
+ * @returns {number} Threshold in dBFS
+ */
+export const thresholdToDb = (silenceThreshold) => {
+  const clamped = Math.min(1, Math.max(0, silenceThreshold));
+  return -65 + clamped * 50;
+};
+
+/**
+ * Map the microphone sensitivity setting to an input gain
+ *
+ * 50 is neutral; 0 and 100 attenuate or boost the measured level by 12 dB.
+ *
+ * @param {number} micSensitivity - Microphone sensitivity setting (0-100)
+ * @returns {number} Gain in dB
+ */
+export const sensitivityToGainDb = (micSensitivity) => {
+  const clamped = Math.min(100, Math.max(0, micSensitivity));
+  return ((clamped - 50) / 50) * 12;
+};
+
+/**
+ * Create a voice activity detector
+ *
+ * @param {Object} options - Detector options
+ * @param {number} [options.silenceThreshold=0.2] - Silence threshold setting (0.0-1.0)
+ * @param {number} [options.micSensitivity=75] - Microphone sensitivity setting (0-100)
+ * @param {number} [options.sampleRate=44100] - Sample rate in Hz
+ * @param {number} [options.channels=1] - Number of interleaved channels
+ * @param {number} [options.silenceDuration=2000] - Silence after speech before reporting, in ms
+ * @param {number} [options.noSpeechTimeout=8000] - Time to wait for the first speech, in ms
+ * @param {number} [options.minSpeechDuration=150] - Loud audio needed to count as speech, in ms
+ * @param {number} [options.hysteresisDb=4] - How far below the threshold audio must fall to count as silence
+ * @param {Function} [options.onSpeechStart] - Called once when speech is first detected
+ * @param {Function} [options.onSilenceDetected] - Called after sustained silence following speech
+ * @param {Function} [options.onNoSpeech] - Called if no speech is heard within noSpeechTimeout
+ * @returns {Object} Detector with process, reset and getState functions
+ */
+export const createVoiceActivityDetector = ({
+  silenceThreshold = 0.2,
+  micSensitivity = 75,
+  sampleRate = 44100,
+  channels = 1,
+  silenceDuration = 2000,
+  noSpeechTimeout = 8000,
+  minSpeechDuration = 150,
+  hysteresisDb = 4,
+  onSpeechStart,
+  onSilenceDetected,
+  onNoSpeech,
+} = {}) => {
+  const thresholdDb = thresholdToDb(silenceThreshold);
+  const gainDb = sensitivityToGainDb(micSensitivity);
+
+  let state = VAD_STATES.WAITING;
+  let elapsed = 0;
+  let speechRun = 0;
+  let silenceRun = 0;
+  let level = MIN_LEVEL_DB;
+
+  /**
+   * Move to the final state and fire a callback
+   *
+   * @param {Function} [callback] - Callback to fire
+   */
+  const finish = (callback) => {
+    state = VAD_STATES.DONE;
+    if (callback) {
+      callback();
+    }
+  };
+
+  /**
+   * Process a chunk of recorded audio
+   *
+   * @param {string|Uint8Array|ArrayBuffer|Int16Array} chunk - PCM chunk
+   * @returns {Object} Level of the chunk in dBFS, whether it was speech, and the detector state
+   */
+  const process = (chunk) => {
+    const samples = decodePcm16(chunk);
+    const duration = (samples.length / channels / sampleRate) * 1000;
+
+    level = rmsToDb(computeRms(samples)) + gainDb;
+    const isLoud = level >= thresholdDb;
+    const isQuiet = level < thresholdDb - hysteresisDb;
+
+    if (state === VAD_STATES.DONE) {
+      return { level, isSpeech: isLoud, state };
+    }
+
+    elapsed += duration;
+
+    if (isLoud) {
+      speechRun += duration;
+      silenceRun = 0;
+
+      if (state === VAD_STATES.SILENCE) {
+        state = VAD_STATES.SPEECH;
+      } else if (state === VAD_STATES.WAITING && speechRun >= minSpeechDuration) {
+        state = VAD_STATES.SPEECH;
+        if (onSpeechStart) {
+          onSpeechStart();
+        }
+      }
+    } else if (state === VAD_STATES.WAITING) {
+      // Short bursts of noise before the user speaks don't count as speech
+      speechRun = 0;
+
+      if (elapsed >= noSpeechTimeout) {
+        finish(onNoSpeech);
+      }
+    } else if (isQuiet) {
+      state = VAD_STATES.SILENCE;
+      silenceRun += duration;
+
+      if (silenceRun >= silenceDuration) {
+        finish(onSilenceDetected);
+      }
+    }
+
+    return { level, isSpeech: isLoud, state };
+  };
+
+  /**
+   * Reset the detector for a new utterance
+   */
+  const reset = () => {
+    state = VAD_STATES.WAITING;
+    elapsed = 0;
+    speechRun = 0;
+    silenceRun = 0;
+    level = MIN_LEVEL_DB;
+  };
+
+  /**
+   * Get the detector state
+   *
+   * @returns {Object} Current state, last level and thresholds
+   */
+  const getState = () => ({
+    state,
+    level,
+    thresholdDb,
+    gainDb,
+    elapsed,
+  });
+
+  return {
+    process,
+    reset,
+    getState,
+  };
+};
+
+export default {
+  VAD_STATES,
+  decodePcm16,
+  computeRms,
+  rmsToDb,
+  thresholdToDb,
+  sensitivityToGainDb,
+  createVoiceActivityDetector,
+};
@@ -0,0 +1,214 @@
+/**
+ * Voice Session State Machine
+ *
+ * Pure description of the voice loop: idle → recording → processing →
+ * speaking, and back to idle or, while auto-listen is on, to a short wait
+ * before the next recording starts by itself. Every state change goes
+ * through `transition`, which returns the next session or null when the
+ * event isn't allowed in the current state; a second "start recording" while
+ * one is already running is simply refused.
+ *
+ * The module has no side effects. Timers and listeners live in
+ * VoiceSessionMachine, and starting or stopping the microphone is up to
+ * whoever listens to the state changes.
+ *
+ * @author AIR-assist Development Team
+ * @version 1.0.0
+ */
+
+import { TIME } from './constants';
+
+/**
+ * States of the voice session
+ */
+export const VOICE_STATES = {
+  IDLE: 'idle',
+  AUTO_LISTEN: 'autoListen', // Waiting to start the next recording by itself
+  RECORDING: 'recording',
+  PROCESSING: 'processing', // Recording sent, waiting for the answer
+  SPEAKING: 'speaking',
+  ERROR: 'error',
+};
+
+/**
+ * Events that move the voice session between states
+ */
+export const VOICE_EVENTS = {
+  START_RECORDING: 'startRecording',
+  STOP_RECORDING: 'stopRecording', // The recording is complete and sent
+  CANCEL_RECORDING: 'cancelRecording', // The recording is dropped, e.g. no speech
+  RESPONSE_PROGRESS: 'responseProgress', // Part of the answer arrived
+  RESPONSE_DONE: 'responseDone', // The answer completed without audio, or won't come until reconnecting
+  RESPONSE_ERROR: 'responseError',
+  START_SPEAKING: 'startSpeaking',
+  STOP_SPEAKING: 'stopSpeaking',
+  INTERRUPT: 'interrupt',
+  SET_LISTENING: 'setListening',
+  TIMEOUT: 'timeout',
+  FAIL: 'fail',
+  RESET: 'reset',
+};
+
+/**
+ * How long each state may last before a TIMEOUT event, in ms
+ */
+export const STATE_TIMEOUTS = {
+  [VOICE_STATES.AUTO_LISTEN]: TIME.AUTO_LISTEN_DELAY,
+  [VOICE_STATES.RECORDING]: TIME.MAX_RECORDING_DURATION,
+  [VOICE_STATES.PROCESSING]: TIME.RESPONSE_TIMEOUT,
+  [VOICE_STATES.ERROR]: TIME.VOICE_ERROR_RESET_DELAY,
+};
+
+/**
+ * Create a voice session
+ *
+ * @param {boolean} [listening=false] - Whether auto-listen is on
+ * @returns {Object} Session { state, listening, error }
+ */
+export const createVoiceSession = (listening = false) => ({
+  state: listening ? VOICE_STATES.AUTO_LISTEN : VOICE_STATES.IDLE,
+  listening,
+  error: null,
+});
+
+/**
+ * Move the session to a state, clearing any error
+ *
+ * @param {Object} session - Current session
+ * @param {string} state - One of VOICE_STATES
+ * @returns {Object} Next session
+ */
+const enter = (session, state) => ({ ...session, state, error: null });
+
+/**
+ * End the current turn, waiting for the next recording if auto-listen is on
+ *
+ * @param {Object} session - Current session
+ * @returns {Object} Next session
+ */
+const settle = (session) => enter(session, session.listening ? VOICE_STATES.AUTO_LISTEN : VOICE_STATES.IDLE);
+
+/**
+ * Move the session to the error state
+ *
+ * @param {Object} session - Current session
+ * @param {string} [error] - Description of what went wrong
+ * @returns {Object} Next session
+ */
+const fail = (session, error) => ({
+  ...session,
+  state: VOICE_STATES.ERROR,
+  error: error || 'Something went wrong',
+});
+
+const startRecording = (session) => enter(session, VOICE_STATES.RECORDING);
+const startSpeaking = (session) => enter(session, VOICE_STATES.SPEAKING);
+const startProcessing = (session) => enter(session, VOICE_STATES.PROCESSING);
+
+/**
+ * Allowed transitions of each state, keyed by event type
+ */
+const TRANSITIONS = {
+  [VOICE_STATES.IDLE]: {
+    [VOICE_EVENTS.START_RECORDING]: startRecording,
+    // Answers to typed messages are spoken too
+    [VOICE_EVENTS.START_SPEAKING]: startSpeaking,
+  },
+  [VOICE_STATES.AUTO_LISTEN]: {
+    [VOICE_EVENTS.START_RECORDING]: startRecording,
+    [VOICE_EVENTS.START_SPEAKING]: startSpeaking,
+    [VOICE_EVENTS.TIMEOUT]: startRecording,
+  },
+  [VOICE_STATES.RECORDING]: {
+    [VOICE_EVENTS.STOP_RECORDING]: startProcessing,
+    [VOICE_EVENTS.CANCEL_RECORDING]: settle,
+    [VOICE_EVENTS.TIMEOUT]: startProcessing,
+  },
+  [VOICE_STATES.PROCESSING]: {
+    // Staying put restarts the timeout, so a long streamed answer doesn't expire
+    [VOICE_EVENTS.RESPONSE_PROGRESS]: (session) => session,
+    [VOICE_EVENTS.RESPONSE_DONE]: settle,
+    [VOICE_EVENTS.RESPONSE_ERROR]: (session, event) => fail(session, event.error),
+    [VOICE_EVENTS.START_SPEAKING]: startSpeaking,
+    [VOICE_EVENTS.INTERRUPT]: settle,
+    [VOICE_EVENTS.TIMEOUT]: (session) => fail(session, 'The assistant did not answer in time'),
+  },
+  [VOICE_STATES.SPEAKING]: {
+    // A newer answer replaces the one being spoken
+    [VOICE_EVENTS.START_SPEAKING]: startSpeaking,
+    [VOICE_EVENTS.STOP_SPEAKING]: settle,
+    [VOICE_EVENTS.INTERRUPT]: settle,
+  },
+  [VOICE_STATES.ERROR]: {
+    [VOICE_EVENTS.START_RECORDING]: startRecording,
+    [VOICE_EVENTS.START_SPEAKING]: startSpeaking,
+    [VOICE_EVENTS.TIMEOUT]: settle,
+  },
+};
+
+/**
+ * Turn auto-listen on or off
+ *
+ * Between turns the session starts or stops waiting for the next recording
+ * straight away; otherwise the change applies when the current turn ends.
+ *
+ * @param {Object} session - Current session
+ * @param {boolean} listening - Whether auto-listen is on
+ * @returns {Object|null} Next session, or null if nothing changes
+ */
+const setListening = (session, listening) => {
+  if (session.listening === !!listening) {
+    return null;
+  }
+
+  const next = { ...session, listening: !!listening };
+
+  if (session.state === VOICE_STATES.IDLE || session.state === VOICE_STATES.AUTO_LISTEN) {
+    return settle(next);
+  }
+
+  return next;
+};
+
+/**
+ * Work out the session that follows an event
+ *
+ * @param {Object} session - Current session
+ * @param {Object} event - Event
+ * @param {string} event.type - One of VOICE_EVENTS
+ * @param {string} [event.error] - Description of the failure, for FAIL and RESPONSE_ERROR
+ * @param {boolean} [event.listening] - Whether auto-listen is on, for SET_LISTENING
+ * @returns {Object|null} Next session, or null if the event isn't allowed now
+ */
+export const transition = (session, event) => {
+  switch (event.type) {
+    case VOICE_EVENTS.SET_LISTENING:
+      return setListening(session, event.listening);
+    case VOICE_EVENTS.FAIL:
+      return fail(session, event.error);
+    case VOICE_EVENTS.RESET:
+      return settle(session);
+    default: {
+      const handler = TRANSITIONS[session.state][event.type];
+      return handler ? handler(session, event) : null;
+    }
+  }
+};
+
+/**
+ * Whether the session is between turns
+ *
+ * @param {Object} session - Current session
+ * @returns {boolean} True when idle or waiting to auto-listen
+ */
+export const isIdle = (session) =>
+  session.state === VOICE_STATES.IDLE || session.state === VOICE_STATES.AUTO_LISTEN;
+
+export default {
+  VOICE_STATES,
+  VOICE_EVENTS,
+  STATE_TIMEOUTS,
+  createVoiceSession,
+  transition,
+  isIdle,
+};